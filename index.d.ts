@@ -14,9 +14,14 @@ interface Vec3 {
 // Mineflayer viewer settings
 interface MineflayerViewerSettings {
   viewDistance?: number
+  lodDistance?: number
   firstPerson?: boolean
   port?: number
   prefix?: string
+  /** Health, food, experience, hotbar and chat of the bot drawn over the view, false by default */
+  hud?: boolean
+  geometryCache?: boolean
+  sharedMemory?: boolean
 }
 
 // Mineflayer viewer return type
@@ -37,6 +42,7 @@ interface StandaloneViewerSettings {
   viewDistance?: number
   port?: number
   prefix?: string
+  sharedMemory?: boolean
 }
 
 export function standalone(options: StandaloneViewerSettings): void
@@ -50,6 +56,18 @@ interface HeadlessViewerSettings {
   height?: number
   logFFMPEG?: boolean
   jpegOption?: any
+  viewports?: HeadlessViewport[]
+  geometryCache?: string | null
+}
+
+// View of a headless frame, following the bot
+interface HeadlessViewport {
+  view: 'firstPerson' | 'thirdPerson' | 'topDown'
+  x?: number
+  y?: number
+  width?: number
+  height?: number
+  distance?: number
 }
 
 export function headless(bot: Bot, settings: HeadlessViewerSettings): void
@@ -62,44 +80,170 @@ interface WorldRendererStats {
   pendingDirtySections: number
   workerCount: number
   active: boolean
+  worldBounds: { minY: number; height: number } | null
+  lighting: {
+    enabled: boolean
+    timeOfDay: number
+    skyLightFactor: number
+  }
+  meshing: {
+    greedy: boolean
+    vertices: number
+    unmergedVertices: number
+    queued: number
+    inProgress: number
+    rebuilds: number
+  }
+  blockUpdates: {
+    window: number
+    received: number
+    applied: number
+    batches: number
+    pending: number
+  }
+  geometryCache: GeometryCacheStats
+  sharedChunks: {
+    enabled: boolean
+    columns: number
+    bytes: number
+    savedBytes: number
+  }
+  lod: {
+    columns: number
+    meshes: number
+    vertices: number
+  }
   frustumCulling: {
     enabled: boolean
     visibleMeshes: number
     totalMeshes: number
     culledMeshes: number
   }
+  occlusionCulling: {
+    enabled: boolean
+    culledMeshes: number
+  }
 }
 
+interface GeometryCacheStats {
+  enabled: boolean
+  sections: number
+  hits: number
+  misses: number
+}
+
+// Store of the geometry cache entries: byte arrays by id
+interface GeometryCacheStore {
+  get(id: string): Promise<Uint8Array | undefined>
+  set(id: string, bytes: Uint8Array): Promise<void>
+  delete(id: string): Promise<void>
+  keys(): Promise<string[]>
+  clear(): Promise<void>
+}
+
+declare class GeometryCache {
+  constructor(store: GeometryCacheStore, maxSections?: number)
+  store: GeometryCacheStore
+  ready: Promise<void>
+
+  get(key: string): Promise<any | null>
+  set(key: string, geometry: any): Promise<void>
+  setEntry(key: string, bytes: Uint8Array): Promise<void>
+  save(): Promise<void>
+  clear(): Promise<void>
+  getStats(): GeometryCacheStats
+}
+
+declare class MemoryStore implements GeometryCacheStore {
+  get(id: string): Promise<Uint8Array | undefined>
+  set(id: string, bytes: Uint8Array): Promise<void>
+  delete(id: string): Promise<void>
+  keys(): Promise<string[]>
+  clear(): Promise<void>
+}
+
+declare class IndexedDBStore implements GeometryCacheStore {
+  constructor(name?: string)
+  get(id: string): Promise<Uint8Array | undefined>
+  set(id: string, bytes: Uint8Array): Promise<void>
+  delete(id: string): Promise<void>
+  keys(): Promise<string[]>
+  clear(): Promise<void>
+}
+
+// Top block of each cell of a column, indexed by z * 16 + x
+interface ColumnHeightmap {
+  heights: ArrayLike<number>
+  stateIds: ArrayLike<number>
+  biomes: ArrayLike<number>
+}
+
+// Render passes of the world sections
+export type RenderLayer = 'opaque' | 'cutout' | 'translucent'
+
 declare class WorldRenderer {
   constructor(scene: THREE.Scene, numWorkers?: number)
-  sectionMeshs: Record<string, THREE.Mesh>
+  sectionMeshs: Record<string, THREE.Group>
+  materials: Record<RenderLayer, THREE.MeshLambertMaterial>
+  lodMaterial: THREE.MeshLambertMaterial
+  lodMeshs: Record<string, THREE.Mesh>
   active: boolean
   version: string | undefined
   scene: THREE.Scene
   loadedChunks: Record<string, boolean>
   frustumCullingEnabled: boolean
+  occlusionCullingEnabled: boolean
+  greedyMeshing: boolean
 
   resetWorld(): void
   dispose(): void
   setVersion(version: string): void
-  addColumn(x: number, z: number, chunk: any): void
+  addColumn(x: number, z: number, chunk: any, blockEntities?: BlockEntityData[]): void
   removeColumn(x: number, z: number): void
+  addLodColumn(x: number, z: number, heightmap: ColumnHeightmap): void
+  removeLodColumn(x: number, z: number): void
+  setWorldBounds(minY: number, height: number): void
   setBlockStateId(pos: Vec3, stateId: number): void
+  setBlockEntity(pos: { x: number; y: number; z: number }, nbt: Record<string, any> | null): void
   setSectionDirty(pos: Vec3, value?: boolean): void
   clearPendingDirtySections(): void
-  updateFrustumCulling(camera: THREE.Camera): void
+  updateFrustumCulling(camera: THREE.Camera, options?: { frustumCulling?: boolean; occlusionCulling?: boolean }): void
   setFrustumCulling(enabled: boolean): void
+  setOcclusionCulling(enabled: boolean): void
+  setGreedyMeshing(enabled: boolean): void
+  setBlockUpdateWindow(window: number): void
+  setGeometryCache(cache: GeometryCache | null): void
+  updateTranslucentSorting(camera: THREE.Camera): void
+  updateMeshingQueue(camera: THREE.Camera, time?: number): void
+  setLighting(enabled: boolean): void
+  setTimeOfDay(timeOfDay: number): void
+  updateTextureAnimations(time?: number): void
+  setResourcePack(url: string | null): Promise<void>
+  getBlockGeometry(stateId: number): Promise<THREE.BufferGeometry | null>
   waitForChunksToRender(): Promise<void>
   getStats(): WorldRendererStats
 }
 
 // Entities class
 declare class Entities {
-  constructor(scene: THREE.Scene)
+  constructor(scene: THREE.Scene, worldRenderer?: WorldRenderer | null)
   entities: Record<string | number, THREE.Object3D>
+  version: string
+  versionModels: Record<string, EntityModel> | null
+  items: ItemTextures | null
+  skinDirectory: string | null
 
+  setVersion(version: string): void
+  setSkinDirectory(directory: string | null): void
   clear(): void
   update(entity: EntityData): void
+  animate(time?: number): void
+}
+
+// Block entity data of a column (sign text, colours), simplified from the NBT
+interface BlockEntityData {
+  pos: { x: number; y: number; z: number }
+  nbt: Record<string, any>
 }
 
 interface EntityData {
@@ -109,33 +253,138 @@ interface EntityData {
   width?: number
   height?: number
   yaw?: number
+  headYaw?: number
+  pitch?: number
   delete?: boolean
   username?: string
+  skin?: string
+  equipment?: Array<string | null>
+  item?: { id: number; name?: string; count?: number } | null
+  blockStateId?: number
+  facing?: 'down' | 'up' | 'north' | 'south' | 'west' | 'east'
+}
+
+interface ItemTextures {
+  textures: Record<string, string>
+  sprites: Record<string, { u: number; v: number; su: number; sv: number }>
+  armor: Record<string, string>
+}
+
+// Primitive layers
+interface PrimitiveLayerSettings {
+  name: string
+  visible?: boolean
+  opacity?: number
+  order?: number
+}
+
+interface PrimitiveLayerInfo {
+  name: string
+  visible: boolean
+  opacity: number
+  order: number
+  count: number
+}
+
+declare class PrimitiveLayers extends EventEmitter {
+  constructor(scene: THREE.Scene)
+  layers: Map<string, { name: string; group: THREE.Group; visible: boolean; opacity: number; order: number }>
+
+  get(name?: string): { name: string; group: THREE.Group; visible: boolean; opacity: number; order: number }
+  set(settings: PrimitiveLayerSettings): void
+  add(name: string | undefined, object: THREE.Object3D): void
+  setOpacity(object: THREE.Object3D, opacity: number): void
+  remove(object: THREE.Object3D): void
+  list(): PrimitiveLayerInfo[]
+  clear(): void
 }
 
 // Primitives class
 declare class Primitives {
-  constructor(scene: THREE.Scene, camera: THREE.Camera)
+  constructor(scene: THREE.Scene, camera: THREE.Camera, entities?: Entities | null)
   primitives: Record<string, THREE.Object3D>
+  layers: PrimitiveLayers
+  animated: Map<string, { ttl?: number; fade?: number; blink?: number; follow?: number; start: number; position: THREE.Vector3 }>
 
   clear(): void
   update(primitive: PrimitiveData): void
+  setLayer(settings: PrimitiveLayerSettings): void
+  clearLayer(name: string): void
+  animate(time?: number): void
 }
 
 interface PrimitiveData {
-  type: 'line' | 'boxgrid' | 'points'
+  /** No type erases the primitive of the id */
+  type?: 'line' | 'boxgrid' | 'points' | 'segments' | 'label' | 'sphere' | 'arrow' | 'box' | 'blockFace' | 'mesh'
   id: string
   points?: Array<{ x: number; y: number; z: number }>
   start?: { x: number; y: number; z: number }
   end?: { x: number; y: number; z: number }
+  position?: { x: number; y: number; z: number }
   color?: number | string
+  /** Points in pixels, label lines in blocks */
   size?: number
+  text?: string
+  radius?: number
+  opacity?: number
+  /** 0 bottom, 1 top, 2 north, 3 south, 4 west, 5 east */
+  face?: number
+  /** Flat x, y, z coordinates */
+  vertices?: number[]
+  indices?: number[] | null
+  /** 'default' without one */
+  layer?: string
+  /** Milliseconds it is drawn for */
+  ttl?: number
+  /** Milliseconds it fades out over, at the end of the ttl, or from the start without ttl */
+  fade?: number
+  /** Blink period in milliseconds */
+  blink?: number
+  /** Id of the entity it follows, its coordinates are relative to the entity position */
+  follow?: number
+  /** Points added to or removed from the points or segments primitive of the id, instead of drawing it */
+  delta?: 'append' | 'remove'
 }
 
 // Viewer class
 interface ViewerStats {
   world: WorldRendererStats | null
   frustumCullingEnabled: boolean
+  viewports: Array<{
+    name: string
+    enabled: boolean
+    visibleMeshes: number
+    culledMeshes: number
+    occludedMeshes: number
+  }>
+}
+
+interface ViewportOptions {
+  x?: number
+  y?: number
+  width?: number
+  height?: number
+  frustumCulling?: boolean
+  occlusionCulling?: boolean
+  controls?: { enabled: boolean; update(): void } | null
+}
+
+// Camera drawing the scene of a Viewer in a region of the canvas
+declare class Viewport {
+  constructor(name: string, camera: THREE.PerspectiveCamera | THREE.OrthographicCamera, options?: ViewportOptions)
+  name: string
+  camera: THREE.PerspectiveCamera | THREE.OrthographicCamera
+  controls: { enabled: boolean; update(): void } | null
+  frustumCulling: boolean
+  occlusionCulling: boolean
+  enabled: boolean
+  region: { x: number; y: number; width: number; height: number }
+
+  setRegion(x: number, y: number, width: number, height: number): void
+  getRect(canvasWidth: number, canvasHeight: number): { x: number; y: number; width: number; height: number }
+  containsPoint(x: number, y: number): boolean
+  getPointerCoords(x: number, y: number, target: THREE.Vector2): THREE.Vector2
+  updateAspect(aspect: number): void
 }
 
 declare class Viewer {
@@ -150,29 +399,92 @@ declare class Viewer {
   isSneaking: boolean
   version: string | undefined
   enableFrustumCulling: boolean
+  viewports: Map<string, Viewport>
 
   resetAll(): void
   dispose(): void
   setVersion(version: string): boolean
-  addColumn(x: number, z: number, chunk: any): void
+  addColumn(x: number, z: number, chunk: any, blockEntities?: BlockEntityData[]): void
   removeColumn(x: number, z: number): void
+  addLodColumn(x: number, z: number, heightmap: ColumnHeightmap): void
+  removeLodColumn(x: number, z: number): void
   setBlockStateId(pos: Vec3, stateId: number): void
+  setBlockEntity(pos: { x: number; y: number; z: number }, nbt: Record<string, any> | null): void
+  setWorldBounds(minY: number, height: number): void
   updateEntity(entity: EntityData): void
+  setSkinDirectory(directory: string | null): void
+  setResourcePack(url: string | null): Promise<void>
+  setGeometryCache(cache: GeometryCache | null): void
   updatePrimitive(primitive: PrimitiveData): void
-  setFirstPersonCamera(pos: Vec3 | null, yaw: number, pitch: number): void
+  setLighting(enabled: boolean): void
+  setTimeOfDay(timeOfDay: number): void
+  setFirstPersonCamera(pos: Vec3 | null, yaw: number, pitch: number, viewport?: string): void
+  addViewport(name: string, camera: THREE.PerspectiveCamera | THREE.OrthographicCamera, options?: ViewportOptions): Viewport
+  removeViewport(name: string): void
+  getViewport(name?: string): Viewport
+  getViewportAt(clientX: number, clientY: number): Viewport | null
   listen(emitter: EventEmitter): void
   update(): void
+  render(renderer: THREE.WebGLRenderer): void
   setFrustumCulling(enabled: boolean): void
+  setOcclusionCulling(enabled: boolean): void
   getStats(): ViewerStats
   waitForChunksToRender(): Promise<void>
 }
 
+// Encoding of the columns a WorldView sends: format 0 is prismarine-chunk JSON, 1 the binary encoding
+interface ChunkEncoding {
+  format: number
+  compress: boolean
+}
+
+// Chunk encodings a client reads, sent as the auth of its socket.io handshake
+interface ClientChunkEncoding {
+  chunkFormat: number
+  chunkCompression: boolean
+}
+
+// Changes of the world, counted with the world messages sent by a single seq (lib/resume)
+interface ColumnVersions {
+  seq: number
+  next(): number
+  getChanges(x: number, z: number, seq: number): Array<{ pos: { x: number; y: number; z: number }; stateId: number }> | null
+}
+
+// Columns encoded once for all the clients of a server (viewer/lib/chunkCodec)
+interface EncodedColumns {
+  encode(x: number, z: number, column: any, encoding: ChunkEncoding): string | Uint8Array
+  invalidate(x: number, z: number): void
+  listenToBot(bot: Bot): void
+  removeListenersFromBot(bot: Bot): void
+}
+
+// State of a client, kept by the server to resume its session when it reconnects
+interface WorldViewResumeState {
+  dimension: { dimension: string; minY: number; height: number } | undefined
+  dimensionSeq: number
+  columns: Record<string, number>
+  lodColumns: Record<string, number>
+  unloads: Array<{ event: 'unloadChunk' | 'unloadLodChunk'; x: number; z: number; seq: number }>
+}
+
 // WorldView class
 declare class WorldView extends EventEmitter {
-  constructor(world: any, viewDistance: number, position: Vec3, emitter?: EventEmitter)
+  constructor(world: any, viewDistance: number, position: Vec3, emitter?: EventEmitter, lodDistance?: number)
   viewDistance: number
+  lodDistance: number
+  chunkEncoding: ChunkEncoding
 
   init(position: Vec3): Promise<void>
+  setChunkEncoding(encoding: ChunkEncoding): void
+  setColumnVersions(versions: ColumnVersions): void
+  setEncodedColumns(encodedColumns: EncodedColumns): void
+  getResumeState(): WorldViewResumeState
+  resume(state: WorldViewResumeState, seq: number, position: Vec3): Promise<void>
+  loadChunk(pos: Vec3): Promise<void>
+  unloadChunk(pos: Vec3): void
+  unloadLodChunk(pos: Vec3): void
+  getColumnDetail(pos: Vec3): 'full' | 'lod' | null
   updatePosition(position: Vec3): void
   listenToBot(bot: Bot): void
   removeListenersFromBot(bot: Bot): void
@@ -207,9 +519,29 @@ declare class MapControls {
 }
 
 // Entity class
+interface EntityModel {
+  identifier?: string
+  textures: Record<string, string>
+  geometry: Record<string, object>
+  animations?: Record<string, object>
+  animation_controllers?: Record<string, object>
+  scripts?: object
+}
+
 declare class Entity {
-  constructor(version: string, name: string, scene: THREE.Scene)
+  constructor(version: string, name: string, scene: THREE.Scene, versionModels?: Record<string, EntityModel> | null)
   mesh: THREE.Object3D
+  animator: EntityAnimator | null
+  equipment: THREE.Object3D[]
+
+  setSkin(skin: string): void
+  setEquipment(equipment: Array<string | null>, items: ItemTextures): void
+}
+
+declare class EntityAnimator {
+  setPosition(pos: { x: number; y: number; z: number }, time: number): void
+  setHeadRotation(headYaw: number, pitch: number): void
+  update(dt: number): void
 }
 
 // Viewer exports
@@ -222,6 +554,11 @@ export const viewer: {
   Entities: typeof Entities
   Primitives: typeof Primitives
   getBufferFromStream: (stream: NodeJS.ReadableStream) => Promise<Buffer>
+  GeometryCache: typeof GeometryCache
+  IndexedDBStore: typeof IndexedDBStore
+  MemoryStore: typeof MemoryStore
+  getClientChunkEncoding: () => ClientChunkEncoding
+  negotiateChunkEncoding: (auth?: Partial<ClientChunkEncoding>) => ChunkEncoding
 }
 
 // Supported versions
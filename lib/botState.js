@@ -0,0 +1,107 @@
+/**
+ * State of the bot shown by the HUD of the web client (mineflayer mode): health, food, experience, inventory
+ * and chat, sent as it changes
+ * @module lib/botState
+ */
+
+const EventEmitter = require('events')
+const { schemas } = require('./schemas/socketMessages')
+const { HUD_CHAT_HISTORY } = require('../viewer/lib/constants')
+
+const MAX_CHAT_LENGTH = schemas.chat.text.maxLength
+
+/**
+ * @param {Object} bot - mineflayer bot
+ * @returns {Object} botStatus message, without the values the bot doesn't know yet
+ */
+function getStatus (bot) {
+  const experience = bot.experience || {}
+  return {
+    health: bot.health,
+    food: bot.food,
+    saturation: bot.foodSaturation,
+    level: experience.level,
+    points: experience.points,
+    progress: experience.progress,
+    gameMode: bot.game ? bot.game.gameMode : undefined
+  }
+}
+
+/**
+ * @param {Object} bot - mineflayer bot
+ * @returns {Object|null} inventory message: the items by slot of the player window, the selected hotbar slot,
+ *   and where the main inventory and the hotbar start, null before the bot has an inventory
+ */
+function getInventory (bot) {
+  const inventory = bot.inventory
+  if (!inventory) return null
+  const slots = inventory.slots.filter(Boolean).map(({ slot, name, count, displayName }) => ({ slot, name, count, displayName }))
+  return { slots, quickBarSlot: bot.quickBarSlot, inventoryStart: inventory.inventoryStart, hotbarStart: inventory.hotbarStart }
+}
+
+/**
+ * Emits botStatus, inventory and chat, with the message to send
+ * The inventory is sent once per tick at most, the last chat messages are kept for the clients connecting later
+ */
+class BotState extends EventEmitter {
+  /**
+   * @param {number} [maxMessages] - Chat messages kept
+   */
+  constructor (maxMessages = HUD_CHAT_HISTORY) {
+    super()
+    this.maxMessages = maxMessages
+    this.messages = []
+    this.inventoryPending = false
+    // [emitter, event, listener] of the bot and its inventory
+    this.listeners = []
+  }
+
+  _on (emitter, event, listener) {
+    emitter.on(event, listener)
+    this.listeners.push([emitter, event, listener])
+  }
+
+  _inventoryChanged (bot) {
+    if (this.inventoryPending) return
+    this.inventoryPending = true
+    setImmediate(() => {
+      this.inventoryPending = false
+      const inventory = getInventory(bot)
+      if (inventory) this.emit('inventory', inventory)
+    })
+  }
+
+  /**
+   * @param {string} text - Chat text, truncated to the maxLength of the chat schema
+   * @param {string} [position] - 'chat' or 'system'
+   */
+  addMessage (text, position = 'chat') {
+    const message = { text: text.slice(0, MAX_CHAT_LENGTH), position, time: Date.now() }
+    this.messages.push(message)
+    if (this.messages.length > this.maxMessages) this.messages.shift()
+    this.emit('chat', message)
+  }
+
+  listenToBot (bot) {
+    const status = () => this.emit('botStatus', getStatus(bot))
+    this._on(bot, 'health', status)
+    this._on(bot, 'experience', status)
+    this._on(bot, 'game', status)
+    this._on(bot, 'heldItemChanged', () => this._inventoryChanged(bot))
+    if (bot.inventory) this._on(bot.inventory, 'updateSlot', () => this._inventoryChanged(bot))
+    this._on(bot, 'message', (message, position) => {
+      // The action bar changes all the time
+      if (position === 'game_info') return
+      this.addMessage(message.toString(), position === 'system' ? 'system' : 'chat')
+    })
+  }
+
+  removeListenersFromBot () {
+    for (const [emitter, event, listener] of this.listeners) {
+      emitter.removeListener(event, listener)
+    }
+    this.listeners = []
+  }
+}
+
+module.exports = { getStatus, getInventory, BotState }
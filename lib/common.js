@@ -18,8 +18,12 @@ function getExpress () {
 /**
  * Security headers middleware
  * Provides protection against common web vulnerabilities
+ * @param {Object} options - Header options
+ * @param {boolean} options.sharedMemory - Isolate the page cross-origin, so that the mesher workers share the chunks
  */
-function securityHeaders () {
+function securityHeaders (options = {}) {
+  const { sharedMemory = false } = options
+
   return function (req, res, next) {
     // Prevent clickjacking
     res.setHeader('X-Frame-Options', 'SAMEORIGIN')
@@ -45,6 +49,13 @@ function securityHeaders () {
       "font-src 'self'"
     ].join('; '))
 
+    // Cross-origin isolation, for the chunks the mesher workers share (SharedArrayBuffer)
+    // Without it, the page posts each worker the chunks it needs
+    if (sharedMemory) {
+      res.setHeader('Cross-Origin-Opener-Policy', 'same-origin')
+      res.setHeader('Cross-Origin-Embedder-Policy', 'require-corp')
+    }
+
     next()
   }
 }
@@ -121,16 +132,18 @@ function errorHandler () {
  * @param {Object} options - Configuration options
  * @param {boolean} options.enableRateLimit - Enable rate limiting
  * @param {boolean} options.enableSecurityHeaders - Enable security headers
+ * @param {boolean} options.sharedMemory - Send the cross-origin isolation headers
  */
 function setupRoutes (app, prefix = '', options = {}) {
   const {
     enableRateLimit = true,
-    enableSecurityHeaders = true
+    enableSecurityHeaders = true,
+    sharedMemory = false
   } = options
 
   // Security headers
   if (enableSecurityHeaders) {
-    app.use(securityHeaders())
+    app.use(securityHeaders({ sharedMemory }))
   }
 
   // Compression
@@ -12,9 +12,34 @@ global.THREE = require('three')
 global.Worker = require('worker_threads').Worker
 const { createCanvas } = safeRequire('node-canvas-webgl/lib')
 
-const { WorldView, Viewer, getBufferFromStream } = require('../viewer')
+const { WorldView, Viewer, GeometryCache, getBufferFromStream } = require('../viewer')
+const { FileStore } = require('../viewer/lib/fileStore')
+
+// Default distance, in blocks, of the third person and top down cameras from the bot
+const FOLLOW_DISTANCE = 24
+
+// Move the camera of a viewport after the bot: from its eyes, from behind it or from above it
+function followBot (viewer, bot, { name, view, distance = FOLLOW_DISTANCE }) {
+  const { position, yaw, pitch } = bot.entity
+  if (view === 'firstPerson') {
+    viewer.setFirstPersonCamera(position, yaw, pitch, name)
+    return
+  }
+  const { camera } = viewer.getViewport(name)
+  const target = new THREE.Vector3(position.x, position.y + viewer.playerHeight, position.z)
+  if (view === 'topDown') {
+    camera.position.set(target.x, target.y + distance, target.z)
+    // North up
+    camera.up.set(0, 0, -1)
+  } else {
+    // Yaw 0 looks to -z
+    camera.position.set(target.x + Math.sin(yaw) * distance, target.y + distance / 2, target.z + Math.cos(yaw) * distance)
+    camera.up.set(0, 1, 0)
+  }
+  camera.lookAt(target)
+}
 
-module.exports = (bot, { viewDistance = 6, output = 'output.mp4', frames = -1, width = 512, height = 512, logFFMPEG = false, jpegOptions }) => {
+module.exports = (bot, { viewDistance = 6, output = 'output.mp4', frames = -1, width = 512, height = 512, logFFMPEG = false, jpegOptions, geometryCache = null, viewports = null }) => {
   const canvas = createCanvas(width, height)
   const renderer = new THREE.WebGLRenderer({ canvas })
   const viewer = new Viewer(renderer)
@@ -22,7 +47,19 @@ module.exports = (bot, { viewDistance = 6, output = 'output.mp4', frames = -1, w
   if (!viewer.setVersion(bot.version)) {
     return false
   }
-  viewer.setFirstPersonCamera(bot.entity.position, bot.entity.yaw, bot.entity.pitch)
+  if (geometryCache) viewer.setGeometryCache(new GeometryCache(new FileStore(geometryCache)))
+
+  // Views of the frame, the first one in the main viewport
+  const views = (viewports || [{ view: 'firstPerson' }]).map((options, index) => {
+    const name = index === 0 ? 'main' : `view${index}`
+    if (index === 0) {
+      viewer.getViewport().setRegion(options.x ?? 0, options.y ?? 0, options.width ?? 1, options.height ?? 1)
+    } else {
+      viewer.addViewport(name, new THREE.PerspectiveCamera(75, 1, 0.1, 1000), options)
+    }
+    return { ...options, name }
+  })
+  for (const view of views) followBot(viewer, bot, view)
 
   // Load world
   const worldView = new WorldView(bot.world, viewDistance, bot.entity.position)
@@ -30,7 +67,7 @@ module.exports = (bot, { viewDistance = 6, output = 'output.mp4', frames = -1, w
   worldView.init(bot.entity.position)
 
   function botPosition () {
-    viewer.setFirstPersonCamera(bot.entity.position, bot.entity.yaw, bot.entity.pitch)
+    for (const view of views) followBot(viewer, bot, view)
     worldView.updatePosition(bot.entity.position)
   }
 
@@ -84,7 +121,7 @@ module.exports = (bot, { viewDistance = 6, output = 'output.mp4', frames = -1, w
   let idx = 0
   function update () {
     viewer.update()
-    renderer.render(viewer.scene, viewer.camera)
+    viewer.render(renderer)
 
     const imageStream = canvas.createJPEGStream({
       bufsize: 4096,
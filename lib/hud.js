@@ -0,0 +1,174 @@
+/**
+ * HUD of the web client in mineflayer mode: health, food and experience bars, the hotbar, the inventory and
+ * a scrolling chat pane, drawn from the botStatus, inventory and chat messages
+ * @module lib/hud
+ */
+
+const { HUD_CHAT_HISTORY } = require('../viewer/lib/constants')
+
+const HOTBAR_SIZE = 9
+
+class Hud {
+  /**
+   * @param {HTMLElement} element - Filled with the HUD, hidden until the first botStatus or inventory message
+   * @param {Function} [getItemTexture] - Texture url of an item name, or null to write the name instead
+   */
+  constructor (element, getItemTexture = () => null) {
+    this.element = element
+    this.getItemTexture = getItemTexture
+    this.status = {}
+    this.inventory = null
+    this.visible = true
+    this.inventoryVisible = false
+    // Slots are drawn again once per frame at most, and when the item textures are loaded
+    this.dirty = false
+    this.missingTextures = false
+
+    const document = element.ownerDocument
+    const create = (className, parent = element) => {
+      const child = document.createElement('div')
+      child.className = className
+      parent.appendChild(child)
+      return child
+    }
+    this.chat = create('hud-chat')
+    const bottom = create('hud-bottom')
+    this.inventoryGrid = create('hud-inventory', bottom)
+    const bars = create('hud-bars', bottom)
+    this.bars = {
+      health: this._createBar(create('hud-bar hud-health', bars)),
+      food: this._createBar(create('hud-bar hud-food', bars))
+    }
+    this.experience = this._createBar(create('hud-bar hud-experience', bottom))
+    this.hotbar = create('hud-hotbar', bottom)
+    this.bottom = bottom
+    this._show()
+  }
+
+  _createBar (bar) {
+    const fill = bar.ownerDocument.createElement('div')
+    fill.className = 'hud-fill'
+    const label = bar.ownerDocument.createElement('span')
+    bar.append(fill, label)
+    return { bar, fill, label }
+  }
+
+  _setBar ({ fill, label }, ratio, text) {
+    fill.style.width = `${Math.round(Math.max(0, Math.min(1, ratio)) * 100)}%`
+    label.textContent = text
+  }
+
+  _show () {
+    this.element.style.display = this.visible ? '' : 'none'
+    this.bottom.style.display = this.inventory || Object.keys(this.status).length > 0 ? '' : 'none'
+    this.inventoryGrid.style.display = this.inventoryVisible ? '' : 'none'
+  }
+
+  /**
+   * @param {Object} status - botStatus message, the values not given are kept
+   */
+  setStatus (status) {
+    for (const key in status) {
+      if (status[key] !== undefined && status[key] !== null) this.status[key] = status[key]
+    }
+    const { health, food, level = 0, progress = 0 } = this.status
+    this._setBar(this.bars.health, (health || 0) / 20, typeof health === 'number' ? `Health ${Math.ceil(health)}/20` : 'Health')
+    this._setBar(this.bars.food, (food || 0) / 20, typeof food === 'number' ? `Food ${food}/20` : 'Food')
+    this._setBar(this.experience, progress, `Level ${level}`)
+    // No health nor hunger in creative and spectator modes
+    const survival = this.status.gameMode !== 'creative' && this.status.gameMode !== 'spectator'
+    this.bars.health.bar.parentNode.style.visibility = survival ? '' : 'hidden'
+    this._show()
+  }
+
+  /**
+   * @param {Object} inventory - inventory message
+   */
+  setInventory (inventory) {
+    this.inventory = inventory
+    this.dirty = true
+    this._show()
+  }
+
+  /**
+   * @param {{text: string, position?: string}} message - chat message
+   */
+  addMessage ({ text, position = 'chat' }) {
+    // Following the new messages unless scrolled up
+    const atBottom = this.chat.scrollTop + this.chat.clientHeight >= this.chat.scrollHeight - 4
+    const line = this.chat.ownerDocument.createElement('div')
+    line.className = `hud-message hud-${position}`
+    line.textContent = text
+    this.chat.appendChild(line)
+    while (this.chat.childNodes.length > HUD_CHAT_HISTORY) this.chat.removeChild(this.chat.firstChild)
+    if (atBottom) this.chat.scrollTop = this.chat.scrollHeight
+  }
+
+  /**
+   * Remove the chat messages, the server sends its history again on each connection
+   */
+  clearChat () {
+    this.chat.replaceChildren()
+  }
+
+  toggle () {
+    this.visible = !this.visible
+    this._show()
+  }
+
+  toggleInventory () {
+    this.inventoryVisible = !this.inventoryVisible
+    this._show()
+  }
+
+  _createSlot (item, selected) {
+    const document = this.element.ownerDocument
+    const slot = document.createElement('div')
+    slot.className = selected ? 'hud-slot hud-selected' : 'hud-slot'
+    if (!item) return slot
+    slot.title = item.displayName || item.name
+    const texture = this.getItemTexture(item.name)
+    if (texture) {
+      const icon = document.createElement('img')
+      icon.src = texture
+      icon.alt = item.name
+      slot.appendChild(icon)
+    } else {
+      this.missingTextures = true
+      const name = document.createElement('span')
+      name.className = 'hud-name'
+      name.textContent = item.name.replace(/_/g, ' ')
+      slot.appendChild(name)
+    }
+    if (item.count > 1) {
+      const count = document.createElement('span')
+      count.className = 'hud-count'
+      count.textContent = item.count
+      slot.appendChild(count)
+    }
+    return slot
+  }
+
+  /**
+   * Draw the slots again if the inventory changed, or if item textures were missing, call it each frame
+   */
+  update () {
+    if (!this.inventory) return
+    if (!this.dirty && !(this.missingTextures && this.inventory.slots.some(({ name }) => this.getItemTexture(name)))) return
+    this.dirty = false
+    this.missingTextures = false
+
+    const { slots, quickBarSlot, inventoryStart = 9, hotbarStart = 36 } = this.inventory
+    const items = new Map(slots.map(item => [item.slot, item]))
+    this.hotbar.replaceChildren()
+    for (let i = 0; i < HOTBAR_SIZE; i++) {
+      this.hotbar.appendChild(this._createSlot(items.get(hotbarStart + i), i === quickBarSlot))
+    }
+    this.inventoryGrid.replaceChildren()
+    for (let slot = inventoryStart; slot < hotbarStart; slot++) {
+      this.inventoryGrid.appendChild(this._createSlot(items.get(slot), false))
+    }
+  }
+}
+
+module.exports = { Hud }
@@ -4,14 +4,39 @@ global.THREE = require('three')
 const TWEEN = require('@tweenjs/tween.js')
 require('three/examples/js/controls/OrbitControls')
 
-const { Viewer, Entity } = require('../viewer')
+const { Viewer, Entity, constants, getClientChunkEncoding, GeometryCache, IndexedDBStore } = require('../viewer')
+const { Legend } = require('./legend')
+const { Hud } = require('./hud')
+const { withValidation } = require('./schemas/socketMessages')
+
+// Token of the connection and seq of the last world message received: after a reconnection, the server
+// sends only the columns and block updates missed since then
+let resumeToken = null
+let resumeSeq = 0
+let resumed = false
 
 const io = require('socket.io-client')
 const socket = io({
-  path: window.location.pathname + 'socket.io'
+  path: window.location.pathname + 'socket.io',
+  // Lets the server send the columns binary encoded, read again on each reconnection
+  auth: (setAuth) => setAuth({ ...getClientChunkEncoding(), ...(resumeToken ? { resumeToken, resumeSeq } : {}) })
+})
+
+socket.on('resume', ({ token, resumed: sessionResumed }) => {
+  resumeToken = token
+  resumed = sessionResumed
+  // The server sends its chat history again
+  hud.clearChat()
 })
+for (const event of ['loadChunk', 'unloadChunk', 'loadLodChunk', 'unloadLodChunk', 'blockUpdate', 'dimension']) {
+  socket.on(event, ({ seq }) => {
+    if (seq) resumeSeq = seq
+  })
+}
 
 let firstPositionUpdate = true
+let currentVersion = null
+let listening = false
 
 const renderer = new THREE.WebGLRenderer()
 renderer.setPixelRatio(window.devicePixelRatio || 1)
@@ -19,14 +44,39 @@ renderer.setSize(window.innerWidth, window.innerHeight)
 document.body.appendChild(renderer.domElement)
 
 const viewer = new Viewer(renderer)
+let geometryCache = null
+socket.on('clientSettings', withValidation('clientSettings', ({ skins, geometryCache: cacheGeometry }) => {
+  // Player skins, when the server has a skin directory
+  viewer.setSkinDirectory(skins ? 'skins' : null)
+  // Areas the bot walks back to are drawn from the geometry kept in the page storage, when the server asks for it
+  const enabled = Boolean(cacheGeometry && window.indexedDB)
+  if (enabled === (geometryCache !== null)) return
+  geometryCache = enabled ? new GeometryCache(new IndexedDBStore()) : null
+  viewer.setGeometryCache(geometryCache)
+}))
 
 let controls = new THREE.OrbitControls(viewer.camera, renderer.domElement)
 
+// Layers of the primitives drawn by the bot, each can be hidden
+const legend = new Legend(viewer.primitives.layers, document.getElementById('legend'))
+
+// Health, food, hotbar and chat of the bot, H shows or hides it, E the inventory
+const hud = new Hud(document.getElementById('hud'), (name) => viewer.entities.items ? viewer.entities.items.textures[name] || null : null)
+socket.on('botStatus', withValidation('botStatus', (status) => hud.setStatus(status)))
+socket.on('inventory', withValidation('inventory', (inventory) => hud.setInventory(inventory)))
+socket.on('chat', withValidation('chat', (message) => hud.addMessage(message)))
+window.addEventListener('keydown', (e) => {
+  if (e.key === 'h') hud.toggle()
+  if (e.key === 'e') hud.toggleInventory()
+})
+
 function animate () {
   window.requestAnimationFrame(animate)
   if (controls) controls.update()
   viewer.update()
-  renderer.render(viewer.scene, viewer.camera)
+  viewer.render(renderer)
+  legend.update()
+  hud.update()
 }
 animate()
 
@@ -37,11 +87,21 @@ window.addEventListener('resize', () => {
 })
 
 socket.on('version', (version) => {
+  if (resumed && version === currentVersion) {
+    // The world is kept, the entities and primitives are all sent again
+    viewer.entities.clear()
+    viewer.primitives.clear()
+    return
+  }
   if (!viewer.setVersion(version)) {
     return false
   }
 
+  currentVersion = version
   firstPositionUpdate = true
+  // Connected again
+  if (listening) return
+  listening = true
   viewer.listen(socket)
 
   let botMesh
@@ -62,7 +122,9 @@ socket.on('version', (version) => {
     }
     if (addMesh) {
       if (!botMesh) {
-        botMesh = new Entity('1.16.4', 'player', viewer.scene).mesh
+        const { versionModels } = viewer.entities
+        const version = versionModels ? viewer.version : constants.DEFAULT_ENTITY_VERSION
+        botMesh = new Entity(version, 'player', viewer.scene, versionModels).mesh
         viewer.scene.add(botMesh)
       }
       new TWEEN.Tween(botMesh.position).to({ x: pos.x, y: pos.y, z: pos.z }, 50).start()
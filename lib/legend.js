@@ -0,0 +1,49 @@
+/**
+ * Legend of the primitive layers in the web client, with a checkbox to show or hide each layer
+ * @module lib/legend
+ */
+
+class Legend {
+  /**
+   * @param {PrimitiveLayers} layers - Layers of the primitives of the viewer (viewer.primitives.layers)
+   * @param {HTMLElement} element - Filled with the layers, hidden while there is none
+   */
+  constructor (layers, element) {
+    this.layers = layers
+    this.element = element
+    // Primitives come by the hundred, the list is built again once per frame at most
+    this.dirty = true
+    this.listener = () => { this.dirty = true }
+    layers.on('update', this.listener)
+  }
+
+  /**
+   * Build the list again if the layers changed, call it each frame
+   */
+  update () {
+    if (!this.dirty) return
+    this.dirty = false
+
+    const document = this.element.ownerDocument
+    const layers = this.layers.list()
+    this.element.replaceChildren()
+    this.element.style.display = layers.length > 0 ? '' : 'none'
+    for (const { name, visible, count } of layers) {
+      const checkbox = document.createElement('input')
+      checkbox.type = 'checkbox'
+      checkbox.checked = visible
+      // Only in this client, until the bot changes the visibility of the layer
+      checkbox.addEventListener('change', () => this.layers.set({ name, visible: checkbox.checked }))
+
+      const label = document.createElement('label')
+      label.append(checkbox, `${name} (${count})`)
+      this.element.appendChild(label)
+    }
+  }
+
+  dispose () {
+    this.layers.removeListener('update', this.listener)
+  }
+}
+
+module.exports = { Legend }
@@ -1,12 +1,19 @@
 const EventEmitter = require('events')
 const { WorldView } = require('../viewer')
-const { validateMessage } = require('./schemas/socketMessages')
+const { validateMessage, schemas } = require('./schemas/socketMessages')
+const { negotiateChunkEncoding, EncodedColumns } = require('../viewer/lib/chunkCodec')
 const { createShutdownHandler } = require('./common')
+const { ColumnVersions, ResumeSessions } = require('./resume')
+const { PointBuffer } = require('../viewer/lib/pointBuffer')
+const { BotState, getStatus, getInventory } = require('./botState')
+const { DEFAULT_PRIMITIVE_LAYER, PRIMITIVE_EXPIRATION_PRUNE_MS } = require('../viewer/lib/constants')
 
 // Maximum concurrent connections
 const MAX_CONNECTIONS = 50
+const MAX_PRIMITIVE_BATCH = schemas.primitives.updates.maxItems
+const MAX_PRIMITIVE_POINTS = schemas.primitive.points.maxItems
 
-module.exports = (bot, { viewDistance = 6, firstPerson = false, port = 3000, prefix = '' }) => {
+module.exports = (bot, { viewDistance = 6, firstPerson = false, port = 3000, prefix = '', skinDirectory = null, resourcePacks = null, lodDistance = 0, hud = false, geometryCache = false, sharedMemory = false }) => {
   const express = require('express')
 
   const app = express()
@@ -20,39 +27,242 @@ module.exports = (bot, { viewDistance = 6, firstPerson = false, port = 3000, pre
     pingInterval: 25000
   })
 
+  // Player skins, named by texture hash or by username
+  if (skinDirectory) {
+    app.use(prefix + '/skins', express.static(skinDirectory))
+  }
+
+  // Resource packs built with viewer/resourcepack.js, one folder per pack
+  if (resourcePacks) {
+    app.use(prefix + '/resourcepacks', express.static(resourcePacks))
+  }
+
   const { setupRoutes } = require('./common')
-  setupRoutes(app, prefix)
+  setupRoutes(app, prefix, { sharedMemory })
 
   const sockets = []
   const primitives = {}
+  // Settings of the primitive layers, by name
+  const layers = {}
+  // Expiration time of the primitives drawn with a ttl or a fade, by id
+  const expirations = new Map()
+  let lastExpirationPrune = 0
+  // Points of the points and segments primitives changed by deltas, by id
+  const pointBuffers = new Map()
+  // Primitive updates not sent yet, those of a tick are sent together
+  let pendingPrimitives = []
+  let resourcePack = null
+  let warnedInvalidPrimitive = false
+
+  // Reconnecting clients resume their session, getting only the columns and block updates they missed
+  // Listening to the bot before the WorldViews of the connections
+  const columnVersions = new ColumnVersions()
+  columnVersions.listenToBot(bot)
+  // Columns are encoded once for all the clients in view, and again when they change
+  const encodedColumns = new EncodedColumns((viewDistance * 2 + 1) ** 2)
+  encodedColumns.listenToBot(bot)
+  const resumeSessions = new ResumeSessions(MAX_CONNECTIONS)
+
+  // Health, food, experience, inventory and chat of the bot, for the HUD of the viewers
+  const botState = hud ? new BotState() : null
+  if (botState) {
+    botState.listenToBot(bot)
+    for (const event of ['botStatus', 'inventory', 'chat']) {
+      botState.on(event, (data) => {
+        for (const socket of sockets) {
+          socket.emit(event, data)
+        }
+      })
+    }
+  }
 
   bot.viewer = new EventEmitter()
 
+  function sendPrimitives (socket, updates) {
+    for (let i = 0; i < updates.length; i += MAX_PRIMITIVE_BATCH) {
+      socket.emit('primitives', { updates: updates.slice(i, i + MAX_PRIMITIVE_BATCH) })
+    }
+  }
+
+  function flushPrimitives () {
+    if (pendingPrimitives.length === 0) return
+    const updates = pendingPrimitives
+    pendingPrimitives = []
+    for (const socket of sockets) {
+      sendPrimitives(socket, updates)
+    }
+  }
+
+  function queuePrimitive (update) {
+    if (pendingPrimitives.length === 0) setImmediate(flushPrimitives)
+    pendingPrimitives.push(update)
+  }
+
   bot.viewer.erase = (id) => {
+    erasePrimitive(id)
+    queuePrimitive({ id })
+  }
+
+  // Primitives that expire, sent with the time they have left to the clients connecting after them
+  function getExpiration ({ ttl, fade }) {
+    const lifetime = typeof ttl === 'number' ? ttl : fade
+    return typeof lifetime === 'number' ? Date.now() + lifetime : null
+  }
+
+  function pruneExpired () {
+    const now = Date.now()
+    if (now - lastExpirationPrune < PRIMITIVE_EXPIRATION_PRUNE_MS) return
+    lastExpirationPrune = now
+    for (const [id, expiration] of expirations) {
+      if (expiration <= now) erasePrimitive(id)
+    }
+  }
+
+  function erasePrimitive (id) {
     delete primitives[id]
-    for (const socket of sockets) {
-      socket.emit('primitive', { id })
+    expirations.delete(id)
+    pointBuffers.delete(id)
+  }
+
+  // Draw functions with options for all their primitives: layer, ttl, fade, blink and follow
+  // bot.viewer has those of the default layer
+  // Primitives are checked here, the viewers draw them as they are sent
+  function getDrawFunctions (options = {}) {
+    const { layer = DEFAULT_PRIMITIVE_LAYER, ttl, fade, blink, follow } = options
+
+    // The line, points and box grid primitives were drawn unchecked, those invalid are dropped instead of throwing
+    function draw (primitive, { legacy = false } = {}) {
+      Object.assign(primitive, { layer, ttl, fade, blink, follow })
+      const validation = validateMessage('primitive', primitive)
+      if (!validation.valid) {
+        const message = `Invalid ${primitive.type} primitive: ${validation.errors.join(', ')}`
+        if (!legacy) throw new Error(message)
+        if (!warnedInvalidPrimitive) {
+          warnedInvalidPrimitive = true
+          console.warn(`${message}. Invalid line, points and box grid primitives are not drawn, this is only logged once`)
+        }
+        return
+      }
+      pruneExpired()
+      erasePrimitive(primitive.id)
+      primitives[primitive.id] = primitive
+      const expiration = getExpiration(primitive)
+      if (expiration !== null) expirations.set(primitive.id, expiration)
+      queuePrimitive(primitive)
+    }
+
+    return {
+      with: (more) => getDrawFunctions({ ...options, ...more }),
+
+      drawBoxGrid: (id, start, end, color = 'aqua') => {
+        draw({ type: 'boxgrid', id, start, end, color }, { legacy: true })
+      },
+
+      drawLine: (id, points, color = 0xff0000) => {
+        draw({ type: 'line', id, points, color }, { legacy: true })
+      },
+
+      drawPoints: (id, points, color = 0xff0000, size = 5) => {
+        draw({ type: 'points', id, points, color, size }, { legacy: true })
+      },
+
+      drawSegments: (id, points, color = 0xff0000) => {
+        draw({ type: 'segments', id, points, color })
+      },
+
+      drawLabel: (id, position, text, color = 'white', size = 0.5) => {
+        draw({ type: 'label', id, position, text, color, size })
+      },
+
+      drawSphere: (id, position, radius = 0.5, color = 0xff0000, opacity = 1) => {
+        draw({ type: 'sphere', id, position, radius, color, opacity })
+      },
+
+      drawArrow: (id, start, end, color = 0xffff00) => {
+        draw({ type: 'arrow', id, start, end, color })
+      },
+
+      drawBox: (id, start, end, color = 'aqua', opacity = 0.3) => {
+        draw({ type: 'box', id, start, end, color, opacity })
+      },
+
+      drawBlockFace: (id, position, face, color = 'yellow', opacity = 0.5) => {
+        draw({ type: 'blockFace', id, position, face, color, opacity })
+      },
+
+      drawMesh: (id, vertices, indices = null, color = 0xff00ff, opacity = 1) => {
+        draw({ type: 'mesh', id, vertices, indices, color, opacity })
+      }
+    }
+  }
+
+  Object.assign(bot.viewer, getDrawFunctions())
+
+  bot.viewer.layer = (name) => getDrawFunctions({ layer: name })
+
+  // Deltas of the points and segments primitives, the viewers change the points they draw in place
+  function applyDelta (id, delta, points) {
+    const primitive = primitives[id]
+    if (!primitive || (primitive.type !== 'points' && primitive.type !== 'segments')) {
+      throw new Error(`No points or segments primitive ${id}`)
+    }
+    const update = { id, delta, points }
+    const validation = validateMessage('primitive', update)
+    if (!validation.valid) throw new Error(`Invalid ${delta} of primitive ${id}: ${validation.errors.join(', ')}`)
+
+    let buffer = pointBuffers.get(id)
+    if (!buffer) {
+      buffer = new PointBuffer(primitive.type === 'segments' ? 2 : 1, primitive.points)
+      pointBuffers.set(id, buffer)
+    }
+    if (delta === 'append') {
+      if (buffer.pointCount + points.length > MAX_PRIMITIVE_POINTS) throw new Error(`Too many points in primitive ${id}`)
+      buffer.append(points)
+    } else {
+      buffer.remove(points)
     }
+    queuePrimitive(update)
+  }
+
+  bot.viewer.appendPoints = (id, points) => {
+    applyDelta(id, 'append', points)
+  }
+
+  bot.viewer.removePoints = (id, points) => {
+    applyDelta(id, 'remove', points)
   }
 
-  bot.viewer.drawBoxGrid = (id, start, end, color = 'aqua') => {
-    primitives[id] = { type: 'boxgrid', id, start, end, color }
+  bot.viewer.setLayer = (name, { visible, opacity, order } = {}) => {
+    const layer = { ...layers[name], name }
+    if (visible !== undefined) layer.visible = visible
+    if (opacity !== undefined) layer.opacity = opacity
+    if (order !== undefined) layer.order = order
+    const validation = validateMessage('primitiveLayer', layer)
+    if (!validation.valid) throw new Error(`Invalid primitive layer: ${validation.errors.join(', ')}`)
+    layers[name] = layer
+    // After the primitives drawn before
+    flushPrimitives()
     for (const socket of sockets) {
-      socket.emit('primitive', primitives[id])
+      socket.emit('primitiveLayer', layer)
     }
   }
 
-  bot.viewer.drawLine = (id, points, color = 0xff0000) => {
-    primitives[id] = { type: 'line', id, points, color }
+  bot.viewer.clearLayer = (name) => {
+    for (const id in primitives) {
+      if (primitives[id].layer === name) erasePrimitive(id)
+    }
+    flushPrimitives()
     for (const socket of sockets) {
-      socket.emit('primitive', primitives[id])
+      socket.emit('clearLayer', { name })
     }
   }
 
-  bot.viewer.drawPoints = (id, points, color = 0xff0000, size = 5) => {
-    primitives[id] = { type: 'points', id, points, color, size }
+  bot.viewer.setResourcePack = (name) => {
+    const validation = validateMessage('resourcePack', { name })
+    if (!validation.valid) throw new Error(`Invalid resource pack name: ${validation.errors.join(', ')}`)
+    resourcePack = name || null
     for (const socket of sockets) {
-      socket.emit('primitive', primitives[id])
+      socket.emit('resourcePack', { name: resourcePack })
     }
   }
 
@@ -72,11 +282,33 @@ module.exports = (bot, { viewDistance = 6, firstPerson = false, port = 3000, pre
       return
     }
 
+    const auth = socket.handshake.auth || {}
+    const session = validateMessage('resumeAuth', auth).valid
+      ? resumeSessions.take(auth.resumeToken, auth.resumeSeq, version, bot.game)
+      : null
+    const resumed = session !== null
+    const token = resumeSessions.createToken()
+    socket.emit('resume', { token, resumed })
+
+    // Skins are served with the skinDirectory option only
+    socket.emit('clientSettings', { skins: skinDirectory !== null, geometryCache: geometryCache === true })
     socket.emit('version', version)
+    // A resumed client has the pack of its last session
+    if (resumed ? session.resourcePack !== resourcePack : resourcePack) socket.emit('resourcePack', { name: resourcePack })
+    // The client gets the primitives as they are now, and the updates after
+    flushPrimitives()
     sockets.push(socket)
 
-    const worldView = new WorldView(bot.world, viewDistance, bot.entity.position, socket)
-    worldView.init(bot.entity.position)
+    const worldView = new WorldView(bot.world, viewDistance, bot.entity.position, socket, lodDistance)
+    // Binary columns for the clients reading them, JSON for the older ones
+    worldView.setChunkEncoding(negotiateChunkEncoding(auth))
+    worldView.setColumnVersions(columnVersions)
+    worldView.setEncodedColumns(encodedColumns)
+    if (resumed) {
+      worldView.resume(session.state, auth.resumeSeq, bot.entity.position)
+    } else {
+      worldView.init(bot.entity.position)
+    }
 
     worldView.on('blockClicked', (block, face, button) => {
       // Validate blockClicked data before emitting
@@ -86,8 +318,28 @@ module.exports = (bot, { viewDistance = 6, firstPerson = false, port = 3000, pre
       }
     })
 
+    for (const name in layers) {
+      socket.emit('primitiveLayer', layers[name])
+    }
+    const now = Date.now()
+    const updates = []
     for (const id in primitives) {
-      socket.emit('primitive', primitives[id])
+      const expiration = expirations.get(id)
+      if (expiration !== undefined && expiration <= now) continue
+      const primitive = { ...primitives[id] }
+      if (expiration !== undefined) primitive.ttl = expiration - now
+      if (pointBuffers.has(id)) primitive.points = pointBuffers.get(id).getPoints()
+      updates.push(primitive)
+    }
+    sendPrimitives(socket, updates)
+
+    if (botState) {
+      socket.emit('botStatus', getStatus(bot))
+      const inventory = getInventory(bot)
+      if (inventory) socket.emit('inventory', inventory)
+      for (const message of botState.messages) {
+        socket.emit('chat', message)
+      }
     }
 
     function botPosition () {
@@ -123,6 +375,7 @@ module.exports = (bot, { viewDistance = 6, firstPerson = false, port = 3000, pre
     socket.on('disconnect', () => {
       bot.removeListener('move', botPosition)
       worldView.removeListenersFromBot(bot)
+      resumeSessions.save(token, { version, resourcePack, seq: columnVersions.seq, state: worldView.getResumeState() })
       const index = sockets.indexOf(socket)
       if (index !== -1) {
         sockets.splice(index, 1)
@@ -153,6 +406,9 @@ module.exports = (bot, { viewDistance = 6, firstPerson = false, port = 3000, pre
   process.on('SIGINT', () => shutdown('SIGINT'))
 
   bot.viewer.close = () => {
+    columnVersions.removeListenersFromBot(bot)
+    encodedColumns.removeListenersFromBot(bot)
+    if (botState) botState.removeListenersFromBot()
     http.close()
     for (const socket of sockets) {
       socket.disconnect()
@@ -0,0 +1,180 @@
+/**
+ * Resuming the session of a client that reconnected (mineflayer mode): the server counts the changes of the
+ * world and the world messages it sends with a single seq, and a reconnecting client gives back the seq of
+ * the last world message it received, so that only the columns and block updates it missed are sent again
+ * @module lib/resume
+ */
+
+const crypto = require('crypto')
+const { LRUCache } = require('../viewer/lib/lruCache')
+const { RESUME_SESSION_TTL_MS, RESUME_COLUMN_UPDATES, RESUME_MAX_COLUMNS } = require('../viewer/lib/constants')
+
+// Block state of a mineflayer block, before 1.13 from its id and metadata
+function getBlockStateId (block) {
+  return block.stateId ? block.stateId : ((block.type << 4) | block.metadata)
+}
+
+class ColumnVersions {
+  /**
+   * @param {number} [maxUpdates] - Block updates kept per column, past that the column is sent again in full
+   * @param {number} [maxColumns] - Columns whose changes are kept, the least recently changed are dropped
+   */
+  constructor (maxUpdates = RESUME_COLUMN_UPDATES, maxColumns = RESUME_MAX_COLUMNS) {
+    this.seq = 0
+    this.maxUpdates = maxUpdates
+    // Changes of each column by key: the seq from which they are known, and the block updates since then
+    this.columns = new LRUCache(maxColumns, (key, column) => {
+      this.floor = Math.max(this.floor, this._lastChange(column))
+    })
+    // Columns without changes kept are unchanged since this seq
+    this.floor = 0
+    this.listeners = {}
+  }
+
+  /**
+   * @returns {number} A new seq, for a change of the world or a world message
+   */
+  next () {
+    return ++this.seq
+  }
+
+  _lastChange ({ since, updates }) {
+    return updates.length > 0 ? updates[updates.length - 1].seq : since
+  }
+
+  /**
+   * The server sent a column (again): clients that got it before need all of it
+   * @param {number} x - Column x (block coordinate)
+   * @param {number} z - Column z (block coordinate)
+   */
+  loadColumn (x, z) {
+    this.columns.set(`${x},${z}`, { since: this.next(), updates: [] })
+  }
+
+  /**
+   * @param {{x: number, y: number, z: number}} pos - Block position
+   * @param {number} stateId - New block state
+   */
+  blockUpdate (pos, stateId) {
+    const seq = this.next()
+    const key = `${Math.floor(pos.x / 16) * 16},${Math.floor(pos.z / 16) * 16}`
+    const column = this.columns.get(key) || { since: this.floor, updates: [] }
+    column.updates.push({ seq, pos: { x: pos.x, y: pos.y, z: pos.z }, stateId })
+    if (column.updates.length > this.maxUpdates) column.since = column.updates.shift().seq
+    this.columns.set(key, column)
+  }
+
+  /**
+   * Changes of a column since a seq
+   * @param {number} x - Column x (block coordinate)
+   * @param {number} z - Column z (block coordinate)
+   * @param {number} seq - Seq the client has the column at
+   * @returns {Array<{pos: Object, stateId: number}>|null} Last state of each updated block, null if the
+   *   column has to be sent again in full
+   */
+  getChanges (x, z, seq) {
+    const column = this.columns.peek(`${x},${z}`)
+    if (!column) return seq < this.floor ? null : []
+    if (seq < column.since) return null
+    const updates = new Map()
+    for (const update of column.updates) {
+      if (update.seq <= seq) continue
+      const { pos, stateId } = update
+      const key = `${pos.x},${pos.y},${pos.z}`
+      updates.delete(key)
+      updates.set(key, { pos, stateId })
+    }
+    return Array.from(updates.values())
+  }
+
+  listenToBot (bot) {
+    const versions = this
+    this.listeners[bot.username] = {
+      chunkColumnLoad: function (pos) {
+        versions.loadColumn(pos.x, pos.z)
+      },
+      blockUpdate: function (oldBlock, newBlock) {
+        versions.blockUpdate(oldBlock.position, getBlockStateId(newBlock))
+      }
+    }
+    for (const [evt, listener] of Object.entries(this.listeners[bot.username])) {
+      bot.on(evt, listener)
+    }
+  }
+
+  removeListenersFromBot (bot) {
+    for (const [evt, listener] of Object.entries(this.listeners[bot.username] || {})) {
+      bot.removeListener(evt, listener)
+    }
+    delete this.listeners[bot.username]
+  }
+}
+
+/**
+ * Sessions of the disconnected clients, by resume token, kept for a few minutes
+ */
+class ResumeSessions {
+  /**
+   * @param {number} maxSessions - Sessions kept, the oldest are dropped
+   * @param {number} [ttl] - Milliseconds a session can be resumed for
+   */
+  constructor (maxSessions, ttl = RESUME_SESSION_TTL_MS) {
+    this.maxSessions = maxSessions
+    this.ttl = ttl
+    this.sessions = new Map()
+  }
+
+  /**
+   * @returns {string} A token for a new connection
+   */
+  createToken () {
+    return crypto.randomBytes(16).toString('hex')
+  }
+
+  _prune () {
+    const now = Date.now()
+    for (const [token, { expires }] of this.sessions) {
+      if (expires <= now) this.sessions.delete(token)
+    }
+  }
+
+  /**
+   * Keep the session of a client that disconnected
+   * @param {string} token - Token of its connection
+   * @param {{version: string, resourcePack: string|null, seq: number, state: Object}} session - Game version,
+   *   resource pack and seq at the disconnection, and resume state of its WorldView
+   */
+  save (token, session) {
+    this._prune()
+    this.sessions.delete(token)
+    this.sessions.set(token, { session, expires: Date.now() + this.ttl })
+    while (this.sessions.size > this.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value)
+    }
+  }
+
+  /**
+   * Session a reconnecting client resumes, a session is resumed once
+   * @param {string} token - Token of its last connection
+   * @param {number} seq - Seq of the last world message it received
+   * @param {string} version - Current game version
+   * @param {Object} [game] - bot.game, with the current dimension
+   * @returns {Object|null} As saved, null if the session expired, or if the client can't be resumed: the game
+   *   version or the dimension changed, or the seq is not one of the session
+   */
+  take (token, seq, version, game = {}) {
+    this._prune()
+    const entry = this.sessions.get(token)
+    if (!entry) return null
+    this.sessions.delete(token)
+    const { session } = entry
+    const { dimension, dimensionSeq } = session.state
+    if (session.version !== version) return null
+    if (dimension && (dimension.dimension !== game.dimension || dimension.minY !== game.minY || dimension.height !== game.height)) return null
+    // The client missed the last change of dimension, or gives a seq that was never sent to it
+    if (seq < dimensionSeq || seq > session.seq) return null
+    return session
+  }
+}
+
+module.exports = { getBlockStateId, ColumnVersions, ResumeSessions }
@@ -72,6 +72,17 @@ function validate (data, schema) {
       if (rules.maxItems !== undefined && value.length > rules.maxItems) {
         errors.push(`Field '${key}' must have at most ${rules.maxItems} items`)
       }
+      // Rules of each item, the first invalid item is reported
+      if (rules.items) {
+        for (let i = 0; i < value.length; i++) {
+          const itemKey = `${key}[${i}]`
+          const itemResult = validate({ [itemKey]: value[i] }, { [itemKey]: rules.items })
+          if (!itemResult.valid) {
+            errors.push(...itemResult.errors)
+            break
+          }
+        }
+      }
     }
 
     // Enum validation
@@ -99,6 +110,38 @@ const vec3Schema = {
   z: { type: 'number', required: true }
 }
 
+// Seq of a world message (mineflayer mode), see lib/resume
+const seqSchema = { type: 'number', integer: true, min: 0 }
+const resumeTokenPattern = /^[0-9a-f]{32}$/
+
+const layerNameSchema = { type: 'string', maxLength: 100 }
+const MAX_PRIMITIVE_TTL_MS = 24 * 60 * 60 * 1000
+
+// Points of the points, line and segments primitives, and vertices of the meshes (flat [x, y, z, ...] vertices
+// and vertex indices)
+const MAX_PRIMITIVE_POINTS = 65536
+// Primitives and deltas sent together
+const MAX_PRIMITIVE_BATCH = 10000
+const vertexSchema = { type: 'number', required: true }
+const MAX_CHAT_LENGTH = 4096
+// Player window: crafting, armor, main inventory, hotbar and off hand
+const inventorySlotSchema = { type: 'number', integer: true, min: 0, max: 45 }
+
+// Fields needed to draw each type of primitive
+const primitiveTypes = {
+  line: { points: { required: true } },
+  boxgrid: { start: { required: true }, end: { required: true } },
+  points: { points: { required: true } },
+  // Pairs of points
+  segments: { points: { required: true } },
+  label: { position: { required: true }, text: { required: true } },
+  sphere: { position: { required: true } },
+  arrow: { start: { required: true }, end: { required: true } },
+  box: { start: { required: true }, end: { required: true } },
+  blockFace: { position: { required: true }, face: { required: true } },
+  mesh: { vertices: { required: true } }
+}
+
 const schemas = {
   // Position update from server
   position: {
@@ -126,19 +169,84 @@ const schemas = {
   loadChunk: {
     x: { type: 'number', required: true, integer: true },
     z: { type: 'number', required: true, integer: true },
-    chunk: { type: 'object', required: true }
+    // prismarine-chunk JSON, or the binary encoding of viewer/lib/chunkCodec
+    chunk: { required: true },
+    // Block entity data of the column: [{ pos, nbt }]
+    blockEntities: { type: 'array', maxItems: 100000 },
+    seq: seqSchema
   },
 
   // Unload chunk
   unloadChunk: {
     x: { type: 'number', required: true, integer: true },
-    z: { type: 'number', required: true, integer: true }
+    z: { type: 'number', required: true, integer: true },
+    seq: seqSchema
+  },
+
+  // Far column, as the top block of each of its 16x16 cells
+  loadLodChunk: {
+    x: { type: 'number', required: true, integer: true },
+    z: { type: 'number', required: true, integer: true },
+    heights: { type: 'array', required: true, maxItems: 256 },
+    stateIds: { type: 'array', required: true, maxItems: 256 },
+    biomes: { type: 'array', required: true, maxItems: 256 },
+    seq: seqSchema
+  },
+
+  // Unload far column
+  unloadLodChunk: {
+    x: { type: 'number', required: true, integer: true },
+    z: { type: 'number', required: true, integer: true },
+    seq: seqSchema
   },
 
   // Block update
   blockUpdate: {
     pos: { type: 'object', required: true, properties: vec3Schema },
-    stateId: { type: 'number', required: true, integer: true, min: 0 }
+    stateId: { type: 'number', required: true, integer: true, min: 0 },
+    seq: seqSchema
+  },
+
+  // Block entity data change (sign text...), nbt is null when the block entity is removed
+  blockEntityUpdate: {
+    pos: { type: 'object', required: true, properties: vec3Schema },
+    nbt: { type: 'object' }
+  },
+
+  // Dimension change, with the vertical bounds of the new dimension
+  dimension: {
+    dimension: { type: 'string', maxLength: 100 },
+    minY: { type: 'number', required: true, integer: true, min: -2048, max: 2048 },
+    height: { type: 'number', required: true, integer: true, min: 16, max: 4096 },
+    seq: seqSchema
+  },
+
+  // Token of the connection, to resume its session once reconnected, and whether the last session was resumed
+  resume: {
+    token: { type: 'string', required: true, pattern: resumeTokenPattern },
+    resumed: { type: 'boolean', required: true }
+  },
+
+  // Handshake auth of a client resuming a session: its last token, and the seq of the last world message it got
+  resumeAuth: {
+    resumeToken: { type: 'string', required: true, pattern: resumeTokenPattern },
+    resumeSeq: { ...seqSchema, required: true }
+  },
+
+  // What the server offers to the page, sent before the version
+  clientSettings: {
+    skins: { type: 'boolean' },
+    geometryCache: { type: 'boolean' }
+  },
+
+  // Resource pack served in resourcepacks/<name>, no name for the vanilla assets
+  resourcePack: {
+    name: { type: 'string', maxLength: 100, pattern: /^[\w-]+(\.[\w-]+)*$/ }
+  },
+
+  // Time of day, in ticks
+  time: {
+    timeOfDay: { type: 'number', required: true, min: 0 }
   },
 
   // Entity update
@@ -150,19 +258,108 @@ const schemas = {
     height: { type: 'number', min: 0, max: 100 },
     username: { type: 'string', maxLength: 50 },
     yaw: { type: 'number' },
+    headYaw: { type: 'number' },
     pitch: { type: 'number' },
+    skin: { type: 'string', maxLength: 65536, pattern: /^(https?:\/\/|data:image\/png;base64,)/ },
+    equipment: { type: 'array', maxItems: 6 },
+    item: {
+      type: 'object',
+      properties: {
+        id: { type: 'number', integer: true, min: 0 },
+        name: { type: 'string', maxLength: 100 },
+        count: { type: 'number', integer: true, min: 0 }
+      }
+    },
+    blockStateId: { type: 'number', integer: true, min: 0 },
+    facing: { type: 'string', enum: ['down', 'up', 'north', 'south', 'west', 'east'] },
     delete: { type: 'boolean' }
   },
 
-  // Primitive drawing
+  // Primitive drawing, a primitive without type erases the primitive of its id
   primitive: {
     id: { required: true },
-    type: { type: 'string', enum: ['line', 'boxgrid', 'points'] },
-    points: { type: 'array', maxItems: 10000 },
+    type: { type: 'string', enum: Object.keys(primitiveTypes) },
+    points: { type: 'array', maxItems: MAX_PRIMITIVE_POINTS },
     color: {},
+    // Points in pixels, label lines in blocks
     size: { type: 'number', min: 0, max: 100 },
     start: { type: 'object', properties: vec3Schema },
-    end: { type: 'object', properties: vec3Schema }
+    end: { type: 'object', properties: vec3Schema },
+    position: { type: 'object', properties: vec3Schema },
+    text: { type: 'string', maxLength: 1000 },
+    radius: { type: 'number', min: 0, max: 1000 },
+    opacity: { type: 'number', min: 0, max: 1 },
+    // Block face, as given by blockClicked
+    face: { type: 'number', integer: true, min: 0, max: 5 },
+    vertices: { type: 'array', maxItems: 3 * MAX_PRIMITIVE_POINTS, items: vertexSchema },
+    indices: { type: 'array', maxItems: 3 * MAX_PRIMITIVE_POINTS, items: { type: 'number', required: true, integer: true, min: 0 } },
+    layer: layerNameSchema,
+    // Milliseconds it is drawn for, and fades out over at the end of the ttl (or from the start without ttl)
+    ttl: { type: 'number', min: 0, max: MAX_PRIMITIVE_TTL_MS },
+    fade: { type: 'number', min: 0, max: MAX_PRIMITIVE_TTL_MS },
+    // Blink period in milliseconds
+    blink: { type: 'number', min: 50, max: 60000 },
+    // Id of the entity it follows, its coordinates are relative to the entity position
+    follow: { type: 'number', integer: true },
+    // Points appended to or removed from the points or segments primitive of the id, instead of drawing it
+    delta: { type: 'string', enum: ['append', 'remove'] }
+  },
+
+  // Primitives (or deltas) drawn in a row
+  primitives: {
+    updates: { type: 'array', required: true, maxItems: MAX_PRIMITIVE_BATCH }
+  },
+
+  // Settings of a primitive layer, those not given are kept
+  primitiveLayer: {
+    name: { ...layerNameSchema, required: true },
+    visible: { type: 'boolean' },
+    opacity: { type: 'number', min: 0, max: 1 },
+    order: { type: 'number', integer: true, min: 0, max: 1000 }
+  },
+
+  // Erase the primitives of a layer
+  clearLayer: {
+    name: { ...layerNameSchema, required: true }
+  },
+
+  // State of the bot for the HUD (mineflayer mode), the values the bot doesn't know yet are left out
+  botStatus: {
+    health: { type: 'number', min: 0 },
+    food: { type: 'number', min: 0 },
+    saturation: { type: 'number', min: 0 },
+    level: { type: 'number', integer: true, min: 0 },
+    points: { type: 'number', integer: true, min: 0 },
+    progress: { type: 'number', min: 0, max: 1 },
+    gameMode: { type: 'string', maxLength: 20 }
+  },
+
+  // Items of the player window, by slot, and the selected hotbar slot
+  inventory: {
+    slots: {
+      type: 'array',
+      required: true,
+      maxItems: 46,
+      items: {
+        type: 'object',
+        properties: {
+          slot: { ...inventorySlotSchema, required: true },
+          name: { type: 'string', required: true, maxLength: 100 },
+          count: { type: 'number', required: true, integer: true, min: 0, max: 127 },
+          displayName: { type: 'string', maxLength: 200 }
+        }
+      }
+    },
+    quickBarSlot: { type: 'number', integer: true, min: 0, max: 8 },
+    inventoryStart: inventorySlotSchema,
+    hotbarStart: inventorySlotSchema
+  },
+
+  // Chat message received by the bot
+  chat: {
+    text: { type: 'string', required: true, maxLength: MAX_CHAT_LENGTH },
+    position: { type: 'string', enum: ['chat', 'system'] },
+    time: { type: 'number', min: 0 }
   },
 
   // Version
@@ -186,8 +383,8 @@ function validateMessage (messageType, data) {
     return { valid: true, errors: [] }
   }
 
-  // Handle primitive types (like version which is just a string)
-  if (schema.type && schema.type !== 'object') {
+  // Handle primitive types (like version which is just a string), not the type field of primitive messages
+  if (typeof schema.type === 'string' && schema.type !== 'object') {
     const actualType = typeof data
     const expectedType = schema.type
     if (actualType !== expectedType) {
@@ -202,7 +399,45 @@ function validateMessage (messageType, data) {
     return { valid: true, errors: [] }
   }
 
-  return validate(data, schema)
+  const result = validate(data, schema)
+  if (messageType === 'primitive' && result.valid) return validatePrimitive(data)
+  if (messageType === 'primitives' && result.valid) {
+    for (const [i, update] of data.updates.entries()) {
+      const updateResult = validateMessage('primitive', update)
+      if (!updateResult.valid) return { valid: false, errors: updateResult.errors.map(e => `updates[${i}].${e}`) }
+    }
+  }
+  return result
+}
+
+/**
+ * Fields of a primitive needed by its type (or by its delta), and consistency of the meshes
+ * @param {Object} primitive - Primitive message, valid against the primitive schema
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validatePrimitive (primitive) {
+  if (primitive.delta) {
+    const result = validate(primitive, { points: { required: true } })
+    if (primitive.type) result.errors.push('A delta has no type')
+    result.valid = result.errors.length === 0
+    return result
+  }
+  if (!primitive.type) return { valid: true, errors: [] }
+  const result = validate(primitive, primitiveTypes[primitive.type])
+  if (primitive.type === 'mesh' && result.valid) {
+    const vertexCount = primitive.vertices.length / 3
+    if (!Number.isInteger(vertexCount)) {
+      result.errors.push("Field 'vertices' must have 3 coordinates per vertex")
+    }
+    if (primitive.indices && primitive.indices.some(index => index >= vertexCount)) {
+      result.errors.push(`Field 'indices' must be lower than the vertex count ${vertexCount}`)
+    }
+    if ((primitive.indices ? primitive.indices.length : vertexCount) % 3 !== 0) {
+      result.errors.push('The mesh must be made of whole triangles')
+    }
+    result.valid = result.errors.length === 0
+  }
+  return result
 }
 
 /**
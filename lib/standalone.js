@@ -1,6 +1,6 @@
 const { Vec3 } = require('vec3')
 
-module.exports = ({ version, world, center = new Vec3(0, 0, 0), viewDistance = 4, port = 3000, prefix = '' }) => {
+module.exports = ({ version, world, center = new Vec3(0, 0, 0), viewDistance = 4, port = 3000, prefix = '', sharedMemory = false }) => {
   const express = require('express')
 
   const app = express()
@@ -9,7 +9,8 @@ module.exports = ({ version, world, center = new Vec3(0, 0, 0), viewDistance = 4
   const io = require('socket.io')(http)
 
   const { setupRoutes } = require('./common')
-  setupRoutes(app, prefix)
+  const { encodeChunk, negotiateChunkEncoding } = require('../viewer/lib/chunkCodec')
+  setupRoutes(app, prefix, { sharedMemory })
 
   const sockets = []
   const viewer = { world }
@@ -20,9 +21,14 @@ module.exports = ({ version, world, center = new Vec3(0, 0, 0), viewDistance = 4
 
     for (let x = cx - viewDistance; x <= cx + viewDistance; x++) {
       for (let z = cz - viewDistance; z <= cz + viewDistance; z++) {
-        const chunk = (await viewer.world.getColumn(x, z)).toJson()
+        const column = await viewer.world.getColumn(x, z)
+        // Encoded once for each encoding the sockets use
+        const chunks = {}
         for (const socket of sockets) {
-          socket.emit('loadChunk', { x: x * 16, z: z * 16, chunk })
+          const { format, compress } = socket.chunkEncoding
+          const key = `${format},${compress}`
+          if (!chunks[key]) chunks[key] = encodeChunk(column, socket.chunkEncoding)
+          socket.emit('loadChunk', { x: x * 16, z: z * 16, chunk: chunks[key] })
         }
       }
     }
@@ -34,6 +40,7 @@ module.exports = ({ version, world, center = new Vec3(0, 0, 0), viewDistance = 4
 
   io.on('connection', (socket) => {
     socket.emit('version', version)
+    socket.chunkEncoding = negotiateChunkEncoding(socket.handshake.auth)
     sockets.push(socket)
 
     sendChunks([socket])
@@ -0,0 +1,118 @@
+/* eslint-env jest */
+const { Vec3 } = require('vec3')
+const { World } = require('../../viewer/lib/world')
+const { getSectionGeometry } = require('../../viewer/lib/models')
+const {
+  parseAnimation,
+  getFramePosition,
+  getAnimationFrame,
+  TextureAnimations,
+  patchAnimationShader
+} = require('../../viewer/lib/animatedTextures')
+
+describe('animated textures', () => {
+  describe('parseAnimation', () => {
+    it('should show every frame of the image in order by default', () => {
+      const animation = parseAnimation({ frametime: 2 }, 16, 64)
+      expect(animation).toEqual({
+        frameWidth: 16,
+        frameHeight: 16,
+        columns: 1,
+        frameCount: 4,
+        interpolate: false,
+        frames: [0, 1, 2, 3].map(index => ({ index, time: 2 }))
+      })
+    })
+
+    it('should read the frame list, with the frame time of each frame', () => {
+      const animation = parseAnimation({ interpolate: true, frames: [1, { index: 0, time: 5 }, 7, 0] }, 16, 32)
+      expect(animation.interpolate).toBe(true)
+      // Frames missing from the image are skipped
+      expect(animation.frames).toEqual([{ index: 1, time: 1 }, { index: 0, time: 5 }, { index: 0, time: 1 }])
+    })
+
+    it('should use the frame size of the metadata', () => {
+      const animation = parseAnimation({ width: 16, height: 8 }, 32, 16)
+      expect(animation.frameCount).toBe(4)
+      expect(getFramePosition(animation, 3)).toEqual([16, 8])
+      expect(parseAnimation({ frames: [] }, 16, 16)).toBeNull()
+    })
+  })
+
+  describe('getAnimationFrame', () => {
+    const frames = [{ time: 2 }, { time: 4 }]
+
+    it('should find the frame shown at a time and loop', () => {
+      expect(getAnimationFrame(frames, 0)).toEqual({ frame: 0, next: 1, progress: 0 })
+      expect(getAnimationFrame(frames, 3)).toEqual({ frame: 1, next: 0, progress: 0.25 })
+      expect(getAnimationFrame(frames, 7)).toEqual({ frame: 0, next: 1, progress: 0.5 })
+    })
+  })
+
+  describe('TextureAnimations', () => {
+    const atlas = {
+      textures: { water_still: { u: 0.5, v: 0, su: 0.25, sv: 0.25, animation: 0 } },
+      animations: [
+        { texture: 'water_still', interpolate: false, frames: [{ u: 0.5, v: 0, time: 2 }, { u: 0, v: 0.25, time: 2 }] }
+      ]
+    }
+
+    it('should move the UVs to the current frame', () => {
+      const animations = new TextureAnimations()
+      animations.setAnimations(atlas)
+      // 50 ms per tick, the second frame starts at tick 2
+      animations.update(150)
+      expect(Array.from(animations.uniforms.animationOffsets.value.slice(0, 4))).toEqual([-0.5, 0.25, 0, 0])
+      expect(animations.uniforms.animationBlend.value[0]).toBe(0)
+
+      animations.setAnimations(null)
+      expect(animations.uniforms.animationOffsets.value.every(value => value === 0)).toBe(true)
+    })
+
+    it('should blend interpolated animations into the next frame', () => {
+      const animations = new TextureAnimations()
+      animations.setAnimations({ ...atlas, animations: [{ ...atlas.animations[0], interpolate: true }] })
+      animations.update(50)
+      expect(animations.uniforms.animationBlend.value[0]).toBeCloseTo(0.5)
+    })
+  })
+
+  describe('patchAnimationShader', () => {
+    it('should inject the animation attribute and uniforms', () => {
+      const shader = {
+        uniforms: {},
+        vertexShader: '#include <common>\nvoid main() {\n#include <uv_vertex>\n}',
+        fragmentShader: '#include <common>\nvoid main() {\n#include <map_fragment>\n}'
+      }
+      const animations = new TextureAnimations()
+      patchAnimationShader(shader, animations.uniforms)
+
+      expect(shader.uniforms.animationOffsets).toBe(animations.uniforms.animationOffsets)
+      expect(shader.vertexShader).toContain('attribute float animation;')
+      expect(shader.vertexShader).toContain('vUv += animationOffsets[animationIndex].xy;')
+      expect(shader.fragmentShader).toContain('varying float vAnimationBlend;')
+      expect(shader.fragmentShader).not.toContain('#include <map_fragment>')
+    })
+  })
+
+  describe('mesher', () => {
+    it('should tag the faces with an animated texture', () => {
+      const version = '1.16.4'
+      const Chunk = require('prismarine-chunk')(version)
+      const chunk = new Chunk({ minY: 0, worldHeight: 256 })
+      chunk.setBlockStateId(new Vec3(0, 64, 0), require('minecraft-data')(version).blocksByName.magma_block.defaultState)
+      const world = new World(version)
+      world.addColumn(0, 0, chunk.toJson())
+
+      const faces = {
+        up: { texture: { u: 0, v: 0, su: 0.25, sv: 0.25, animation: 3 } },
+        down: { texture: { u: 0.25, v: 0, su: 0.25, sv: 0.25 } }
+      }
+      const model = { textures: {}, ao: false, elements: [{ from: [0, 0, 0], to: [16, 16, 16], faces }] }
+      const geometry = getSectionGeometry(0, 64, 0, world, { magma_block: { variants: { '': { model } } } })
+
+      // Animation index + 1 for the 4 vertices of the top face, 0 for the bottom face
+      expect(Array.from(geometry.cutout.animations)).toEqual([4, 4, 4, 4, 0, 0, 0, 0])
+    })
+  })
+})
@@ -0,0 +1,198 @@
+/* eslint-env jest */
+const EventEmitter = require('events')
+const { Vec3 } = require('vec3')
+const mcData = require('minecraft-data')
+const { WorldView } = require('../../viewer/lib/worldView')
+const { World } = require('../../viewer/lib/world')
+const { getSectionGeometry } = require('../../viewer/lib/models')
+const { getBlockEntityKind } = require('../../viewer/lib/blockEntity/states')
+const { simplifyNbt, getBlockEntityData, getSignText } = require('../../viewer/lib/blockEntity/nbt')
+const { buildModelGeometry, getBlockEntityParts } = require('../../viewer/lib/blockEntity/models')
+
+function meshColumn (version, blocks, blocksStates = {}) {
+  const Chunk = require('prismarine-chunk')(version)
+  const Block = require('prismarine-block')(version)
+  const chunk = new Chunk({ minY: 0, worldHeight: 256 })
+  for (const { pos, name, properties, metadata } of blocks) {
+    // Before 1.13 state ids are the block id and the metadata
+    const stateId = properties ? Block.fromProperties(name, properties, 0).stateId : (mcData(version).blocksByName[name].id << 4) | metadata
+    chunk.setBlockStateId(pos, stateId)
+  }
+  const world = new World(version)
+  world.addColumn(0, 0, chunk.toJson())
+  return getSectionGeometry(0, 64, 0, world, blocksStates)
+}
+
+function nbtString (value) {
+  return { type: 'string', value }
+}
+
+describe('block entities', () => {
+  describe('getBlockEntityKind', () => {
+    it('should find the kind and variant from the block name', () => {
+      expect(getBlockEntityKind('trapped_chest')).toEqual({ kind: 'chest', variant: 'trapped' })
+      expect(getBlockEntityKind('dark_oak_wall_sign')).toEqual({ kind: 'sign', wall: true, variant: 'dark_oak' })
+      expect(getBlockEntityKind('standing_sign')).toEqual({ kind: 'sign', wall: false, variant: 'oak' })
+      expect(getBlockEntityKind('light_blue_banner')).toEqual({ kind: 'banner', wall: false, variant: 'light_blue' })
+      expect(getBlockEntityKind('wall_banner')).toEqual({ kind: 'banner', wall: true, variant: null })
+      expect(getBlockEntityKind('red_bed')).toEqual({ kind: 'bed', variant: 'red' })
+      expect(getBlockEntityKind('wither_skeleton_wall_skull')).toEqual({ kind: 'skull', wall: true, variant: 'wither_skeleton' })
+    })
+
+    it('should leave other blocks to the block models', () => {
+      expect(getBlockEntityKind('stone')).toBeNull()
+      expect(getBlockEntityKind('piston_head')).toBeNull()
+      expect(getBlockEntityKind('oak_hanging_sign')).toBeNull()
+    })
+  })
+
+  describe('mesher', () => {
+    it('should list block entities instead of meshing them', () => {
+      const geometry = meshColumn('1.16.4', [
+        { pos: new Vec3(1, 64, 1), name: 'chest', properties: { facing: 'east', type: 'left', waterlogged: false } },
+        { pos: new Vec3(3, 64, 1), name: 'oak_sign', properties: { rotation: 4, waterlogged: false } }
+      ])
+      for (const layer of ['opaque', 'cutout', 'translucent']) {
+        expect(geometry[layer].positions).toHaveLength(0)
+      }
+      expect(geometry.blockEntities).toEqual([
+        { x: 1, y: 64, z: 1, kind: 'chest', variant: 'normal', facing: 'east', type: 'left' },
+        { x: 3, y: 64, z: 1, kind: 'sign', wall: false, variant: 'oak', rotation: 4 }
+      ])
+    })
+
+    it('should find double chests from their neighbours before 1.13', () => {
+      // Metadata 2: facing north, the right half is east of the left half
+      const geometry = meshColumn('1.12.2', [
+        { pos: new Vec3(4, 64, 4), name: 'chest', metadata: 2 },
+        { pos: new Vec3(5, 64, 4), name: 'chest', metadata: 2 },
+        { pos: new Vec3(8, 64, 8), name: 'chest', metadata: 2 }
+      ])
+      expect(geometry.blockEntities.map(({ x, type }) => [x, type])).toEqual([[4, 'left'], [5, 'right'], [8, 'single']])
+    })
+
+    it('should keep beds with a block model', () => {
+      const model = { textures: {}, elements: [{ from: [0, 0, 0], to: [16, 9, 16], faces: {} }] }
+      const geometry = meshColumn('1.8.8', [{ pos: new Vec3(0, 64, 0), name: 'bed', metadata: 0 }], { bed: { variants: { '': { model } } } })
+      expect(geometry.blockEntities).toHaveLength(0)
+    })
+  })
+
+  describe('nbt', () => {
+    it('should simplify compounds and lists', () => {
+      const tag = {
+        type: 'compound',
+        value: {
+          Rot: { type: 'byte', value: 3 },
+          front_text: { type: 'compound', value: { messages: { type: 'list', value: { type: 'string', value: ['"a"', '"b"'] } } } }
+        }
+      }
+      expect(simplifyNbt(tag)).toEqual({ Rot: 3, front_text: { messages: ['"a"', '"b"'] } })
+    })
+
+    it('should only keep the tags used to draw block entities', () => {
+      const tag = { type: 'compound', value: { id: nbtString('minecraft:sign'), x: { type: 'int', value: 1 }, Text1: nbtString('"hi"') } }
+      expect(getBlockEntityData(tag)).toEqual({ Text1: '"hi"' })
+      expect(getBlockEntityData({ type: 'compound', value: { id: nbtString('minecraft:chest') } })).toBeNull()
+    })
+
+    it('should read the text of signs', () => {
+      expect(getSignText({ Text1: '{"text":"Hello ","extra":[{"text":"world"}]}', Text2: 'plain', Text3: '""', Color: 'red' }))
+        .toEqual({ lines: ['Hello world', 'plain', '', ''], color: 'red', glowing: false })
+      expect(getSignText({ front_text: { messages: ['"one"', '{"text":"two"}', '""', '""'], color: 'black', has_glowing_text: 1 } }))
+        .toEqual({ lines: ['one', 'two', '', ''], color: 'black', glowing: true })
+    })
+  })
+
+  describe('models', () => {
+    const textures = {
+      'chest/normal': { size: [64, 64] },
+      'chest/normal_double': { size: [128, 64] },
+      'signs/spruce': { size: [64, 32] },
+      sign: { size: [64, 32] },
+      banner_base: { size: [64, 64] },
+      'bed/silver': { size: [64, 64] },
+      'skeleton/wither_skeleton': { size: [64, 32] }
+    }
+
+    it('should draw old double chests from the left half', () => {
+      const left = getBlockEntityParts({ kind: 'chest', variant: 'normal', facing: 'north', type: 'left' }, null, textures)
+      expect(left).toEqual({ parts: [{ model: 'chest_double', texture: 'chest/normal_double', flipped: false }], yaw: 0 })
+      expect(getBlockEntityParts({ kind: 'chest', variant: 'normal', facing: 'north', type: 'right' }, null, textures)).toBeNull()
+    })
+
+    it('should use the textures and colours of the version', () => {
+      const sign = getBlockEntityParts({ kind: 'sign', variant: 'birch', wall: false, rotation: 8 }, null, textures)
+      expect(sign).toEqual({ parts: [{ model: 'sign', texture: 'sign' }], yaw: 0, text: 'sign' })
+
+      // Banner colours are dye damages and bed colours wool colours before 1.13
+      const banner = getBlockEntityParts({ kind: 'banner', variant: null, wall: true, facing: 'west' }, { Base: 1 }, textures)
+      expect(banner.parts[0]).toEqual({ model: 'wall_banner_flag', texture: 'banner_base', color: 0xB02E26 })
+      expect(banner.yaw).toBeCloseTo(Math.PI / 2)
+      const bed = getBlockEntityParts({ kind: 'bed', variant: null, facing: 'north', part: 'head' }, { color: 8 }, textures)
+      expect(bed.parts).toEqual([{ model: 'bed_head', texture: 'bed/silver' }])
+
+      const skull = getBlockEntityParts({ kind: 'skull', variant: null, wall: false }, { SkullType: 1, Rot: 4 }, textures)
+      expect(skull).toEqual({ parts: [{ model: 'skull', texture: 'skeleton/wither_skeleton' }], yaw: Math.PI / 2 })
+    })
+
+    it('should not draw block entities without texture', () => {
+      expect(getBlockEntityParts({ kind: 'skull', variant: 'dragon', wall: false, rotation: 0 }, null, textures)).toBeNull()
+    })
+
+    it('should build geometries in blocks, centered on the block', () => {
+      const geometry = buildModelGeometry('chest', [64, 64])
+      geometry.computeBoundingBox()
+      const { min, max } = geometry.boundingBox
+      expect(min.toArray().map(v => v * 16)).toEqual([-7, 0, -8])
+      expect(max.toArray().map(v => v * 16)).toEqual([7, 14, 7])
+      // 6 faces of 4 vertices per box
+      expect(geometry.attributes.position.count).toBe(3 * 24)
+    })
+  })
+
+  describe('WorldView', () => {
+    function createBot () {
+      const bot = new EventEmitter()
+      bot.username = 'bot'
+      bot.entity = { id: 0 }
+      bot.entities = {}
+      bot._client = new EventEmitter()
+      return bot
+    }
+
+    it('should send the block entities of the chunks', async () => {
+      const column = {
+        toJson: () => ({}),
+        blockEntities: {
+          '1,70,2': { type: 'compound', value: { Text1: nbtString('"hi"') } },
+          '3,70,3': { type: 'compound', value: { Items: { type: 'list', value: { type: 'end', value: [] } } } }
+        }
+      }
+      const worldView = new WorldView({ getColumnAt: async () => column }, 2)
+      const loaded = []
+      worldView.on('loadChunk', (data) => loaded.push(data))
+      await worldView.loadChunk(new Vec3(16, 0, 16))
+      expect(loaded[0].blockEntities).toEqual([{ pos: { x: 17, y: 70, z: 18 }, nbt: { Text1: '"hi"' } }])
+    })
+
+    it('should send block entity updates', () => {
+      const bot = createBot()
+      const worldView = new WorldView(null, 2)
+      const updates = []
+      worldView.on('blockEntityUpdate', (data) => updates.push(data))
+      worldView.listenToBot(bot)
+
+      bot._client.emit('tile_entity_data', { location: { x: 1, y: 2, z: 3 }, nbtData: { type: 'compound', value: { Color: nbtString('red') } } })
+      bot._client.emit('update_sign', { location: { x: 4, y: 5, z: 6 }, text1: '"a"', text2: '""', text3: '""', text4: '""' })
+      expect(updates).toEqual([
+        { pos: { x: 1, y: 2, z: 3 }, nbt: { Color: 'red' } },
+        { pos: { x: 4, y: 5, z: 6 }, nbt: { Text1: '"a"', Text2: '""', Text3: '""', Text4: '""' } }
+      ])
+
+      worldView.removeListenersFromBot(bot)
+      bot._client.emit('tile_entity_data', { location: { x: 1, y: 2, z: 3 }, nbtData: null })
+      expect(updates).toHaveLength(2)
+    })
+  })
+})
@@ -0,0 +1,71 @@
+/* eslint-env jest */
+const { getTouchedSections, BlockUpdateBatch } = require('../../viewer/lib/blockUpdates')
+
+const keys = (sections) => sections.map(({ x, y, z }) => `${x},${y},${z}`).sort()
+
+describe('block updates', () => {
+  describe('getTouchedSections', () => {
+    it('should only give the section of a block inside it', () => {
+      expect(keys(getTouchedSections({ x: 5, y: 70, z: 9 }))).toEqual(['0,64,0'])
+    })
+
+    it('should add the neighbours across the borders the block is on', () => {
+      expect(keys(getTouchedSections({ x: 15, y: 70, z: 9 }))).toEqual(['0,64,0', '16,64,0'])
+      expect(keys(getTouchedSections({ x: -16, y: 64, z: 9 }))).toEqual(['-16,48,0', '-16,64,0', '-32,48,0', '-32,64,0'])
+      // Corner blocks touch the 7 sections around the corner
+      expect(getTouchedSections({ x: 31, y: -1, z: 16.5 })).toHaveLength(8)
+    })
+  })
+
+  describe('BlockUpdateBatch', () => {
+    beforeEach(() => {
+      jest.useFakeTimers()
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    it('should apply the last state of each block once per window', () => {
+      const batches = []
+      const batch = new BlockUpdateBatch((b) => batches.push(b), 50)
+      for (let i = 0; i < 10; i++) batch.addBlockUpdate({ x: 5, y: 70, z: 9 }, i % 2)
+      batch.addBlockUpdate({ x: 6, y: 70, z: 9 }, 3)
+      expect(batches).toHaveLength(0)
+
+      jest.advanceTimersByTime(50)
+      expect(batches).toHaveLength(1)
+      expect(batches[0].updates.map(({ stateId }) => stateId)).toEqual([1, 3])
+      expect(keys(batches[0].sections)).toEqual(['0,64,0'])
+      expect(batch.getStats()).toEqual({ window: 50, received: 11, applied: 2, batches: 1, pending: 0 })
+    })
+
+    it('should flush every update right away without a window', () => {
+      const batches = []
+      const batch = new BlockUpdateBatch((b) => batches.push(b), 50)
+      batch.addSection(0, 0, 0)
+      batch.setWindow(0)
+      expect(batches).toHaveLength(1)
+      batch.addBlockUpdate({ x: 0, y: 5, z: 5 }, 1)
+      expect(batches).toHaveLength(2)
+      expect(keys(batches[1].sections)).toEqual(['-16,0,0', '0,0,0'])
+    })
+
+    it('should drop the pending updates of a column sent again', () => {
+      const batches = []
+      const batch = new BlockUpdateBatch((b) => batches.push(b), 50)
+      batch.addBlockUpdate({ x: 17, y: 5, z: 5 }, 1)
+      batch.addBlockUpdate({ x: 16, y: 5, z: 5 }, 1)
+      batch.deleteColumn(16, 0)
+      jest.advanceTimersByTime(50)
+      // The section across the border of the second block is still meshed again
+      expect(batches[0].updates).toHaveLength(0)
+      expect(keys(batches[0].sections)).toEqual(['0,0,0'])
+
+      batch.addBlockUpdate({ x: 1, y: 5, z: 5 }, 1)
+      batch.clear()
+      jest.advanceTimersByTime(50)
+      expect(batches).toHaveLength(1)
+    })
+  })
+})
@@ -0,0 +1,106 @@
+/* eslint-env jest */
+const { EventEmitter } = require('events')
+const { BotState, getStatus, getInventory } = require('../../lib/botState')
+const { validateMessage } = require('../../lib/schemas/socketMessages')
+
+function createBot () {
+  const bot = new EventEmitter()
+  bot.health = 18
+  bot.food = 20
+  bot.foodSaturation = 5
+  bot.experience = { level: 3, points: 40, progress: 0.5 }
+  bot.game = { gameMode: 'survival' }
+  bot.quickBarSlot = 2
+  bot.inventory = new EventEmitter()
+  bot.inventory.inventoryStart = 9
+  bot.inventory.hotbarStart = 36
+  bot.inventory.slots = new Array(46).fill(null)
+  bot.inventory.slots[36] = { slot: 36, name: 'stone', count: 64, displayName: 'Stone', type: 1, nbt: null }
+  return bot
+}
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve))
+
+describe('Bot state', () => {
+  it('should read the status and inventory of the bot as valid messages', () => {
+    const bot = createBot()
+    const status = getStatus(bot)
+    expect(status).toEqual({ health: 18, food: 20, saturation: 5, level: 3, points: 40, progress: 0.5, gameMode: 'survival' })
+    expect(validateMessage('botStatus', status).valid).toBe(true)
+
+    const inventory = getInventory(bot)
+    expect(inventory).toEqual({
+      slots: [{ slot: 36, name: 'stone', count: 64, displayName: 'Stone' }],
+      quickBarSlot: 2,
+      inventoryStart: 9,
+      hotbarStart: 36
+    })
+    expect(validateMessage('inventory', inventory).valid).toBe(true)
+  })
+
+  it('should leave out what the bot does not know yet', () => {
+    const status = getStatus(new EventEmitter())
+    expect(validateMessage('botStatus', JSON.parse(JSON.stringify(status)))).toEqual({ valid: true, errors: [] })
+    expect(getInventory(new EventEmitter())).toBeNull()
+  })
+
+  it('should emit the status when it changes', () => {
+    const bot = createBot()
+    const state = new BotState()
+    const statuses = []
+    state.on('botStatus', status => statuses.push(status))
+    state.listenToBot(bot)
+
+    bot.health = 10
+    bot.emit('health')
+    bot.emit('experience')
+    expect(statuses).toHaveLength(2)
+    expect(statuses[0].health).toBe(10)
+  })
+
+  it('should emit the inventory once per tick', async () => {
+    const bot = createBot()
+    const state = new BotState()
+    const inventories = []
+    state.on('inventory', inventory => inventories.push(inventory))
+    state.listenToBot(bot)
+
+    bot.inventory.slots[37] = { slot: 37, name: 'dirt', count: 1 }
+    bot.inventory.emit('updateSlot', 37)
+    bot.quickBarSlot = 1
+    bot.emit('heldItemChanged')
+    expect(inventories).toHaveLength(0)
+    await nextTick()
+    expect(inventories).toHaveLength(1)
+    expect(inventories[0].slots).toHaveLength(2)
+    expect(inventories[0].quickBarSlot).toBe(1)
+  })
+
+  it('should keep the last chat messages, without the action bar', () => {
+    const bot = createBot()
+    const state = new BotState(2)
+    const messages = []
+    state.on('chat', message => messages.push(message))
+    state.listenToBot(bot)
+
+    const message = (text) => ({ toString: () => text })
+    bot.emit('message', message('<alice> hi'), 'chat')
+    bot.emit('message', message('Alice joined the game'), 'system')
+    bot.emit('message', message('Sleeping'), 'game_info')
+    bot.emit('message', message('x'.repeat(5000)), 'chat')
+    expect(messages).toHaveLength(3)
+    expect(messages[1]).toMatchObject({ text: 'Alice joined the game', position: 'system' })
+    expect(state.messages.map(({ text }) => text.length)).toEqual([21, 4096])
+    for (const message of messages) expect(validateMessage('chat', message).valid).toBe(true)
+  })
+
+  it('should stop listening to the bot', () => {
+    const bot = createBot()
+    const state = new BotState()
+    state.listenToBot(bot)
+    state.removeListenersFromBot()
+    expect(bot.listenerCount('message')).toBe(0)
+    expect(bot.listenerCount('health')).toBe(0)
+    expect(bot.inventory.listenerCount('updateSlot')).toBe(0)
+  })
+})
@@ -0,0 +1,148 @@
+/* eslint-env jest */
+const { EventEmitter } = require('events')
+const { Vec3 } = require('vec3')
+const { World } = require('../../viewer/lib/world')
+const { WorldView } = require('../../viewer/lib/worldView')
+const { getSectionGeometry } = require('../../viewer/lib/models')
+const { SharedColumn } = require('../../viewer/lib/sharedColumn')
+const {
+  CHUNK_FORMAT,
+  getClientChunkEncoding,
+  negotiateChunkEncoding,
+  encodeColumn,
+  EncodedColumns,
+  isEncodedColumn,
+  decodeColumn
+} = require('../../viewer/lib/chunkCodec')
+
+// Stone up to y 40 with a lit torch room, under sky lit air
+function testColumn (version, minY = 0, worldHeight = 256) {
+  const mcData = require('minecraft-data')(version)
+  const Chunk = require('prismarine-chunk')(version)
+  const chunk = new Chunk({ minY, worldHeight })
+  for (let x = 0; x < 16; x++) {
+    for (let z = 0; z < 16; z++) {
+      for (let y = minY; y < 40; y++) {
+        if (y < 20 || y > 24 || x < 4) chunk.setBlockStateId(new Vec3(x, y, z), mcData.blocksByName.stone.defaultState)
+        if (y >= 20 && y <= 24) chunk.setBlockLight(new Vec3(x, y, z), x)
+      }
+      for (let y = 40; y < minY + worldHeight; y++) chunk.setSkyLight(new Vec3(x, y, z), 15)
+    }
+  }
+  return chunk
+}
+
+describe('chunk codec', () => {
+  it('should negotiate the binary encoding with the clients advertising it', () => {
+    // Older clients send no auth
+    expect(negotiateChunkEncoding({})).toEqual({ format: 0, compress: false })
+    expect(negotiateChunkEncoding(undefined)).toEqual({ format: 0, compress: false })
+    expect(negotiateChunkEncoding({ chunkFormat: 'binary' })).toEqual({ format: 0, compress: false })
+    expect(negotiateChunkEncoding(getClientChunkEncoding())).toEqual({ format: CHUNK_FORMAT, compress: true })
+    expect(negotiateChunkEncoding({ chunkFormat: CHUNK_FORMAT + 1 })).toEqual({ format: CHUNK_FORMAT, compress: false })
+  })
+
+  for (const compress of [false, true]) {
+    it(`should decode the blocks, light and biomes of a column${compress ? ', compressed' : ''}`, async () => {
+      const chunk = testColumn('1.16.4')
+      const encoded = encodeColumn(chunk, { compress })
+      expect(isEncodedColumn(encoded)).toBe(true)
+      expect(encoded.byteLength).toBeLessThan(chunk.toJson().length / (compress ? 20 : 2))
+
+      // Socket.io gives browsers an ArrayBuffer, at an offset the words are not aligned to
+      const message = new Uint8Array(encoded.byteLength + 3)
+      message.set(encoded, 3)
+      const column = new SharedColumn(await decodeColumn(message.subarray(3)))
+      for (const [x, y, z] of [[0, 10, 0], [5, 22, 3], [12, 39, 12], [12, 100, 12]]) {
+        const pos = new Vec3(x, y, z)
+        expect(column.getBlockStateId(pos)).toBe(chunk.getBlockStateId(pos))
+        expect(column.getBlockLight(pos)).toBe(chunk.getBlockLight(pos))
+        expect(column.getSkyLight(pos)).toBe(chunk.getSkyLight(pos))
+        expect(column.getBiome(pos)).toBe(chunk.getBiome(pos))
+      }
+      expect(column.sections[3]).toBeNull()
+    })
+  }
+
+  it('should mesh a decoded column like the prismarine-chunk one, down to the bottom of 1.18 worlds', async () => {
+    const version = '1.18.2'
+    const chunk = testColumn(version, -64, 384)
+    const world = new World(version)
+    world.addColumn(0, 0, chunk.toJson())
+    const decodedWorld = new World(version)
+    decodedWorld.addSharedColumn(0, 0, await decodeColumn(encodeColumn(chunk).buffer))
+
+    for (const y of [-64, 16]) {
+      expect(getSectionGeometry(0, y, 0, decodedWorld, {})).toEqual(getSectionGeometry(0, y, 0, world, {}))
+    }
+  })
+
+  it('should reject the formats it does not know', async () => {
+    const encoded = encodeColumn(testColumn('1.16.4'))
+    encoded[0] = CHUNK_FORMAT + 1
+    await expect(decodeColumn(encoded)).rejects.toThrow(`Unsupported chunk format ${CHUNK_FORMAT + 1}`)
+  })
+
+  it('should send the columns as JSON until a WorldView is given the binary encoding', async () => {
+    const chunk = testColumn('1.16.4')
+    const worldView = new WorldView({ getColumnAt: async () => chunk }, 2)
+    const loaded = []
+    worldView.on('loadChunk', ({ chunk }) => loaded.push(chunk))
+    await worldView.loadChunk(new Vec3(0, 0, 0))
+    worldView.setChunkEncoding({ format: CHUNK_FORMAT, compress: true })
+    await worldView.loadChunk(new Vec3(0, 0, 0))
+
+    expect(typeof loaded[0]).toBe('string')
+    expect(isEncodedColumn(loaded[1])).toBe(true)
+  })
+
+  it('should encode the copy of a worker like the column it was made from', async () => {
+    const chunk = testColumn('1.16.4')
+    const copy = SharedColumn.fromColumn(chunk, 0, 256)
+    expect(encodeColumn(copy)).toEqual(encodeColumn(chunk))
+    const column = new SharedColumn(await decodeColumn(encodeColumn(copy)))
+    expect(column.getBlockLight(new Vec3(5, 22, 3))).toBe(5)
+  })
+
+  it('should encode a column once for all the WorldViews sharing the encodings, until it changes', async () => {
+    let chunk = testColumn('1.16.4')
+    const bot = new EventEmitter()
+    bot.username = 'bot'
+    bot._client = new EventEmitter()
+    const encodedColumns = new EncodedColumns(4)
+    encodedColumns.listenToBot(bot)
+    const loaded = []
+    const worldViews = [0, 1, 2].map(i => {
+      const worldView = new WorldView({ getColumnAt: async () => chunk }, 2)
+      worldView.setEncodedColumns(encodedColumns)
+      worldView.setChunkEncoding(i < 2 ? { format: CHUNK_FORMAT, compress: false } : { format: 0, compress: false })
+      worldView.on('loadChunk', ({ chunk }) => loaded.push(chunk))
+      return worldView
+    })
+    const loadAll = () => Promise.all(worldViews.map(worldView => worldView.loadChunk(new Vec3(0, 0, 0))))
+
+    await loadAll()
+    expect(loaded[1]).toBe(loaded[0])
+    expect(typeof loaded[2]).toBe('string')
+
+    bot.emit('blockUpdate', { position: new Vec3(3, 10, 3) }, { stateId: 0 })
+    await loadAll()
+    expect(loaded[3]).not.toBe(loaded[0])
+    expect(loaded[4]).toBe(loaded[3])
+
+    // Light is updated without an event of the bot
+    bot._client.emit('update_light', { chunkX: 0, chunkZ: 0 })
+    await loadAll()
+    expect(loaded[6]).not.toBe(loaded[3])
+
+    // Loaded again as a new column
+    chunk = testColumn('1.16.4')
+    await loadAll()
+    expect(loaded[9]).not.toBe(loaded[6])
+    expect(loaded[9]).toEqual(loaded[6])
+
+    encodedColumns.removeListenersFromBot(bot)
+    expect(bot.listenerCount('blockUpdate')).toBe(0)
+    expect(bot._client.listenerCount('update_light')).toBe(0)
+  })
+})
@@ -137,6 +137,22 @@ describe('common middleware', () => {
       )
     })
 
+    it('should not set the cross-origin isolation headers by default', () => {
+      const middleware = securityHeaders()
+      middleware(mockReq, mockRes, nextFn)
+
+      expect(mockRes.setHeader).not.toHaveBeenCalledWith('Cross-Origin-Opener-Policy', expect.anything())
+      expect(mockRes.setHeader).not.toHaveBeenCalledWith('Cross-Origin-Embedder-Policy', expect.anything())
+    })
+
+    it('should set the cross-origin isolation headers with sharedMemory', () => {
+      const middleware = securityHeaders({ sharedMemory: true })
+      middleware(mockReq, mockRes, nextFn)
+
+      expect(mockRes.setHeader).toHaveBeenCalledWith('Cross-Origin-Opener-Policy', 'same-origin')
+      expect(mockRes.setHeader).toHaveBeenCalledWith('Cross-Origin-Embedder-Policy', 'require-corp')
+    })
+
     it('should call next function', () => {
       const middleware = securityHeaders()
       middleware(mockReq, mockRes, nextFn)
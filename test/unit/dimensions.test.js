@@ -0,0 +1,29 @@
+/* eslint-env jest */
+const { getWorldBounds } = require('../../viewer/lib/dimensions')
+
+describe('dimensions', () => {
+  describe('getWorldBounds', () => {
+    it('should use 0 and 256 before 1.17', () => {
+      expect(getWorldBounds('1.8.8')).toEqual({ minY: 0, height: 256 })
+      expect(getWorldBounds('1.16.4')).toEqual({ minY: 0, height: 256 })
+    })
+
+    it('should read the overworld height of 1.18+ from the dimension codec', () => {
+      expect(getWorldBounds('1.18.1')).toEqual({ minY: -64, height: 384 })
+      expect(getWorldBounds('1.20.1')).toEqual({ minY: -64, height: 384 })
+    })
+
+    it('should read the registry format of 1.20.5+', () => {
+      expect(getWorldBounds('1.21.4')).toEqual({ minY: -64, height: 384 })
+    })
+
+    it('should support other dimensions, with or without namespace', () => {
+      expect(getWorldBounds('1.18.1', 'the_nether')).toEqual({ minY: 0, height: 256 })
+      expect(getWorldBounds('1.18.1', 'minecraft:the_end')).toEqual({ minY: 0, height: 256 })
+    })
+
+    it('should fall back to 0 and 256 for unknown dimensions', () => {
+      expect(getWorldBounds('1.18.1', 'custom:dimension')).toEqual({ minY: 0, height: 256 })
+    })
+  })
+})
@@ -0,0 +1,152 @@
+/* eslint-env jest */
+const THREE = require('three')
+global.THREE = THREE
+const { EntityAnimator } = require('../../viewer/lib/entity/animation')
+
+// Skinned mesh with bones posed like viewer/lib/entity/Entity.js does
+function makeMesh (bonesJson) {
+  const bones = {}
+  for (const json of bonesJson) {
+    const bone = new THREE.Bone()
+    bone.name = json.name
+    bone.position.fromArray(json.pivot)
+    bones[json.name] = bone
+  }
+  const roots = []
+  for (const json of bonesJson) {
+    if (json.parent) bones[json.parent].attach(bones[json.name])
+    else roots.push(bones[json.name])
+  }
+  for (const bone of Object.values(bones)) {
+    let depth = 0
+    for (let parent = bone.parent; parent; parent = parent.parent) depth++
+    bone.userData.depth = depth
+    bone.userData.rest = {
+      position: bone.position.clone(),
+      quaternion: bone.quaternion.clone(),
+      scale: bone.scale.clone(),
+      modelQuaternion: bone.getWorldQuaternion(new THREE.Quaternion())
+    }
+  }
+  const mesh = new THREE.SkinnedMesh(new THREE.BufferGeometry(), new THREE.MeshBasicMaterial())
+  mesh.add(...roots)
+  mesh.bind(new THREE.Skeleton(Object.values(bones)))
+  return mesh
+}
+
+const bonesJson = [
+  { name: 'body', pivot: [0, 12, 0] },
+  { name: 'head', pivot: [0, 24, 0], parent: 'body' },
+  { name: 'leg', pivot: [0, 12, 0], parent: 'body' }
+]
+
+function getBone (mesh, name) {
+  return mesh.skeleton.bones.find(bone => bone.name === name)
+}
+
+describe('EntityAnimator', () => {
+  it('should apply animations of the animate script', () => {
+    const mesh = makeMesh(bonesJson)
+    const animator = new EntityAnimator({
+      scripts: { animate: ['pose'] },
+      animations: { pose: { loop: true, bones: { leg: { rotation: [-90, 0, 0], position: [0, 1, 0] } } } }
+    }, [mesh])
+    animator.update(0.05)
+    expect(getBone(mesh, 'leg').rotation.x).toBeCloseTo(Math.PI / 2)
+    expect(getBone(mesh, 'leg').position.y).toBeCloseTo(1)
+  })
+
+  it('should use the blend weight of the animate entries', () => {
+    const mesh = makeMesh(bonesJson)
+    const animator = new EntityAnimator({
+      scripts: { animate: [{ pose: 'query.is_baby' }] },
+      animations: { pose: { loop: true, bones: { leg: { rotation: [-90, 0, 0] } } } }
+    }, [mesh])
+    animator.update(0.05)
+    expect(getBone(mesh, 'leg').rotation.x).toBeCloseTo(0)
+  })
+
+  it('should swing limbs with the movement speed', () => {
+    const mesh = makeMesh(bonesJson)
+    const animator = new EntityAnimator({
+      scripts: { animate: [{ walk: 'query.modified_move_speed' }] },
+      animations: {
+        walk: { loop: true, anim_time_update: 'query.modified_distance_moved', bones: { leg: { rotation: ['math.sin(query.anim_time * 38.17) * 80', 0, 0] } } }
+      }
+    }, [mesh])
+
+    animator.update(0.05)
+    expect(animator.moveSpeed).toBe(0)
+
+    for (let i = 1; i <= 10; i++) {
+      animator.setPosition({ x: i * 0.25, y: 0, z: 0 }, i * 50)
+      animator.update(0.05)
+    }
+    expect(animator.moveSpeed).toBeGreaterThan(0.5)
+    expect(getBone(mesh, 'leg').rotation.x).not.toBeCloseTo(0)
+
+    // No more movement updates: the entity stops
+    for (let i = 0; i < 40; i++) animator.update(0.05)
+    expect(animator.moveSpeed).toBeLessThan(0.05)
+  })
+
+  it('should ignore teleports', () => {
+    const animator = new EntityAnimator({}, [makeMesh(bonesJson)])
+    animator.setPosition({ x: 0, y: 0, z: 0 }, 0)
+    animator.setPosition({ x: 100, y: 0, z: 0 }, 50)
+    expect(animator.targetMoveSpeed).toBe(0)
+  })
+
+  it('should turn the head separately from the body', () => {
+    const mesh = makeMesh(bonesJson)
+    const animator = new EntityAnimator({
+      scripts: { animate: ['look', 'lean'] },
+      animations: {
+        lean: { loop: true, bones: { body: { rotation: [0, 45, 0] } } },
+        look: { loop: true, bones: { head: { relative_to: { rotation: 'entity' }, rotation: ['query.target_x_rotation', 'query.target_y_rotation', 0] } } }
+      }
+    }, [mesh])
+    animator.setHeadRotation(0.5, 0.25)
+    animator.update(0.05)
+
+    // The head rotation is relative to the model, not to the leaning body
+    const head = getBone(mesh, 'head').getWorldQuaternion(new THREE.Quaternion())
+    const expected = new THREE.Quaternion().setFromEuler(new THREE.Euler(0.25, 0.5, 0))
+    expect(head.angleTo(expected)).toBeCloseTo(0)
+  })
+
+  it('should run animation controllers', () => {
+    const mesh = makeMesh(bonesJson)
+    const animator = new EntityAnimator({
+      animation_controllers: {
+        pose: {
+          initial_state: 'default',
+          states: {
+            default: { transitions: [{ raised: 'variable.raise' }] },
+            raised: { animations: ['raise'], transitions: [{ default: '!variable.raise' }] }
+          }
+        }
+      },
+      animations: { raise: { loop: true, bones: { leg: { rotation: [-90, 0, 0] } } } }
+    }, [mesh])
+
+    animator.update(0.05)
+    expect(getBone(mesh, 'leg').rotation.x).toBeCloseTo(0)
+
+    animator.context.variable.raise = 1
+    animator.update(0.05)
+    expect(animator.controllerStates.pose).toBe('raised')
+    expect(getBone(mesh, 'leg').rotation.x).toBeCloseTo(Math.PI / 2)
+  })
+
+  it('should interpolate keyframes', () => {
+    const mesh = makeMesh(bonesJson)
+    const animator = new EntityAnimator({
+      scripts: { animate: ['bob'] },
+      animations: { bob: { loop: true, animation_length: 2, bones: { body: { position: { 0: [0, 0, 0], 1: [0, 4, 0], 2: [0, 0, 0] } } } } }
+    }, [mesh])
+    animator.update(0.1)
+    animator.update(0.5)
+    expect(getBone(mesh, 'body').position.y).toBeCloseTo(12 + 2)
+  })
+})
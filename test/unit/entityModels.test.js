@@ -0,0 +1,55 @@
+/* eslint-env jest */
+const path = require('path')
+const entities = require('../../viewer/lib/entity/entities.json')
+const { entityFallbacks, normalizeEntityName, getEntityModel } = require('../../viewer/lib/entity/fallbacks')
+const { prepareEntities } = require('../../viewer/lib/entitiesBuilder')
+
+describe('entity models', () => {
+  describe('normalizeEntityName', () => {
+    it('should convert names of older versions to snake case', () => {
+      expect(normalizeEntityName('CaveSpider')).toBe('cave_spider')
+      expect(normalizeEntityName('Fishing Float')).toBe('fishing_float')
+      expect(normalizeEntityName('zombie_villager')).toBe('zombie_villager')
+    })
+  })
+
+  describe('getEntityModel', () => {
+    it('should find models by type', () => {
+      expect(getEntityModel(entities, 'zombie')).toBe(entities.zombie)
+      expect(getEntityModel(entities, 'Creeper')).toBe(entities.creeper)
+    })
+
+    it('should use the fallback table', () => {
+      expect(getEntityModel(entities, 'PigZombie')).toBe(entities.zombified_piglin)
+      expect(getEntityModel(entities, 'glow_squid')).toBe(entities.squid)
+    })
+
+    it('should return null for types without model', () => {
+      expect(getEntityModel(entities, 'not_an_entity')).toBeNull()
+    })
+
+    it('should only fall back to existing models', () => {
+      for (const [type, model] of Object.entries(entityFallbacks)) {
+        expect([type, entities[model] !== undefined]).toEqual([type, true])
+      }
+    })
+  })
+
+  describe('prepareEntities', () => {
+    const assetsDirectories = [{ version: '1.16.4', directory: path.join(__dirname, 'missing') }]
+
+    it('should only keep the entity types of the version', () => {
+      const models = prepareEntities('1.8.8', assetsDirectories)
+      expect(models.zombie).toBeDefined()
+      expect(models.player).toBeDefined()
+      expect(models.zombified_piglin).toBeDefined()
+      expect(models.piglin).toBeUndefined()
+    })
+
+    it('should drop textures missing from the assets', () => {
+      const models = prepareEntities('1.16.4', assetsDirectories)
+      expect(models.zombie.textures).toEqual({})
+      expect(models.zombie.geometry).toBe(entities.zombie.geometry)
+    })
+  })
+})
@@ -0,0 +1,128 @@
+/* eslint-env jest */
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { Vec3 } = require('vec3')
+const { World } = require('../../viewer/lib/world')
+const { getSectionGeometry } = require('../../viewer/lib/models')
+const { LRUCache } = require('../../viewer/lib/lruCache')
+const { FileStore } = require('../../viewer/lib/fileStore')
+const {
+  getSectionHash,
+  getGeometryCacheKey,
+  serializeEntry,
+  deserializeEntry,
+  MemoryStore,
+  GeometryCache
+} = require('../../viewer/lib/geometryCache')
+
+const version = '1.16.4'
+const mcData = require('minecraft-data')(version)
+const Chunk = require('prismarine-chunk')(version)
+
+// 2x2 columns of stone up to y 20, under sky lit air
+function testWorld () {
+  const world = new World(version)
+  for (const [cx, cz] of [[0, 0], [16, 0], [0, 16], [16, 16]]) {
+    const chunk = new Chunk()
+    for (let x = 0; x < 16; x++) {
+      for (let z = 0; z < 16; z++) {
+        for (let y = 0; y < 20; y++) chunk.setBlockStateId(new Vec3(x, y, z), mcData.blocksByName.stone.defaultState)
+        for (let y = 20; y < 256; y++) chunk.setSkyLight(new Vec3(x, y, z), 15)
+      }
+    }
+    world.columns[`${cx},${cz}`] = chunk
+  }
+  return world
+}
+
+describe('geometry cache', () => {
+  describe('getSectionHash', () => {
+    it('should change with the blocks of the section and of its border only', () => {
+      const world = testWorld()
+      const hash = getSectionHash(world, 0, 16, 0)
+      expect(hash).toMatch(/^[0-9a-f]{16}$/)
+      expect(getSectionHash(world, 0, 16, 0)).toBe(hash)
+      expect(getSectionHash(world, 0, 16, 0, 1)).not.toBe(hash)
+      expect(getSectionHash(world, 0, 0, 0)).not.toBe(hash)
+
+      // Two blocks past the border
+      world.setBlockStateId(new Vec3(17, 18, 5), 0)
+      expect(getSectionHash(world, 0, 16, 0)).toBe(hash)
+      // On the border, in the neighbour column
+      world.setBlockStateId(new Vec3(16, 18, 5), 0)
+      const borderHash = getSectionHash(world, 0, 16, 0)
+      expect(borderHash).not.toBe(hash)
+      world.setBlockStateId(new Vec3(3, 18, 5), 0)
+      expect(getSectionHash(world, 0, 16, 0)).not.toBe(borderHash)
+    })
+  })
+
+  it('should store a section geometry as it is given by the workers', () => {
+    const geometry = getSectionGeometry(0, 16, 0, testWorld(), {})
+    const entry = deserializeEntry(serializeEntry('key', geometry))
+    expect(entry.key).toBe('key')
+    expect(entry.geometry).toEqual(geometry)
+    expect(Array.isArray(entry.geometry.opaque.indices)).toBe(true)
+    expect(entry.geometry.opaque.positions).toBeInstanceOf(Float32Array)
+  })
+
+  describe('GeometryCache', () => {
+    const geometry = { sx: 8, sy: 24, sz: 8, opaque: { positions: new Float32Array([1, 2, 3]), indices: [0, 1, 2] } }
+
+    it('should give back the geometries it was given', async () => {
+      const cache = new GeometryCache(new MemoryStore())
+      expect(await cache.get('a')).toBeNull()
+      await cache.set('a', geometry)
+      expect(await cache.get('a')).toEqual(geometry)
+      expect(cache.getStats()).toEqual({ enabled: true, sections: 1, hits: 1, misses: 1 })
+    })
+
+    it('should keep the entries serialized by the workers', async () => {
+      const cache = new GeometryCache(new MemoryStore())
+      const key = getGeometryCacheKey({ key: '0,16,0', hash: '0123456789abcdef', assets: '1.16.4' })
+      await cache.setEntry(key, serializeEntry(key, geometry))
+      expect(await cache.get(key)).toEqual(geometry)
+      expect(await cache.get(getGeometryCacheKey({ key: '0,16,0', hash: '0123456789abcdef', assets: '1.18.2' }))).toBeNull()
+    })
+
+    it('should drop the least recently used sections from the store', async () => {
+      const store = new MemoryStore()
+      const cache = new GeometryCache(store, 2)
+      await cache.set('a', geometry)
+      await cache.set('b', geometry)
+      await cache.get('a')
+      await cache.set('c', geometry)
+      expect(await cache.get('b')).toBeNull()
+      expect(await cache.get('a')).not.toBeNull()
+      expect(await store.keys()).toHaveLength(2)
+    })
+
+    it('should keep the sections across sessions in a directory', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'geometry-cache-'))
+      try {
+        const cache = new GeometryCache(new FileStore(directory))
+        await cache.set('a', geometry)
+        await cache.save()
+        // Written after the last save of the index, dropped by the next session
+        await cache.set('b', geometry)
+
+        const reloaded = new GeometryCache(new FileStore(directory))
+        expect(await reloaded.get('a')).toEqual(geometry)
+        expect(await reloaded.get('b')).toBeNull()
+        expect(fs.readdirSync(directory).sort()).toHaveLength(2)
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true })
+      }
+    })
+  })
+
+  it('should tell the LRU cache user about the entries it drops', () => {
+    const evicted = []
+    const lru = new LRUCache(1, (key, value) => evicted.push([key, value]))
+    lru.set('a', 1)
+    lru.set('a', 2)
+    lru.set('b', 3)
+    expect(evicted).toEqual([['a', 2]])
+  })
+})
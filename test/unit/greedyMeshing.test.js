@@ -0,0 +1,86 @@
+/* eslint-env jest */
+const { Vec3 } = require('vec3')
+const { World } = require('../../viewer/lib/world')
+const { getSectionGeometry } = require('../../viewer/lib/models')
+const { getTileIndex, patchTilingShader } = require('../../viewer/lib/greedyMeshing')
+
+const version = '1.16.4'
+const mcData = require('minecraft-data')(version)
+const Chunk = require('prismarine-chunk')(version)
+
+// 16x16 floor of stone at y 64
+function floorWorld () {
+  const chunk = new Chunk({ minY: 0, worldHeight: 256 })
+  for (let x = 0; x < 16; x++) {
+    for (let z = 0; z < 16; z++) chunk.setBlockStateId(new Vec3(x, 64, z), mcData.blocksByName.stone.defaultState)
+  }
+  const world = new World(version)
+  world.addColumn(0, 0, chunk.toJson())
+  return world
+}
+
+// Full cube with the tile of the second column, third row of a 4x4 atlas
+function cube (elementProperties = {}) {
+  const faces = {}
+  for (const face of ['up', 'down', 'north', 'south', 'east', 'west']) {
+    faces[face] = { cullface: face, texture: { u: 0.25, v: 0.5, su: 0.25, sv: 0.25, layer: 'opaque' } }
+  }
+  return { variants: { '': { model: { textures: {}, ao: false, elements: [{ from: [0, 0, 0], to: [16, 16, 16], faces, ...elementProperties }] } } } }
+}
+
+describe('greedy meshing', () => {
+  describe('getTileIndex', () => {
+    it('should find the atlas tile of whole texture faces', () => {
+      const texture = { u: 0.25, v: 0.5, su: 0.25, sv: 0.25 }
+      expect(getTileIndex({}, texture)).toBe(9)
+      // Mirrored faces (the default UVs of down faces)
+      expect(getTileIndex({ uv: [16, 0, 0, 16] }, { u: 0.5, v: 0.5, su: -0.25, sv: 0.25 })).toBe(9)
+      expect(getTileIndex({ uv: [0, 0, 16, 8] }, { ...texture, sv: 0.125 })).toBe(-1)
+    })
+  })
+
+  describe('mesher', () => {
+    it('should merge the faces of a flat area into one face', () => {
+      const geometry = getSectionGeometry(0, 64, 0, floorWorld(), { stone: cube() }, { greedy: true })
+      const { positions, uvs, tiles, indices } = geometry.opaque
+
+      // The top and bottom faces of 256 blocks, the sides face unloaded columns
+      expect(geometry.unmergedVertexCount).toBe(2 * 256 * 4)
+      expect(geometry.vertexCount).toBe(8)
+      expect(indices).toHaveLength(12)
+      expect(Math.min(...positions)).toBe(-8)
+      expect(Math.max(...positions)).toBe(8)
+      // The texture is repeated 16 times on each axis
+      const us = uvs.filter((_, i) => i % 2 === 0)
+      expect(Math.max(...us) - Math.min(...us)).toBeCloseTo(16 * 0.25)
+      expect(Array.from(tiles)).toEqual(new Array(8).fill(10))
+    })
+
+    it('should keep the faces as they are without greedy meshing or for rotated elements', () => {
+      let geometry = getSectionGeometry(0, 64, 0, floorWorld(), { stone: cube() })
+      expect(geometry.vertexCount).toBe(2 * 256 * 4)
+      expect(geometry.unmergedVertexCount).toBe(geometry.vertexCount)
+      expect(geometry.opaque.tiles.every(tile => tile === 0)).toBe(true)
+
+      const rotation = { origin: [8, 8, 8], axis: 'y', angle: 22.5 }
+      geometry = getSectionGeometry(0, 64, 0, floorWorld(), { stone: cube({ rotation }) }, { greedy: true })
+      expect(geometry.vertexCount).toBe(2 * 256 * 4)
+    })
+  })
+
+  describe('patchTilingShader', () => {
+    it('should repeat the tile in the texture lookup', () => {
+      const shader = {
+        uniforms: {},
+        vertexShader: '#include <common>\nvoid main() {\n#include <uv_vertex>\n}',
+        fragmentShader: '#include <common>\nvoid main() {\n#include <map_fragment>\n}'
+      }
+      const uniforms = { atlasTiles: { value: 64 } }
+      patchTilingShader(shader, uniforms)
+
+      expect(shader.uniforms.atlasTiles).toBe(uniforms.atlasTiles)
+      expect(shader.vertexShader).toContain('attribute float tile;')
+      expect(shader.fragmentShader).toContain('#define MAP_UV tiledUv(vUv)')
+    })
+  })
+})
@@ -0,0 +1,135 @@
+/* eslint-env jest */
+const { EventEmitter } = require('events')
+const { JSDOM } = require('jsdom')
+const { Hud } = require('../../lib/hud')
+const { BotState, getStatus, getInventory } = require('../../lib/botState')
+const { validateMessage } = require('../../lib/schemas/socketMessages')
+const { HUD_CHAT_HISTORY } = require('../../viewer/lib/constants')
+
+function createBot () {
+  const bot = new EventEmitter()
+  bot.health = 18
+  bot.food = 20
+  bot.foodSaturation = 5
+  bot.experience = { level: 3, points: 40, progress: 0.5 }
+  bot.game = { gameMode: 'survival' }
+  bot.quickBarSlot = 2
+  bot.inventory = new EventEmitter()
+  bot.inventory.inventoryStart = 9
+  bot.inventory.hotbarStart = 36
+  bot.inventory.slots = new Array(46).fill(null)
+  bot.inventory.slots[36] = { slot: 36, name: 'stone', count: 64, displayName: 'Stone' }
+  bot.inventory.slots[9] = { slot: 9, name: 'oak_log', count: 1, displayName: 'Oak Log' }
+  return bot
+}
+
+function createHud (getItemTexture) {
+  const { document } = new JSDOM().window
+  const element = document.createElement('div')
+  document.body.appendChild(element)
+  return new Hud(element, getItemTexture)
+}
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve))
+
+// Messages go through JSON on the socket
+const send = (type, message) => {
+  expect(validateMessage(type, message).valid).toBe(true)
+  return JSON.parse(JSON.stringify(message))
+}
+
+describe('HUD', () => {
+  it('should draw the status, inventory and chat messages of the bot', () => {
+    const bot = createBot()
+    const hud = createHud((name) => name === 'stone' ? 'stone.png' : null)
+    expect(hud.bottom.style.display).toBe('none')
+
+    hud.setStatus(send('botStatus', getStatus(bot)))
+    expect(hud.bottom.style.display).toBe('')
+    expect(hud.bars.health.label.textContent).toBe('Health 18/20')
+    expect(hud.bars.health.fill.style.width).toBe('90%')
+    expect(hud.bars.food.label.textContent).toBe('Food 20/20')
+    expect(hud.experience.label.textContent).toBe('Level 3')
+    expect(hud.experience.fill.style.width).toBe('50%')
+
+    hud.setInventory(send('inventory', getInventory(bot)))
+    hud.update()
+    const hotbar = Array.from(hud.hotbar.children)
+    expect(hotbar).toHaveLength(9)
+    expect(hotbar[2].className).toBe('hud-slot hud-selected')
+    expect(hotbar[0].querySelector('img').src).toBe('stone.png')
+    expect(hotbar[0].querySelector('.hud-count').textContent).toBe('64')
+    expect(hud.inventoryGrid.children).toHaveLength(27)
+    expect(hud.inventoryGrid.children[0].querySelector('.hud-name').textContent).toBe('oak log')
+
+    const state = new BotState()
+    state.on('chat', (message) => hud.addMessage(send('chat', message)))
+    state.listenToBot(bot)
+    bot.emit('message', { toString: () => 'Alice joined the game' }, 'system')
+    expect(hud.chat.lastChild.className).toBe('hud-message hud-system')
+    expect(hud.chat.lastChild.textContent).toBe('Alice joined the game')
+  })
+
+  it('should keep the status values a message leaves out', () => {
+    const hud = createHud()
+    hud.setStatus(send('botStatus', getStatus(createBot())))
+    hud.setStatus({ health: 4.5, food: null })
+    expect(hud.bars.health.label.textContent).toBe('Health 5/20')
+    expect(hud.bars.food.label.textContent).toBe('Food 20/20')
+    expect(hud.experience.label.textContent).toBe('Level 3')
+
+    // No health nor food in creative mode
+    hud.setStatus({ gameMode: 'creative' })
+    expect(hud.bars.health.bar.parentNode.style.visibility).toBe('hidden')
+  })
+
+  it('should draw the slots again once per frame, when the inventory changed', async () => {
+    const bot = createBot()
+    const state = new BotState()
+    const hud = createHud()
+    state.on('inventory', (inventory) => hud.setInventory(send('inventory', inventory)))
+    state.listenToBot(bot)
+    const redraw = jest.spyOn(hud.hotbar, 'replaceChildren')
+
+    // The changes of a tick are sent as one message
+    bot.inventory.slots[37] = { slot: 37, name: 'dirt', count: 2 }
+    bot.inventory.emit('updateSlot', 37)
+    bot.quickBarSlot = 1
+    bot.emit('heldItemChanged')
+    await nextTick()
+    hud.update()
+    hud.update()
+    expect(redraw).toHaveBeenCalledTimes(1)
+    expect(hud.hotbar.children[1].className).toBe('hud-slot hud-selected')
+    expect(hud.hotbar.children[1].querySelector('.hud-name').textContent).toBe('dirt')
+
+    hud.setInventory(getInventory(bot))
+    hud.setInventory(getInventory(bot))
+    hud.update()
+    expect(redraw).toHaveBeenCalledTimes(2)
+  })
+
+  it('should draw the slots again once the missing item textures are loaded', () => {
+    const textures = {}
+    const hud = createHud((name) => textures[name] || null)
+    hud.setInventory(getInventory(createBot()))
+    hud.update()
+    expect(hud.hotbar.children[0].querySelector('img')).toBeNull()
+
+    hud.update()
+    textures.stone = 'stone.png'
+    hud.update()
+    expect(hud.hotbar.children[0].querySelector('img').src).toBe('stone.png')
+  })
+
+  it('should keep the last chat messages', () => {
+    const hud = createHud()
+    for (let i = 0; i < HUD_CHAT_HISTORY + 5; i++) hud.addMessage({ text: `message ${i}` })
+    expect(hud.chat.children).toHaveLength(HUD_CHAT_HISTORY)
+    expect(hud.chat.firstChild.textContent).toBe('message 5')
+    expect(hud.chat.firstChild.className).toBe('hud-message hud-chat')
+
+    hud.clearChat()
+    expect(hud.chat.children).toHaveLength(0)
+  })
+})
@@ -0,0 +1,34 @@
+/* eslint-env jest */
+const mcAssets = require('minecraft-assets')
+const { prepareItems } = require('../../viewer/lib/itemsBuilder')
+
+describe('prepareItems', () => {
+  it('should find the textures of held items', () => {
+    const { textures } = prepareItems('1.16.4', mcAssets('1.16.4'))
+    expect(textures.diamond_sword).toBe('textures/1.16.4/items/diamond_sword.png')
+    expect(textures.stone).toBe('textures/1.16.4/blocks/stone.png')
+  })
+
+  it('should find the armor layer of armor pieces', () => {
+    const { armor } = prepareItems('1.16.4', mcAssets('1.16.4'))
+    expect(armor.diamond_boots).toBe('textures/1.16.4/models/armor/diamond_layer_1.png')
+    expect(armor.diamond_leggings).toBe('textures/1.16.4/models/armor/diamond_layer_2.png')
+    expect(armor.golden_helmet).toBe('textures/1.16.4/models/armor/gold_layer_1.png')
+    expect(armor.diamond_sword).toBeUndefined()
+  })
+
+  it('should find the atlas sprites of items and blocks', () => {
+    const diamondSword = { u: 0.5, v: 0.25, su: 0.125, sv: 0.125 }
+    const stone = { u: 0, v: 0.25, su: 0.125, sv: 0.125 }
+    const atlas = { json: { textures: { 'items/diamond_sword': diamondSword, stone } } }
+    const { sprites } = prepareItems('1.16.4', mcAssets('1.16.4'), atlas)
+    expect(sprites.diamond_sword).toEqual(diamondSword)
+    expect(sprites.stone).toEqual(stone)
+    expect(sprites.diamond_boots).toBeUndefined()
+  })
+
+  it('should list block items of older versions', () => {
+    const { textures } = prepareItems('1.8.8', mcAssets('1.8.8'))
+    expect(textures.stone).toMatch(/^textures\/1\.8\.8\/blocks\//)
+  })
+})
@@ -0,0 +1,76 @@
+/* eslint-env jest */
+const { levelToBrightness, getSkyLightFactor, patchLightingShader } = require('../../viewer/lib/lighting')
+const { MIN_BRIGHTNESS } = require('../../viewer/lib/constants')
+
+describe('lighting', () => {
+  describe('levelToBrightness', () => {
+    it('should map level 15 to full brightness', () => {
+      expect(levelToBrightness(15)).toBeCloseTo(1)
+    })
+
+    it('should map level 0 to the minimum brightness', () => {
+      expect(levelToBrightness(0)).toBeCloseTo(MIN_BRIGHTNESS)
+    })
+
+    it('should increase with the light level', () => {
+      for (let level = 1; level <= 15; level++) {
+        expect(levelToBrightness(level)).toBeGreaterThan(levelToBrightness(level - 1))
+      }
+    })
+
+    it('should clamp out of range levels', () => {
+      expect(levelToBrightness(20)).toBeCloseTo(1)
+      expect(levelToBrightness(-3)).toBeCloseTo(MIN_BRIGHTNESS)
+    })
+  })
+
+  describe('getSkyLightFactor', () => {
+    it('should be fully lit at noon', () => {
+      expect(getSkyLightFactor(6000)).toBeCloseTo(1)
+    })
+
+    it('should be darkest at midnight', () => {
+      expect(getSkyLightFactor(18000)).toBeCloseTo(0.2)
+    })
+
+    it('should wrap around full days', () => {
+      expect(getSkyLightFactor(6000 + 24000 * 3)).toBeCloseTo(getSkyLightFactor(6000))
+      expect(getSkyLightFactor(-6000)).toBeCloseTo(getSkyLightFactor(18000))
+    })
+
+    it('should be between night and day at sunset', () => {
+      const factor = getSkyLightFactor(12500)
+      expect(factor).toBeGreaterThan(0.2)
+      expect(factor).toBeLessThan(1)
+    })
+  })
+
+  describe('patchLightingShader', () => {
+    it('should inject the light attribute and uniforms', () => {
+      const shader = {
+        uniforms: {},
+        vertexShader: '#include <common>\nvoid main() {\n#include <color_vertex>\n}'
+      }
+      const uniforms = { lightingEnabled: { value: true }, skyLightFactor: { value: 0.5 } }
+      patchLightingShader(shader, uniforms)
+
+      expect(shader.uniforms.skyLightFactor).toBe(uniforms.skyLightFactor)
+      expect(shader.uniforms.lightingEnabled).toBe(uniforms.lightingEnabled)
+      expect(shader.vertexShader).toContain('attribute vec2 light;')
+      expect(shader.vertexShader).toContain('vColor.xyz *= brightness;')
+    })
+
+    it('should give the shader the brightness of each light level', () => {
+      const shader = { uniforms: {}, vertexShader: '#include <common>\n#include <color_vertex>' }
+      patchLightingShader(shader, { lightingEnabled: { value: true }, skyLightFactor: { value: 1 } })
+
+      const table = shader.uniforms.brightnessTable.value
+      expect(table).toHaveLength(16)
+      for (let level = 0; level <= 15; level++) {
+        expect(table[level]).toBe(levelToBrightness(level))
+      }
+      expect(shader.vertexShader).toContain('uniform float brightnessTable[16];')
+      expect(shader.vertexShader).not.toContain('4.0 - 3.0')
+    })
+  })
+})
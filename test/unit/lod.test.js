@@ -0,0 +1,197 @@
+/* eslint-env jest */
+const { Vec3 } = require('vec3')
+const { EventEmitter } = require('events')
+const { getAverageColor, getColumnHeightmap, getLodGeometry } = require('../../viewer/lib/lod')
+const { getBlockTopColor } = require('../../viewer/lib/models')
+const { WorldView } = require('../../viewer/lib/worldView')
+const { validateMessage } = require('../../lib/schemas/socketMessages')
+
+const version = '1.16.4'
+const mcData = require('minecraft-data')(version)
+const Chunk = require('prismarine-chunk')(version)
+const Block = require('prismarine-block')(version)
+
+// Heightmap of cells all at the same height and state, except the given ones
+function flatHeightmap (height, stateId, cells = {}) {
+  const heightmap = {
+    heights: new Array(256).fill(height),
+    stateIds: new Array(256).fill(stateId),
+    biomes: new Array(256).fill(1)
+  }
+  for (const [cell, [cellHeight, cellState]] of Object.entries(cells)) {
+    heightmap.heights[cell] = cellHeight
+    heightmap.stateIds[cell] = cellState
+  }
+  return heightmap
+}
+
+// Normal of the first triangle of each quad, from its winding
+function windingNormals (geometry) {
+  const { positions, indices } = geometry
+  const normals = []
+  for (let i = 0; i < indices.length; i += 6) {
+    const [a, b, c] = [indices[i], indices[i + 1], indices[i + 2]].map(index => Array.from(positions.slice(index * 3, index * 3 + 3)))
+    const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]]
+    const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]]
+    normals.push([u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]].map(Math.sign))
+  }
+  return normals
+}
+
+describe('level of detail', () => {
+  describe('getAverageColor', () => {
+    it('should average the visible texels', () => {
+      expect(getAverageColor([255, 0, 0, 255, 0, 0, 255, 255, 0, 255, 0, 0])).toEqual([0.5, 0, 0.5])
+      expect(getAverageColor([255, 255, 255, 0])).toBeNull()
+    })
+  })
+
+  describe('getColumnHeightmap', () => {
+    it('should find the top block of each cell', () => {
+      const chunk = new Chunk()
+      chunk.setBlockStateId(new Vec3(0, 10, 0), mcData.blocksByName.stone.defaultState)
+      chunk.setBlockStateId(new Vec3(0, 70, 0), mcData.blocksByName.grass_block.defaultState)
+      chunk.setBlockStateId(new Vec3(3, 5, 2), mcData.blocksByName.water.defaultState)
+      chunk.setBiome(new Vec3(3, 5, 2), 6)
+
+      const { heights, stateIds, biomes } = getColumnHeightmap(chunk)
+      expect(heights[0]).toBe(70)
+      expect(stateIds[0]).toBe(mcData.blocksByName.grass_block.defaultState)
+      expect(heights[2 * 16 + 3]).toBe(5)
+      expect(stateIds[2 * 16 + 3]).toBe(mcData.blocksByName.water.defaultState)
+      expect(biomes[2 * 16 + 3]).toBe(6)
+      expect(stateIds[1]).toBe(0)
+      expect(heights[1]).toBe(-1)
+    })
+  })
+
+  describe('getLodGeometry', () => {
+    const white = [1, 1, 1]
+
+    it('should merge the tops of a flat column into one quad', () => {
+      const geometry = getLodGeometry(flatHeightmap(63, 1), () => white)
+      expect(geometry.positions.length / 3).toBe(4)
+      expect(Math.min(...geometry.positions)).toBe(0)
+      expect(Math.max(...geometry.positions)).toBe(64)
+      expect(windingNormals(geometry)).toEqual([[0, 1, 0]])
+    })
+
+    it('should draw walls facing out where a cell is higher', () => {
+      const geometry = getLodGeometry(flatHeightmap(63, 1, { [5 * 16 + 5]: [66, 1] }), () => white)
+      const normals = windingNormals(geometry)
+      // The rest of the column, the top of the high cell and its 4 walls
+      expect(normals.filter(([, y]) => y === 1)).toHaveLength(normals.length - 4)
+      expect(normals.filter(([, y]) => y === 0)).toEqual(expect.arrayContaining([[1, 0, 0], [-1, 0, 0], [0, 0, 1], [0, 0, -1]]))
+      const wall = geometry.normals.findIndex((value, i) => i % 3 === 0 && value === 1) / 3
+      expect(geometry.colors[wall * 3]).toBeCloseTo(0.6)
+    })
+
+    it('should skip the cells without color', () => {
+      const geometry = getLodGeometry(flatHeightmap(63, 0), () => white)
+      expect(geometry.indices).toHaveLength(0)
+      const barriers = getLodGeometry(flatHeightmap(63, 1), () => null)
+      expect(barriers.indices).toHaveLength(0)
+    })
+  })
+
+  describe('getBlockTopColor', () => {
+    const texture = (color) => ({ u: 0, v: 0, su: 0.25, sv: 0.25, color })
+    const blocksStates = {
+      grass_block: {
+        variants: {
+          'snowy=false': {
+            model: {
+              textures: {},
+              elements: [
+                { from: [0, 0, 0], to: [16, 16, 16], faces: { up: { texture: texture([0.5, 0.5, 0.5]), tintindex: 0 }, north: { texture: texture([1, 0, 0]) } } }
+              ]
+            }
+          }
+        }
+      },
+      water: { variants: { '': { model: { textures: { particle: texture([0.2, 0.4, 0.8]) }, elements: [] } } } }
+    }
+
+    it('should tint the average color of the top texture', () => {
+      const grass = Block.fromStateId(mcData.blocksByName.grass_block.defaultState, 1)
+      const color = getBlockTopColor(grass, blocksStates, 'plains')
+      expect(color[1]).toBeGreaterThan(color[0])
+      expect(color[1]).toBeLessThan(0.5)
+    })
+
+    it('should use the liquid texture and no color for blocks without model', () => {
+      const water = Block.fromStateId(mcData.blocksByName.water.defaultState, 1)
+      expect(getBlockTopColor(water, blocksStates, 'plains')[2]).toBeGreaterThan(0)
+      const stone = Block.fromStateId(mcData.blocksByName.stone.defaultState, 1)
+      expect(getBlockTopColor(stone, {}, 'plains')).toBeNull()
+    })
+  })
+
+  describe('WorldView', () => {
+    // World where every column is loaded, except the given ones
+    function worldView (viewDistance, lodDistance, missing = []) {
+      const chunk = new Chunk()
+      chunk.setBlockStateId(new Vec3(0, 64, 0), mcData.blocksByName.stone.defaultState)
+      const world = {
+        getColumnAt: async (pos) => missing.includes(`${pos.x},${pos.z}`) ? null : chunk
+      }
+      const emitter = new EventEmitter()
+      const events = []
+      for (const type of ['loadChunk', 'unloadChunk', 'loadLodChunk', 'unloadLodChunk']) {
+        emitter.on(type, ({ x, z }) => events.push(`${type} ${x / 16},${z / 16}`))
+      }
+      return { view: new WorldView(world, viewDistance, new Vec3(0, 0, 0), emitter, lodDistance), events }
+    }
+
+    it('should send the columns past the view distance as heightmaps', async () => {
+      const { view, events } = worldView(2, 4)
+      await view.init(new Vec3(0, 0, 0))
+      expect(events.filter(event => event.startsWith('loadChunk'))).toHaveLength(3 * 3)
+      expect(events.filter(event => event.startsWith('loadLodChunk'))).toHaveLength(7 * 7 - 3 * 3)
+      expect(events).toContain('loadLodChunk 3,-3')
+      expect(events).not.toContain('loadLodChunk 4,0')
+    })
+
+    it('should switch the columns between full and low detail as the position moves', async () => {
+      const { view, events } = worldView(2, 4)
+      await view.init(new Vec3(0, 0, 0))
+      events.length = 0
+      await view.updatePosition(new Vec3(16, 0, 0))
+
+      expect(events).toContain('unloadChunk -1,0')
+      expect(events).toContain('loadLodChunk -1,0')
+      expect(events).toContain('unloadLodChunk 2,0')
+      expect(events.indexOf('unloadLodChunk 2,0')).toBeLessThan(events.indexOf('loadChunk 2,0'))
+      expect(events).toContain('unloadLodChunk -3,0')
+      expect(events).toContain('loadLodChunk 4,0')
+      // Columns staying far are not sent again
+      expect(events).not.toContain('loadLodChunk 3,3')
+    })
+
+    it('should keep drawing the columns unloaded from the world', async () => {
+      const missing = []
+      const { view, events } = worldView(2, 4, missing)
+      await view.init(new Vec3(0, 0, 0))
+      missing.push('16,0', '48,0')
+      events.length = 0
+      await view.updatePosition(new Vec3(-32, 0, 0))
+      await view.updatePosition(new Vec3(0, 0, 0))
+
+      expect(events).toContain('loadLodChunk 3,0')
+      expect(events).not.toContain('loadChunk 1,0')
+      expect(events).toContain('loadLodChunk 1,0')
+    })
+
+    it('should not send heightmaps without a LOD distance', async () => {
+      const { view, events } = worldView(2, 0)
+      await view.init(new Vec3(0, 0, 0))
+      expect(events).toHaveLength(3 * 3)
+    })
+  })
+
+  it('should validate the far columns sent to the viewers', () => {
+    const heightmap = flatHeightmap(63, 1)
+    expect(validateMessage('loadLodChunk', { x: 16, z: -32, ...heightmap }).valid).toBe(true)
+    expect(validateMessage('loadLodChunk', { x: 16, z: -32, heights: heightmap.heights }).valid).toBe(false)
+  })
+})
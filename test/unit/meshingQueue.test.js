@@ -0,0 +1,175 @@
+/* eslint-env jest */
+const { MeshingQueue, MeshingScheduler } = require('../../viewer/lib/meshingQueue')
+
+// Records the messages it is sent
+class FakeWorker {
+  constructor () {
+    this.messages = []
+  }
+
+  postMessage (message) {
+    this.messages.push(message)
+  }
+}
+
+describe('meshing queue', () => {
+  describe('MeshingQueue', () => {
+    it('should keep the sections ordered by priority, in queue order for the same priority', () => {
+      const queue = new MeshingQueue((x) => Math.abs(x))
+      queue.add('32,0,0', 32, 0, 0)
+      queue.add('-16,0,0', -16, 0, 0)
+      queue.add('16,0,0', 16, 0, 0)
+      expect(queue.add('16,0,0', 16, 0, 0)).toBe(false)
+      expect(queue.entries().map(({ key }) => key)).toEqual(['-16,0,0', '16,0,0', '32,0,0'])
+    })
+
+    it('should sort the sections again for a new priority', () => {
+      let center = 0
+      const queue = new MeshingQueue((x) => Math.abs(x - center))
+      for (const x of [0, 16, 32, 48]) queue.add(`${x},0,0`, x, 0, 0)
+      center = 48
+      queue.sort()
+      expect(queue.entries().map(({ x }) => x)).toEqual([48, 32, 16, 0])
+    })
+
+    it('should remove the sections of a column', () => {
+      const queue = new MeshingQueue()
+      queue.add('0,0,0', 0, 0, 0)
+      queue.add('0,16,0', 0, 16, 0)
+      queue.add('16,0,0', 16, 0, 0)
+      expect(queue.deleteColumn(0, 0)).toEqual(['0,0,0', '0,16,0'])
+      expect(queue.size).toBe(1)
+      expect(queue.entries().map(({ key }) => key)).toEqual(['16,0,0'])
+    })
+  })
+
+  describe('MeshingScheduler', () => {
+    // Scheduler of workers recording their messages, with sections of a single column per key along x
+    function scheduler (numWorkers, getPriority) {
+      const meshing = new MeshingScheduler(getPriority, 2)
+      for (let i = 0; i < numWorkers; i++) meshing.addWorker(new FakeWorker())
+      return meshing
+    }
+
+    function addColumns (meshing, xs, z = 0) {
+      for (const x of xs) {
+        meshing.addColumn(x, z, {})
+        meshing.add(`${x},0,${z}`, x, 0, z)
+      }
+    }
+
+    const messages = (worker, type) => worker.messages.filter(message => message.type === type)
+
+    it('should give each section to one worker with the columns it needs', () => {
+      const meshing = scheduler(2)
+      addColumns(meshing, [0, 16, 160])
+      meshing.dispatch()
+
+      const [first, second] = meshing.workers
+      // Neighbour sections go to the worker holding their columns
+      expect(messages(first, 'dirty').map(({ x }) => x)).toEqual([0, 16])
+      expect(messages(first, 'chunk').map(({ x }) => x)).toEqual([0, 16])
+      expect(messages(second, 'dirty').map(({ x }) => x)).toEqual([160])
+      expect(messages(second, 'chunk').map(({ x }) => x)).toEqual([160])
+    })
+
+    it('should mesh the most urgent sections first, as slots free up', () => {
+      const meshing = scheduler(1, (x) => Math.abs(x - 320))
+      addColumns(meshing, [0, 64, 128, 192, 256, 320])
+      meshing.dispatch()
+
+      const [worker] = meshing.workers
+      expect(messages(worker, 'dirty').map(({ x }) => x)).toEqual([320, 256])
+      meshing.finish(0, '320,0,0')
+      expect(messages(worker, 'dirty').map(({ x }) => x)).toEqual([320, 256, 192])
+    })
+
+    it('should send a section again once its worker is done with it', () => {
+      const meshing = scheduler(2)
+      addColumns(meshing, [0])
+      meshing.dispatch()
+      meshing.add('0,0,0', 0, 0, 0)
+      meshing.dispatch()
+      expect(meshing.workers.flatMap(worker => messages(worker, 'dirty'))).toHaveLength(1)
+
+      meshing.finish(0, '0,0,0')
+      expect(messages(meshing.workers[0], 'dirty')).toHaveLength(2)
+      expect(meshing.isPending('0,0,0')).toBe(true)
+    })
+
+    it('should send the block updates to the workers holding the column', () => {
+      const meshing = scheduler(2)
+      addColumns(meshing, [0, 160])
+      meshing.dispatch()
+      const pos = { x: 161, y: 5, z: 3 }
+      meshing.setBlockStateId(pos, 1)
+      expect(messages(meshing.workers[0], 'blockUpdate')).toHaveLength(0)
+      expect(messages(meshing.workers[1], 'blockUpdate')).toEqual([{ type: 'blockUpdate', pos, stateId: 1 }])
+    })
+
+    it('should replay the block updates to the workers a column is sent to later', () => {
+      const meshing = scheduler(1)
+      meshing.addColumn(0, 0, {})
+      meshing.setBlockStateId({ x: 1, y: 2, z: 3 }, 1)
+      const [worker] = meshing.workers
+      expect(worker.messages).toHaveLength(0)
+
+      meshing.add('0,0,0', 0, 0, 0)
+      meshing.dispatch()
+      expect(worker.messages.map(({ type }) => type)).toEqual(['chunk', 'blockUpdate', 'dirty'])
+    })
+
+    it('should keep a few block updates per column, then take the column back from a worker', () => {
+      const meshing = new MeshingScheduler(undefined, 2, false, 2)
+      meshing.addWorker(new FakeWorker())
+      meshing.addWorker(new FakeWorker())
+      meshing.addColumn(0, 0, 'old')
+      const [first, second] = meshing.workers
+      meshing.setBlockStateId({ x: 1, y: 2, z: 3 }, 1)
+      meshing.setBlockStateId({ x: 1, y: 3, z: 3 }, 2)
+
+      // No worker holds the column, one is given it to send it back
+      expect(first.messages.map(({ type }) => type)).toEqual(['chunk', 'blockUpdate', 'blockUpdate', 'chunkSnapshot'])
+      const { id } = messages(first, 'chunkSnapshot')[0]
+      meshing.setBlockStateId({ x: 1, y: 4, z: 3 }, 3)
+      expect(messages(first, 'blockUpdate')).toHaveLength(3)
+      expect(messages(first, 'chunkSnapshot')).toHaveLength(1)
+
+      // The updates sent after the request are kept
+      meshing.setColumnSnapshot({ x: 0, z: 0, id, chunk: 'new' })
+      expect(meshing.columns.get('0,0').blockUpdates).toEqual([{ pos: { x: 1, y: 4, z: 3 }, stateId: 3 }])
+      // Given to a worker meshing a neighbour section
+      meshing._sendColumns(1, 16, 0)
+      expect(second.messages).toEqual([
+        { type: 'chunk', x: 0, z: 0, chunk: 'new' },
+        { type: 'blockUpdate', pos: { x: 1, y: 4, z: 3 }, stateId: 3 }
+      ])
+    })
+
+    it('should drop the snapshots of replaced columns', () => {
+      const meshing = new MeshingScheduler(undefined, 2, false, 1)
+      meshing.addWorker(new FakeWorker())
+      meshing.addColumn(0, 0, 'old')
+      meshing.setBlockStateId({ x: 1, y: 2, z: 3 }, 1)
+      const { id } = messages(meshing.workers[0], 'chunkSnapshot')[0]
+      meshing.addColumn(0, 0, 'sent again')
+      meshing.setColumnSnapshot({ x: 0, z: 0, id, chunk: 'new' })
+      expect(meshing.columns.get('0,0').chunk).toBe('sent again')
+    })
+
+    it('should cancel the queued sections of removed columns', () => {
+      const meshing = scheduler(1)
+      addColumns(meshing, [0, 16, 32, 48])
+      meshing.dispatch()
+
+      const [worker] = meshing.workers
+      expect(meshing.removeColumn(32, 0)).toEqual(['32,0,0'])
+      // Column 32 was sent as a neighbour of section 16
+      expect(messages(worker, 'unloadChunk')).toEqual([{ type: 'unloadChunk', x: 32, z: 0 }])
+      meshing.finish(0, '0,0,0')
+      meshing.finish(0, '16,0,0')
+      expect(messages(worker, 'dirty').map(({ x }) => x)).toEqual([0, 16, 48])
+      expect(meshing.isPending('32,0,0')).toBe(false)
+    })
+  })
+})
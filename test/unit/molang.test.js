@@ -0,0 +1,65 @@
+/* eslint-env jest */
+const { evaluateMolang } = require('../../viewer/lib/entity/molang')
+
+function context (values = {}) {
+  return { query: {}, variable: {}, temp: {}, this: 0, ...values }
+}
+
+describe('molang', () => {
+  it('should evaluate arithmetic with precedence', () => {
+    expect(evaluateMolang('1 + 2 * 3 - 4 / 2', context())).toBe(5)
+    expect(evaluateMolang('(1 + 2) * -3', context())).toBe(-9)
+    expect(evaluateMolang('0.5f * 2', context())).toBe(1)
+    expect(evaluateMolang(42, context())).toBe(42)
+  })
+
+  it('should use degrees for trigonometry', () => {
+    expect(evaluateMolang('math.sin(90)', context())).toBeCloseTo(1)
+    expect(evaluateMolang('Math.cos(180)', context())).toBeCloseTo(-1)
+  })
+
+  it('should support math functions', () => {
+    expect(evaluateMolang('math.lerp(0, 10, 0.25)', context())).toBe(2.5)
+    expect(evaluateMolang('math.clamp(5, 0, 1)', context())).toBe(1)
+    expect(evaluateMolang('math.pow(2, 3) + math.sqrt(4)', context())).toBe(10)
+    expect(evaluateMolang('math.mod(7, 3)', context())).toBe(1)
+  })
+
+  it('should read queries, variables and this', () => {
+    const ctx = context({ query: { life_time: 2 }, variable: { swim_amount: 0.5 }, this: 10 })
+    expect(evaluateMolang('query.life_time * 2', ctx)).toBe(4)
+    expect(evaluateMolang('q.life_time + v.swim_amount', ctx)).toBe(2.5)
+    expect(evaluateMolang('-this - 10', ctx)).toBe(-20)
+  })
+
+  it('should treat unknown names as 0', () => {
+    expect(evaluateMolang('query.is_baby', context())).toBe(0)
+    expect(evaluateMolang('!query.is_gliding', context())).toBe(1)
+    expect(evaluateMolang('math.unknown(3)', context())).toBe(0)
+  })
+
+  it('should evaluate comparisons, logic and conditionals', () => {
+    const ctx = context({ variable: { a: 1 } })
+    expect(evaluateMolang('variable.a == 1 && variable.b < 1', ctx)).toBe(1)
+    expect(evaluateMolang('variable.b || variable.c', ctx)).toBe(0)
+    expect(evaluateMolang('variable.a ? 2 : 3', ctx)).toBe(2)
+    expect(evaluateMolang('variable.b ? 2', ctx)).toBe(0)
+  })
+
+  it('should call query functions and compare strings', () => {
+    const ctx = context({ query: { get_equipped_item_name: () => 'map' } })
+    expect(evaluateMolang("query.get_equipped_item_name(0, 1) == 'map'", ctx)).toBe(1)
+  })
+
+  it('should run statements with assignments and return', () => {
+    const ctx = context()
+    expect(evaluateMolang('variable.x = 2; variable.y = variable.x * 3; return variable.y > 5;', ctx)).toBe(1)
+    expect(ctx.variable).toEqual({ x: 2, y: 6 })
+    expect(evaluateMolang('variable.z = 1;', ctx)).toBe(0)
+    expect(ctx.variable.z).toBe(1)
+  })
+
+  it('should evaluate invalid expressions to 0', () => {
+    expect(evaluateMolang('(1 + ', context())).toBe(0)
+  })
+})
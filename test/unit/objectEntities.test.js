@@ -0,0 +1,154 @@
+/* eslint-env jest */
+const EventEmitter = require('events')
+const THREE = require('three')
+global.THREE = THREE
+const { Vec3 } = require('vec3')
+const mcData = require('minecraft-data')
+const { WorldView } = require('../../viewer/lib/worldView')
+const { World } = require('../../viewer/lib/world')
+const { getBlockGeometry } = require('../../viewer/lib/models')
+const ObjectEntity = require('../../viewer/lib/entity/ObjectEntity')
+
+function createBot (version, blockStateId = true) {
+  const bot = new EventEmitter()
+  bot.username = 'bot'
+  bot.entity = { id: 0 }
+  bot.entities = {}
+  bot.players = {}
+  bot.registry = mcData(version)
+  bot.supportFeature = (feature) => feature === 'blockStateId' ? blockStateId : false
+  bot._client = new EventEmitter()
+  return bot
+}
+
+function listen (bot) {
+  const worldView = new WorldView(null, 2)
+  const packets = []
+  worldView.on('entity', (e) => packets.push(e))
+  worldView.listenToBot(bot)
+  return { worldView, packets }
+}
+
+describe('object entities', () => {
+  describe('WorldView', () => {
+    it('should send the item of dropped items', () => {
+      const bot = createBot('1.16.4')
+      const { packets } = listen(bot)
+      const diamond = bot.registry.itemsByName.diamond
+      const entity = { id: 5, name: 'item', position: new Vec3(0, 64, 0), metadata: { 7: { present: true, itemId: diamond.id, itemCount: 3 } } }
+      bot.emit('entitySpawn', entity)
+      expect(packets[0].item).toEqual({ id: diamond.id, name: 'diamond', count: 3 })
+
+      // Metadata updates only send the item when it changed
+      bot.emit('entityUpdate', entity)
+      expect(packets).toHaveLength(1)
+      entity.metadata[7] = { present: false }
+      bot.emit('entityUpdate', entity)
+      expect(packets[1]).toEqual({ id: 5, item: null })
+    })
+
+    it('should not send items of other entities', () => {
+      const bot = createBot('1.16.4')
+      const { packets } = listen(bot)
+      bot.emit('entitySpawn', { id: 6, name: 'zombie', position: new Vec3(0, 64, 0), metadata: { 7: { present: true, itemId: 1, itemCount: 1 } } })
+      expect(packets[0].item).toBeUndefined()
+    })
+
+    it('should send the block of falling blocks from the spawn packet', () => {
+      const bot = createBot('1.16.4')
+      const { packets } = listen(bot)
+      bot.entities[7] = { id: 7, name: 'falling_block', position: new Vec3(0, 64, 0) }
+      bot._client.emit('spawn_entity', { entityId: 7, objectData: 1 })
+      expect(packets[0]).toEqual({ id: 7, blockStateId: 1 })
+
+      // Viewers connecting later get it with the spawn
+      const later = listen(bot)
+      expect(later.packets[0].blockStateId).toBe(1)
+    })
+
+    it('should convert the spawn data of older versions', () => {
+      const bot = createBot('1.8.8', false)
+      const { packets } = listen(bot)
+      bot.entities[8] = { id: 8, name: 'FallingSand', position: new Vec3(0, 64, 0) }
+      bot._client.emit('spawn_entity', { entityId: 8, objectData: { intField: 12 | (1 << 12) } })
+      expect(packets[0].blockStateId).toBe((12 << 4) | 1)
+
+      bot.entities[9] = { id: 9, name: 'ItemFrame', position: new Vec3(0, 64, 0) }
+      bot._client.emit('spawn_entity', { entityId: 9, objectData: { intField: 2 } })
+      expect(packets[1].facing).toBe('north')
+    })
+
+    it('should stop listening to the client', () => {
+      const bot = createBot('1.16.4')
+      const { worldView } = listen(bot)
+      worldView.removeListenersFromBot(bot)
+      expect(bot._client.listenerCount('spawn_entity')).toBe(0)
+    })
+  })
+
+  describe('getBlockGeometry', () => {
+    it('should build a single block spanning 0 to 1', () => {
+      const world = new World('1.16.4')
+      const tex = { u: 0, v: 0, su: 1 / 16, sv: 1 / 16 }
+      const faces = {}
+      for (const face of ['up', 'down', 'north', 'south', 'east', 'west']) faces[face] = { texture: tex, cullface: face }
+      const blocksStates = { stone: { variants: { '': { model: { ao: true, elements: [{ from: [0, 0, 0], to: [16, 16, 16], faces }] } } } } }
+
+      const geometry = getBlockGeometry(world.Block.fromStateId(mcData('1.16.4').blocksByName.stone.defaultState, 0), blocksStates)
+      expect(geometry.positions.length / 3).toBe(24)
+      expect(Math.min(...geometry.positions)).toBe(0)
+      expect(Math.max(...geometry.positions)).toBe(1)
+    })
+  })
+
+  describe('ObjectEntity', () => {
+    const items = { sprites: { diamond: { u: 0.5, v: 0.25, su: 0.125, sv: 0.125 }, item_frame: { u: 0, v: 0, su: 0.125, sv: 0.125 } } }
+
+    it('should only handle entities without a model', () => {
+      expect(ObjectEntity.getKind('item')).toBe('item')
+      expect(ObjectEntity.getKind('FallingSand')).toBe('block')
+      expect(ObjectEntity.getKind('glow_item_frame')).toBe('frame')
+      expect(ObjectEntity.getKind('zombie')).toBeUndefined()
+    })
+
+    it('should draw dropped items with their atlas sprite', () => {
+      const entity = new ObjectEntity('item')
+      entity.setItem({ name: 'diamond' }, items)
+      const uvs = Array.from(entity.itemMesh.geometry.attributes.uv.array)
+      expect(Math.min(...uvs.filter((_, i) => i % 2 === 0))).toBe(0.5)
+      expect(Math.max(...uvs.filter((_, i) => i % 2 === 1))).toBe(0.375)
+
+      entity.animate(1)
+      expect(entity.content.position.y).toBeGreaterThanOrEqual(0)
+      entity.dispose()
+    })
+
+    it('should move the sprites with the atlas of a resource pack', () => {
+      const worldRenderer = { currentTexture: new THREE.Texture(), atlas: null }
+      const entity = new ObjectEntity('item', worldRenderer)
+      entity.setItem({ name: 'diamond' }, { ...items, textures: { diamond: 'textures/1.16.4/items/diamond.png' } })
+      expect(entity.itemMesh.geometry.attributes.uv.getX(0)).toBe(0.5)
+
+      worldRenderer.currentTexture = new THREE.Texture()
+      worldRenderer.atlas = { textures: { 'items/diamond': { u: 0.25, v: 0, su: 0.125, sv: 0.125 } } }
+      entity.animate(0)
+      expect(entity.material.map).toBe(worldRenderer.currentTexture)
+      expect(entity.itemMesh.geometry.attributes.uv.getX(0)).toBe(0.25)
+      entity.dispose()
+    })
+
+    it('should draw item frames facing their wall', () => {
+      const entity = new ObjectEntity('item_frame')
+      entity.setItem(null, items)
+      expect(entity.frameMesh).not.toBeNull()
+      expect(entity.itemMesh).toBeNull()
+
+      entity.setFacing('east')
+      const normal = new THREE.Vector3(0, 0, 1).applyEuler(entity.content.rotation)
+      expect(normal.x).toBeCloseTo(1)
+      entity.setFacing('up')
+      normal.set(0, 0, 1).applyEuler(entity.content.rotation)
+      expect(normal.y).toBeCloseTo(1)
+    })
+  })
+})
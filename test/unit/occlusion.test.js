@@ -0,0 +1,107 @@
+/* eslint-env jest */
+const { Vec3 } = require('vec3')
+const { World } = require('../../viewer/lib/world')
+const { getSectionGeometry } = require('../../viewer/lib/models')
+const { ALL_VISIBLE, canSee, getSectionVisibility, findVisibleSections } = require('../../viewer/lib/occlusion')
+
+const DOWN = 0
+const UP = 1
+const NORTH = 2
+const SOUTH = 3
+const WEST = 4
+const EAST = 5
+
+// Opaque blocks of a section where fill(x, y, z) is true
+function section (fill) {
+  const opaque = new Uint8Array(4096)
+  for (let y = 0; y < 16; y++) {
+    for (let z = 0; z < 16; z++) {
+      for (let x = 0; x < 16; x++) {
+        if (fill(x, y, z)) opaque[(y * 16 + z) * 16 + x] = 1
+      }
+    }
+  }
+  return opaque
+}
+
+describe('occlusion culling', () => {
+  describe('getSectionVisibility', () => {
+    it('should connect every face of empty sections and none of full sections', () => {
+      expect(getSectionVisibility(section(() => false))).toBe(ALL_VISIBLE)
+      expect(getSectionVisibility(section(() => true))).toBe(0)
+    })
+
+    it('should split the faces on each side of a floor', () => {
+      const visibility = getSectionVisibility(section((x, y) => y === 8))
+      expect(canSee(visibility, UP, NORTH)).toBe(true)
+      expect(canSee(visibility, DOWN, WEST)).toBe(true)
+      expect(canSee(visibility, NORTH, SOUTH)).toBe(true)
+      expect(canSee(visibility, UP, DOWN)).toBe(false)
+    })
+
+    it('should connect the ends of a tunnel', () => {
+      const visibility = getSectionVisibility(section((x, y, z) => !(y === 4 && z === 4)))
+      expect(canSee(visibility, WEST, EAST)).toBe(true)
+      expect(canSee(visibility, UP, WEST)).toBe(false)
+    })
+  })
+
+  describe('findVisibleSections', () => {
+    // Columns of 4 sections from y = 0, x and z from -2 to 2, solid ground below y = 32
+    function getVisibility (overrides = {}) {
+      return (x, y, z) => {
+        if (Math.abs(x / 16) > 2 || Math.abs(z / 16) > 2 || y < 0 || y >= 64) return null
+        const key = `${x},${y},${z}`
+        if (key in overrides) return overrides[key]
+        return y >= 32 ? ALL_VISIBLE : 0
+      }
+    }
+
+    it('should hide the sections under solid ground', () => {
+      const visible = findVisibleSections({ x: 0, y: 32, z: 0 }, getVisibility())
+      expect(visible.has('0,48,0')).toBe(true)
+      expect(visible.has('32,32,-32')).toBe(true)
+      // The top of the ground is seen, not what is below
+      expect(visible.has('0,16,0')).toBe(true)
+      expect(visible.has('16,16,16')).toBe(true)
+      expect(visible.has('0,0,0')).toBe(false)
+      expect(visible.has('48,32,0')).toBe(false)
+    })
+
+    it('should see down a shaft', () => {
+      const shaft = getSectionVisibility(section((x, y, z) => x !== 8 || z !== 8))
+      const visible = findVisibleSections({ x: 0, y: 32, z: 0 }, getVisibility({ '0,16,0': shaft }))
+      expect(visible.has('0,0,0')).toBe(true)
+      expect(visible.has('16,0,0')).toBe(false)
+    })
+
+    it('should see out of the camera section, whatever its blocks', () => {
+      const visible = findVisibleSections({ x: 0, y: 0, z: 0 }, getVisibility())
+      expect(visible.has('16,0,0')).toBe(true)
+      expect(visible.has('0,16,0')).toBe(true)
+      expect(visible.has('32,0,0')).toBe(false)
+    })
+
+    it('should not cull from a camera outside of the loaded columns', () => {
+      expect(findVisibleSections({ x: 160, y: 32, z: 0 }, getVisibility())).toBeNull()
+    })
+  })
+
+  it('should find the visibility of the meshed sections', () => {
+    const version = '1.16.4'
+    const mcData = require('minecraft-data')(version)
+    const Chunk = require('prismarine-chunk')(version)
+    const chunk = new Chunk({ minY: 0, worldHeight: 256 })
+    for (let x = 0; x < 16; x++) {
+      for (let z = 0; z < 16; z++) {
+        chunk.setBlockStateId(new Vec3(x, 70, z), mcData.blocksByName.stone.defaultState)
+      }
+    }
+    const world = new World(version)
+    world.addColumn(0, 0, chunk.toJson())
+
+    const { visibility } = getSectionGeometry(0, 64, 0, world, {})
+    expect(canSee(visibility, NORTH, UP)).toBe(true)
+    expect(canSee(visibility, UP, DOWN)).toBe(false)
+  })
+})
@@ -0,0 +1,49 @@
+/* eslint-env jest */
+const { PointBuffer } = require('../../viewer/lib/pointBuffer')
+
+const point = (x, y = 64, z = 0) => ({ x, y, z })
+
+describe('PointBuffer', () => {
+  it('should append points in place until it grows', () => {
+    const buffer = new PointBuffer(1, [point(0), point(1)])
+    const array = buffer.array
+    buffer.takeDirtyRange()
+
+    expect(buffer.append([point(2)])).toBe(false)
+    expect(buffer.array).toBe(array)
+    expect(Array.from(buffer.array.subarray(6, 9))).toEqual([2, 64, 0])
+    expect(buffer.takeDirtyRange()).toEqual({ offset: 6, count: 3 })
+    expect(buffer.takeDirtyRange()).toBeNull()
+
+    expect(buffer.append(Array.from({ length: 20 }, (_, i) => point(i + 3)))).toBe(true)
+    expect(buffer.pointCount).toBe(23)
+    expect(buffer.array.length).toBe(32 * 3)
+    expect(buffer.getPoints()[22]).toEqual(point(22))
+  })
+
+  it('should remove points by moving the last one in their place', () => {
+    const buffer = new PointBuffer(1, [point(0), point(1), point(2), point(1)])
+    buffer.takeDirtyRange()
+
+    expect(buffer.remove([point(0), point(5)])).toBe(1)
+    expect(buffer.getPoints()).toEqual([point(1), point(1), point(2)])
+    expect(Array.from(buffer.array.subarray(0, 3))).toEqual([1, 64, 0])
+    expect(buffer.takeDirtyRange()).toEqual({ offset: 0, count: 3 })
+
+    // Duplicates are removed one by one
+    buffer.remove([point(1)])
+    buffer.remove([point(1)])
+    expect(buffer.getPoints()).toEqual([point(2)])
+    expect(buffer.remove([point(1)])).toBe(0)
+  })
+
+  it('should keep line segments as pairs of points', () => {
+    const buffer = new PointBuffer(2, [point(0), point(1), point(1), point(2)])
+    expect(buffer.count).toBe(2)
+    expect(buffer.remove([point(0), point(1)])).toBe(1)
+    expect(buffer.getPoints()).toEqual([point(1), point(2)])
+    expect(Array.from(buffer.array.subarray(0, 6))).toEqual([1, 64, 0, 2, 64, 0])
+    // The same points in the other order are another segment
+    expect(buffer.remove([point(2), point(1)])).toBe(0)
+  })
+})
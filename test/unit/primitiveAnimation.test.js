@@ -0,0 +1,29 @@
+/* eslint-env jest */
+const { isAnimated, getPrimitiveState } = require('../../viewer/lib/primitiveAnimation')
+
+describe('primitive animation', () => {
+  it('should tell the primitives that change over time', () => {
+    expect(isAnimated({ id: 'a', type: 'line' })).toBe(false)
+    expect(isAnimated({ id: 'a', type: 'box', ttl: 1000 })).toBe(true)
+    expect(isAnimated({ id: 'a', type: 'box', follow: 0 })).toBe(true)
+  })
+
+  it('should expire the primitives after their ttl', () => {
+    expect(getPrimitiveState({}, 1e9)).toEqual({ expired: false, visible: true, opacity: 1 })
+    expect(getPrimitiveState({ ttl: 1000 }, 999)).toEqual({ expired: false, visible: true, opacity: 1 })
+    expect(getPrimitiveState({ ttl: 1000 }, 1000).expired).toBe(true)
+  })
+
+  it('should fade the primitives out at the end of their ttl', () => {
+    expect(getPrimitiveState({ ttl: 1000, fade: 500 }, 250).opacity).toBe(1)
+    expect(getPrimitiveState({ ttl: 1000, fade: 500 }, 750).opacity).toBe(0.5)
+    // Without ttl, from the start
+    expect(getPrimitiveState({ fade: 400 }, 100).opacity).toBe(0.75)
+    expect(getPrimitiveState({ fade: 400 }, 400).expired).toBe(true)
+  })
+
+  it('should blink the primitives', () => {
+    const blink = [0, 249, 250, 499, 500].map(age => getPrimitiveState({ blink: 500 }, age).visible)
+    expect(blink).toEqual([true, true, false, false, true])
+  })
+})
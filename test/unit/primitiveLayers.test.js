@@ -0,0 +1,68 @@
+/* eslint-env jest */
+const THREE = require('three')
+const { PrimitiveLayers } = require('../../viewer/lib/primitiveLayers')
+
+function mesh (opacity = 1) {
+  const transparent = opacity < 1
+  return new THREE.Mesh(new THREE.BufferGeometry(), new THREE.MeshBasicMaterial({ opacity, transparent, depthWrite: !transparent }))
+}
+
+describe('PrimitiveLayers', () => {
+  it('should group the primitives by layer in the scene', () => {
+    const scene = new THREE.Scene()
+    const layers = new PrimitiveLayers(scene)
+    const updates = jest.fn()
+    layers.on('update', updates)
+
+    layers.add('path', mesh())
+    layers.add('path', mesh())
+    const target = mesh()
+    layers.add(undefined, target)
+    layers.set({ name: 'debug', order: 2 })
+    expect(scene.children).toHaveLength(3)
+    expect(layers.list().map(({ name, count }) => [name, count])).toEqual([['default', 1], ['path', 2], ['debug', 0]])
+
+    layers.remove(target)
+    expect(layers.get().group.children).toHaveLength(0)
+    expect(updates).toHaveBeenCalledTimes(5)
+
+    layers.clear()
+    expect(scene.children).toHaveLength(0)
+    expect(layers.list()).toEqual([])
+  })
+
+  it('should apply the visibility, opacity and order of the layer to its primitives', () => {
+    const layers = new PrimitiveLayers(new THREE.Scene())
+    const opaque = mesh()
+    const translucent = mesh(0.5)
+    layers.add('targets', opaque)
+    layers.add('targets', translucent)
+    expect(opaque.renderOrder).toBe(1)
+
+    layers.set({ name: 'targets', visible: false, opacity: 0.5, order: 3 })
+    expect(layers.get('targets').group.visible).toBe(false)
+    expect(opaque.renderOrder).toBe(4)
+    expect(opaque.material.opacity).toBe(0.5)
+    expect(opaque.material.transparent).toBe(true)
+    expect(opaque.material.depthWrite).toBe(false)
+    expect(translucent.material.opacity).toBe(0.25)
+
+    // The settings not given are kept
+    layers.set({ name: 'targets', opacity: 1 })
+    expect(layers.list()[0]).toEqual({ name: 'targets', visible: false, opacity: 1, order: 3, count: 2 })
+    expect(opaque.material.transparent).toBe(false)
+    expect(opaque.material.depthWrite).toBe(true)
+    expect(translucent.material.opacity).toBe(0.5)
+  })
+
+  it('should fade a primitive with its layer', () => {
+    const layers = new PrimitiveLayers(new THREE.Scene())
+    const primitive = mesh(0.8)
+    layers.add('targets', primitive)
+    layers.setOpacity(primitive, 0.5)
+    expect(primitive.material.opacity).toBeCloseTo(0.4)
+
+    layers.set({ name: 'targets', opacity: 0.5 })
+    expect(primitive.material.opacity).toBeCloseTo(0.2)
+  })
+})
@@ -0,0 +1,98 @@
+/* eslint-env jest */
+const THREE = require('three')
+const { JSDOM } = require('jsdom')
+
+// Labels are drawn on the canvas elements of the page, as in the browser build
+jest.mock('canvas', () => jest.requireActual('canvas/browser'))
+
+const { window } = new JSDOM()
+global.window = window
+global.document = window.document
+
+const { Primitives } = require('../../viewer/lib/primitives')
+
+// jsdom has no 2D context without the native canvas package, the label text is recorded instead of rasterized
+function mockContext () {
+  const context = {
+    measureText: (text) => ({ width: text.length * 10 }),
+    fillRect: jest.fn(),
+    fillText: jest.fn()
+  }
+  jest.spyOn(window.HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context)
+  return context
+}
+
+function draw (primitive) {
+  const primitives = new Primitives(new THREE.Scene(), new THREE.PerspectiveCamera())
+  primitives.update({ id: 'test', ...primitive })
+  return primitives.primitives.test
+}
+
+describe('Primitives', () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('should draw a label facing the camera, a line of text size blocks high', () => {
+    const context = mockContext()
+    const label = draw({ type: 'label', position: { x: 1, y: 2, z: 3 }, text: 'spawn\nhome', color: 'red', size: 1 })
+
+    expect(label).toBeInstanceOf(THREE.Sprite)
+    expect(label.position.toArray()).toEqual([1, 2, 3])
+    expect(context.fillText.mock.calls.map(([text]) => text)).toEqual(['spawn', 'home'])
+    expect(context.fillStyle).toBe(new THREE.Color('red').getStyle())
+    const canvas = label.material.map.image
+    expect(canvas).toBeInstanceOf(window.HTMLCanvasElement)
+    expect(label.scale.y / label.scale.x).toBeCloseTo(canvas.height / canvas.width)
+    expect(label.material.depthTest).toBe(false)
+  })
+
+  it('should draw a sphere, translucent below an opacity of 1', () => {
+    const sphere = draw({ type: 'sphere', position: { x: 0, y: 64, z: 0 }, radius: 2, opacity: 0.5 })
+
+    expect(sphere.position.toArray()).toEqual([0, 64, 0])
+    expect(sphere.geometry.parameters.radius).toBe(2)
+    expect(sphere.material.transparent).toBe(true)
+    expect(sphere.material.depthWrite).toBe(false)
+    expect(draw({ type: 'sphere', position: { x: 0, y: 0, z: 0 } }).material.transparent).toBe(false)
+  })
+
+  it('should draw an arrow from its start to its end', () => {
+    const arrow = draw({ type: 'arrow', start: { x: 0, y: 0, z: 0 }, end: { x: 4, y: 0, z: 0 } })
+
+    expect(arrow.position.toArray()).toEqual([0, 0, 0])
+    arrow.updateMatrixWorld()
+    const tip = new THREE.Box3().setFromObject(arrow)
+    expect(tip.max.x).toBeCloseTo(4)
+    expect(tip.min.x).toBeCloseTo(0)
+  })
+
+  it('should fill a box from its start to its end', () => {
+    const box = draw({ type: 'box', start: { x: 0, y: 60, z: 0 }, end: { x: 2, y: 64, z: 1 } })
+
+    expect(box.position.toArray()).toEqual([1, 62, 0.5])
+    expect(box.geometry.parameters).toMatchObject({ width: 2, height: 4, depth: 1 })
+    expect(box.material.opacity).toBe(0.3)
+  })
+
+  it('should draw a block face out of the block, facing out', () => {
+    const face = draw({ type: 'blockFace', position: { x: 10, y: 64, z: -3 }, face: 5 })
+
+    expect(face.position.x).toBeGreaterThan(11)
+    expect(face.position.y).toBe(64.5)
+    expect(face.position.z).toBe(-2.5)
+    const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(face.quaternion)
+    expect(normal.x).toBeCloseTo(1)
+  })
+
+  it('should draw a mesh of triangles, indexed or not', () => {
+    const vertices = [0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 1, 0]
+    const indexed = draw({ type: 'mesh', vertices, indices: [0, 1, 2, 2, 1, 3] })
+    expect(indexed.geometry.attributes.position.count).toBe(4)
+    expect(Array.from(indexed.geometry.index.array)).toEqual([0, 1, 2, 2, 1, 3])
+
+    const triangles = draw({ type: 'mesh', vertices: vertices.slice(0, 9), color: 0x00ff00 })
+    expect(triangles.geometry.index).toBeNull()
+    expect(triangles.material.color.getHex()).toBe(0x00ff00)
+  })
+})
@@ -0,0 +1,82 @@
+/* eslint-env jest */
+const { Vec3 } = require('vec3')
+const { World } = require('../../viewer/lib/world')
+const { getSectionGeometry } = require('../../viewer/lib/models')
+const { getTextureLayer, TranslucentSorter } = require('../../viewer/lib/renderLayers')
+
+// RGBA texels with the given alpha values
+function texels (alphas) {
+  return alphas.flatMap(alpha => [255, 255, 255, alpha])
+}
+
+// Flat quad at a given z, as written by the mesher
+function quad (z) {
+  return [0, 0, z, 1, 0, z, 0, 1, z, 1, 1, z]
+}
+
+describe('render layers', () => {
+  describe('getTextureLayer', () => {
+    it('should find the pass from the alpha channel', () => {
+      expect(getTextureLayer(texels([255, 255, 255, 255]))).toBe('opaque')
+      expect(getTextureLayer(texels([255, 0, 255, 0]))).toBe('cutout')
+      expect(getTextureLayer(texels([128, 128, 255, 0]))).toBe('translucent')
+    })
+
+    it('should keep textures with a few semi-transparent texels in the cutout pass', () => {
+      const alphas = new Array(100).fill(0)
+      alphas[0] = 200
+      expect(getTextureLayer(texels(alphas))).toBe('cutout')
+    })
+  })
+
+  describe('mesher', () => {
+    it('should split the faces by the pass of their texture', () => {
+      const version = '1.16.4'
+      const mcData = require('minecraft-data')(version)
+      const Chunk = require('prismarine-chunk')(version)
+      const chunk = new Chunk({ minY: 0, worldHeight: 256 })
+      chunk.setBlockStateId(new Vec3(0, 64, 8), mcData.blocksByName.stone.defaultState)
+      chunk.setBlockStateId(new Vec3(4, 64, 8), mcData.blocksByName.white_stained_glass.defaultState)
+      chunk.setBlockStateId(new Vec3(8, 64, 8), mcData.blocksByName.water.defaultState)
+      chunk.setBlockStateId(new Vec3(12, 64, 8), mcData.blocksByName.oak_leaves.defaultState)
+      const world = new World(version)
+      world.addColumn(0, 0, chunk.toJson())
+
+      const cube = (texture) => {
+        const faces = {}
+        for (const face of ['up', 'down', 'north', 'south', 'east', 'west']) faces[face] = { texture }
+        return { variants: { '': { model: { textures: {}, ao: false, elements: [{ from: [0, 0, 0], to: [16, 16, 16], faces }] } } } }
+      }
+      const texture = { u: 0, v: 0, su: 0.25, sv: 0.25 }
+      const blocksStates = {
+        stone: cube({ ...texture, layer: 'opaque' }),
+        white_stained_glass: cube({ ...texture, layer: 'translucent' }),
+        water: { variants: { '': { model: { textures: { particle: { ...texture, layer: 'translucent' } }, elements: [] } } } },
+        // Block states from before the passes existed
+        oak_leaves: cube(texture)
+      }
+      const geometry = getSectionGeometry(0, 64, 0, world, blocksStates)
+
+      expect(geometry.opaque.positions.length / 3).toBe(24)
+      expect(geometry.cutout.positions.length / 3).toBe(24)
+      // The glass cube and the 6 faces of the water, seen from both sides
+      expect(geometry.translucent.positions.length / 3).toBe(48)
+      expect(geometry.translucent.indices).toHaveLength(6 * 6 + 6 * 12)
+      expect(Math.max(...geometry.translucent.indices)).toBe(47)
+    })
+  })
+
+  describe('TranslucentSorter', () => {
+    // A liquid face seen from both sides (12 indices) and a block face (6 indices)
+    const positions = [...quad(-4), ...quad(4)]
+    const indices = [0, 1, 2, 2, 1, 3, 0, 2, 1, 2, 3, 1, 4, 5, 6, 6, 5, 7]
+
+    it('should draw the farthest faces first', () => {
+      const sorter = new TranslucentSorter(positions, indices)
+      const out = new Uint16Array(indices.length)
+
+      expect(Array.from(sorter.sort(0, 0, 8, out))).toEqual(indices)
+      expect(Array.from(sorter.sort(0, 0, -8, out))).toEqual([...indices.slice(12), ...indices.slice(0, 12)])
+    })
+  })
+})
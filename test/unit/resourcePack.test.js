@@ -0,0 +1,154 @@
+/* eslint-env jest */
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const zlib = require('zlib')
+const { readZip, readResourcePack, layerResourcePack } = require('../../viewer/lib/resourcePack')
+const { prepareBlocksStates } = require('../../viewer/lib/modelsBuilder')
+const { validateMessage } = require('../../lib/schemas/socketMessages')
+
+// Zip archive of [name, content, deflate] entries
+function makeZip (entries) {
+  const locals = []
+  const centrals = []
+  let offset = 0
+  for (const [name, content, deflate] of entries) {
+    const data = deflate ? zlib.deflateRawSync(content) : content
+    const nameBuffer = Buffer.from(name)
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0)
+    local.writeUInt16LE(deflate ? 8 : 0, 8)
+    local.writeUInt32LE(data.length, 18)
+    local.writeUInt32LE(content.length, 22)
+    local.writeUInt16LE(nameBuffer.length, 26)
+    const central = Buffer.alloc(46)
+    central.writeUInt32LE(0x02014b50, 0)
+    central.writeUInt16LE(deflate ? 8 : 0, 10)
+    central.writeUInt32LE(data.length, 20)
+    central.writeUInt32LE(content.length, 24)
+    central.writeUInt16LE(nameBuffer.length, 28)
+    central.writeUInt32LE(offset, 42)
+    locals.push(local, nameBuffer, data)
+    centrals.push(central, nameBuffer)
+    offset += local.length + nameBuffer.length + data.length
+  }
+  const directory = Buffer.concat(centrals)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(entries.length, 8)
+  end.writeUInt16LE(entries.length, 10)
+  end.writeUInt32LE(directory.length, 12)
+  end.writeUInt32LE(offset, 16)
+  return Buffer.concat([...locals, directory, end])
+}
+
+function json (value) {
+  return Buffer.from(JSON.stringify(value))
+}
+
+describe('resource packs', () => {
+  let tmp
+  beforeAll(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'resourcepack-'))
+  })
+  afterAll(() => {
+    fs.rmSync(tmp, { recursive: true, force: true })
+  })
+
+  describe('readZip', () => {
+    it('should read stored and deflated files', () => {
+      const files = readZip(makeZip([
+        ['pack/', Buffer.alloc(0)],
+        ['pack/a.txt', Buffer.from('stored')],
+        ['pack/b.txt', Buffer.from('deflated '.repeat(10)), true]
+      ]))
+      expect([...files.keys()]).toEqual(['pack/a.txt', 'pack/b.txt'])
+      expect(files.get('pack/a.txt').toString()).toBe('stored')
+      expect(files.get('pack/b.txt').toString()).toBe('deflated '.repeat(10))
+    })
+
+    it('should reject other files', () => {
+      expect(() => readZip(Buffer.from('not a zip file at all, not even close'))).toThrow('Not a zip archive')
+    })
+  })
+
+  describe('readResourcePack', () => {
+    it('should read the minecraft namespace of a zipped pack folder', () => {
+      const file = path.join(tmp, 'pack.zip')
+      fs.writeFileSync(file, makeZip([
+        ['MyPack/pack.mcmeta', json({ pack: { pack_format: 6 } })],
+        ['MyPack/assets/minecraft/textures/block/stone.png', Buffer.from('png'), true],
+        ['MyPack/assets/other/textures/block/ruby.png', Buffer.from('png')]
+      ]))
+      expect([...readResourcePack(file).keys()]).toEqual(['textures/block/stone.png'])
+    })
+
+    it('should read pack folders', () => {
+      const directory = path.join(tmp, 'folder')
+      fs.mkdirSync(path.join(directory, 'assets/minecraft/models/block'), { recursive: true })
+      fs.writeFileSync(path.join(directory, 'assets/minecraft/models/block/stone.json'), json({}))
+      expect([...readResourcePack(directory).keys()]).toEqual(['models/block/stone.json'])
+
+      fs.mkdirSync(path.join(tmp, 'empty'))
+      expect(() => readResourcePack(path.join(tmp, 'empty'))).toThrow('is not a resource pack')
+    })
+  })
+
+  describe('layerResourcePack', () => {
+    const mcAssets = {
+      version: '1.16.4',
+      directory: '/assets',
+      blocksModels: {
+        cube_all: { elements: [{ from: [0, 0, 0], to: [16, 16, 16], faces: { up: { texture: '#all' } } }] },
+        stone: { parent: 'block/cube_all', textures: { all: 'block/stone' } }
+      },
+      blocksStates: { stone: { variants: { '': { model: 'block/stone' } } } }
+    }
+
+    it('should replace the textures, models and block states of the vanilla assets', () => {
+      const assets = layerResourcePack(mcAssets, new Map([
+        ['textures/block/stone.png', Buffer.from('stone')],
+        ['textures/block/stone.png.mcmeta', json({ animation: {} })],
+        ['textures/blocks/dirt.png', Buffer.from('dirt')],
+        ['textures/item/apple.png', Buffer.from('apple')],
+        ['textures/block/custom/ruby.png', Buffer.from('ruby')],
+        ['models/block/stone.json', json({ parent: 'block/cube_all', textures: { all: 'block/ruby' } })],
+        ['blockstates/ruby_block.json', Buffer.from('\uFEFF' + JSON.stringify({ variants: { '': { model: 'block/ruby_block' } } }))]
+      ]))
+
+      expect([...assets.textures.keys()]).toEqual(['blocks/stone.png', 'blocks/dirt.png', 'items/apple.png'])
+      expect(assets.textures.get('blocks/stone.png').mcmeta.toString()).toBe('{"animation":{}}')
+      expect(assets.textures.get('blocks/dirt.png').mcmeta).toBeNull()
+      expect(assets.blocksModels.stone.textures.all).toBe('block/ruby')
+      expect(assets.blocksStates.ruby_block.variants[''].model).toBe('block/ruby_block')
+      // The vanilla assets are left untouched
+      expect(mcAssets.blocksModels.stone.textures.all).toBe('block/stone')
+      expect(assets.directory).toBe('/assets')
+    })
+
+    it('should report invalid JSON files', () => {
+      expect(() => layerResourcePack(mcAssets, new Map([['models/block/stone.json', Buffer.from('{')]]))).toThrow('models/block/stone.json')
+    })
+
+    it('should draw missing models and textures with the missing texture', () => {
+      const assets = layerResourcePack(mcAssets, new Map([
+        ['blockstates/stone.json', json({ variants: { '': { model: 'block/unknown' } } })],
+        ['blockstates/ruby_block.json', json({ variants: { '': { model: 'block/ruby_block' } } })],
+        ['models/block/ruby_block.json', json({ parent: 'block/cube_all', textures: { all: 'myserver:block/ruby' } })]
+      ]))
+      const missing = { u: 0, v: 0, su: 0.5, sv: 0.5 }
+      const atlas = { json: { textures: { missing_texture: missing, stone: { u: 0.5, v: 0, su: 0.5, sv: 0.5 } } } }
+      const blocksStates = prepareBlocksStates(assets, atlas)
+
+      const face = (name) => blocksStates[name].variants[''].model.elements[0].faces.up.texture
+      expect(face('ruby_block')).toMatchObject(missing)
+      expect(blocksStates.stone.variants[''].model.textures.all).toEqual(missing)
+    })
+  })
+
+  it('should validate the pack names sent to the viewers', () => {
+    expect(validateMessage('resourcePack', { name: 'server-pack.v2' }).valid).toBe(true)
+    expect(validateMessage('resourcePack', { name: null }).valid).toBe(true)
+    expect(validateMessage('resourcePack', { name: '../textures' }).valid).toBe(false)
+  })
+})
@@ -0,0 +1,130 @@
+/* eslint-env jest */
+const { Vec3 } = require('vec3')
+const { EventEmitter } = require('events')
+const { ColumnVersions, ResumeSessions } = require('../../lib/resume')
+const { WorldView } = require('../../viewer/lib/worldView')
+const { validateMessage } = require('../../lib/schemas/socketMessages')
+
+const version = '1.16.4'
+const Chunk = require('prismarine-chunk')(version)
+
+describe('resume', () => {
+  describe('ColumnVersions', () => {
+    it('should give the last state of the blocks updated since a seq', () => {
+      const versions = new ColumnVersions()
+      versions.blockUpdate({ x: 1, y: 64, z: 1 }, 1)
+      const seq = versions.seq
+      versions.blockUpdate({ x: 2, y: 64, z: 1 }, 1)
+      versions.blockUpdate({ x: 1, y: 64, z: 1 }, 2)
+      versions.blockUpdate({ x: 2, y: 64, z: 1 }, 3)
+      versions.blockUpdate({ x: -1, y: 64, z: 1 }, 3)
+
+      expect(versions.getChanges(0, 0, seq)).toEqual([
+        { pos: { x: 1, y: 64, z: 1 }, stateId: 2 },
+        { pos: { x: 2, y: 64, z: 1 }, stateId: 3 }
+      ])
+      expect(versions.getChanges(0, 0, versions.seq)).toEqual([])
+      expect(versions.getChanges(16, 0, 0)).toEqual([])
+    })
+
+    it('should have the columns sent again when their changes are not all known', () => {
+      const versions = new ColumnVersions(2, 1)
+      const seq = versions.next()
+      versions.loadColumn(0, 0)
+      expect(versions.getChanges(0, 0, seq)).toBeNull()
+      expect(versions.getChanges(0, 0, versions.seq)).toEqual([])
+
+      const loaded = versions.seq
+      for (let i = 0; i < 3; i++) versions.blockUpdate({ x: 1, y: 64, z: i }, 1)
+      expect(versions.getChanges(0, 0, loaded)).toBeNull()
+      expect(versions.getChanges(0, 0, loaded + 1)).toHaveLength(2)
+
+      // The changes of the first column are dropped for the second one
+      versions.blockUpdate({ x: 16, y: 64, z: 0 }, 1)
+      expect(versions.getChanges(0, 0, versions.seq - 2)).toBeNull()
+      expect(versions.getChanges(0, 0, versions.seq - 1)).toEqual([])
+    })
+  })
+
+  describe('ResumeSessions', () => {
+    const session = { version, resourcePack: null, seq: 10, state: { dimension: { dimension: 'overworld', minY: 0, height: 256 }, dimensionSeq: 2 } }
+    const game = { dimension: 'overworld', minY: 0, height: 256 }
+
+    it('should resume a session once', () => {
+      const sessions = new ResumeSessions(10)
+      const token = sessions.createToken()
+      expect(validateMessage('resume', { token, resumed: false }).valid).toBe(true)
+      sessions.save(token, session)
+      expect(sessions.take(token, 8, version, game)).toBe(session)
+      expect(sessions.take(token, 8, version, game)).toBeNull()
+    })
+
+    it('should not resume a session of another world or from a seq it was not sent', () => {
+      const sessions = new ResumeSessions(10)
+      const take = (seq, takeVersion, takeGame) => {
+        sessions.save('a', session)
+        return sessions.take('a', seq, takeVersion, takeGame)
+      }
+      expect(take(11, version, game)).toBeNull()
+      expect(take(1, version, game)).toBeNull()
+      expect(take(8, '1.17.1', game)).toBeNull()
+      expect(take(8, version, { ...game, dimension: 'the_nether' })).toBeNull()
+      expect(take(8, version, game)).toBe(session)
+    })
+
+    it('should drop the expired and the oldest sessions', () => {
+      const expired = new ResumeSessions(10, -1)
+      expired.save('a', session)
+      expect(expired.take('a', 8, version, game)).toBeNull()
+
+      const sessions = new ResumeSessions(1)
+      sessions.save('a', session)
+      sessions.save('b', session)
+      expect(sessions.take('a', 8, version, game)).toBeNull()
+      expect(sessions.take('b', 8, version, game)).toBe(session)
+    })
+  })
+
+  describe('WorldView', () => {
+    function worldView (versions) {
+      const chunk = new Chunk()
+      const world = { getColumnAt: async () => chunk }
+      const emitter = new EventEmitter()
+      const events = []
+      let lastSeq = 0
+      for (const type of ['loadChunk', 'unloadChunk', 'blockUpdate']) {
+        emitter.on(type, ({ x, z, pos, seq }) => {
+          events.push(type === 'blockUpdate' ? `${type} ${pos.x},${pos.y},${pos.z}` : `${type} ${x / 16},${z / 16}`)
+          lastSeq = seq
+        })
+      }
+      const view = new WorldView(world, 2, new Vec3(0, 0, 0), emitter)
+      view.setColumnVersions(versions)
+      return { view, events, lastSeq: () => lastSeq }
+    }
+
+    it('should send a resumed client only the columns and block updates it missed', async () => {
+      const versions = new ColumnVersions()
+      const first = worldView(versions)
+      await first.view.init(new Vec3(0, 0, 0))
+      expect(first.events).toHaveLength(3 * 3)
+      const seq = first.lastSeq()
+      // The last column sent was not received
+      const state = first.view.getResumeState()
+
+      versions.blockUpdate({ x: 5, y: 64, z: 5 }, 1)
+      versions.loadColumn(16, 16)
+      const second = worldView(versions)
+      await second.view.resume(state, seq - 1, new Vec3(16, 0, 0))
+
+      const [lastX, lastZ] = Object.keys(state.columns).pop().split(',').map(n => n / 16)
+      expect(second.events).toContain('blockUpdate 5,64,5')
+      expect(second.events).toContain('loadChunk 1,1')
+      expect(second.events).toContain(`loadChunk ${lastX},${lastZ}`)
+      expect(second.events).toContain('unloadChunk -1,0')
+      expect(second.events).toContain('loadChunk 2,0')
+      expect(second.events).not.toContain('loadChunk 0,0')
+      expect(second.events.filter(event => event.startsWith('loadChunk'))).toHaveLength(3 + 2)
+    })
+  })
+})
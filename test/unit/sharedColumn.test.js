@@ -0,0 +1,228 @@
+/* eslint-env jest */
+const { Vec3 } = require('vec3')
+const { World } = require('../../viewer/lib/world')
+const { getSectionGeometry } = require('../../viewer/lib/models')
+const { MeshingScheduler } = require('../../viewer/lib/meshingQueue')
+const { createPalettedArray, getPalettedValue, setPalettedValue, isSharedMemoryAvailable, SharedColumn } = require('../../viewer/lib/sharedColumn')
+
+const version = '1.16.4'
+const mcData = require('minecraft-data')(version)
+const Chunk = require('prismarine-chunk')(version)
+
+// Records the messages it is sent
+class FakeWorker {
+  constructor () {
+    this.messages = []
+  }
+
+  postMessage (message) {
+    this.messages.push(message)
+  }
+}
+
+// Column of stone and dirt layers under a lit cave, with a desert corner
+function testColumn () {
+  const chunk = new Chunk({ minY: 0, worldHeight: 256 })
+  for (let x = 0; x < 16; x++) {
+    for (let z = 0; z < 16; z++) {
+      for (let y = 0; y < 64; y++) {
+        const name = y === 63 ? 'grass_block' : y > 58 ? 'dirt' : 'stone'
+        if (y < 20 || y > 24 || x < 4) chunk.setBlockStateId(new Vec3(x, y, z), mcData.blocksByName[name].defaultState)
+        chunk.setSkyLight(new Vec3(x, y, z), y > 60 ? 15 : 0)
+        if (y >= 20 && y <= 24) chunk.setBlockLight(new Vec3(x, y, z), x)
+      }
+      for (let y = 64; y < 256; y++) chunk.setSkyLight(new Vec3(x, y, z), 15)
+      if (x > 8 && z > 8) {
+        for (let y = 0; y < 256; y += 4) chunk.setBiome(new Vec3(x, y, z), 2)
+      }
+    }
+  }
+  return chunk
+}
+
+describe('shared columns', () => {
+  describe('paletted arrays', () => {
+    it('should pack the values with as few bits as their palette needs', () => {
+      const uniform = createPalettedArray(new Uint16Array(4096).fill(7))
+      expect(uniform[0]).toBe(0)
+      expect(getPalettedValue(uniform, 1234)).toBe(7)
+
+      const values = new Uint16Array(4096).map((value, i) => (i * 7) % 300)
+      const direct = createPalettedArray(values)
+      expect(direct[0]).toBe(16)
+      expect(getPalettedValue(direct, 4095)).toBe(values[4095])
+
+      const small = createPalettedArray(new Uint16Array(4096).map((value, i) => i % 3 === 0 ? 1000 : 2))
+      expect(small[0]).toBe(1)
+      expect(getPalettedValue(small, 3)).toBe(1000)
+      expect(getPalettedValue(small, 4)).toBe(2)
+    })
+
+    it('should grow the array once its palette is full', () => {
+      let words = createPalettedArray(new Uint16Array(4096).map((value, i) => i % 2))
+      words = setPalettedValue(words, 10, 1)
+      expect(getPalettedValue(words, 10)).toBe(1)
+
+      const grown = setPalettedValue(words, 11, 500)
+      expect(grown).not.toBe(words)
+      expect(grown[0]).toBe(2)
+      expect(getPalettedValue(grown, 11)).toBe(500)
+      expect(getPalettedValue(grown, 10)).toBe(1)
+      expect(getPalettedValue(grown, 12)).toBe(0)
+      // Room for a fourth value in place
+      expect(setPalettedValue(grown, 13, 501)).toBe(grown)
+    })
+  })
+
+  it('should read the same blocks, light and biomes as the column it was copied from', () => {
+    const chunk = testColumn()
+    const shared = SharedColumn.fromColumn(chunk, 0, 256)
+    for (const [x, y, z] of [[0, 10, 0], [5, 22, 3], [12, 63, 12], [12, 100, 12], [15, 200, 15]]) {
+      const pos = new Vec3(x, y, z)
+      expect(shared.getBlockStateId(pos)).toBe(chunk.getBlockStateId(pos))
+      expect(shared.getBlockLight(pos)).toBe(chunk.getBlockLight(pos))
+      expect(shared.getSkyLight(pos)).toBe(chunk.getSkyLight(pos))
+      expect(shared.getBiome(pos)).toBe(chunk.getBiome(pos))
+    }
+    expect(shared.sections[8]).toBeNull()
+    expect(shared.byteLength).toBeGreaterThan(0)
+  })
+
+  it('should read the columns of every chunk format from their palettes like the getters', () => {
+    for (const version of ['1.8.8', '1.12.2', '1.14.4', '1.15.2', '1.17.1', '1.21.4']) {
+      const data = require('minecraft-data')(version)
+      const VersionChunk = require('prismarine-chunk')(version)
+      const minY = data.version['>=']('1.17') ? -64 : 0
+      const chunk = new VersionChunk({ minY, worldHeight: 384 })
+      const blocks = ['stone', 'dirt', 'oak_log', 'glass', 'sand'].map(name => data.blocksByName[name] || data.blocksByName.log)
+      const biomes = Object.values(data.biomes).slice(0, 20).map(biome => biome.id)
+      // Mixed sections, with palettes of different sizes, and uniform ones
+      for (let y = minY; y < minY + 48; y++) {
+        for (let z = 0; z < 16; z++) {
+          for (let x = 0; x < 16; x++) {
+            const pos = new Vec3(x, y, z)
+            const block = blocks[y < minY + 16 ? 0 : (x * 7 + (y - minY) * 3 + z) % blocks.length]
+            chunk.setBlockStateId(pos, data.supportFeature('blockStateId') ? block.defaultState : block.id << 4)
+            chunk.setBlockLight(pos, (x + z) % 16)
+            chunk.setSkyLight(pos, (y - minY) % 16)
+            chunk.setBiome(pos, biomes[(x + (y - minY) * 5) % biomes.length])
+          }
+        }
+      }
+      const column = VersionChunk.fromJson(chunk.toJson())
+      const height = minY < 0 ? 384 : 256
+      const shared = SharedColumn.fromColumn(column, minY, height)
+
+      const pos = new Vec3(0, 0, 0)
+      for (pos.y = minY; pos.y < minY + height; pos.y += 3) {
+        for (pos.z = 0; pos.z < 16; pos.z += 5) {
+          for (pos.x = 0; pos.x < 16; pos.x++) {
+            const hasBlocks = !!column.sections[(pos.y - (column.minY ?? 0)) >> 4]
+            expect([version, pos.y, shared.getBlockStateId(pos)]).toEqual([version, pos.y, hasBlocks ? column.getBlockStateId(pos) : 0])
+            expect(shared.getBlockLight(pos)).toBe(column.getBlockLight(pos))
+            expect(shared.getSkyLight(pos)).toBe(column.getSkyLight(pos))
+            expect(shared.getBiome(pos)).toBe(column.getBiome(new Vec3(pos.x, pos.y - (pos.y & 3), pos.z)))
+          }
+        }
+      }
+    }
+  })
+
+  it('should mesh a shared column like the prismarine-chunk one', () => {
+    const chunk = testColumn()
+    const world = new World(version)
+    world.addColumn(0, 0, chunk.toJson())
+    const sharedWorld = new World(version)
+    sharedWorld.addSharedColumn(0, 0, SharedColumn.fromColumn(chunk, 0, 256).toData())
+
+    for (const y of [16, 48]) {
+      const geometry = getSectionGeometry(0, y, 0, world, {})
+      const sharedGeometry = getSectionGeometry(0, y, 0, sharedWorld, {})
+      expect(sharedGeometry).toEqual(geometry)
+    }
+    expect(sharedWorld.hasSection(0, 128, 0)).toBe(false)
+  })
+
+  it('should write the block updates in place, adding the sections without blocks', () => {
+    const shared = SharedColumn.fromColumn(testColumn(), 0, 256)
+    const { sections } = shared.toData()
+    expect(shared.setBlockStateId({ x: 1, y: 30, z: 1 }, 0)).toBe(false)
+    expect(getPalettedValue(sections[1], (14 * 16 + 1) * 16 + 1)).toBe(0)
+    expect(shared.setBlockStateId({ x: 1, y: 130, z: 1 }, 1)).toBe(true)
+    expect(shared.getBlockStateId({ x: 1, y: 130, z: 1 })).toBe(1)
+  })
+
+  describe('MeshingScheduler', () => {
+    function scheduler () {
+      const meshing = new MeshingScheduler(() => 0, 2, true)
+      meshing.addWorker(new FakeWorker())
+      meshing.addWorker(new FakeWorker())
+      return meshing
+    }
+
+    // Answer of the worker copying the column
+    function copy (meshing, worker) {
+      const { x, z, id } = meshing.workers[worker].messages.find(({ type, share }) => type === 'chunk' && share)
+      const column = SharedColumn.fromColumn(testColumn(), 0, 256).toData()
+      meshing.setSharedColumn(worker, { x, z, id, column })
+    }
+
+    const types = (worker) => worker.messages.map(({ type }) => type)
+
+    it('should parse a column once and give the other workers the shared copy', () => {
+      const meshing = scheduler()
+      meshing.addColumn(0, 0, {})
+      meshing.add('0,0,0', 0, 0, 0)
+      meshing.add('0,16,0', 0, 16, 0)
+      meshing.add('0,32,0', 0, 32, 0)
+      meshing.dispatch()
+      // The sections wait for the copy
+      expect(meshing.workers.flatMap(types)).toEqual(['chunk'])
+
+      copy(meshing, 0)
+      const [first, second] = meshing.workers
+      expect(types(first)).toEqual(['chunk', 'dirty', 'dirty'])
+      expect(types(second)).toEqual(['sharedColumn', 'dirty'])
+      expect(meshing.getSharedStats()).toEqual({ enabled: true, columns: 1, bytes: expect.any(Number), savedBytes: meshing.getSharedStats().bytes })
+    })
+
+    it('should write the block updates to the shared copy without messages', () => {
+      const meshing = scheduler()
+      meshing.addColumn(0, 0, {})
+      meshing.setBlockStateId({ x: 2, y: 10, z: 2 }, 0)
+      copy(meshing, 0)
+      const { shared } = meshing.columns.get('0,0')
+      expect(shared.getBlockStateId({ x: 2, y: 10, z: 2 })).toBe(0)
+      // The section of stone had no room for air in its palette, the copying worker is given the new one
+      const [worker] = meshing.workers
+      expect(types(worker)).toEqual(['chunk', 'sharedColumn'])
+
+      meshing.setBlockStateId({ x: 3, y: 10.5, z: 2 }, 0)
+      expect(shared.getBlockStateId({ x: 3, y: 10, z: 2 })).toBe(0)
+      expect(types(worker)).toEqual(['chunk', 'sharedColumn'])
+
+      meshing.setBlockStateId({ x: 3, y: 130, z: 2 }, 1)
+      expect(types(worker)).toEqual(['chunk', 'sharedColumn', 'sharedColumn'])
+      expect(types(meshing.workers[1])).toHaveLength(0)
+    })
+
+    it('should unload the copies of removed columns', () => {
+      const meshing = scheduler()
+      meshing.addColumn(0, 0, {})
+      meshing.removeColumn(0, 0)
+      copy(meshing, 0)
+      expect(types(meshing.workers[0])).toEqual(['chunk', 'unloadChunk'])
+      expect(meshing.getSharedStats().columns).toBe(0)
+    })
+  })
+
+  it('should not share the columns in a page that is not cross-origin isolated', () => {
+    expect(isSharedMemoryAvailable()).toBe(true)
+    globalThis.crossOriginIsolated = false
+    try {
+      expect(isSharedMemoryAvailable()).toBe(false)
+    } finally {
+      delete globalThis.crossOriginIsolated
+    }
+  })
+})
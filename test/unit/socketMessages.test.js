@@ -104,6 +104,55 @@ describe('socketMessages', () => {
         })
         expect(result.valid).toBe(false)
       })
+
+      it('should validate loadChunk with block entities', () => {
+        const blockEntities = [{ pos: { x: 1, y: 64, z: 2 }, nbt: { Text1: '"hello"' } }]
+        expect(validateMessage('loadChunk', { x: 0, z: 0, chunk: {}, blockEntities }).valid).toBe(true)
+        expect(validateMessage('loadChunk', { x: 0, z: 0, chunk: {}, blockEntities: {} }).valid).toBe(false)
+      })
+    })
+
+    describe('blockEntityUpdate schema', () => {
+      it('should validate block entity updates', () => {
+        expect(validateMessage('blockEntityUpdate', { pos: { x: 1, y: 64, z: 2 }, nbt: { Color: 'red' } }).valid).toBe(true)
+        // Removed block entities have no data
+        expect(validateMessage('blockEntityUpdate', { pos: { x: 1, y: 64, z: 2 }, nbt: null }).valid).toBe(true)
+      })
+
+      it('should reject block entity updates without a position', () => {
+        expect(validateMessage('blockEntityUpdate', { nbt: {} }).valid).toBe(false)
+        expect(validateMessage('blockEntityUpdate', { pos: { x: 1, y: 64 }, nbt: {} }).valid).toBe(false)
+        expect(validateMessage('blockEntityUpdate', { pos: { x: 1, y: 64, z: 2 }, nbt: 'text' }).valid).toBe(false)
+      })
+    })
+
+    describe('dimension schema', () => {
+      it('should validate valid dimension data', () => {
+        const result = validateMessage('dimension', { dimension: 'the_nether', minY: 0, height: 256 })
+        expect(result.valid).toBe(true)
+      })
+
+      it('should reject dimension with non-integer minY', () => {
+        const result = validateMessage('dimension', { minY: -64.5, height: 384 })
+        expect(result.valid).toBe(false)
+      })
+
+      it('should reject dimension without height', () => {
+        const result = validateMessage('dimension', { minY: -64 })
+        expect(result.valid).toBe(false)
+      })
+    })
+
+    describe('time schema', () => {
+      it('should validate valid time data', () => {
+        const result = validateMessage('time', { timeOfDay: 18000 })
+        expect(result.valid).toBe(true)
+      })
+
+      it('should reject time with negative timeOfDay', () => {
+        const result = validateMessage('time', { timeOfDay: -1 })
+        expect(result.valid).toBe(false)
+      })
     })
 
     describe('entity schema', () => {
@@ -118,6 +167,29 @@ describe('socketMessages', () => {
         expect(result.valid).toBe(true)
       })
 
+      it('should validate entity look updates', () => {
+        expect(validateMessage('entity', { id: 123, yaw: 1.5, headYaw: 2, pitch: -0.5 }).valid).toBe(true)
+        expect(validateMessage('entity', { id: 123, headYaw: 'left' }).valid).toBe(false)
+      })
+
+      it('should validate player skins and equipment', () => {
+        expect(validateMessage('entity', { id: 123, skin: 'http://textures.minecraft.net/texture/1a2b3c' }).valid).toBe(true)
+        expect(validateMessage('entity', { id: 123, skin: 'data:image/png;base64,iVBORw0KGgo=' }).valid).toBe(true)
+        expect(validateMessage('entity', { id: 123, skin: 'javascript:alert(1)' }).valid).toBe(false)
+        expect(validateMessage('entity', { id: 123, equipment: ['diamond_sword', null, null, null, 'iron_helmet', null] }).valid).toBe(true)
+        expect(validateMessage('entity', { id: 123, equipment: new Array(7).fill(null) }).valid).toBe(false)
+      })
+
+      it('should validate dropped items, falling blocks and item frames', () => {
+        expect(validateMessage('entity', { id: 123, item: { id: 1, name: 'stone', count: 64 } }).valid).toBe(true)
+        expect(validateMessage('entity', { id: 123, item: null }).valid).toBe(true)
+        expect(validateMessage('entity', { id: 123, item: { id: -1 } }).valid).toBe(false)
+        expect(validateMessage('entity', { id: 123, blockStateId: 1 }).valid).toBe(true)
+        expect(validateMessage('entity', { id: 123, blockStateId: 1.5 }).valid).toBe(false)
+        expect(validateMessage('entity', { id: 123, facing: 'north' }).valid).toBe(true)
+        expect(validateMessage('entity', { id: 123, facing: 'sideways' }).valid).toBe(false)
+      })
+
       it('should validate entity with delete flag', () => {
         const result = validateMessage('entity', {
           id: 123,
@@ -147,7 +219,7 @@ describe('socketMessages', () => {
             { x: 10, y: 64, z: 10 }
           ]
         })
-        expect(result).toBeDefined()
+        expect(result.valid).toBe(true)
       })
 
       it('should validate primitive with boxgrid type', () => {
@@ -157,7 +229,7 @@ describe('socketMessages', () => {
           start: { x: 0, y: 60, z: 0 },
           end: { x: 10, y: 70, z: 10 }
         })
-        expect(result).toBeDefined()
+        expect(result.valid).toBe(true)
       })
 
       it('should reject primitive with invalid type', () => {
@@ -167,6 +239,111 @@ describe('socketMessages', () => {
         })
         expect(result.valid).toBe(false)
       })
+
+      it('should validate labels, spheres, arrows, boxes and block faces', () => {
+        const position = { x: 1, y: 64, z: 1 }
+        expect(validateMessage('primitive', { id: 'a', type: 'label', position, text: 'target\nmining', size: 0.5 }).valid).toBe(true)
+        expect(validateMessage('primitive', { id: 'b', type: 'sphere', position, radius: 2, opacity: 0.5 }).valid).toBe(true)
+        expect(validateMessage('primitive', { id: 'c', type: 'arrow', start: position, end: { x: 1, y: 70, z: 1 } }).valid).toBe(true)
+        expect(validateMessage('primitive', { id: 'd', type: 'box', start: position, end: { x: 3, y: 66, z: 3 }, color: 'red' }).valid).toBe(true)
+        expect(validateMessage('primitive', { id: 'e', type: 'blockFace', position, face: 3 }).valid).toBe(true)
+        // Erasing
+        expect(validateMessage('primitive', { id: 'e' }).valid).toBe(true)
+      })
+
+      it('should reject primitives without the fields of their type', () => {
+        const position = { x: 1, y: 64, z: 1 }
+        expect(validateMessage('primitive', { id: 'a', type: 'label', position }).valid).toBe(false)
+        expect(validateMessage('primitive', { id: 'a', type: 'label', position, text: 'a'.repeat(1001) }).valid).toBe(false)
+        expect(validateMessage('primitive', { id: 'b', type: 'sphere', position, opacity: 2 }).valid).toBe(false)
+        expect(validateMessage('primitive', { id: 'c', type: 'arrow', start: position }).valid).toBe(false)
+        expect(validateMessage('primitive', { id: 'e', type: 'blockFace', position, face: 6 }).valid).toBe(false)
+        expect(validateMessage('primitive', { id: 'f', type: 'line' }).valid).toBe(false)
+      })
+
+      it('should validate the vertices and indices of meshes', () => {
+        const vertices = [0, 64, 0, 1, 64, 0, 0, 65, 0, 1, 65, 0]
+        expect(validateMessage('primitive', { id: 'm', type: 'mesh', vertices, indices: [0, 1, 2, 2, 1, 3] }).valid).toBe(true)
+        expect(validateMessage('primitive', { id: 'm', type: 'mesh', vertices: vertices.slice(0, 9) }).valid).toBe(true)
+
+        const outOfRange = validateMessage('primitive', { id: 'm', type: 'mesh', vertices, indices: [0, 1, 4] })
+        expect(outOfRange.valid).toBe(false)
+        expect(outOfRange.errors).toEqual(["Field 'indices' must be lower than the vertex count 4"])
+        expect(validateMessage('primitive', { id: 'm', type: 'mesh', vertices, indices: [0, 1, 2, 3] }).valid).toBe(false)
+        expect(validateMessage('primitive', { id: 'm', type: 'mesh', vertices: vertices.slice(0, 10) }).valid).toBe(false)
+        expect(validateMessage('primitive', { id: 'm', type: 'mesh', vertices, indices: [0, 1, 1.5] }).valid).toBe(false)
+
+        const notANumber = validateMessage('primitive', { id: 'm', type: 'mesh', vertices: [0, 64, '0'] })
+        expect(notANumber.errors).toEqual(["Field 'vertices[2]' must be of type number, got string"])
+      })
+
+      it('should validate time-limited and animated primitives', () => {
+        const start = { x: -0.5, y: 0, z: -0.5 }
+        const end = { x: 0.5, y: 2, z: 0.5 }
+        expect(validateMessage('primitive', { id: 'a', type: 'box', start, end, ttl: 2000, fade: 500, blink: 250, follow: 42 }).valid).toBe(true)
+        expect(validateMessage('primitive', { id: 'a', type: 'box', start, end, ttl: -1 }).valid).toBe(false)
+        expect(validateMessage('primitive', { id: 'a', type: 'box', start, end, blink: 10 }).valid).toBe(false)
+        expect(validateMessage('primitive', { id: 'a', type: 'box', start, end, follow: 'zombie' }).valid).toBe(false)
+      })
+
+      it('should validate the deltas and the batches of primitives', () => {
+        const points = [{ x: 0, y: 64, z: 0 }, { x: 1, y: 64, z: 0 }]
+        expect(validateMessage('primitive', { id: 'open', delta: 'append', points }).valid).toBe(true)
+        expect(validateMessage('primitive', { id: 'open', delta: 'remove' }).valid).toBe(false)
+        expect(validateMessage('primitive', { id: 'open', delta: 'append', type: 'points', points }).valid).toBe(false)
+        expect(validateMessage('primitive', { id: 'open', delta: 'move', points }).valid).toBe(false)
+
+        const updates = [{ id: 'edges', type: 'segments', points }, { id: 'open', delta: 'remove', points }, { id: 'old' }]
+        expect(validateMessage('primitives', { updates }).valid).toBe(true)
+        const invalid = validateMessage('primitives', { updates: [...updates, { id: 'a', type: 'label' }] })
+        expect(invalid.valid).toBe(false)
+        expect(invalid.errors[0]).toMatch(/^updates\[3\]\./)
+      })
+    })
+
+    describe('primitive layer schemas', () => {
+      it('should validate layer settings', () => {
+        expect(validateMessage('primitiveLayer', { name: 'path', visible: false, opacity: 0.5, order: 2 }).valid).toBe(true)
+        expect(validateMessage('primitiveLayer', { name: 'path' }).valid).toBe(true)
+        expect(validateMessage('clearLayer', { name: 'path' }).valid).toBe(true)
+        expect(validateMessage('primitive', { id: 'a', type: 'sphere', position: { x: 0, y: 0, z: 0 }, layer: 'targets' }).valid).toBe(true)
+      })
+
+      it('should reject invalid layer settings', () => {
+        expect(validateMessage('primitiveLayer', { visible: true }).valid).toBe(false)
+        expect(validateMessage('primitiveLayer', { name: 'path', opacity: -1 }).valid).toBe(false)
+        expect(validateMessage('primitiveLayer', { name: 'path', order: 1.5 }).valid).toBe(false)
+        expect(validateMessage('clearLayer', {}).valid).toBe(false)
+      })
+    })
+
+    describe('clientSettings schema', () => {
+      it('should validate the settings offered to the page', () => {
+        expect(validateMessage('clientSettings', { skins: true, geometryCache: false }).valid).toBe(true)
+        expect(validateMessage('clientSettings', {}).valid).toBe(true)
+        expect(validateMessage('clientSettings', { skins: 'yes' }).valid).toBe(false)
+        expect(validateMessage('clientSettings', { geometryCache: 1 }).valid).toBe(false)
+      })
+    })
+
+    describe('HUD schemas', () => {
+      it('should validate bot status, inventory and chat messages', () => {
+        expect(validateMessage('botStatus', { health: 20, food: 17, level: 0, progress: 0.25, gameMode: 'survival' }).valid).toBe(true)
+        expect(validateMessage('botStatus', {}).valid).toBe(true)
+        expect(validateMessage('inventory', { slots: [{ slot: 36, name: 'stone', count: 64 }], quickBarSlot: 0 }).valid).toBe(true)
+        expect(validateMessage('chat', { text: '<bot> hello', position: 'chat', time: 1 }).valid).toBe(true)
+      })
+
+      it('should reject invalid HUD messages', () => {
+        expect(validateMessage('botStatus', { health: -1 }).valid).toBe(false)
+        expect(validateMessage('botStatus', { progress: 2 }).valid).toBe(false)
+        expect(validateMessage('inventory', { quickBarSlot: 0 }).valid).toBe(false)
+        expect(validateMessage('inventory', { slots: [], quickBarSlot: 9 }).valid).toBe(false)
+        expect(validateMessage('inventory', { slots: [{ slot: 36, name: 'stone', count: 1 }, { slot: 99, name: 'dirt', count: 1 }] }).errors)
+          .toEqual(["slots[1].Field 'slot' must be <= 45"])
+        expect(validateMessage('chat', { text: 'x'.repeat(5000) }).valid).toBe(false)
+        expect(validateMessage('chat', { text: 'hi', position: 'game_info' }).valid).toBe(false)
+      })
     })
 
     describe('unknown schema', () => {
@@ -0,0 +1,23 @@
+/* eslint-env jest */
+const { loadJSON } = require('../../viewer/lib/utils')
+
+describe('loadJSON', () => {
+  it('should call the error callback for a missing file', () => {
+    const callback = jest.fn()
+    const onError = jest.fn()
+    loadJSON('missing/1.0.json', callback, onError)
+    expect(callback).not.toHaveBeenCalled()
+    expect(onError).toHaveBeenCalledTimes(1)
+    expect(onError.mock.calls[0][0].message).toMatch('missing/1.0.json')
+  })
+
+  it('should throw for a missing file without error callback', () => {
+    expect(() => loadJSON('missing/1.0.json', () => {})).toThrow()
+  })
+
+  it('should not report the errors of the callback as a missing file', () => {
+    const onError = jest.fn()
+    expect(() => loadJSON('../package.json', () => { throw new Error('callback') }, onError)).toThrow('callback')
+    expect(onError).not.toHaveBeenCalled()
+  })
+})
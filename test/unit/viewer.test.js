@@ -0,0 +1,112 @@
+/* eslint-env jest */
+const THREE = require('three')
+
+// The block entity textures are drawn on the canvas of the browser build, no 2D context is needed here
+jest.mock('canvas', () => jest.requireActual('canvas/browser'))
+
+// Meshing is not exercised, the sections are given to the renderer as the workers would
+global.Worker = class {
+  postMessage () {}
+  terminate () {}
+}
+
+const { Viewer } = require('../../viewer/lib/viewer')
+
+const emptyLayer = { indices: [] }
+
+// Section with two translucent faces facing z, at z 2 and 14 in the section
+function addSection (world, sx, sy, sz) {
+  const positions = []
+  for (const z of [2, 14]) positions.push(0, 0, z, 16, 0, z, 16, 16, z, 0, 16, z)
+  const vertices = positions.length / 3
+  world.loadedChunks[`${sx},${sz}`] = true
+  world._handleGeometry({
+    key: `${sx},${sy},${sz}`,
+    geometry: {
+      sx,
+      sy,
+      sz,
+      opaque: emptyLayer,
+      cutout: emptyLayer,
+      translucent: {
+        positions: new Float32Array(positions),
+        normals: new Float32Array(vertices * 3),
+        colors: new Float32Array(vertices * 3),
+        uvs: new Float32Array(vertices * 2),
+        light: new Float32Array(vertices * 2),
+        animations: new Float32Array(vertices),
+        tiles: new Float32Array(vertices),
+        indices: [0, 1, 2, 2, 3, 0, 4, 5, 6, 6, 7, 4]
+      }
+    }
+  })
+  return world.sectionMeshs[`${sx},${sy},${sz}`]
+}
+
+function lookAt (camera, from, to) {
+  camera.position.set(...from)
+  camera.lookAt(...to)
+  camera.updateMatrixWorld()
+}
+
+describe('Viewer', () => {
+  let renderer
+
+  beforeEach(() => {
+    renderer = {
+      domElement: { addEventListener: jest.fn() },
+      getSize: (target) => target.set(800, 600),
+      setViewport: jest.fn(),
+      setScissor: jest.fn(),
+      setScissorTest: jest.fn(),
+      render: jest.fn()
+    }
+  })
+
+  it('should cull and sort the translucent faces for each viewport before drawing it', () => {
+    const viewer = new Viewer(renderer)
+    const front = addSection(viewer.world, 0, 0, 0)
+    const behind = addSection(viewer.world, 0, 0, 48)
+
+    // The main camera sees both sections, the back camera is past the second one, looking back at the first
+    lookAt(viewer.camera, [8, 8, -20], [8, 8, 8])
+    const back = viewer.addViewport('back', new THREE.PerspectiveCamera(75, 1, 0.1, 1000), { x: 0.5, width: 0.5 })
+    lookAt(back.camera, [8, 8, 40], [8, 8, 8])
+
+    const drawn = []
+    renderer.render.mockImplementation((scene, camera) => {
+      drawn.push({
+        camera,
+        behindVisible: behind.visible,
+        firstFace: front.getObjectByName('translucent').geometry.index.array[0]
+      })
+    })
+    viewer.update()
+    viewer.render(renderer)
+
+    // The farthest face is drawn first: the one at z 14 from the main camera, at z 2 from the back one
+    expect(drawn).toEqual([
+      { camera: viewer.camera, behindVisible: true, firstFace: 4 },
+      { camera: back.camera, behindVisible: false, firstFace: 0 }
+    ])
+    expect(viewer.getViewport().visibleMeshes).toBe(2)
+    expect(back.visibleMeshes).toBe(1)
+    expect(back.totalMeshes).toBe(2)
+    expect(renderer.setScissorTest).toHaveBeenCalledWith(true)
+  })
+
+  it('should sort the translucent faces for the main camera alone when it fills the canvas', () => {
+    const viewer = new Viewer(renderer)
+    const section = addSection(viewer.world, 0, 0, 0)
+    lookAt(viewer.camera, [8, 8, 40], [8, 8, 8])
+    const sort = jest.spyOn(viewer.world, 'updateTranslucentSorting')
+
+    viewer.update()
+    viewer.render(renderer)
+
+    expect(sort).toHaveBeenCalledTimes(1)
+    expect(sort).toHaveBeenCalledWith(viewer.camera)
+    expect(section.getObjectByName('translucent').geometry.index.array[0]).toBe(0)
+    expect(renderer.setScissorTest).toHaveBeenLastCalledWith(false)
+  })
+})
@@ -0,0 +1,30 @@
+/* eslint-env jest */
+const THREE = require('three')
+const { Viewport } = require('../../viewer/lib/viewport')
+
+describe('Viewport', () => {
+  it('should give its region in pixels from the bottom left of the canvas', () => {
+    const viewport = new Viewport('map', new THREE.PerspectiveCamera(), { x: 0.75, y: 0, width: 0.25, height: 0.5 })
+    expect(viewport.getRect(800, 600)).toEqual({ x: 600, y: 300, width: 200, height: 300 })
+    expect(new Viewport('main', new THREE.PerspectiveCamera()).getRect(800, 600)).toEqual({ x: 0, y: 0, width: 800, height: 600 })
+  })
+
+  it('should find the pointer in its region', () => {
+    const viewport = new Viewport('right', new THREE.PerspectiveCamera(), { x: 0.5, width: 0.5 })
+    expect(viewport.containsPoint(0.75, 0.2)).toBe(true)
+    expect(viewport.containsPoint(0.25, 0.2)).toBe(false)
+    expect(viewport.getPointerCoords(0.75, 0.5, new THREE.Vector2()).toArray()).toEqual([0, 0])
+    expect(viewport.getPointerCoords(0.5, 0, new THREE.Vector2()).toArray()).toEqual([-1, 1])
+  })
+
+  it('should fit the camera projection to its region', () => {
+    const perspective = new Viewport('a', new THREE.PerspectiveCamera(75, 1, 0.1, 1000))
+    perspective.updateAspect(2)
+    expect(perspective.camera.aspect).toBe(2)
+
+    const orthographic = new Viewport('b', new THREE.OrthographicCamera(-10, 10, 10, -10, 0.1, 1000))
+    orthographic.updateAspect(0.5)
+    expect([orthographic.camera.left, orthographic.camera.right, orthographic.camera.top]).toEqual([-5, 5, 10])
+    expect(orthographic.camera.projectionMatrix.elements[0]).toBeCloseTo(1 / 5)
+  })
+})
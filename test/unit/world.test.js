@@ -136,3 +136,46 @@ describe('LRUCache', () => {
     })
   })
 })
+
+describe('World', () => {
+  const { Vec3 } = require('vec3')
+  const { World } = require('../../viewer/lib/world')
+
+  function makeColumn (version) {
+    const Chunk = require('prismarine-chunk')(version)
+    const mcData = require('minecraft-data')(version)
+    const chunk = new Chunk({ minY: -64, worldHeight: 384 })
+    chunk.setBlockStateId(new Vec3(1, -60, 1), mcData.blocksByName.stone.defaultState)
+    return chunk.toJson()
+  }
+
+  describe('world bounds', () => {
+    it('should use the version overworld bounds', () => {
+      expect(new World('1.12.2')).toMatchObject({ minY: 0, worldHeight: 256 })
+      expect(new World('1.18.1')).toMatchObject({ minY: -64, worldHeight: 384 })
+    })
+
+    it('should read blocks below Y=0 in 1.18+ worlds', () => {
+      const world = new World('1.18.1')
+      world.addColumn(0, 0, makeColumn('1.18.1'))
+      expect(world.getBlock(new Vec3(1, -60, 1)).name).toBe('stone')
+      expect(world.hasSection(0, -64, 0)).toBe(true)
+      expect(world.hasSection(0, 304, 0)).toBe(true)
+    })
+
+    it('should return air outside of the world bounds', () => {
+      const world = new World('1.18.1')
+      world.addColumn(0, 0, makeColumn('1.18.1'))
+      expect(world.getBlock(new Vec3(1, -65, 1)).name).toBe('air')
+      expect(world.getBlock(new Vec3(1, 320, 1)).name).toBe('air')
+      expect(world.hasSection(0, -80, 0)).toBe(false)
+      expect(world.hasSection(0, 320, 0)).toBe(false)
+    })
+
+    it('should update bounds on dimension change', () => {
+      const world = new World('1.18.1')
+      world.setBounds(0, 256)
+      expect(world.getCacheStats()).toMatchObject({ minY: 0, worldHeight: 256 })
+    })
+  })
+})
@@ -15,6 +15,15 @@ module.exports = {
   dispose: require('./lib/dispose'),
   constants: require('./lib/constants'),
 
+  // Section geometry cache, see lib/fileStore for the node store
+  GeometryCache: require('./lib/geometryCache').GeometryCache,
+  IndexedDBStore: require('./lib/geometryCache').IndexedDBStore,
+  MemoryStore: require('./lib/geometryCache').MemoryStore,
+
+  // Binary chunk transport
+  getClientChunkEncoding: require('./lib/chunkCodec').getClientChunkEncoding,
+  negotiateChunkEncoding: require('./lib/chunkCodec').negotiateChunkEncoding,
+
   // Version support
   supportedVersions: require('./lib/version').supportedVersions,
   getVersion: require('./lib/version').getVersion
@@ -0,0 +1,195 @@
+/**
+ * Animated block textures (water, lava, fire, portals...)
+ * The frames listed in the .png.mcmeta files are packed in the texture atlas, the faces
+ * using an animated texture are tagged by the mesher and the block material moves their
+ * UVs to the current frame
+ * @module viewer/lib/animatedTextures
+ */
+
+const {
+  MAX_ANIMATED_TEXTURES,
+  TICK_DURATION_MS
+} = require('./constants')
+
+/**
+ * Frames of an animated texture, from the `animation` section of its .png.mcmeta
+ * Frames are laid out left to right then top to bottom, they are square by default
+ * @param {Object} animation - Animation metadata: frametime, frames, interpolate, width, height
+ * @param {number} width - Width of the texture image, in pixels
+ * @param {number} height - Height of the texture image, in pixels
+ * @returns {{frameWidth: number, frameHeight: number, columns: number, frameCount: number, interpolate: boolean, frames: Array<{index: number, time: number}>}|null}
+ *   Frame size, frames per row, number of frames in the image and the frames to show with their time in ticks, null if the image has no frame
+ */
+function parseAnimation (animation, width, height) {
+  let frameWidth = animation.width
+  let frameHeight = animation.height
+  if (frameWidth === undefined && frameHeight === undefined) {
+    frameWidth = frameHeight = Math.min(width, height)
+  }
+  frameWidth = frameWidth ?? width
+  frameHeight = frameHeight ?? height
+  if (!(frameWidth > 0) || !(frameHeight > 0)) return null
+
+  const columns = Math.floor(width / frameWidth)
+  const frameCount = columns * Math.floor(height / frameHeight)
+  if (frameCount === 0) return null
+
+  const frametime = Math.max(animation.frametime ?? 1, 1)
+  let frames
+  if (Array.isArray(animation.frames)) {
+    frames = animation.frames
+      .map(frame => typeof frame === 'object' ? { index: frame.index, time: frame.time ?? frametime } : { index: frame, time: frametime })
+      .filter(({ index }) => Number.isInteger(index) && index >= 0 && index < frameCount)
+  } else {
+    frames = []
+    for (let index = 0; index < frameCount; index++) frames.push({ index, time: frametime })
+  }
+  if (frames.length === 0) return null
+
+  return { frameWidth, frameHeight, columns, frameCount, interpolate: !!animation.interpolate, frames }
+}
+
+/**
+ * Position of a frame in the texture image
+ * @param {Object} parsed - Frames, as returned by parseAnimation
+ * @param {number} index - Frame index
+ * @returns {number[]} Pixel coordinates of the top left corner of the frame
+ */
+function getFramePosition ({ frameWidth, frameHeight, columns }, index) {
+  return [(index % columns) * frameWidth, Math.floor(index / columns) * frameHeight]
+}
+
+/**
+ * Frame shown at a given time
+ * @param {Array<{time: number}>} frames - Frames with their time in ticks
+ * @param {number} ticks - Time in ticks
+ * @returns {{frame: number, next: number, progress: number}} Current frame, the frame after it and how far the current frame is shown, from 0 to 1
+ */
+function getAnimationFrame (frames, ticks) {
+  const total = frames.reduce((sum, { time }) => sum + time, 0)
+  if (frames.length === 0 || !(total > 0)) return { frame: 0, next: 0, progress: 0 }
+
+  let t = ((ticks % total) + total) % total
+  for (let frame = 0; frame < frames.length; frame++) {
+    if (t < frames[frame].time) {
+      return { frame, next: (frame + 1) % frames.length, progress: t / frames[frame].time }
+    }
+    t -= frames[frame].time
+  }
+  return { frame: frames.length - 1, next: 0, progress: 1 }
+}
+
+/**
+ * Current frames of the animated textures of an atlas, kept in the uniforms of the block material
+ */
+class TextureAnimations {
+  constructor () {
+    // Frame offsets from the first frame, by animation index
+    this.animations = []
+    // animationOffsets: UV offset of the current (xy) and next (zw) frame
+    // animationBlend: how much of the next frame is blended in, for interpolated animations
+    this.uniforms = {
+      animationOffsets: { value: new Float32Array(MAX_ANIMATED_TEXTURES * 4) },
+      animationBlend: { value: new Float32Array(MAX_ANIMATED_TEXTURES) }
+    }
+  }
+
+  /**
+   * Set the animations of the texture atlas, the faces show their first frame until the next update
+   * @param {Object|null} atlas - Atlas description (textures/<version>.json), null for no animations
+   */
+  setAnimations (atlas) {
+    this.animations = []
+    this.uniforms.animationOffsets.value.fill(0)
+    this.uniforms.animationBlend.value.fill(0)
+    if (!atlas || !atlas.animations) return
+
+    for (const { texture, interpolate, frames } of atlas.animations.slice(0, MAX_ANIMATED_TEXTURES)) {
+      // The faces are meshed with the UVs of the texture, which is the first frame of the image
+      const { u, v } = atlas.textures[texture]
+      this.animations.push({
+        interpolate,
+        frames: frames.map(frame => ({ du: frame.u - u, dv: frame.v - v, time: frame.time }))
+      })
+    }
+  }
+
+  /**
+   * Move the animated textures to their frame at a given time
+   * @param {number} time - Time in milliseconds
+   */
+  update (time) {
+    const ticks = time / TICK_DURATION_MS
+    const offsets = this.uniforms.animationOffsets.value
+    const blend = this.uniforms.animationBlend.value
+    this.animations.forEach(({ interpolate, frames }, i) => {
+      const { frame, next, progress } = getAnimationFrame(frames, ticks)
+      offsets[i * 4] = frames[frame].du
+      offsets[i * 4 + 1] = frames[frame].dv
+      offsets[i * 4 + 2] = frames[next].du
+      offsets[i * 4 + 3] = frames[next].dv
+      blend[i] = interpolate ? progress : 0
+    })
+  }
+}
+
+/**
+ * Patch a material shader so that the per vertex `animation` attribute (animation index + 1,
+ * 0 for static textures) moves the UVs to the current frame of the animation
+ * @param {Object} shader - Shader passed to material.onBeforeCompile
+ * @param {Object} uniforms - Shared uniforms: animationOffsets, animationBlend
+ */
+function patchAnimationShader (shader, uniforms) {
+  shader.uniforms.animationOffsets = uniforms.animationOffsets
+  shader.uniforms.animationBlend = uniforms.animationBlend
+
+  const varyings = [
+    'varying vec2 vAnimationUv;',
+    'varying float vAnimationBlend;'
+  ]
+
+  shader.vertexShader = shader.vertexShader
+    .replace('#include <common>', [
+      '#include <common>',
+      'attribute float animation;',
+      `uniform vec4 animationOffsets[${MAX_ANIMATED_TEXTURES}];`,
+      `uniform float animationBlend[${MAX_ANIMATED_TEXTURES}];`,
+      ...varyings
+    ].join('\n'))
+    .replace('#include <uv_vertex>', [
+      '#include <uv_vertex>',
+      '#ifdef USE_UV',
+      'vAnimationUv = vUv;',
+      'vAnimationBlend = 0.0;',
+      'if (animation > 0.5) {',
+      '  int animationIndex = int(animation - 0.5);',
+      '  vAnimationUv = vUv + animationOffsets[animationIndex].zw;',
+      '  vUv += animationOffsets[animationIndex].xy;',
+      '  vAnimationBlend = animationBlend[animationIndex];',
+      '}',
+      '#endif'
+    ].join('\n'))
+
+  shader.fragmentShader = shader.fragmentShader
+    .replace('#include <common>', ['#include <common>', ...varyings].join('\n'))
+    .replace('#include <map_fragment>', [
+      '#ifdef USE_MAP',
+      // UV of the texture lookup, replaced by the repeated tile of merged faces (see greedyMeshing.js)
+      '#ifndef MAP_UV',
+      '#define MAP_UV vUv',
+      '#endif',
+      'vec4 texelColor = texture2D(map, MAP_UV);',
+      'if (vAnimationBlend > 0.0) texelColor = mix(texelColor, texture2D(map, vAnimationUv), vAnimationBlend);',
+      'texelColor = mapTexelToLinear(texelColor);',
+      'diffuseColor *= texelColor;',
+      '#endif'
+    ].join('\n'))
+}
+
+module.exports = {
+  parseAnimation,
+  getFramePosition,
+  getAnimationFrame,
+  TextureAnimations,
+  patchAnimationShader
+}
@@ -1,6 +1,10 @@
 const fs = require('fs')
 const { Canvas, Image } = require('canvas')
 const path = require('path')
+const { parseAnimation, getFramePosition } = require('./animatedTextures')
+const { getTextureLayer } = require('./renderLayers')
+const { getAverageColor } = require('./lod')
+const { MAX_ANIMATED_TEXTURES } = require('./constants')
 
 function nextPowerOfTwo (n) {
   if (n === 0) return 1
@@ -13,42 +17,127 @@ function nextPowerOfTwo (n) {
   return n + 1
 }
 
-function readTexture (basePath, name) {
+// Resource packs (see resourcePack.js) replace textures with their own, with their own animation
+function readTexture (mcAssets, name) {
   if (name === 'missing_texture.png') {
     // grab ./missing_texture.png
-    basePath = __dirname
+    return fs.readFileSync(path.join(__dirname, name), 'base64')
   }
-  return fs.readFileSync(path.join(basePath, name), 'base64')
+  const packTexture = mcAssets.textures && mcAssets.textures.get(name)
+  if (packTexture) return packTexture.image.toString('base64')
+  return fs.readFileSync(path.join(mcAssets.directory, name), 'base64')
+}
+
+// Animation section of the .png.mcmeta next to a texture, null for static textures
+function readAnimation (mcAssets, name) {
+  const packTexture = mcAssets.textures && mcAssets.textures.get(name)
+  let content = packTexture ? packTexture.mcmeta : null
+  if (!packTexture) {
+    const file = path.join(mcAssets.directory, name + '.mcmeta')
+    if (fs.existsSync(file)) content = fs.readFileSync(file)
+  }
+  if (!content) return null
+  return JSON.parse(content.toString('utf8')).animation || null
+}
+
+function listTextures (mcAssets, folder) {
+  const directory = path.join(mcAssets.directory, folder)
+  const files = fs.existsSync(directory)
+    ? fs.readdirSync(directory).filter(file => file.endsWith('.png')).map(file => `${folder}/${file}`)
+    : []
+  if (mcAssets.textures) {
+    for (const file of mcAssets.textures.keys()) {
+      if (file.startsWith(`${folder}/`) && !files.includes(file)) files.push(file)
+    }
+  }
+  return files.sort()
+}
+
+// RGBA texels of atlas tiles, end to end
+function readTiles (g, tiles, imgSize, tileSize) {
+  const data = new Uint8ClampedArray(tiles.length * tileSize * tileSize * 4)
+  tiles.forEach(({ u, v }, i) => {
+    data.set(g.getImageData(u * imgSize, v * imgSize, tileSize, tileSize).data, i * tileSize * tileSize * 4)
+  })
+  return data
 }
 
 function makeTextureAtlas (mcAssets) {
-  const blocksTexturePath = path.join(mcAssets.directory, '/blocks')
-  const textureFiles = fs.readdirSync(blocksTexturePath).filter(file => file.endsWith('.png'))
+  // Block textures are named after their file, item textures (used for the dropped item sprites) are prefixed with items/
+  const textureFiles = listTextures(mcAssets, 'blocks')
+  textureFiles.push(...listTextures(mcAssets, 'items'))
   textureFiles.unshift('missing_texture.png')
 
-  const texSize = nextPowerOfTwo(Math.ceil(Math.sqrt(textureFiles.length)))
+  const textures = textureFiles.map(file => {
+    const image = new Image()
+    image.src = 'data:image/png;base64,' + readTexture(mcAssets, file)
+    return { file, name: file.split('.')[0].replace(/^blocks\//, ''), image, animation: null }
+  })
+
+  // Every frame of the animated block textures is packed, the first one in the slot of the texture
+  const animated = textures.filter(({ file }) => file.startsWith('blocks/'))
+    .map(texture => ({ texture, meta: readAnimation(mcAssets, texture.file) }))
+    .filter(({ meta }) => meta)
+  if (animated.length > MAX_ANIMATED_TEXTURES) {
+    console.warn(`${animated.length} animated textures, only the first ${MAX_ANIMATED_TEXTURES} are animated`)
+  }
+  let frameTiles = 0
+  for (const { texture, meta } of animated.slice(0, MAX_ANIMATED_TEXTURES)) {
+    texture.animation = parseAnimation(meta, texture.image.width, texture.image.height)
+    if (texture.animation) frameTiles += texture.animation.frameCount - 1
+  }
+
+  const texSize = nextPowerOfTwo(Math.ceil(Math.sqrt(textures.length + frameTiles)))
   const tileSize = 16
 
   const imgSize = texSize * tileSize
   const canvas = new Canvas(imgSize, imgSize, 'png')
   const g = canvas.getContext('2d')
 
-  const texturesIndex = {}
+  let tile = 0
+  const drawTile = (image, [sx, sy], sw, sh) => {
+    const x = (tile % texSize) * tileSize
+    const y = Math.floor(tile / texSize) * tileSize
+    tile++
+    g.drawImage(image, sx, sy, sw, sh, x, y, tileSize, tileSize)
+    return { u: x / imgSize, v: y / imgSize }
+  }
 
-  for (const i in textureFiles) {
-    const x = (i % texSize) * tileSize
-    const y = Math.floor(i / texSize) * tileSize
+  const texturesIndex = {}
+  for (const { name, image, animation } of textures) {
+    const position = animation ? drawTile(image, getFramePosition(animation, 0), animation.frameWidth, animation.frameHeight) : drawTile(image, [0, 0], 16, 16)
+    texturesIndex[name] = { ...position, su: tileSize / imgSize, sv: tileSize / imgSize }
+  }
 
-    const name = textureFiles[i].split('.')[0]
+  const animations = []
+  const tiles = {}
+  for (const { name, image, animation } of textures) {
+    tiles[name] = [texturesIndex[name]]
+    if (!animation) continue
+    const frameUvs = tiles[name]
+    for (let index = 1; index < animation.frameCount; index++) {
+      frameUvs.push(drawTile(image, getFramePosition(animation, index), animation.frameWidth, animation.frameHeight))
+    }
+    texturesIndex[name].animation = animations.length
+    animations.push({
+      texture: name,
+      interpolate: animation.interpolate,
+      frames: animation.frames.map(({ index, time }) => ({ u: frameUvs[index].u, v: frameUvs[index].v, time }))
+    })
+  }
 
-    texturesIndex[name] = { u: x / imgSize, v: y / imgSize, su: tileSize / imgSize, sv: tileSize / imgSize }
+  // Render pass of the faces drawn with each texture, from the alpha of all its frames
+  for (const name of Object.keys(texturesIndex)) {
+    texturesIndex[name].layer = getTextureLayer(readTiles(g, tiles[name], imgSize, tileSize))
+  }
 
-    const img = new Image()
-    img.src = 'data:image/png;base64,' + readTexture(blocksTexturePath, textureFiles[i])
-    g.drawImage(img, 0, 0, 16, 16, x, y, 16, 16)
+  // Average color of the first frame, for the far columns drawn without textures
+  for (const name of Object.keys(texturesIndex)) {
+    const color = getAverageColor(readTiles(g, [texturesIndex[name]], imgSize, tileSize))
+    if (color) texturesIndex[name].color = color
   }
 
-  return { image: canvas.toBuffer(), canvas, json: { size: tileSize / imgSize, textures: texturesIndex } }
+  return { image: canvas.toBuffer(), canvas, json: { size: tileSize / imgSize, textures: texturesIndex, animations } }
 }
 
 module.exports = {
@@ -0,0 +1,272 @@
+const THREE = require('three')
+const { createCanvas } = require('canvas')
+const { loadTexture, loadJSON } = globalThis.isElectron ? require('./utils.electron.js') : require('./utils')
+const { dispose3 } = require('./dispose')
+const { buildModelGeometry, getBlockEntityParts, signTextAreas, DYE_COLORS } = require('./blockEntity/models')
+const { getSignText } = require('./blockEntity/nbt')
+const {
+  MATERIAL_ALPHA_TEST,
+  SIGN_TEXT_CANVAS_WIDTH,
+  SIGN_TEXT_CANVAS_HEIGHT,
+  SIGN_TEXT_FONT
+} = require('./constants')
+
+function posKey (x, y, z) {
+  return `${x},${y},${z}`
+}
+
+function columnKey (x, z) {
+  return `${Math.floor(x / 16) * 16},${Math.floor(z / 16) * 16}`
+}
+
+function sectionKey (x, y, z) {
+  return `${Math.floor(x / 16) * 16},${Math.floor(y / 16) * 16},${Math.floor(z / 16) * 16}`
+}
+
+function colorToCss (color) {
+  return '#' + color.toString(16).padStart(6, '0')
+}
+
+function createSignTextMesh (area, { lines, color, glowing }) {
+  const canvas = createCanvas(SIGN_TEXT_CANVAS_WIDTH, SIGN_TEXT_CANVAS_HEIGHT)
+  const ctx = canvas.getContext('2d')
+  ctx.font = SIGN_TEXT_FONT
+  // Black text is darker than the black dye
+  ctx.fillStyle = color === 'black' || !DYE_COLORS[color] ? '#000000' : colorToCss(DYE_COLORS[color])
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  const lineHeight = SIGN_TEXT_CANVAS_HEIGHT / lines.length
+  lines.forEach((line, i) => {
+    ctx.fillText(line, SIGN_TEXT_CANVAS_WIDTH / 2, (i + 0.5) * lineHeight, SIGN_TEXT_CANVAS_WIDTH)
+  })
+
+  const texture = new THREE.Texture(canvas)
+  texture.needsUpdate = true
+  const options = { map: texture, transparent: true, alphaTest: MATERIAL_ALPHA_TEST }
+  // Glowing text is not shaded
+  const material = glowing ? new THREE.MeshBasicMaterial(options) : new THREE.MeshLambertMaterial(options)
+  const mesh = new THREE.Mesh(new THREE.PlaneGeometry(area.size[0] / 16, area.size[1] / 16), material)
+  mesh.position.set((area.center[0] - 8) / 16, area.center[1] / 16, (area.center[2] - 8) / 16)
+  // Planes face south, the models face north
+  mesh.rotation.y = Math.PI
+  return mesh
+}
+
+/**
+ * Block entities drawn with built-in models: chests, signs, banners, beds and skulls
+ * The workers list them with the geometry of their section, their data (sign text, colours)
+ * comes with the chunks and with block entity updates
+ */
+class BlockEntities {
+  /**
+   * @param {THREE.Scene} scene - Scene the block entities are added to
+   */
+  constructor (scene) {
+    this.scene = scene
+    this.version = null
+    // Block entity textures of the version (public/blockEntities/<version>.json), null until loaded
+    this.textures = null
+    // Drawn block entities by section key, then by position: { state, mesh }
+    this.sections = {}
+    // Block entity data by column key, then by position
+    this.data = {}
+    // Models and materials are shared by the block entities using them
+    this.geometries = new Map()
+    this.materials = new Map()
+  }
+
+  /**
+   * Load the textures of a version, dropping all block entities
+   * @param {string} version - Minecraft version
+   */
+  setVersion (version) {
+    this.clear()
+    this._disposeShared()
+    this.version = version
+    this.textures = null
+    loadJSON(`blockEntities/${version}.json`, (json) => {
+      if (this.version !== version) return
+      this.textures = json.textures
+      this._redrawAll()
+    }, () => {
+      console.log(`No block entity textures for ${version}, block entities won't be drawn`)
+    })
+  }
+
+  /**
+   * Set the block entities of a section, as listed by the workers
+   * @param {string} key - Section key
+   * @param {Object[]} blockEntities - Block entity states (position, kind, variant, facing...)
+   */
+  setSection (key, blockEntities) {
+    this.removeSection(key)
+    if (!blockEntities || blockEntities.length === 0) return
+
+    const section = new Map()
+    for (const state of blockEntities) {
+      const entry = { state, mesh: null }
+      section.set(posKey(state.x, state.y, state.z), entry)
+      this._draw(entry)
+    }
+    this.sections[key] = section
+  }
+
+  /**
+   * Remove the block entities of a section
+   * @param {string} key - Section key
+   */
+  removeSection (key) {
+    const section = this.sections[key]
+    if (!section) return
+    for (const entry of section.values()) this._removeMesh(entry)
+    delete this.sections[key]
+  }
+
+  /**
+   * Set the block entity data of a column
+   * @param {number} x - Column x (block coordinate)
+   * @param {number} z - Column z (block coordinate)
+   * @param {Array<{pos: {x: number, y: number, z: number}, nbt: Object}>} blockEntities - Block entity data
+   */
+  setColumnData (x, z, blockEntities) {
+    const column = {}
+    for (const { pos, nbt } of blockEntities) column[posKey(pos.x, pos.y, pos.z)] = nbt
+    this.data[columnKey(x, z)] = column
+    for (const { pos } of blockEntities) this._redraw(pos)
+  }
+
+  /**
+   * Forget the block entity data of a column
+   * @param {number} x - Column x (block coordinate)
+   * @param {number} z - Column z (block coordinate)
+   */
+  removeColumnData (x, z) {
+    delete this.data[columnKey(x, z)]
+  }
+
+  /**
+   * Set the data of a block entity, and redraw it
+   * @param {{x: number, y: number, z: number}} pos - Block position
+   * @param {Object|null} nbt - Plain block entity data, null to remove it
+   */
+  setBlockEntity (pos, nbt) {
+    const key = columnKey(pos.x, pos.z)
+    if (!this.data[key]) this.data[key] = {}
+    if (nbt) this.data[key][posKey(pos.x, pos.y, pos.z)] = nbt
+    else delete this.data[key][posKey(pos.x, pos.y, pos.z)]
+    this._redraw(pos)
+  }
+
+  _getData ({ x, y, z }) {
+    const column = this.data[columnKey(x, z)]
+    return column ? column[posKey(x, y, z)] : undefined
+  }
+
+  _redraw (pos) {
+    const section = this.sections[sectionKey(pos.x, pos.y, pos.z)]
+    const entry = section ? section.get(posKey(pos.x, pos.y, pos.z)) : null
+    if (entry) this._draw(entry)
+  }
+
+  _redrawAll () {
+    for (const section of Object.values(this.sections)) {
+      for (const entry of section.values()) this._draw(entry)
+    }
+  }
+
+  _draw (entry) {
+    this._removeMesh(entry)
+    if (!this.textures) return
+
+    const { state } = entry
+    const nbt = this._getData(state)
+    const description = getBlockEntityParts(state, nbt, this.textures)
+    if (!description) return
+
+    const mesh = new THREE.Group()
+    mesh.position.set(state.x + 0.5, state.y, state.z + 0.5)
+    mesh.rotation.y = description.yaw
+    for (const part of description.parts) {
+      mesh.add(new THREE.Mesh(this._getGeometry(part), this._getMaterial(part)))
+    }
+
+    if (description.text) {
+      const text = getSignText(nbt)
+      if (text.lines.some(line => line)) {
+        const textMesh = createSignTextMesh(signTextAreas[description.text], text)
+        mesh.userData.textMesh = textMesh
+        mesh.add(textMesh)
+      }
+    }
+
+    entry.mesh = mesh
+    this.scene.add(mesh)
+  }
+
+  // Shared models and materials are kept, the sign text is disposed
+  _removeMesh (entry) {
+    if (!entry.mesh) return
+    this.scene.remove(entry.mesh)
+    if (entry.mesh.userData.textMesh) dispose3(entry.mesh.userData.textMesh)
+    entry.mesh = null
+  }
+
+  _getGeometry ({ model, texture, flipped }) {
+    const size = this.textures[texture].size
+    const key = `${model},${size.join('x')},${!!flipped}`
+    let geometry = this.geometries.get(key)
+    if (!geometry) {
+      geometry = buildModelGeometry(model, size, flipped)
+      this.geometries.set(key, geometry)
+    }
+    return geometry
+  }
+
+  _getMaterial ({ texture, color }) {
+    const key = `${texture},${color ?? ''}`
+    let material = this.materials.get(key)
+    if (!material) {
+      material = new THREE.MeshLambertMaterial({ transparent: true, alphaTest: MATERIAL_ALPHA_TEST, color: color ?? 0xffffff })
+      this.materials.set(key, material)
+      loadTexture(this.textures[texture].texture, (map) => {
+        map.magFilter = THREE.NearestFilter
+        map.minFilter = THREE.NearestFilter
+        map.flipY = false
+        material.map = map
+        material.needsUpdate = true
+      })
+    }
+    return material
+  }
+
+  // Textures are cached by loadTexture, they are not disposed with the materials
+  _disposeShared () {
+    for (const geometry of this.geometries.values()) geometry.dispose()
+    for (const material of this.materials.values()) {
+      material.map = null
+      material.dispose()
+    }
+    this.geometries.clear()
+    this.materials.clear()
+  }
+
+  /**
+   * Remove all block entities and their data
+   */
+  clear () {
+    for (const key of Object.keys(this.sections)) this.removeSection(key)
+    this.data = {}
+  }
+
+  /**
+   * Remove all block entities and dispose of the shared models and materials
+   */
+  dispose () {
+    this.clear()
+    this._disposeShared()
+    this.version = null
+    this.textures = null
+  }
+}
+
+module.exports = { BlockEntities }
@@ -0,0 +1,58 @@
+const fs = require('fs')
+const path = require('path')
+
+// Folders of entity textures used by block entities, every texture of the folder is listed
+const TEXTURE_FOLDERS = ['chest', 'signs', 'bed']
+
+// Single entity textures used by block entities (banners and skulls)
+const TEXTURE_FILES = [
+  'sign',
+  'banner_base',
+  'skeleton/skeleton',
+  'skeleton/wither_skeleton',
+  'zombie/zombie',
+  'creeper/creeper',
+  'steve',
+  'player/wide/steve'
+]
+
+// Width and height of a png, from its header
+function getPngSize (file) {
+  const header = Buffer.alloc(24)
+  const fd = fs.openSync(file, 'r')
+  try {
+    fs.readSync(fd, header, 0, 24, 0)
+  } finally {
+    fs.closeSync(fd)
+  }
+  return [header.readUInt32BE(16), header.readUInt32BE(20)]
+}
+
+/**
+ * Find the entity textures of the block entities of a version (chests, signs, beds, banners and skulls)
+ * Block entity models use box uvs, so the texture size is kept with the texture path
+ * @param {string} version - Minecraft version
+ * @param {Object} mcAssets - minecraft-assets of the version
+ * @returns {{textures: Object<string, {texture: string, size: number[]}>}} Textures keyed by name relative to entity/
+ */
+function prepareBlockEntities (version, mcAssets) {
+  const entityDirectory = path.join(mcAssets.directory, 'entity')
+  const blockEntities = { textures: {} }
+  const addTexture = (name) => {
+    const file = path.join(entityDirectory, name + '.png')
+    if (!fs.existsSync(file)) return
+    blockEntities.textures[name] = { texture: `textures/${version}/entity/${name}.png`, size: getPngSize(file) }
+  }
+
+  for (const folder of TEXTURE_FOLDERS) {
+    const directory = path.join(entityDirectory, folder)
+    if (!fs.existsSync(directory)) continue
+    for (const file of fs.readdirSync(directory)) {
+      if (file.endsWith('.png')) addTexture(`${folder}/${file.replace(/\.png$/, '')}`)
+    }
+  }
+  for (const name of TEXTURE_FILES) addTexture(name)
+  return blockEntities
+}
+
+module.exports = { prepareBlockEntities }
@@ -0,0 +1,274 @@
+/**
+ * Built-in models of the block entities, made of textured boxes like the entity models
+ * Models face north (-z) and use block pixels (0 to 16), they are turned to the block facing
+ * @module viewer/lib/blockEntity/models
+ */
+
+const THREE = require('three')
+
+// Signs and banners are drawn at two thirds of their texture size
+const SIGN_SCALE = 2 / 3
+
+/**
+ * Boxes of the models
+ * from: lowest corner in block pixels, size: size in texture pixels (scaled by scale),
+ * uv: top left corner of the box unwrap in the texture, rotateX: rotation of the box in degrees
+ */
+const blockEntityModels = {
+  chest: [
+    { from: [1, 0, 1], size: [14, 10, 14], uv: [0, 19] },
+    { from: [1, 9, 1], size: [14, 5, 14], uv: [0, 0] },
+    { from: [7, 7, 0], size: [2, 4, 1], uv: [0, 0] }
+  ],
+  // Halves of a double chest, the other half is east of the left half (for a chest facing north)
+  chest_left: [
+    { from: [1, 0, 1], size: [15, 10, 14], uv: [0, 19] },
+    { from: [1, 9, 1], size: [15, 5, 14], uv: [0, 0] },
+    { from: [15, 7, 0], size: [1, 4, 1], uv: [0, 0] }
+  ],
+  chest_right: [
+    { from: [0, 0, 1], size: [15, 10, 14], uv: [0, 19] },
+    { from: [0, 9, 1], size: [15, 5, 14], uv: [0, 0] },
+    { from: [0, 7, 0], size: [1, 4, 1], uv: [0, 0] }
+  ],
+  // Before 1.15 a double chest is a single model over both blocks, drawn by the left half
+  chest_double: [
+    { from: [1, 0, 1], size: [30, 10, 14], uv: [0, 19] },
+    { from: [1, 9, 1], size: [30, 5, 14], uv: [0, 0] },
+    { from: [15, 7, 0], size: [2, 4, 1], uv: [0, 0] }
+  ],
+  sign: [
+    { from: [0, 14 * SIGN_SCALE, 8 - SIGN_SCALE], size: [24, 12, 2], uv: [0, 0], scale: SIGN_SCALE },
+    { from: [8 - SIGN_SCALE, 0, 8 - SIGN_SCALE], size: [2, 14, 2], uv: [0, 14], scale: SIGN_SCALE }
+  ],
+  wall_sign: [
+    { from: [0, 4.5, 16 - 2 * SIGN_SCALE], size: [24, 12, 2], uv: [0, 0], scale: SIGN_SCALE }
+  ],
+  // Banners are two models: the flag is tinted with the banner colour
+  banner_flag: [
+    { from: [8 - 10 * SIGN_SCALE, 0, 8 - 2 * SIGN_SCALE], size: [20, 40, 1], uv: [0, 0], scale: SIGN_SCALE }
+  ],
+  banner_pole: [
+    { from: [8 - SIGN_SCALE, 0, 8 - SIGN_SCALE], size: [2, 42, 2], uv: [44, 0], scale: SIGN_SCALE },
+    { from: [8 - 10 * SIGN_SCALE, 40 * SIGN_SCALE, 8 - SIGN_SCALE], size: [20, 2, 2], uv: [0, 42], scale: SIGN_SCALE }
+  ],
+  wall_banner_flag: [
+    { from: [8 - 10 * SIGN_SCALE, 14 - 40 * SIGN_SCALE, 16 - 3 * SIGN_SCALE], size: [20, 40, 1], uv: [0, 0], scale: SIGN_SCALE }
+  ],
+  wall_banner_pole: [
+    { from: [8 - 10 * SIGN_SCALE, 14, 16 - 2 * SIGN_SCALE], size: [20, 2, 2], uv: [0, 42], scale: SIGN_SCALE }
+  ],
+  // The mattress is modelled standing, its front is the top of the bed and the pillow is south
+  bed_head: [
+    { from: [0, 3, 0], size: [16, 16, 6], uv: [0, 0], rotateX: 90 },
+    { from: [0, 0, 13], size: [3, 3, 3], uv: [50, 0] },
+    { from: [13, 0, 13], size: [3, 3, 3], uv: [50, 6] }
+  ],
+  bed_foot: [
+    { from: [0, 3, 0], size: [16, 16, 6], uv: [0, 22], rotateX: 90 },
+    { from: [0, 0, 0], size: [3, 3, 3], uv: [50, 12] },
+    { from: [13, 0, 0], size: [3, 3, 3], uv: [50, 18] }
+  ],
+  skull: [
+    { from: [4, 0, 4], size: [8, 8, 8], uv: [0, 0] },
+    { from: [4, 0, 4], size: [8, 8, 8], uv: [32, 0], inflate: 0.25 }
+  ],
+  wall_skull: [
+    { from: [4, 4, 8], size: [8, 8, 8], uv: [0, 0] },
+    { from: [4, 4, 8], size: [8, 8, 8], uv: [32, 0], inflate: 0.25 }
+  ]
+}
+
+// Where the sign text is drawn, in block pixels: center and size of the text area in front of the board
+const signTextAreas = {
+  sign: { center: [8, 20 * SIGN_SCALE, 8 - SIGN_SCALE - 0.05], size: [14, 7] },
+  wall_sign: { center: [8, 4.5 + 6 * SIGN_SCALE, 16 - 2 * SIGN_SCALE - 0.05], size: [14, 7] }
+}
+
+// Dye colours of banners and sign texts
+const DYE_COLORS = {
+  white: 0xF9FFFE,
+  orange: 0xF9801D,
+  magenta: 0xC74EBD,
+  light_blue: 0x3AB3DA,
+  yellow: 0xFED83D,
+  lime: 0x80C71F,
+  pink: 0xF38BAA,
+  gray: 0x474F52,
+  light_gray: 0x9D9D97,
+  cyan: 0x169C9C,
+  purple: 0x8932B8,
+  blue: 0x3C44AA,
+  brown: 0x835432,
+  green: 0x5E7C16,
+  red: 0xB02E26,
+  black: 0x1D1D21
+}
+
+// Before 1.13 colours are numbers: wool colours for beds, dye colours (Base) for banners
+const WOOL_COLORS = ['white', 'orange', 'magenta', 'light_blue', 'yellow', 'lime', 'pink', 'gray',
+  'light_gray', 'cyan', 'purple', 'blue', 'brown', 'green', 'red', 'black']
+const DYE_DAMAGE_COLORS = WOOL_COLORS.slice().reverse()
+
+// Before 1.13 the skull type is a number
+const SKULL_TYPES = ['skeleton', 'wither_skeleton', 'zombie', 'player', 'creeper', 'dragon']
+
+// Textures of the skulls, dragon and piglin heads have models of their own and are not drawn
+const skullTextures = {
+  skeleton: ['skeleton/skeleton'],
+  wither_skeleton: ['skeleton/wither_skeleton'],
+  zombie: ['zombie/zombie'],
+  creeper: ['creeper/creeper'],
+  player: ['player/wide/steve', 'steve']
+}
+
+// Turn of a model facing north to face a direction
+const facingYaws = {
+  north: 0,
+  south: Math.PI,
+  west: Math.PI / 2,
+  east: -Math.PI / 2
+}
+
+// Standing signs, banners and skulls have 16 rotations, 0 faces south and they turn clockwise
+function rotationYaw (rotation) {
+  return Math.PI - rotation * Math.PI / 8
+}
+
+function getYaw (state, nbt) {
+  if (state.facing !== undefined) return facingYaws[state.facing] ?? 0
+  const rotation = state.rotation ?? nbt.Rot ?? 0
+  return rotationYaw(rotation)
+}
+
+function getColor (color, names) {
+  return typeof color === 'number' ? names[color] : color
+}
+
+function getChestParts (state, textures) {
+  const texture = `chest/${state.variant}`
+  // Since 1.15 double chests have a texture for each half, and chest textures are upside down
+  const flipped = !!textures['chest/normal_left']
+  if (!state.type || state.type === 'single') return [{ model: 'chest', texture, flipped }]
+  if (flipped) return [{ model: `chest_${state.type}`, texture: `${texture}_${state.type}`, flipped }]
+  return state.type === 'left' ? [{ model: 'chest_double', texture: `${texture}_double`, flipped }] : []
+}
+
+/**
+ * Models, textures and tints drawing a block entity
+ * @param {Object} state - Block entity state from the mesher (getBlockEntityState)
+ * @param {Object} [nbt] - Plain block entity data
+ * @param {Object<string, {texture: string, size: number[]}>} textures - Block entity textures of the version
+ * @returns {{parts: Array<{model: string, texture: string, color?: number, flipped?: boolean}>, yaw: number, text?: string}|null}
+ * Parts (all their textures exist), turn of the models and sign text area, null if the block entity is not drawn
+ */
+function getBlockEntityParts (state, nbt, textures) {
+  nbt = nbt || {}
+  let parts
+  let text
+  let yaw = getYaw(state, nbt)
+
+  if (state.kind === 'chest') {
+    parts = getChestParts(state, textures)
+  } else if (state.kind === 'sign') {
+    const model = state.wall ? 'wall_sign' : 'sign'
+    parts = [{ model, texture: textures[`signs/${state.variant}`] ? `signs/${state.variant}` : 'sign' }]
+    text = model
+  } else if (state.kind === 'banner') {
+    const color = DYE_COLORS[state.variant || getColor(nbt.Base, DYE_DAMAGE_COLORS)] ?? DYE_COLORS.white
+    const prefix = state.wall ? 'wall_banner' : 'banner'
+    parts = [
+      { model: `${prefix}_flag`, texture: 'banner_base', color },
+      { model: `${prefix}_pole`, texture: 'banner_base' }
+    ]
+  } else if (state.kind === 'bed') {
+    const color = state.variant || getColor(nbt.color ?? 14, WOOL_COLORS)
+    // light_gray was silver before 1.13
+    const texture = [`bed/${color}`, color === 'light_gray' ? 'bed/silver' : null].find(name => name && textures[name])
+    parts = [{ model: state.part === 'head' ? 'bed_head' : 'bed_foot', texture }]
+    // The model pillow is south, beds face their head
+    yaw += Math.PI
+  } else if (state.kind === 'skull') {
+    const type = state.variant || getColor(nbt.SkullType ?? 0, SKULL_TYPES)
+    const texture = (skullTextures[type] || []).find(name => textures[name])
+    parts = [{ model: state.wall ? 'wall_skull' : 'skull', texture }]
+  } else {
+    return null
+  }
+
+  parts = parts.filter(part => part.texture && textures[part.texture])
+  if (parts.length === 0) return null
+  return text ? { parts, yaw, text } : { parts, yaw }
+}
+
+// Faces of a box unwrap: normal, direction of the top of the face image, and place in the unwrap
+// ([u, v] offsets and [width, height] as multiples of the box width w, height h and depth d)
+const boxFaces = [
+  { normal: [0, 0, -1], up: [0, 1, 0], uv: (w, h, d) => [d, d, w, h] },
+  { normal: [0, 0, 1], up: [0, 1, 0], uv: (w, h, d) => [2 * d + w, d, w, h] },
+  { normal: [1, 0, 0], up: [0, 1, 0], uv: (w, h, d) => [d + w, d, d, h] },
+  { normal: [-1, 0, 0], up: [0, 1, 0], uv: (w, h, d) => [0, d, d, h] },
+  { normal: [0, 1, 0], up: [0, 0, -1], uv: (w, h, d) => [d, 0, w, d] },
+  { normal: [0, -1, 0], up: [0, 0, 1], uv: (w, h, d) => [d + w, 0, w, d] }
+]
+
+function addBox (attr, box, textureWidth, textureHeight) {
+  const scale = box.scale || 1
+  const inflate = box.inflate || 0
+  const [w, h, d] = box.size
+  const size = new THREE.Vector3(w * scale + 2 * inflate, h * scale + 2 * inflate, d * scale + 2 * inflate)
+  const rotation = new THREE.Matrix4().makeRotationX((box.rotateX || 0) * Math.PI / 180)
+  // The rotated box is placed with its lowest corner at `from`, less the inflation
+  const corner = new THREE.Box3(new THREE.Vector3(), size.clone()).applyMatrix4(rotation).min
+  const offset = new THREE.Vector3(...box.from).subScalar(inflate).sub(corner)
+
+  for (const face of boxFaces) {
+    const normal = new THREE.Vector3(...face.normal)
+    const up = new THREE.Vector3(...face.up)
+    // The right of the face image, seen from outside of the box
+    const right = new THREE.Vector3().crossVectors(normal.clone().negate(), up)
+    const [u0, v0, uw, vh] = face.uv(w, h, d)
+
+    const ndx = attr.positions.length / 3
+    for (const [s, t] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+      // Corner of the face: center of the face, moved along its right and up directions
+      const pos = new THREE.Vector3(
+        size.x / 2 * (1 + normal.x + right.x * (2 * s - 1) + up.x * (2 * t - 1)),
+        size.y / 2 * (1 + normal.y + right.y * (2 * s - 1) + up.y * (2 * t - 1)),
+        size.z / 2 * (1 + normal.z + right.z * (2 * s - 1) + up.z * (2 * t - 1))
+      ).applyMatrix4(rotation).add(offset)
+
+      attr.positions.push((pos.x - 8) / 16, pos.y / 16, (pos.z - 8) / 16)
+      attr.normals.push(...normal.clone().applyMatrix4(rotation).toArray())
+      attr.uvs.push((box.uv[0] + u0 + s * uw) / textureWidth, (box.uv[1] + v0 + (1 - t) * vh) / textureHeight)
+    }
+    attr.indices.push(ndx, ndx + 1, ndx + 3, ndx, ndx + 3, ndx + 2)
+  }
+}
+
+/**
+ * Build the geometry of a block entity model
+ * Vertices are in blocks, centered on the block in x and z, with y = 0 at the bottom of the block
+ * @param {string} name - Model name, key of blockEntityModels
+ * @param {number[]} textureSize - Width and height of the texture
+ * @param {boolean} [flipped=false] - The texture is upside down (chest textures since 1.15)
+ * @returns {THREE.BufferGeometry} Geometry
+ */
+function buildModelGeometry (name, textureSize, flipped = false) {
+  const boxes = blockEntityModels[name]
+  if (!boxes) throw new Error(`Unknown block entity model ${name}`)
+
+  const attr = { positions: [], normals: [], uvs: [], indices: [] }
+  for (const box of boxes) {
+    addBox(attr, flipped ? { ...box, rotateX: (box.rotateX || 0) + 180 } : box, textureSize[0], textureSize[1])
+  }
+
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(attr.positions, 3))
+  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(attr.normals, 3))
+  geometry.setAttribute('uv', new THREE.Float32BufferAttribute(attr.uvs, 2))
+  geometry.setIndex(attr.indices)
+  return geometry
+}
+
+module.exports = { blockEntityModels, signTextAreas, buildModelGeometry, getBlockEntityParts, DYE_COLORS }
@@ -0,0 +1,89 @@
+/**
+ * Block entity data: NBT simplification for the socket messages and sign text extraction
+ * @module viewer/lib/blockEntity/nbt
+ */
+
+// Block entity data used to draw block entities, other tags (chest contents...) are not sent
+const BLOCK_ENTITY_TAGS = ['Text1', 'Text2', 'Text3', 'Text4', 'front_text', 'Color', 'GlowingText', 'Base', 'SkullType', 'Rot', 'color']
+
+const SIGN_LINES = 4
+
+/**
+ * Turn an NBT tag ({ type, value }) into plain values
+ * @param {Object} tag - NBT tag, as parsed by prismarine-nbt
+ * @returns {*} Plain value: objects for compounds, arrays for lists
+ */
+function simplifyNbt (tag) {
+  if (!tag || typeof tag !== 'object' || !('type' in tag)) return tag
+  if (tag.type === 'compound') {
+    const value = {}
+    for (const [key, child] of Object.entries(tag.value)) value[key] = simplifyNbt(child)
+    return value
+  }
+  if (tag.type === 'list') {
+    return tag.value.value.map(child => simplifyNbt({ type: tag.value.type, value: child }))
+  }
+  return tag.value
+}
+
+/**
+ * Block entity data sent to the viewer: the tags needed to draw the block entity
+ * @param {Object} tag - Block entity NBT compound
+ * @returns {Object|null} Plain block entity data, null if it has none of the tags
+ */
+function getBlockEntityData (tag) {
+  const nbt = simplifyNbt(tag)
+  if (!nbt || typeof nbt !== 'object') return null
+  const data = {}
+  for (const key of BLOCK_ENTITY_TAGS) {
+    if (nbt[key] !== undefined) data[key] = nbt[key]
+  }
+  return Object.keys(data).length > 0 ? data : null
+}
+
+/**
+ * Plain text of a chat component
+ * Components are JSON strings (or plain strings before 1.9) and, since 1.21.5, compounds
+ * @param {string|Object|Array} component - Text component
+ * @returns {string} Text, with the translation keys as is
+ */
+function componentText (component) {
+  if (component === null || component === undefined) return ''
+  if (typeof component === 'string') {
+    if (component === 'null') return ''
+    try {
+      const parsed = JSON.parse(component)
+      return typeof parsed === 'string' || typeof parsed === 'object' ? componentText(parsed) : component
+    } catch (err) {
+      return component
+    }
+  }
+  if (Array.isArray(component)) return component.map(componentText).join('')
+  if (typeof component !== 'object') return `${component}`
+  const text = component.text ?? component[''] ?? component.translate ?? ''
+  return `${text}` + (component.extra || []).map(componentText).join('')
+}
+
+/**
+ * Text of a sign, from its block entity data
+ * @param {Object} [nbt] - Plain block entity data
+ * @returns {{lines: string[], color: string, glowing: boolean}} The four lines, the dye colour of the text and whether it glows
+ */
+function getSignText (nbt) {
+  nbt = nbt || {}
+  // Since 1.20 signs have a text on each side, the front text is drawn
+  const front = nbt.front_text
+  const messages = front && Array.isArray(front.messages)
+    ? front.messages
+    : [nbt.Text1, nbt.Text2, nbt.Text3, nbt.Text4]
+
+  const lines = []
+  for (let i = 0; i < SIGN_LINES; i++) lines.push(componentText(messages[i]))
+  return {
+    lines,
+    color: (front ? front.color : nbt.Color) || 'black',
+    glowing: !!(front ? front.has_glowing_text : nbt.GlowingText)
+  }
+}
+
+module.exports = { simplifyNbt, getBlockEntityData, getSignText, componentText }
@@ -0,0 +1,95 @@
+/**
+ * Block entities (chests, signs, banners, beds and skulls) have no usable block model:
+ * the mesher leaves them out of the section geometry and lists them with the state
+ * needed to draw their built-in model
+ * @module viewer/lib/blockEntity/states
+ */
+
+const { Vec3 } = require('vec3')
+
+const CHEST_VARIANTS = {
+  chest: 'normal',
+  trapped_chest: 'trapped',
+  ender_chest: 'ender'
+}
+
+const SKULL_TYPES = ['skeleton', 'wither_skeleton', 'zombie', 'player', 'creeper', 'dragon', 'piglin']
+const skullPattern = new RegExp(`^(${SKULL_TYPES.join('|')})_(wall_)?(skull|head)$`)
+
+// Neighbour directions of a chest, turning clockwise and counterclockwise seen from above
+const CLOCKWISE = { north: [1, 0, 0], east: [0, 0, 1], south: [-1, 0, 0], west: [0, 0, -1] }
+
+// Wood of a sign or colour of a banner: the name without its suffix (standing_sign and wall_sign have none)
+function namePrefix (name, suffix) {
+  return name.replace(new RegExp(`_?(wall_)?${suffix}$`), '').replace(/^standing$/, '') || null
+}
+
+function parseKind (name) {
+  if (CHEST_VARIANTS[name]) return { kind: 'chest', variant: CHEST_VARIANTS[name] }
+  // Hanging signs have a different model, they are left to the block models
+  if (name.endsWith('hanging_sign')) return null
+  if (name.endsWith('sign')) return { kind: 'sign', wall: name.endsWith('wall_sign'), variant: namePrefix(name, 'sign') || 'oak' }
+  if (name.endsWith('banner')) return { kind: 'banner', wall: name.endsWith('wall_banner'), variant: namePrefix(name, 'banner') }
+  if (name === 'bed' || name.endsWith('_bed')) return { kind: 'bed', variant: name === 'bed' ? null : name.slice(0, -4) }
+  // Before 1.13 the skull type and the rotation are only in the block entity data
+  if (name === 'skull') return { kind: 'skull', variant: null }
+  const match = skullPattern.exec(name)
+  if (match) return { kind: 'skull', wall: !!match[2], variant: match[1] }
+  return null
+}
+
+const kinds = new Map()
+
+/**
+ * Block entity kind of a block
+ * @param {string} name - Block name
+ * @returns {{kind: string, variant: string|null, wall?: boolean}|null} Kind and variant (chest type, wood, colour or skull type), null for other blocks
+ */
+function getBlockEntityKind (name) {
+  if (!kinds.has(name)) kinds.set(name, parseKind(name))
+  return kinds.get(name)
+}
+
+// Before 1.13 chests have no type property, double chests are found from their neighbours
+function getLegacyChestType (world, pos, name, facing) {
+  const offset = CLOCKWISE[facing]
+  if (!offset) return 'single'
+  const isChest = (dx, dz) => {
+    const block = world.getBlock(new Vec3(pos.x + dx, pos.y, pos.z + dz))
+    return !!block && block.name === name
+  }
+  if (isChest(offset[0], offset[2])) return 'left'
+  if (isChest(-offset[0], -offset[2])) return 'right'
+  return 'single'
+}
+
+/**
+ * State of the block entity at a position, used to draw its model
+ * @param {Object} world - World of the mesher
+ * @param {Object} block - prismarine-block at the position
+ * @returns {Object|null} Position, kind, variant and the facing, rotation, wall, chest type and bed part when they apply
+ */
+function getBlockEntityState (world, block) {
+  const kind = getBlockEntityKind(block.name)
+  if (!kind) return null
+
+  // Blocks are shared between positions, the position changes with the next getBlock
+  const pos = block.position.clone()
+  const properties = block.getProperties()
+  const state = { x: pos.x, y: pos.y, z: pos.z, ...kind }
+  if (properties.facing !== undefined) state.facing = properties.facing
+  if (properties.rotation !== undefined) state.rotation = Number(properties.rotation)
+
+  if (kind.kind === 'chest' && kind.variant !== 'ender') {
+    state.type = world.legacyBlocks ? getLegacyChestType(world, pos, block.name, state.facing) : (properties.type || 'single')
+  } else if (kind.kind === 'bed') {
+    state.part = properties.part
+  } else if (block.name === 'skull') {
+    // Floor skulls are turned by their block entity
+    state.wall = state.facing !== undefined
+    delete state.rotation
+  }
+  return state
+}
+
+module.exports = { getBlockEntityKind, getBlockEntityState }
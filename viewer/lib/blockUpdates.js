@@ -0,0 +1,162 @@
+/**
+ * Block updates coalesced over a short window (a game tick by default): the updates of a block within
+ * the window are applied once, and each section they touch is meshed again once for the whole batch
+ * @module viewer/lib/blockUpdates
+ */
+
+const { BLOCK_UPDATE_WINDOW_MS } = require('./constants')
+
+// Origins of the sections a section border coordinate touches: its own and the one across the border
+function getBorderOrigins (value) {
+  const origin = Math.floor(value / 16) * 16
+  const local = value & 15
+  if (local === 0) return [origin, origin - 16]
+  if (local === 15) return [origin, origin + 16]
+  return [origin]
+}
+
+/**
+ * Sections whose geometry depends on a block: its own, and the neighbours it touches on a border
+ * Blocks on an edge or a corner also touch the diagonal neighbours, for the ambient occlusion of their faces
+ * @param {{x: number, y: number, z: number}} pos - Block position
+ * @returns {Array<{x: number, y: number, z: number}>} Section origins
+ */
+function getTouchedSections (pos) {
+  const sections = []
+  for (const x of getBorderOrigins(Math.floor(pos.x))) {
+    for (const y of getBorderOrigins(Math.floor(pos.y))) {
+      for (const z of getBorderOrigins(Math.floor(pos.z))) {
+        sections.push({ x, y, z })
+      }
+    }
+  }
+  return sections
+}
+
+class BlockUpdateBatch {
+  /**
+   * @param {Function} onFlush - ({updates, sections}) => void, called with the batch at the end of the window
+   * @param {number} [window] - Coalescing window in milliseconds, 0 to flush every update right away
+   */
+  constructor (onFlush, window = BLOCK_UPDATE_WINDOW_MS) {
+    this.onFlush = onFlush
+    this.window = window
+    // Last state of each updated block, by block key
+    this.updates = new Map()
+    // Origins of the sections to mesh again, by section key
+    this.sections = new Map()
+    this.timeout = null
+
+    this.received = 0
+    this.applied = 0
+    this.batches = 0
+  }
+
+  get size () {
+    return this.updates.size + this.sections.size
+  }
+
+  /**
+   * Change the coalescing window, flushing the pending batch
+   * @param {number} window - Milliseconds, 0 to flush every update right away
+   */
+  setWindow (window) {
+    this.window = window
+    if (this.size > 0) this.flush()
+  }
+
+  /**
+   * Add a block update, the sections it touches are marked with it
+   * @param {{x: number, y: number, z: number}} pos - Block position
+   * @param {number} stateId - New block state
+   */
+  addBlockUpdate (pos, stateId) {
+    this.received++
+    const x = Math.floor(pos.x)
+    const y = Math.floor(pos.y)
+    const z = Math.floor(pos.z)
+    this.updates.set(`${x},${y},${z}`, { pos, stateId })
+    for (const section of getTouchedSections(pos)) this._addSection(section)
+    this._schedule()
+  }
+
+  /**
+   * Mark a section to mesh again with the batch
+   * @param {number} x - Section origin x
+   * @param {number} y - Section origin y
+   * @param {number} z - Section origin z
+   */
+  addSection (x, y, z) {
+    this._addSection({ x, y, z })
+    this._schedule()
+  }
+
+  _addSection (section) {
+    const key = `${section.x},${section.y},${section.z}`
+    if (!this.sections.has(key)) this.sections.set(key, section)
+  }
+
+  _schedule () {
+    if (this.window <= 0) {
+      this.flush()
+    } else if (this.timeout === null) {
+      this.timeout = setTimeout(() => this.flush(), this.window)
+    }
+  }
+
+  /**
+   * Drop the pending updates and sections of a column: it was removed, or sent again with newer blocks
+   * @param {number} x - Column x (block coordinate)
+   * @param {number} z - Column z (block coordinate)
+   */
+  deleteColumn (x, z) {
+    for (const [key, { pos }] of this.updates) {
+      if (Math.floor(pos.x / 16) * 16 === x && Math.floor(pos.z / 16) * 16 === z) this.updates.delete(key)
+    }
+    for (const [key, section] of this.sections) {
+      if (section.x === x && section.z === z) this.sections.delete(key)
+    }
+  }
+
+  // Give the pending updates and sections to onFlush
+  flush () {
+    if (this.timeout !== null) {
+      clearTimeout(this.timeout)
+      this.timeout = null
+    }
+    if (this.size === 0) return
+    const updates = Array.from(this.updates.values())
+    const sections = Array.from(this.sections.values())
+    this.updates.clear()
+    this.sections.clear()
+    this.applied += updates.length
+    this.batches++
+    this.onFlush({ updates, sections })
+  }
+
+  // Drop the pending batch
+  clear () {
+    if (this.timeout !== null) {
+      clearTimeout(this.timeout)
+      this.timeout = null
+    }
+    this.updates.clear()
+    this.sections.clear()
+  }
+
+  /**
+   * @returns {{window: number, received: number, applied: number, batches: number, pending: number}}
+   *   Updates received, applied once coalesced, batches flushed and updates waiting for the window
+   */
+  getStats () {
+    return {
+      window: this.window,
+      received: this.received,
+      applied: this.applied,
+      batches: this.batches,
+      pending: this.updates.size
+    }
+  }
+}
+
+module.exports = { getTouchedSections, BlockUpdateBatch }
@@ -0,0 +1,255 @@
+/* global Blob, Response, DecompressionStream */
+
+/**
+ * Binary encoding of the columns sent to the viewer, in place of the prismarine-chunk JSON
+ * A column is sent as the paletted arrays of its sections (see sharedColumn), optionally deflated:
+ * the workers copy them out of the message instead of parsing the column
+ * @module viewer/lib/chunkCodec
+ */
+
+const zlib = require('zlib')
+const { SharedColumn, createBuffer } = require('./sharedColumn')
+const { LRUCache } = require('./lruCache')
+
+// Version of the binary encoding, format 0 is the prismarine-chunk JSON that every client reads
+const CHUNK_FORMAT = 1
+const HEADER_SIZE = 8 // format, flags, section count and minY, the body follows
+const FLAG_DEFLATE = 1
+// Paletted arrays of each section, in body order
+const SECTION_ARRAYS = ['sections', 'blockLight', 'skyLight', 'biomes']
+
+// zlib is only bundled for node, browsers inflate with the Compression Streams API
+function canInflate () {
+  return typeof zlib.inflateSync === 'function' || typeof DecompressionStream !== 'undefined'
+}
+
+function canDeflate () {
+  return typeof zlib.deflateSync === 'function'
+}
+
+/**
+ * Chunk encodings a client reads, sent with its socket.io handshake (auth option)
+ * @returns {{chunkFormat: number, chunkCompression: boolean}}
+ */
+function getClientChunkEncoding () {
+  return { chunkFormat: CHUNK_FORMAT, chunkCompression: canInflate() }
+}
+
+/**
+ * Encoding to send the columns with to a client, from what it advertised
+ * Clients advertising nothing (older viewers) get the JSON columns
+ * @param {{chunkFormat?: number, chunkCompression?: boolean}} [auth] - socket.handshake.auth of the client
+ * @returns {{format: number, compress: boolean}}
+ */
+function negotiateChunkEncoding ({ chunkFormat, chunkCompression } = {}) {
+  const format = Number.isInteger(chunkFormat) && chunkFormat > 0 ? Math.min(chunkFormat, CHUNK_FORMAT) : 0
+  return { format, compress: format > 0 && chunkCompression === true && canDeflate() }
+}
+
+/**
+ * Binary encoding of a column
+ * Header: format (uint8), flags (uint8), section count (uint16) and minY (int32), little endian
+ * Body: for each section, its block states, block light, sky light and biomes, each as a word count
+ * (0 for the sections without blocks) and the words of the paletted array, in little endian 32 bit words
+ * @param {Object} column - prismarine-chunk column, or a SharedColumn (the copy of a worker)
+ * @param {{compress?: boolean}} [options] - compress deflates the body
+ * @returns {Uint8Array}
+ */
+function encodeColumn (column, { compress = false } = {}) {
+  let data
+  if (column instanceof SharedColumn) {
+    data = column.toData()
+  } else {
+    const height = column.worldHeight ?? column.sections.length * 16
+    data = SharedColumn.fromColumn(column, column.minY ?? 0, height).toData()
+  }
+  const minY = data.minY
+  const sectionCount = data.sections.length
+
+  let length = 0
+  for (const name of SECTION_ARRAYS) {
+    for (const words of data[name]) length += 1 + (words ? words.length : 0)
+  }
+  // Typed arrays use the byte order of the platform, little endian wherever the viewer runs
+  const body = new Uint32Array(length)
+  let offset = 0
+  for (let s = 0; s < sectionCount; s++) {
+    for (const name of SECTION_ARRAYS) {
+      const words = data[name][s]
+      body[offset++] = words ? words.length : 0
+      if (words) {
+        body.set(words, offset)
+        offset += words.length
+      }
+    }
+  }
+
+  compress = compress && canDeflate()
+  const bytes = compress ? zlib.deflateSync(new Uint8Array(body.buffer)) : new Uint8Array(body.buffer)
+  const encoded = new Uint8Array(HEADER_SIZE + bytes.length)
+  const header = new DataView(encoded.buffer)
+  header.setUint8(0, CHUNK_FORMAT)
+  header.setUint8(1, compress ? FLAG_DEFLATE : 0)
+  header.setUint16(2, sectionCount, true)
+  header.setInt32(4, minY, true)
+  encoded.set(bytes, HEADER_SIZE)
+  return encoded
+}
+
+/**
+ * Column to send, in the encoding negotiated with the client
+ * @param {Object} column - prismarine-chunk column
+ * @param {{format: number, compress: boolean}} encoding
+ * @returns {string|Uint8Array} JSON for format 0, the binary encoding otherwise
+ */
+function encodeChunk (column, { format, compress }) {
+  return format > 0 ? encodeColumn(column, { compress }) : column.toJson()
+}
+
+/**
+ * Columns encoded once for all the clients of a server, in each encoding they use, until the column changes
+ */
+class EncodedColumns {
+  /**
+   * @param {number} maxColumns - Columns whose encodings are kept, the least recently sent are dropped
+   */
+  constructor (maxColumns) {
+    // Encodings of each column by key, with the column they are of
+    this.columns = new LRUCache(maxColumns)
+    this.listeners = {}
+    this.clientListeners = {}
+  }
+
+  /**
+   * Column to send, encoded on its first request in an encoding
+   * @param {number} x - Column x (block coordinate)
+   * @param {number} z - Column z (block coordinate)
+   * @param {Object} column - prismarine-chunk column
+   * @param {{format: number, compress: boolean}} encoding
+   * @returns {string|Uint8Array} As given by encodeChunk
+   */
+  encode (x, z, column, encoding) {
+    const key = `${x},${z}`
+    let encoded = this.columns.get(key)
+    if (!encoded || encoded.column !== column) {
+      encoded = { column, chunks: {} }
+      this.columns.set(key, encoded)
+    }
+    const name = `${encoding.format},${encoding.compress}`
+    if (!(name in encoded.chunks)) encoded.chunks[name] = encodeChunk(column, encoding)
+    return encoded.chunks[name]
+  }
+
+  /**
+   * Drop the encodings of a column that changed
+   * @param {number} x - Column x (block coordinate)
+   * @param {number} z - Column z (block coordinate)
+   */
+  invalidate (x, z) {
+    this.columns.delete(`${Math.floor(x / 16) * 16},${Math.floor(z / 16) * 16}`)
+  }
+
+  listenToBot (bot) {
+    const columns = this
+    this.listeners[bot.username] = {
+      chunkColumnLoad: function (pos) {
+        columns.invalidate(pos.x, pos.z)
+      },
+      blockUpdate: function (oldBlock) {
+        columns.invalidate(oldBlock.position.x, oldBlock.position.z)
+      }
+    }
+    for (const [evt, listener] of Object.entries(this.listeners[bot.username])) {
+      bot.on(evt, listener)
+    }
+
+    // mineflayer updates the light of the columns without an event
+    this.clientListeners[bot.username] = {
+      update_light: function (packet) {
+        columns.invalidate(packet.chunkX * 16, packet.chunkZ * 16)
+      }
+    }
+    if (bot._client) {
+      for (const [evt, listener] of Object.entries(this.clientListeners[bot.username])) {
+        bot._client.on(evt, listener)
+      }
+    }
+  }
+
+  removeListenersFromBot (bot) {
+    for (const [evt, listener] of Object.entries(this.listeners[bot.username] || {})) {
+      bot.removeListener(evt, listener)
+    }
+    delete this.listeners[bot.username]
+
+    if (bot._client) {
+      for (const [evt, listener] of Object.entries(this.clientListeners[bot.username] || {})) {
+        bot._client.removeListener(evt, listener)
+      }
+    }
+    delete this.clientListeners[bot.username]
+  }
+}
+
+/**
+ * Whether a chunk sent to the viewer is binary encoded, rather than prismarine-chunk JSON
+ * Socket.io gives binary data as an ArrayBuffer in browsers and as a Buffer in node
+ * @param {*} chunk
+ * @returns {boolean}
+ */
+function isEncodedColumn (chunk) {
+  return chunk instanceof ArrayBuffer || ArrayBuffer.isView(chunk)
+}
+
+async function inflate (bytes) {
+  if (typeof zlib.inflateSync === 'function') return zlib.inflateSync(bytes)
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+/**
+ * Paletted arrays of a binary encoded column, in shared memory when it is available
+ * @param {ArrayBuffer|ArrayBufferView} chunk - Encoded column
+ * @returns {Promise<Object>} Data of a SharedColumn, as given by its toData
+ */
+async function decodeColumn (chunk) {
+  const bytes = chunk instanceof ArrayBuffer ? new Uint8Array(chunk) : new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength)
+  const header = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const format = header.getUint8(0)
+  if (format !== CHUNK_FORMAT) throw new Error(`Unsupported chunk format ${format}`)
+
+  let body = bytes.subarray(HEADER_SIZE)
+  if (header.getUint8(1) & FLAG_DEFLATE) body = await inflate(body)
+  const sectionCount = header.getUint16(2, true)
+  const data = { minY: header.getInt32(4, true), sections: [], blockLight: [], skyLight: [], biomes: [] }
+
+  // The body is not aligned on 4 bytes in the message, the arrays are copied byte by byte
+  const words = new DataView(body.buffer, body.byteOffset, body.byteLength)
+  let offset = 0
+  for (let s = 0; s < sectionCount; s++) {
+    for (const name of SECTION_ARRAYS) {
+      const length = words.getUint32(offset, true)
+      offset += 4
+      if (length === 0) {
+        data[name].push(null)
+        continue
+      }
+      const array = new Uint32Array(createBuffer(length * 4))
+      new Uint8Array(array.buffer).set(body.subarray(offset, offset + length * 4))
+      data[name].push(array)
+      offset += length * 4
+    }
+  }
+  return data
+}
+
+module.exports = {
+  CHUNK_FORMAT,
+  getClientChunkEncoding,
+  negotiateChunkEncoding,
+  encodeColumn,
+  encodeChunk,
+  EncodedColumns,
+  isEncodedColumn,
+  decodeColumn
+}
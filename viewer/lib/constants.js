@@ -24,12 +24,29 @@ module.exports = {
   AMBIENT_LIGHT_COLOR: 0xcccccc,
   DIRECTIONAL_LIGHT_COLOR: 0xffffff,
   DIRECTIONAL_LIGHT_INTENSITY: 0.5,
+  MAX_LIGHT_LEVEL: 15,
+  MIN_BRIGHTNESS: 0.1,
+  DAY_LENGTH_TICKS: 24000,
+  NOON_TICKS: 6000,
 
   // Default colors
   DEFAULT_LINE_COLOR: 0xff0000,
   DEFAULT_PRIMITIVE_COLOR: 0xff00ff,
   SKYBOX_COLOR: 'lightblue',
 
+  // Primitive settings
+  DEFAULT_PRIMITIVE_LAYER: 'default', // layer of the primitives drawn without one
+  PRIMITIVE_RENDER_ORDER: 1, // primitives are drawn after the world, its translucent faces included
+  PRIMITIVE_EXPIRATION_PRUNE_MS: 1000, // the server forgets the expired primitives this often at most, as it draws
+  PRIMITIVE_LABEL_FONT: '32px Arial', // one line of label text is PRIMITIVE_LABEL_LINE_HEIGHT pixels of its texture
+  PRIMITIVE_LABEL_LINE_HEIGHT: 40,
+  PRIMITIVE_LABEL_PADDING: 8, // pixels of background around the label text
+  PRIMITIVE_LABEL_BACKGROUND: 'rgba(0, 0, 0, 0.4)',
+  PRIMITIVE_ARROW_RADIUS: 0.03, // radius of the arrow shafts, their heads are three times as wide, in blocks
+  PRIMITIVE_ARROW_HEAD_LENGTH: 0.3, // at most half the arrow
+  PRIMITIVE_SPHERE_SEGMENTS: 16,
+  PRIMITIVE_FACE_OFFSET: 0.002, // block face highlights are drawn this far out of the block, over its faces
+
   // Animation timing (milliseconds)
   TWEEN_DURATION_MS: 50,
   WORKER_PROCESS_INTERVAL_MS: 50,
@@ -40,6 +57,10 @@ module.exports = {
 
   // Rendering
   MAX_RAYCAST_DISTANCE: 256,
+  MAX_ANIMATED_TEXTURES: 64, // size of the animation uniform arrays of the block material
+  TICK_DURATION_MS: 50, // texture animation frame times are in game ticks
+  TRANSLUCENT_PIXEL_RATIO: 0.1, // share of semi-transparent pixels from which a texture is drawn in the translucent pass
+  TRANSLUCENT_SORT_DISTANCE: 1, // camera move, in blocks, after which the translucent faces of a section are sorted again
 
   // Liquid rendering
   LIQUID_MIN_HEIGHT: 1 / 9,
@@ -51,14 +72,41 @@ module.exports = {
 
   // Worker settings
   DEFAULT_NUM_WORKERS: 4,
+  MESHING_JOBS_PER_WORKER: 4, // sections given to a worker at once, the others wait in the renderer queue
+  MESHING_HIDDEN_PENALTY: 64, // distance, in blocks, added to the meshing priority of sections outside the view
+  MESHING_SORT_INTERVAL_MS: 250, // the meshing queue is ordered again for the camera at most this often
+  MESHING_COLUMN_UPDATES: 64, // block updates kept per column for the workers given it later, past that a worker holding it sends it back
+  BLOCK_UPDATE_WINDOW_MS: 50, // block updates within this window (a game tick) are meshed together
+  GEOMETRY_CACHE_MAX_SECTIONS: 8192, // section geometries kept by a geometry cache, the least recently used are dropped
+  GEOMETRY_CACHE_INDEX_SAVE_MS: 2000, // the order of the cached sections is saved at most this often
 
   // View settings
   DEFAULT_VIEW_DISTANCE: 6,
+  LOD_HEIGHTMAP_CACHE_SIZE: 16384, // far columns remembered by a WorldView after the server unloaded them
+  RESUME_SESSION_TTL_MS: 5 * 60 * 1000, // a disconnected client can resume its session for this long
+  RESUME_COLUMN_UPDATES: 256, // block updates kept per column for resuming clients, past that the column is sent again
+  RESUME_MAX_COLUMNS: 4096, // columns whose changes are kept for resuming clients, the least recently changed are dropped
   DEFAULT_PORT: 3000,
+  HUD_CHAT_HISTORY: 100, // chat messages kept for the HUD, by the server for new clients and by the chat pane
 
   // Entity settings
+  DEFAULT_ENTITY_VERSION: '1.16.4', // version of the textures of the bundled entity models
+  ENTITY_FULL_SWING_SPEED: 5, // blocks per second at which limbs swing fully
+  ENTITY_SWING_SMOOTHING: 8, // how fast the limb swing follows speed changes, per second
+  ENTITY_MOVE_TIMEOUT_S: 0.25, // an entity without movement updates for this long is standing still
+  ENTITY_TELEPORT_DISTANCE: 8, // moves longer than this are teleports and don't animate
+  ENTITY_MAX_ANIMATION_STEP_S: 0.1, // longest animation step, after a pause or a hidden tab
+  ITEM_SPRITE_SIZE: 0.5, // size of dropped item sprites, in blocks
+  ITEM_SPIN_SPEED: 1, // dropped item rotation, radians per second
+  ITEM_BOB_SPEED: 2, // dropped item bobbing, radians per second
+  ITEM_BOB_HEIGHT: 0.1, // dropped item bobbing amplitude, in blocks
   ENTITY_NAME_FONT: '50pt Arial',
   ENTITY_NAME_CANVAS_WIDTH: 500,
   ENTITY_NAME_CANVAS_HEIGHT: 100,
-  ENTITY_NAME_OFFSET_Y: 0.6
+  ENTITY_NAME_OFFSET_Y: 0.6,
+
+  // Block entity settings
+  SIGN_TEXT_CANVAS_WIDTH: 256, // the text area of signs is twice as wide as high
+  SIGN_TEXT_CANVAS_HEIGHT: 128,
+  SIGN_TEXT_FONT: '26px Arial'
 }
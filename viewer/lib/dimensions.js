@@ -0,0 +1,47 @@
+/**
+ * World height per version and dimension, from minecraft-data dimension info
+ * @module viewer/lib/dimensions
+ */
+
+const mcData = require('minecraft-data')
+const { WORLD_HEIGHT } = require('./constants')
+
+/**
+ * List the dimension types of a login packet dimension codec
+ * @param {Object} loginPacket - minecraft-data loginPacket
+ * @returns {Array<{name: string, element: Object}>} Dimension types
+ */
+function getDimensionTypes (loginPacket) {
+  const codec = loginPacket && loginPacket.dimensionCodec
+  if (!codec) return []
+
+  // 1.20.5+: registry with entries
+  if (codec['minecraft:dimension_type']) {
+    return codec['minecraft:dimension_type'].entries
+      .map(({ key, value }) => ({ name: key, element: value.value }))
+  }
+
+  // 1.16 to 1.20.4: nbt compound holding a list of dimension types
+  const registry = codec.value && codec.value['minecraft:dimension_type']
+  if (!registry) return []
+  return registry.value.value.value.value
+    .map(({ name, element }) => ({ name: name.value, element: element.value }))
+}
+
+/**
+ * Get the lowest block Y and the height of a dimension
+ * Versions without dimension heights (before 1.17) use 0 and 256
+ * @param {string} version - Minecraft version
+ * @param {string} dimension - Dimension name, with or without the minecraft: prefix
+ * @returns {{minY: number, height: number}} World bounds
+ */
+function getWorldBounds (version, dimension = 'overworld') {
+  const name = dimension.includes(':') ? dimension : 'minecraft:' + dimension
+  const type = getDimensionTypes(mcData(version).loginPacket).find(t => t.name === name)
+  if (type && type.element.min_y && type.element.height) {
+    return { minY: type.element.min_y.value, height: type.element.height.value }
+  }
+  return { minY: 0, height: WORLD_HEIGHT }
+}
+
+module.exports = { getWorldBounds }
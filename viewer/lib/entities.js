@@ -2,15 +2,23 @@ const THREE = require('three')
 const TWEEN = require('@tweenjs/tween.js')
 
 const Entity = require('./entity/Entity')
+const ObjectEntity = require('./entity/ObjectEntity')
 const { dispose3 } = require('./dispose')
-const { TWEEN_DURATION_MS } = require('./constants')
+const { TWEEN_DURATION_MS, DEFAULT_ENTITY_VERSION, ENTITY_MAX_ANIMATION_STEP_S } = require('./constants')
+const { loadJSON } = globalThis.isElectron ? require('./utils.electron.js') : require('./utils')
 
 const { createCanvas } = require('canvas')
 
-function getEntityMesh (entity, scene) {
+function getEntityMesh (entity, scene, version, versionModels, worldRenderer) {
+  if (ObjectEntity.getKind(entity.name)) {
+    const e = new ObjectEntity(entity.name, worldRenderer)
+    e.mesh.userData.entity = e
+    return e.mesh
+  }
+
   if (entity.name) {
     try {
-      const e = new Entity('1.16.4', entity.name, scene)
+      const e = new Entity(version, entity.name, scene, versionModels)
 
       if (entity.username !== undefined) {
         const canvas = createCanvas(500, 100)
@@ -32,6 +40,8 @@ function getEntityMesh (entity, scene) {
 
         e.mesh.add(sprite)
       }
+      e.mesh.userData.entity = e
+      e.mesh.userData.username = entity.username
       return e.mesh
     } catch (err) {
       console.log(err)
@@ -45,12 +55,91 @@ function getEntityMesh (entity, scene) {
   return cube
 }
 
+// Object entities share the texture atlas of the world, they dispose of their own resources
+function disposeEntityMesh (mesh) {
+  const model = mesh.userData.entity
+  if (model && model.dispose) model.dispose()
+  else dispose3(mesh)
+}
+
 class Entities {
-  constructor (scene) {
+  /**
+   * @param {THREE.Scene} scene - Scene
+   * @param {WorldRenderer} [worldRenderer] - Renderer of the world, used to draw dropped items and falling blocks
+   */
+  constructor (scene, worldRenderer = null) {
     this.scene = scene
+    this.worldRenderer = worldRenderer
     this.entities = {}
     // Track tweens per entity to prevent memory leaks
     this.entityTweens = {}
+
+    // Entity models of the current version, built by prerender.js
+    // Until they are loaded (or if they are missing) the bundled models are used
+    this.version = DEFAULT_ENTITY_VERSION
+    this.versionModels = null
+    // Held item and armor textures of the current version
+    this.items = null
+
+    // Local folder (relative to public/) or URL path holding the player skins
+    this.skinDirectory = null
+
+    this.lastAnimationTime = null
+  }
+
+  /**
+   * Load player skins from a local directory, as <texture hash>.png (the last part of the
+   * skin URL of the player info) or <username>.png. Data URL skins don't need it.
+   * Remote skin URLs are never loaded directly.
+   * @param {string|null} directory - Skin directory, or null to only use data URLs
+   */
+  setSkinDirectory (directory) {
+    this.skinDirectory = directory ? directory.replace(/\/+$/, '') : null
+  }
+
+  /**
+   * Use the entity models and textures of a version
+   * @param {string} version - Minecraft version
+   */
+  setVersion (version) {
+    this.clear()
+    this.version = version
+    this.versionModels = null
+    this.items = null
+    loadJSON(`entities/${version}.json`, (models) => {
+      if (this.version === version) this.versionModels = models
+    }, () => {
+      console.log(`No entity models for ${version}, using the bundled ones`)
+    })
+    loadJSON(`items/${version}.json`, (items) => {
+      if (this.version !== version) return
+      this.items = items
+      // Equipment and items received before the textures were known
+      for (const mesh of Object.values(this.entities)) {
+        const model = mesh.userData.entity
+        if (model && model.equipmentNames) model.setEquipment(model.equipmentNames, items)
+        if (model && model.setItem) model.setItem(model.item, items)
+      }
+    }, () => {
+      console.log(`No item textures for ${version}, equipment won't be drawn`)
+    })
+  }
+
+  /**
+   * Get the skin texture of a player entity
+   * @param {Object} entity - Entity update, with skin (URL or data URL)
+   * @param {string} [username] - Player name
+   * @returns {string|null} Texture path or data URL
+   */
+  _getSkinTexture (entity, username) {
+    const skin = entity.skin
+    if (skin && skin.startsWith('data:image/png;base64,')) return skin
+    if (!this.skinDirectory) return null
+
+    const hash = skin ? skin.split('/').pop() : null
+    if (hash && /^[0-9a-f]+$/i.test(hash)) return `${this.skinDirectory}/${hash}.png`
+    if (username && /^\w+$/.test(username)) return `${this.skinDirectory}/${username}.png`
+    return null
   }
 
   /**
@@ -80,18 +169,22 @@ class Entities {
     // Dispose all meshes
     for (const mesh of Object.values(this.entities)) {
       this.scene.remove(mesh)
-      dispose3(mesh)
+      disposeEntityMesh(mesh)
     }
     this.entities = {}
   }
 
   update (entity) {
+    let created = false
     if (!this.entities[entity.id]) {
-      const mesh = getEntityMesh(entity, this.scene)
+      // The bundled models use the textures of the version they were made for
+      const version = this.versionModels ? this.version : DEFAULT_ENTITY_VERSION
+      const mesh = getEntityMesh(entity, this.scene, version, this.versionModels, this.worldRenderer)
       if (!mesh) return
       this.entities[entity.id] = mesh
       this.entityTweens[entity.id] = {}
       this.scene.add(mesh)
+      created = true
     }
 
     const e = this.entities[entity.id]
@@ -101,11 +194,34 @@ class Entities {
       // Stop tweens before removing entity
       this._stopEntityTweens(entity.id)
       this.scene.remove(e)
-      dispose3(e)
+      disposeEntityMesh(e)
       delete this.entities[entity.id]
       return
     }
 
+    const model = e.userData.entity
+    if (model && model.type === 'player' && (created || entity.skin !== undefined)) {
+      const skin = this._getSkinTexture(entity, e.userData.username)
+      if (skin) model.setSkin(skin)
+    }
+    if (model && entity.equipment) {
+      model.setEquipment(entity.equipment, this.items)
+    }
+    if (model && model.setItem && (created || entity.item !== undefined)) {
+      model.setItem(entity.item || null, this.items)
+    }
+    if (model && model.setBlock && entity.blockStateId !== undefined) {
+      model.setBlock(entity.blockStateId)
+    }
+    if (model && model.setFacing && entity.facing !== undefined) {
+      model.setFacing(entity.facing)
+    }
+
+    if (model && model.animator) {
+      if (entity.pos) model.animator.setPosition(entity.pos, Date.now())
+      this._updateHeadRotation(e, entity)
+    }
+
     if (entity.pos) {
       // Stop previous position tween before starting new one
       if (tweens.position) {
@@ -116,7 +232,7 @@ class Entities {
         .start()
     }
 
-    if (entity.yaw) {
+    if (entity.yaw && !(model && model.ignoreYaw)) {
       // Stop previous rotation tween before starting new one
       if (tweens.rotation) {
         tweens.rotation.stop()
@@ -128,6 +244,38 @@ class Entities {
         .start()
     }
   }
+
+  /**
+   * Turn the head of an entity separately from its body
+   * @param {THREE.Object3D} mesh - Entity mesh
+   * @param {Object} entity - Entity update, with yaw (body), headYaw and pitch
+   */
+  _updateHeadRotation (mesh, entity) {
+    const look = mesh.userData.look || (mesh.userData.look = { yaw: 0, headYaw: null, pitch: 0 })
+    if (entity.yaw !== undefined) look.yaw = entity.yaw
+    if (entity.headYaw !== undefined) look.headYaw = entity.headYaw
+    if (entity.pitch !== undefined) look.pitch = entity.pitch
+
+    // Without head rotation updates the head follows the body
+    const headYaw = look.headYaw === null ? look.yaw : look.headYaw
+    mesh.userData.entity.animator.setHeadRotation(headYaw - look.yaw, look.pitch)
+  }
+
+  /**
+   * Advance the entity animations, call once per frame
+   * @param {number} [time] - Current time in ms
+   */
+  animate (time = Date.now()) {
+    const dt = this.lastAnimationTime === null ? 0 : Math.min((time - this.lastAnimationTime) / 1000, ENTITY_MAX_ANIMATION_STEP_S)
+    this.lastAnimationTime = time
+    if (dt <= 0) return
+
+    for (const mesh of Object.values(this.entities)) {
+      const model = mesh.userData.entity
+      if (model && model.animator) model.animator.update(dt)
+      if (model && model.animate) model.animate(dt)
+    }
+  }
 }
 
 module.exports = { Entities }
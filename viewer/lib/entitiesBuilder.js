@@ -0,0 +1,65 @@
+const fs = require('fs')
+const path = require('path')
+const mcData = require('minecraft-data')
+const entities = require('./entity/entities.json')
+const { getEntityModel, normalizeEntityName } = require('./entity/fallbacks')
+
+// Fields of the bedrock entity definitions that the viewer uses
+const ENTITY_FIELDS = ['identifier', 'textures', 'geometry', 'animations', 'scripts', 'animation_controllers']
+
+function resolveTexture (texture, candidates) {
+  const file = texture.replace(/^textures\//, '') + '.png'
+  for (const { version, directory } of candidates) {
+    if (fs.existsSync(path.join(directory, file))) return `textures/${version}/${file}`
+  }
+  return null
+}
+
+function prepareEntity (model, candidates) {
+  const entity = {}
+  for (const field of ENTITY_FIELDS) {
+    if (model[field] !== undefined) entity[field] = model[field]
+  }
+
+  entity.textures = {}
+  for (const [name, texture] of Object.entries(model.textures || {})) {
+    const resolved = resolveTexture(texture, candidates)
+    if (resolved) entity.textures[name] = resolved
+  }
+
+  // Models with only texture variants (cats, horses) use their first variant by default
+  if (entity.geometry.default && !entity.textures.default) {
+    const first = Object.values(entity.textures)[0]
+    if (first) entity.textures.default = first
+  }
+  return entity
+}
+
+/**
+ * Build the entity models of a version: only the entity types of that version are kept,
+ * types without a model go through the fallback table, and textures point to the version
+ * assets (or to the newest version having them)
+ * @param {string} version - Minecraft version
+ * @param {Array<{version: string, directory: string}>} assetsDirectories - minecraft-assets directories, newest first
+ * @returns {Object} Entity models keyed by model name
+ */
+function prepareEntities (version, assetsDirectories) {
+  const candidates = [
+    ...assetsDirectories.filter(a => a.version === version),
+    ...assetsDirectories.filter(a => a.version !== version)
+  ]
+
+  const names = new Set(mcData(version).entitiesArray.map(e => normalizeEntityName(e.name)))
+  names.add('player')
+
+  const models = {}
+  for (const name of names) {
+    const model = getEntityModel(entities, name)
+    if (!model) continue
+    const modelName = Object.keys(entities).find(key => entities[key] === model)
+    if (!models[modelName]) models[modelName] = prepareEntity(model, candidates)
+  }
+  return models
+}
+
+module.exports = { prepareEntities }
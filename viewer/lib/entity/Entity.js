@@ -1,7 +1,10 @@
 /* global THREE */
 
 const entities = require('./entities.json')
-const { loadTexture } = globalThis.isElectron ? require('../utils.electron.js') : require('../utils')
+const { getEntityModel } = require('./fallbacks')
+const { EntityAnimator } = require('./animation')
+const { dispose3 } = require('../dispose')
+const { loadTexture, tryLoadTexture } = globalThis.isElectron ? require('../utils.electron.js') : require('../utils')
 
 const elemFaces = {
   up: {
@@ -156,6 +159,7 @@ function getMesh (texture, jsonModel) {
       bone.rotation.y = -jsonBone.rotation[1] * Math.PI / 180
       bone.rotation.z = -jsonBone.rotation[2] * Math.PI / 180
     }
+    bone.name = jsonBone.name
     bones[jsonBone.name] = bone
 
     if (jsonBone.cubes) {
@@ -166,12 +170,26 @@ function getMesh (texture, jsonModel) {
     i++
   }
 
+  // Attaching keeps the bones at their pivot, so that animated bones rotate around it
   const rootBones = []
   for (const jsonBone of jsonModel.bones) {
-    if (jsonBone.parent) bones[jsonBone.parent].add(bones[jsonBone.name])
+    if (jsonBone.parent) bones[jsonBone.parent].attach(bones[jsonBone.name])
     else rootBones.push(bones[jsonBone.name])
   }
 
+  // Rest pose, the animations are applied on top of it
+  for (const bone of Object.values(bones)) {
+    let depth = 0
+    for (let parent = bone.parent; parent; parent = parent.parent) depth++
+    bone.userData.depth = depth
+    bone.userData.rest = {
+      position: bone.position.clone(),
+      quaternion: bone.quaternion.clone(),
+      scale: bone.scale.clone(),
+      modelQuaternion: bone.getWorldQuaternion(new THREE.Quaternion())
+    }
+  }
+
   const skeleton = new THREE.Skeleton(Object.values(bones))
 
   const geometry = new THREE.BufferGeometry()
@@ -188,34 +206,179 @@ function getMesh (texture, jsonModel) {
   mesh.bind(skeleton)
   mesh.scale.set(1 / 16, 1 / 16, 1 / 16)
 
+  loadTexture(texture, texture => {
+    material.map = setupTexture(texture)
+  })
+
+  return mesh
+}
+
+function setupTexture (texture) {
+  texture.magFilter = THREE.NearestFilter
+  texture.minFilter = THREE.NearestFilter
+  texture.flipY = false
+  texture.wrapS = THREE.RepeatWrapping
+  texture.wrapT = THREE.RepeatWrapping
+  return texture
+}
+
+function findBone (skeleton, name) {
+  return skeleton.bones.find(bone => bone.name.toLowerCase() === name.toLowerCase())
+}
+
+// Java armor model, drawn over the humanoid bones (64x32 armor textures)
+const armorParts = {
+  head: { origin: [-4, 24, -4], size: [8, 8, 8], uv: [0, 0] },
+  body: { origin: [-4, 12, -2], size: [8, 12, 4], uv: [16, 16] },
+  rightArm: { origin: [-8, 12, -2], size: [4, 12, 4], uv: [40, 16] },
+  leftArm: { origin: [4, 12, -2], size: [4, 12, 4], uv: [40, 16] },
+  rightLeg: { origin: [-3.9, 0, -2], size: [4, 12, 4], uv: [0, 16] },
+  leftLeg: { origin: [-0.1, 0, -2], size: [4, 12, 4], uv: [0, 16] }
+}
+
+// Equipment slots of prismarine-entity: 0 main hand, 1 boots, 2 leggings, 3 chestplate, 4 helmet, 5 off hand
+const armorSlots = {
+  1: { parts: ['rightLeg', 'leftLeg'], inflate: 1 },
+  2: { parts: ['body', 'rightLeg', 'leftLeg'], inflate: 0.5 },
+  3: { parts: ['body', 'rightArm', 'leftArm'], inflate: 1 },
+  4: { parts: ['head'], inflate: 1 }
+}
+const handSlots = {
+  0: ['rightItem', 'rightArm'],
+  5: ['leftItem', 'leftArm']
+}
+
+function getArmorMesh (target, slot, texture) {
+  const geoData = { positions: [], normals: [], uvs: [], indices: [], skinIndices: [], skinWeights: [] }
+  const pivot = { position: new THREE.Vector3(), rotation: new THREE.Euler() }
+  for (const part of slot.parts) {
+    const bone = findBone(target.skeleton, part)
+    if (!bone) continue
+    const cube = { ...armorParts[part], inflate: slot.inflate }
+    addCube(geoData, target.skeleton.bones.indexOf(bone), pivot, cube, 64, 32)
+  }
+  if (geoData.positions.length === 0) return null
+
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(geoData.positions, 3))
+  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(geoData.normals, 3))
+  geometry.setAttribute('uv', new THREE.Float32BufferAttribute(geoData.uvs, 2))
+  geometry.setAttribute('skinIndex', new THREE.Uint16BufferAttribute(geoData.skinIndices, 4))
+  geometry.setAttribute('skinWeight', new THREE.Float32BufferAttribute(geoData.skinWeights, 4))
+  geometry.setIndex(geoData.indices)
+
+  // The armor shares the skeleton of the model, so it follows its animations
+  const material = new THREE.MeshLambertMaterial({ transparent: true, skinning: true, alphaTest: 0.1 })
+  const mesh = new THREE.SkinnedMesh(geometry, material)
+  mesh.scale.copy(target.scale)
+  mesh.bind(target.skeleton, target.bindMatrix)
+
+  loadTexture(texture, texture => {
+    material.map = setupTexture(texture)
+  })
+  return mesh
+}
+
+function getHeldItemMesh (texture) {
+  const material = new THREE.MeshLambertMaterial({ transparent: true, alphaTest: 0.1, side: THREE.DoubleSide })
+  const mesh = new THREE.Mesh(new THREE.PlaneGeometry(8, 8), material)
+  // Held along the arm, pointing forward from the hand
+  mesh.rotation.y = Math.PI / 2
+  mesh.position.set(0, 0, -3)
+
   loadTexture(texture, texture => {
     texture.magFilter = THREE.NearestFilter
     texture.minFilter = THREE.NearestFilter
-    texture.flipY = false
-    texture.wrapS = THREE.RepeatWrapping
-    texture.wrapT = THREE.RepeatWrapping
     material.map = texture
+    material.needsUpdate = true
   })
-
   return mesh
 }
 
+function getTexturePath (texture, version, versionModels) {
+  // Models built for a version already point to the texture file
+  if (versionModels) return texture
+  return texture.replace('textures', 'textures/' + version) + '.png'
+}
+
 class Entity {
-  constructor (version, type, scene) {
-    const e = entities[type]
+  /**
+   * @param {string} version - Minecraft version, used for textures of the bundled models
+   * @param {string} type - Entity type
+   * @param {THREE.Scene} scene - Scene
+   * @param {Object} [versionModels] - Models built for the version (public/entities/<version>.json)
+   */
+  constructor (version, type, scene, versionModels = null) {
+    const e = getEntityModel(versionModels || entities, type)
     if (!e) throw new Error(`Unknown entity ${type}`)
 
+    this.type = type
     this.mesh = new THREE.Object3D()
+    this.geometries = {}
+    this.equipment = []
+    this.equipmentNames = null
+    const meshes = []
     for (const [name, jsonModel] of Object.entries(e.geometry)) {
       const texture = e.textures[name]
       if (!texture) continue
       // console.log(JSON.stringify(jsonModel, null, 2))
-      const mesh = getMesh(texture.replace('textures', 'textures/' + version) + '.png', jsonModel)
+      const mesh = getMesh(getTexturePath(texture, version, versionModels), jsonModel)
       /* const skeletonHelper = new THREE.SkeletonHelper( mesh )
       skeletonHelper.material.linewidth = 2
       scene.add( skeletonHelper ) */
       this.mesh.add(mesh)
+      this.geometries[name] = mesh
+      meshes.push(mesh)
+    }
+
+    this.animator = (e.animations || e.animation_controllers) ? new EntityAnimator(e, meshes) : null
+  }
+
+  /**
+   * Replace the texture of the model, once the skin is loaded
+   * @param {string} skin - Skin texture path (relative to public/) or data URL
+   */
+  setSkin (skin) {
+    const mesh = this.geometries.default
+    if (!mesh) return
+    tryLoadTexture(skin, texture => {
+      mesh.material.map = setupTexture(texture)
+      mesh.material.needsUpdate = true
+    })
+  }
+
+  /**
+   * Draw the held items and the armor of a humanoid model
+   * @param {Array<string|null>} equipment - Item names, by prismarine-entity equipment slot
+   * @param {{textures: Object, armor: Object}} items - Item textures of the version (public/items/<version>.json)
+   */
+  setEquipment (equipment, items) {
+    this.equipmentNames = equipment
+    for (const mesh of this.equipment) {
+      mesh.parent.remove(mesh)
+      dispose3(mesh)
     }
+    this.equipment = []
+
+    const target = this.geometries.default
+    if (!target || !items) return
+
+    equipment.forEach((name, slot) => {
+      if (!name) return
+
+      if (armorSlots[slot] && items.armor[name]) {
+        const mesh = getArmorMesh(target, armorSlots[slot], items.armor[name])
+        if (!mesh) return
+        this.mesh.add(mesh)
+        this.equipment.push(mesh)
+      } else if (handSlots[slot] && items.textures[name]) {
+        const bone = handSlots[slot].map(boneName => findBone(target.skeleton, boneName)).find(bone => bone)
+        if (!bone) return
+        const mesh = getHeldItemMesh(items.textures[name])
+        bone.add(mesh)
+        this.equipment.push(mesh)
+      }
+    })
   }
 }
 
@@ -0,0 +1,222 @@
+/* global THREE */
+
+const { normalizeEntityName } = require('./fallbacks')
+const { dispose3 } = require('../dispose')
+const {
+  MATERIAL_ALPHA_TEST,
+  ITEM_SPRITE_SIZE,
+  ITEM_SPIN_SPEED,
+  ITEM_BOB_SPEED,
+  ITEM_BOB_HEIGHT
+} = require('../constants')
+
+// Entity types drawn from the texture atlas and the block models instead of entities.json
+const objectKinds = {
+  item: 'item',
+  item_stack: 'item',
+  falling_block: 'block',
+  falling_sand: 'block',
+  item_frame: 'frame',
+  glow_item_frame: 'frame'
+}
+
+// Rotation of an item frame hanging on a wall (or lying on a floor or ceiling) facing this direction
+const frameRotations = {
+  south: [0, 0],
+  north: [0, Math.PI],
+  east: [0, Math.PI / 2],
+  west: [0, -Math.PI / 2],
+  up: [-Math.PI / 2, 0],
+  down: [Math.PI / 2, 0]
+}
+
+// Frame picture size and distance of the item from the wall
+const FRAME_SIZE = 0.75
+const FRAME_ITEM_OFFSET = 1 / 32
+
+function getSpriteMesh (sprite, size, material) {
+  const geometry = new THREE.PlaneGeometry(size, size)
+  const uvs = geometry.attributes.uv
+  // The atlas is not flipped: v grows downwards
+  for (let i = 0; i < uvs.count; i++) {
+    uvs.setXY(i, sprite.u + uvs.getX(i) * sprite.su, sprite.v + (1 - uvs.getY(i)) * sprite.sv)
+  }
+  return new THREE.Mesh(geometry, material)
+}
+
+// Sprite of an item in the atlas of the world renderer, found from the item texture file since
+// resource packs change the atlas layout, or in the item textures of the version
+function getItemSprite (name, items, worldRenderer) {
+  const atlas = worldRenderer ? worldRenderer.atlas : null
+  const texture = items.textures ? items.textures[name] : null
+  if (atlas && texture) {
+    // textures/<version>/blocks/stone.png is stone in the atlas, textures/<version>/items/apple.png items/apple
+    const sprite = atlas.textures[texture.replace(/^textures\/[^/]+\//, '').replace(/\.png$/, '').replace(/^blocks\//, '')]
+    if (sprite) return sprite
+  }
+  return items.sprites ? items.sprites[name] : null
+}
+
+/**
+ * Entities without a model of their own: dropped items are spinning sprites of the texture atlas,
+ * falling blocks use the block models of the mesher and item frames show the item they hold
+ */
+class ObjectEntity {
+  /**
+   * @param {string} type - Entity type
+   * @param {WorldRenderer} [worldRenderer] - Renderer of the world, source of the texture atlas and block geometries
+   */
+  constructor (type, worldRenderer = null) {
+    this.type = type
+    this.kind = ObjectEntity.getKind(type)
+    if (!this.kind) throw new Error(`Unknown object entity ${type}`)
+    this.worldRenderer = worldRenderer
+
+    this.mesh = new THREE.Object3D()
+    this.content = new THREE.Object3D()
+    this.mesh.add(this.content)
+    // The rotation is given by the spin, the block or the frame facing, not by the entity yaw
+    this.ignoreYaw = true
+
+    this.material = new THREE.MeshLambertMaterial({ transparent: true, alphaTest: MATERIAL_ALPHA_TEST, side: THREE.DoubleSide })
+    this.blockMaterial = new THREE.MeshLambertMaterial({ vertexColors: true, transparent: true, alphaTest: MATERIAL_ALPHA_TEST })
+
+    this.item = null
+    this.items = null
+    this.itemMesh = null
+    this.blockStateId = null
+    this.blockMesh = null
+    this.time = Math.random() * Math.PI * 2
+    this.disposed = false
+
+    this.frameMesh = null
+    if (this.kind === 'frame') this.setFacing('south')
+    this.updateAtlas()
+  }
+
+  /**
+   * Drawing kind of an entity type
+   * @param {string} type - Entity type
+   * @returns {'item'|'block'|'frame'|undefined} Kind, undefined for entities drawn with a model
+   */
+  static getKind (type) {
+    return type ? objectKinds[normalizeEntityName(type)] : undefined
+  }
+
+  /**
+   * Use the texture atlas of the world renderer, once it is loaded
+   */
+  updateAtlas () {
+    const atlas = this.worldRenderer ? this.worldRenderer.currentTexture : null
+    if (!atlas || this.material.map === atlas) return
+    const changed = this.material.map !== null
+    for (const material of [this.material, this.blockMaterial]) {
+      material.map = atlas
+      material.needsUpdate = true
+    }
+
+    // A resource pack was set: the sprites move in the atlas and the block models change
+    if (!changed) return
+    if (this.frameMesh) {
+      this.content.remove(this.frameMesh)
+      this.frameMesh.geometry.dispose()
+      this.frameMesh = null
+    }
+    if (this.item || this.kind === 'frame') this.setItem(this.item, this.items)
+    const stateId = this.blockStateId
+    this.blockStateId = null
+    if (stateId !== null) this.setBlock(stateId)
+  }
+
+  /**
+   * Set the item of a dropped item or of an item frame
+   * @param {{name: string}|null} item - Item stack, null for an empty frame
+   * @param {Object} [items] - Item textures of the version (public/items/<version>.json)
+   */
+  setItem (item, items) {
+    this.item = item
+    this.items = items
+    if (this.itemMesh) {
+      this.itemMesh.parent.remove(this.itemMesh)
+      this.itemMesh.geometry.dispose()
+      this.itemMesh = null
+    }
+    if (this.kind === 'frame') this._setFrame(items)
+
+    const sprite = item && items ? getItemSprite(item.name, items, this.worldRenderer) : null
+    if (!sprite) return
+
+    this.itemMesh = getSpriteMesh(sprite, ITEM_SPRITE_SIZE, this.material)
+    if (this.kind === 'frame') this.itemMesh.position.z = FRAME_ITEM_OFFSET
+    else this.itemMesh.position.y = ITEM_SPRITE_SIZE / 2
+    this.content.add(this.itemMesh)
+  }
+
+  _setFrame (items) {
+    if (this.frameMesh || !items) return
+    const sprite = getItemSprite(normalizeEntityName(this.type), items, this.worldRenderer) || getItemSprite('item_frame', items, this.worldRenderer)
+    if (!sprite) return
+    this.frameMesh = getSpriteMesh(sprite, FRAME_SIZE, this.material)
+    this.content.add(this.frameMesh)
+  }
+
+  /**
+   * Set the block of a falling block, drawn once the workers built its geometry
+   * @param {number} stateId - Block state id
+   */
+  setBlock (stateId) {
+    if (this.kind !== 'block' || stateId === this.blockStateId || !this.worldRenderer) return
+    this.blockStateId = stateId
+    this.worldRenderer.getBlockGeometry(stateId).then(geometry => {
+      if (!geometry) return
+      if (this.disposed || this.blockStateId !== stateId) {
+        geometry.dispose()
+        return
+      }
+      if (this.blockMesh) {
+        this.content.remove(this.blockMesh)
+        this.blockMesh.geometry.dispose()
+      }
+      // The entity position is the bottom center of the block
+      this.blockMesh = new THREE.Mesh(geometry, this.blockMaterial)
+      this.blockMesh.position.set(-0.5, 0, -0.5)
+      this.content.add(this.blockMesh)
+    })
+  }
+
+  /**
+   * Turn an item frame to face a direction
+   * @param {string} facing - down, up, north, south, west or east
+   */
+  setFacing (facing) {
+    const rotation = frameRotations[facing]
+    if (!rotation) return
+    this.content.rotation.set(rotation[0], rotation[1], 0, 'YXZ')
+  }
+
+  /**
+   * Spin and bob dropped items
+   * @param {number} dt - Elapsed time in seconds
+   */
+  animate (dt) {
+    this.updateAtlas()
+    if (this.kind !== 'item') return
+    this.time += dt
+    this.content.rotation.y = this.time * ITEM_SPIN_SPEED
+    this.content.position.y = (Math.sin(this.time * ITEM_BOB_SPEED) + 1) * ITEM_BOB_HEIGHT
+  }
+
+  /**
+   * Dispose the meshes and materials, keeping the shared texture atlas
+   */
+  dispose () {
+    this.disposed = true
+    this.material.map = null
+    this.blockMaterial.map = null
+    dispose3(this.mesh)
+    this.material.dispose()
+    this.blockMaterial.dispose()
+  }
+}
+
+module.exports = ObjectEntity
@@ -0,0 +1,365 @@
+/* global THREE */
+
+/**
+ * Runtime for the Bedrock animations and animation controllers of the entity models
+ * @module viewer/lib/entity/animation
+ */
+
+const { compileMolang, evaluateMolang } = require('./molang')
+const {
+  ENTITY_FULL_SWING_SPEED,
+  ENTITY_SWING_SMOOTHING,
+  ENTITY_MOVE_TIMEOUT_S,
+  ENTITY_TELEPORT_DISTANCE
+} = require('../constants')
+
+const DEG_TO_RAD = Math.PI / 180
+const TICKS_PER_SECOND = 20
+
+// Variables set by the game engine that the models expect
+const DEFAULT_VARIABLES = {
+  attack_time: -1,
+  gliding_speed_value: 1
+}
+
+function toArray (value) {
+  return Array.isArray(value) ? value : [value, value, value]
+}
+
+function wrapAngle (angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle))
+}
+
+/**
+ * Parse a keyframed channel ({ "0.0": [..], "0.5": { pre, post } }) into sorted keyframes
+ */
+function parseKeyframes (channel) {
+  return Object.entries(channel)
+    .map(([time, value]) => {
+      const frame = Array.isArray(value) || typeof value !== 'object' ? { pre: value, post: value } : value
+      return { time: parseFloat(time), pre: toArray(frame.pre ?? frame.post), post: toArray(frame.post ?? frame.pre) }
+    })
+    .sort((a, b) => a.time - b.time)
+}
+
+/**
+ * Prepare an animation: compile its expressions and sort its keyframes
+ */
+function prepareAnimation (json) {
+  const bones = []
+  let length = json.animation_length || 0
+  for (const [name, channels] of Object.entries(json.bones || {})) {
+    const bone = { name: name.toLowerCase(), relativeToEntity: !!(channels.relative_to && channels.relative_to.rotation === 'entity') }
+    for (const channel of ['rotation', 'position', 'scale']) {
+      const value = channels[channel]
+      if (value === undefined) continue
+      if (typeof value === 'object' && !Array.isArray(value)) {
+        bone[channel] = { keyframes: parseKeyframes(value) }
+        if (!json.animation_length) length = Math.max(length, ...bone[channel].keyframes.map(k => k.time))
+      } else {
+        bone[channel] = { values: toArray(value) }
+      }
+    }
+    bones.push(bone)
+  }
+  return {
+    loop: json.loop === true,
+    length,
+    animTimeUpdate: json.anim_time_update !== undefined ? compileMolang(json.anim_time_update) : null,
+    bones
+  }
+}
+
+/**
+ * Animates the bones of an entity model, evaluating its `animate` script,
+ * animation controllers and animations every frame
+ */
+class EntityAnimator {
+  /**
+   * @param {Object} model - Entity model (entities.json entry)
+   * @param {THREE.SkinnedMesh[]} meshes - Meshes of the model geometries
+   */
+  constructor (model, meshes) {
+    this.scripts = model.scripts || {}
+    this.controllers = model.animation_controllers || {}
+    this.animations = {}
+    for (const [name, json] of Object.entries(model.animations || {})) {
+      if (typeof json === 'object') this.animations[name] = prepareAnimation(json)
+    }
+
+    // Without an animate script, every controller of the model runs
+    this.animate = this.scripts.animate || Object.keys(this.controllers)
+
+    // Bones by name, parents first so that entity relative rotations see their parent's pose
+    this.bones = {}
+    this.boneList = []
+    for (const mesh of meshes) {
+      const bones = mesh.skeleton.bones.slice().sort((a, b) => a.userData.depth - b.userData.depth)
+      for (const bone of bones) {
+        const name = bone.name.toLowerCase()
+        if (!this.bones[name]) this.bones[name] = []
+        this.bones[name].push(bone)
+        this.boneList.push(bone)
+      }
+    }
+
+    this.context = {
+      query: {
+        life_time: 0,
+        anim_time: 0,
+        delta_time: 0,
+        modified_distance_moved: 0,
+        modified_move_speed: 0,
+        ground_speed: 0,
+        target_x_rotation: 0,
+        target_y_rotation: 0,
+        head_x_rotation: 0,
+        head_y_rotation: 0,
+        eye_target_x_rotation: 0,
+        eye_target_y_rotation: 0,
+        is_on_ground: 1,
+        is_alive: 1,
+        model_scale: 1,
+        key_frame_lerp_time: 0,
+        all_animations_finished: 0
+      },
+      variable: { ...DEFAULT_VARIABLES },
+      temp: {},
+      this: 0
+    }
+    this.runScripts(this.scripts.initialize)
+
+    this.controllerStates = {}
+    this.animationTimes = {}
+    this.playing = new Set()
+
+    this.lastPosition = null
+    this.moveSpeed = 0
+    this.targetMoveSpeed = 0
+    this.timeSinceMove = 0
+
+    this._quaternion = new THREE.Quaternion()
+    this._parentQuaternion = new THREE.Quaternion()
+    this._euler = new THREE.Euler()
+    this._vector = new THREE.Vector3()
+  }
+
+  runScripts (scripts) {
+    if (!scripts) return
+    for (const script of Array.isArray(scripts) ? scripts : [scripts]) {
+      evaluateMolang(script, this.context)
+    }
+  }
+
+  /**
+   * Feed a new position of the entity, used to compute the walk cycle speed
+   * @param {{x: number, y: number, z: number}} pos - Entity position
+   * @param {number} time - Time of the update in ms
+   */
+  setPosition (pos, time) {
+    const last = this.lastPosition
+    this.lastPosition = { x: pos.x, y: pos.y, z: pos.z, time }
+    if (!last) return
+
+    const distance = Math.hypot(pos.x - last.x, pos.z - last.z)
+    const dt = (time - last.time) / 1000
+    if (dt <= 0 || distance > ENTITY_TELEPORT_DISTANCE) return
+
+    this.targetMoveSpeed = Math.min(distance / dt / ENTITY_FULL_SWING_SPEED, 1)
+    this.context.query.ground_speed = distance / dt
+    this.timeSinceMove = 0
+  }
+
+  /**
+   * Set where the entity looks, relative to its body
+   * @param {number} headYaw - Head yaw relative to the body, in radians
+   * @param {number} pitch - Head pitch in radians, positive looking up
+   */
+  setHeadRotation (headYaw, pitch) {
+    // Bedrock angles are in degrees, positive looking down and right
+    const yaw = -wrapAngle(headYaw) / DEG_TO_RAD
+    const x = -pitch / DEG_TO_RAD
+    const query = this.context.query
+    query.target_x_rotation = query.head_x_rotation = query.eye_target_x_rotation = x
+    query.target_y_rotation = query.head_y_rotation = query.eye_target_y_rotation = yaw
+  }
+
+  /**
+   * Advance the animations and pose the bones
+   * @param {number} dt - Time since the previous frame in seconds
+   */
+  update (dt) {
+    const query = this.context.query
+    query.life_time += dt
+    query.delta_time = dt
+
+    // Movement updates stop when the entity stops
+    this.timeSinceMove += dt
+    if (this.timeSinceMove > ENTITY_MOVE_TIMEOUT_S) this.targetMoveSpeed = 0
+    this.moveSpeed += (this.targetMoveSpeed - this.moveSpeed) * Math.min(dt * ENTITY_SWING_SMOOTHING, 1)
+    query.modified_move_speed = this.moveSpeed
+    query.modified_distance_moved += this.moveSpeed * dt * TICKS_PER_SECOND
+
+    this.runScripts(this.scripts.pre_animation)
+
+    this.pose = {}
+    const playing = new Set()
+    for (const entry of this.animate) {
+      this._play(entry, 1, playing, true)
+    }
+    for (const name of this.playing) {
+      if (!playing.has(name)) delete this.animationTimes[name]
+    }
+    this.playing = playing
+
+    this._applyPose()
+  }
+
+  _play (entry, weight, playing, topLevel) {
+    const [name, blend] = typeof entry === 'string' ? [entry, 1] : Object.entries(entry)[0]
+    const w = weight * evaluateMolang(blend, this.context)
+    if (!w) return
+
+    // Names of the animate script are controllers first, names inside controllers are animations first
+    const controller = this.controllers[name]
+    const animation = this.animations[name]
+    if (controller && (topLevel || !animation)) {
+      this._playController(name, controller, w, playing)
+    } else if (animation) {
+      this._playAnimation(name, animation, w, playing)
+    }
+  }
+
+  _playController (name, controller, weight, playing) {
+    if (typeof controller !== 'object' || !controller.states) return
+    let stateName = this.controllerStates[name] || controller.initial_state || 'default'
+    let state = controller.states[stateName]
+    if (!state) return
+
+    const finished = (state.animations || []).every(entry => {
+      const animName = typeof entry === 'string' ? entry : Object.keys(entry)[0]
+      const time = this.animationTimes[animName]
+      const animation = this.animations[animName]
+      return !animation || (!animation.loop && time !== undefined && time >= animation.length)
+    })
+    this.context.query.all_animations_finished = finished ? 1 : 0
+
+    for (const transition of state.transitions || []) {
+      const [next, condition] = Object.entries(transition)[0]
+      if (controller.states[next] && evaluateMolang(condition, this.context)) {
+        stateName = next
+        state = controller.states[next]
+        break
+      }
+    }
+    this.controllerStates[name] = stateName
+
+    for (const entry of state.animations || []) {
+      this._play(entry, weight, playing, false)
+    }
+  }
+
+  _playAnimation (name, animation, weight, playing) {
+    playing.add(name)
+    const query = this.context.query
+
+    let time = this.animationTimes[name]
+    if (time === undefined) {
+      time = 0
+    } else if (animation.animTimeUpdate) {
+      query.anim_time = time
+      time = animation.animTimeUpdate(this.context)
+    } else {
+      time += query.delta_time
+    }
+    if (animation.length > 0) time = animation.loop ? time % animation.length : Math.min(time, animation.length)
+    this.animationTimes[name] = time
+    query.anim_time = time
+
+    for (const bone of animation.bones) {
+      if (!this.bones[bone.name]) continue
+      let pose = this.pose[bone.name]
+      if (!pose) {
+        pose = this.pose[bone.name] = { rotation: [0, 0, 0], position: [0, 0, 0], scale: [1, 1, 1], relativeToEntity: false }
+      }
+      if (bone.relativeToEntity) pose.relativeToEntity = true
+
+      if (bone.rotation) this._addChannel(pose.rotation, bone.rotation, time, weight)
+      if (bone.position) this._addChannel(pose.position, bone.position, time, weight)
+      if (bone.scale) {
+        const scale = this._evaluateChannel(bone.scale, time, pose.scale)
+        for (let i = 0; i < 3; i++) pose.scale[i] *= 1 + (scale[i] - 1) * weight
+      }
+    }
+  }
+
+  _addChannel (target, channel, time, weight) {
+    const values = this._evaluateChannel(channel, time, target)
+    for (let i = 0; i < 3; i++) target[i] += values[i] * weight
+  }
+
+  _evaluateChannel (channel, time, current) {
+    if (channel.values) return this._evaluateValues(channel.values, current)
+
+    const keyframes = channel.keyframes
+    const first = keyframes[0]
+    const last = keyframes[keyframes.length - 1]
+    if (time <= first.time) return this._evaluateValues(first.pre, current)
+    if (time >= last.time) return this._evaluateValues(last.post, current)
+
+    let i = 0
+    while (keyframes[i + 1].time <= time) i++
+    const from = keyframes[i]
+    const to = keyframes[i + 1]
+    const alpha = (time - from.time) / (to.time - from.time)
+    this.context.query.key_frame_lerp_time = alpha
+    const a = this._evaluateValues(from.post, current)
+    const b = this._evaluateValues(to.pre, current)
+    return a.map((value, axis) => value + (b[axis] - value) * alpha)
+  }
+
+  _evaluateValues (values, current) {
+    return values.map((value, axis) => {
+      this.context.this = current[axis]
+      const result = evaluateMolang(value, this.context)
+      return Number.isFinite(result) ? result : 0
+    })
+  }
+
+  _applyPose () {
+    for (const bone of this.boneList) {
+      const rest = bone.userData.rest
+      bone.position.copy(rest.position)
+      bone.quaternion.copy(rest.quaternion)
+      bone.scale.copy(rest.scale)
+
+      const pose = this.pose[bone.name.toLowerCase()]
+      if (!pose) continue
+
+      // Rotation of the parent relative to the model, as currently posed
+      this._parentQuaternion.identity()
+      for (let parent = bone.parent; parent && parent.isBone; parent = parent.parent) {
+        this._parentQuaternion.premultiply(parent.quaternion)
+      }
+
+      const [rx, ry, rz] = pose.rotation
+      this._euler.set(-rx * DEG_TO_RAD, -ry * DEG_TO_RAD, -rz * DEG_TO_RAD)
+      this._quaternion.setFromEuler(this._euler)
+      if (pose.relativeToEntity) {
+        // Rotate around the model axes, ignoring the pose of the parents
+        bone.quaternion.copy(this._parentQuaternion).invert()
+          .multiply(this._quaternion)
+          .multiply(rest.modelQuaternion)
+      } else {
+        bone.quaternion.multiply(this._quaternion)
+      }
+
+      // Offsets are in model units, move them in the parent space
+      this._vector.fromArray(pose.position).applyQuaternion(this._parentQuaternion.invert())
+      bone.position.add(this._vector)
+      bone.scale.multiply(this._vector.fromArray(pose.scale))
+    }
+  }
+}
+
+module.exports = { EntityAnimator }
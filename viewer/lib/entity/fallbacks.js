@@ -0,0 +1,114 @@
+/**
+ * Fallback model table for entity types without a model in entities.json
+ * @module viewer/lib/entity/fallbacks
+ */
+
+// Entity type -> name of the entities.json model used to draw it
+const entityFallbacks = {
+  // Names used by older versions
+  pig_zombie: 'zombified_piglin',
+  zombie_pigman: 'zombified_piglin',
+  lava_slime: 'magma_cube',
+  entity_horse: 'horse',
+  ozelot: 'ocelot',
+  villager_golem: 'iron_golem',
+  snow_man: 'snow_golem',
+  snowman: 'snow_golem',
+  mushroom_cow: 'mooshroom',
+  wither_boss: 'wither',
+  minecart_rideable: 'minecart',
+  commandblock_minecart: 'command_block_minecart',
+  thrown_egg: 'egg',
+  thrown_enderpearl: 'ender_pearl',
+  eye_of_ender_signal: 'eye_of_ender',
+  thrown_potion: 'potion',
+  thrown_exp_bottle: 'experience_bottle',
+  xp_bottle: 'experience_bottle',
+  xp_orb: 'experience_orb',
+  fireworks_rocket_entity: 'firework_rocket',
+  fireworks_rocket: 'firework_rocket',
+  armorstand: 'armor_stand',
+  fishing_float: 'fishing_bobber',
+  fishing_hook: 'fishing_bobber',
+  evocation_fangs: 'evoker_fangs',
+  evocation_illager: 'evoker',
+  vindication_illager: 'vindicator',
+  illusion_illager: 'evoker',
+  firecharge: 'small_fireball',
+
+  // Variants of an existing model
+  giant: 'zombie',
+  illusioner: 'evoker',
+  spectral_arrow: 'arrow',
+  tipped_arrow: 'arrow',
+  trader_llama: 'llama',
+  glow_squid: 'squid',
+  bogged: 'skeleton',
+  furnace_minecart: 'minecart',
+  spawner_minecart: 'minecart',
+  chest_boat: 'boat',
+  oak_boat: 'boat',
+  spruce_boat: 'boat',
+  birch_boat: 'boat',
+  jungle_boat: 'boat',
+  acacia_boat: 'boat',
+  cherry_boat: 'boat',
+  dark_oak_boat: 'boat',
+  pale_oak_boat: 'boat',
+  mangrove_boat: 'boat',
+  bamboo_raft: 'boat',
+  oak_chest_boat: 'boat',
+  spruce_chest_boat: 'boat',
+  birch_chest_boat: 'boat',
+  jungle_chest_boat: 'boat',
+  acacia_chest_boat: 'boat',
+  cherry_chest_boat: 'boat',
+  dark_oak_chest_boat: 'boat',
+  pale_oak_chest_boat: 'boat',
+  mangrove_chest_boat: 'boat',
+  bamboo_chest_raft: 'boat',
+  wind_charge: 'small_fireball',
+  breeze_wind_charge: 'small_fireball',
+
+  // Mobs newer than the bundled models, drawn with a model of similar shape
+  axolotl: 'salmon',
+  tadpole: 'cod',
+  frog: 'rabbit',
+  goat: 'sheep',
+  camel: 'llama',
+  allay: 'vex',
+  warden: 'iron_golem',
+  sniffer: 'ravager',
+  armadillo: 'rabbit',
+  breeze: 'blaze',
+  creaking: 'enderman'
+}
+
+/**
+ * Normalize entity names of older versions (CaveSpider, Fishing Float) to snake case
+ * @param {string} name - Entity name
+ * @returns {string} Normalized name
+ */
+function normalizeEntityName (name) {
+  return name
+    .replace(/([a-z])([A-Z])/g, '$1_$2')
+    .replace(/ /g, '_')
+    .toLowerCase()
+}
+
+/**
+ * Find the model of an entity type, using the fallback table if needed
+ * @param {Object} models - Entity models, keyed by entity type
+ * @param {string} name - Entity type
+ * @returns {Object|null} The model, or null if the type has no model nor fallback
+ */
+function getEntityModel (models, name) {
+  if (models[name]) return models[name]
+  const normalized = normalizeEntityName(name)
+  if (models[normalized]) return models[normalized]
+  const fallback = entityFallbacks[normalized]
+  if (fallback && models[fallback]) return models[fallback]
+  return null
+}
+
+module.exports = { entityFallbacks, normalizeEntityName, getEntityModel }
@@ -0,0 +1,313 @@
+/**
+ * Evaluator for the subset of Molang used by the entity animations:
+ * arithmetic, comparisons, logical and conditional operators, math functions,
+ * query and variable lookups, assignments and return statements
+ * @module viewer/lib/entity/molang
+ */
+
+const DEG_TO_RAD = Math.PI / 180
+
+// Molang trigonometry works in degrees
+const mathFunctions = {
+  abs: Math.abs,
+  sin: (a) => Math.sin(a * DEG_TO_RAD),
+  cos: (a) => Math.cos(a * DEG_TO_RAD),
+  asin: (a) => Math.asin(a) / DEG_TO_RAD,
+  acos: (a) => Math.acos(a) / DEG_TO_RAD,
+  atan: (a) => Math.atan(a) / DEG_TO_RAD,
+  atan2: (y, x) => Math.atan2(y, x) / DEG_TO_RAD,
+  sqrt: Math.sqrt,
+  pow: Math.pow,
+  exp: Math.exp,
+  ln: Math.log,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  round: Math.round,
+  trunc: Math.trunc,
+  min: Math.min,
+  max: Math.max,
+  mod: (a, b) => a % b,
+  clamp: (v, min, max) => Math.min(Math.max(v, min), max),
+  lerp: (a, b, t) => a + (b - a) * t,
+  lerprotate: (a, b, t) => {
+    const delta = ((((b - a) % 360) + 540) % 360) - 180
+    return a + delta * t
+  },
+  hermite_blend: (t) => 3 * t * t - 2 * t * t * t,
+  random: (min, max) => min + Math.random() * (max - min),
+  random_integer: (min, max) => Math.floor(min + Math.random() * (max - min + 1))
+}
+
+const mathConstants = {
+  pi: Math.PI
+}
+
+const namespaceAliases = {
+  q: 'query',
+  v: 'variable',
+  t: 'temp',
+  c: 'context'
+}
+
+const OPERATORS = ['&&', '||', '==', '!=', '<=', '>=', '??', '<', '>', '+', '-', '*', '/', '!', '?', ':', '(', ')', ',', ';', '=']
+
+function tokenize (source) {
+  const tokens = []
+  let i = 0
+  while (i < source.length) {
+    const c = source[i]
+    if (/\s/.test(c)) {
+      i++
+    } else if (/[0-9.]/.test(c)) {
+      const match = /^(\d*\.?\d+|\d+\.)(e[+-]?\d+)?f?/i.exec(source.slice(i))
+      tokens.push({ type: 'number', value: parseFloat(match[0]) })
+      i += match[0].length
+    } else if (/[a-zA-Z_]/.test(c)) {
+      const match = /^[a-zA-Z_][a-zA-Z0-9_.]*/.exec(source.slice(i))
+      tokens.push({ type: 'name', value: match[0].toLowerCase() })
+      i += match[0].length
+    } else if (c === '\'') {
+      const end = source.indexOf('\'', i + 1)
+      if (end === -1) throw new Error(`Unterminated string in ${source}`)
+      tokens.push({ type: 'string', value: source.slice(i + 1, end) })
+      i = end + 1
+    } else {
+      const op = OPERATORS.find(o => source.startsWith(o, i))
+      if (!op) throw new Error(`Unexpected character ${c} in ${source}`)
+      tokens.push({ type: 'op', value: op })
+      i += op.length
+    }
+  }
+  return tokens
+}
+
+function splitName (name) {
+  const dot = name.indexOf('.')
+  if (dot === -1) return [name, '']
+  const namespace = name.slice(0, dot)
+  return [namespaceAliases[namespace] || namespace, name.slice(dot + 1)]
+}
+
+// Booleans are numbers in Molang
+function num (value) {
+  if (typeof value === 'boolean') return value ? 1 : 0
+  return value
+}
+
+class Parser {
+  constructor (source) {
+    this.source = source
+    this.tokens = tokenize(source)
+    this.pos = 0
+  }
+
+  peek (value) {
+    const token = this.tokens[this.pos]
+    return token && token.type === 'op' && token.value === value
+  }
+
+  accept (value) {
+    if (this.peek(value)) {
+      this.pos++
+      return true
+    }
+    return false
+  }
+
+  expect (value) {
+    if (!this.accept(value)) throw new Error(`Expected ${value} in ${this.source}`)
+  }
+
+  parseProgram () {
+    const statements = []
+    let complex = false
+    while (this.pos < this.tokens.length) {
+      if (this.accept(';')) {
+        complex = true
+        continue
+      }
+      statements.push(this.parseStatement())
+    }
+    if (!complex && statements.length === 1 && !statements[0].assignment) {
+      return statements[0].evaluate
+    }
+
+    // Statement lists evaluate to their return value, or 0
+    return (ctx) => {
+      for (const statement of statements) {
+        const value = statement.evaluate(ctx)
+        if (statement.isReturn) return value
+      }
+      return 0
+    }
+  }
+
+  parseStatement () {
+    const token = this.tokens[this.pos]
+    if (token.type === 'name' && token.value === 'return') {
+      this.pos++
+      return { isReturn: true, evaluate: this.parseExpression() }
+    }
+    const next = this.tokens[this.pos + 1]
+    if (token.type === 'name' && next && next.type === 'op' && next.value === '=') {
+      this.pos += 2
+      const [namespace, name] = splitName(token.value)
+      const value = this.parseExpression()
+      return {
+        assignment: true,
+        evaluate: (ctx) => {
+          const scope = namespace === 'temp' ? ctx.temp : ctx.variable
+          scope[name] = value(ctx)
+          return scope[name]
+        }
+      }
+    }
+    return { evaluate: this.parseExpression() }
+  }
+
+  parseExpression () {
+    const condition = this.parseBinary(0)
+    if (this.accept('?')) {
+      const then = this.parseExpression()
+      const otherwise = this.accept(':') ? this.parseExpression() : () => 0
+      return (ctx) => num(condition(ctx)) ? then(ctx) : otherwise(ctx)
+    }
+    return condition
+  }
+
+  parseBinary (level) {
+    const levels = [['??'], ['||'], ['&&'], ['==', '!='], ['<', '>', '<=', '>='], ['+', '-'], ['*', '/']]
+    if (level === levels.length) return this.parseUnary()
+
+    let left = this.parseBinary(level + 1)
+    for (;;) {
+      const op = levels[level].find(o => this.peek(o))
+      if (!op) return left
+      this.pos++
+      const a = left
+      const b = this.parseBinary(level + 1)
+      left = binaryOperation(op, a, b)
+    }
+  }
+
+  parseUnary () {
+    if (this.accept('-')) {
+      const value = this.parseUnary()
+      return (ctx) => -num(value(ctx))
+    }
+    if (this.accept('!')) {
+      const value = this.parseUnary()
+      return (ctx) => num(value(ctx)) ? 0 : 1
+    }
+    return this.parsePrimary()
+  }
+
+  parsePrimary () {
+    const token = this.tokens[this.pos++]
+    if (!token) throw new Error(`Unexpected end of ${this.source}`)
+
+    if (token.type === 'number' || token.type === 'string') {
+      const value = token.value
+      return () => value
+    }
+
+    if (token.type === 'op' && token.value === '(') {
+      const value = this.parseExpression()
+      this.expect(')')
+      return value
+    }
+
+    if (token.type === 'name') {
+      const args = []
+      if (this.accept('(')) {
+        while (!this.accept(')')) {
+          args.push(this.parseExpression())
+          this.accept(',')
+        }
+      }
+      return this.resolveName(token.value, args)
+    }
+
+    throw new Error(`Unexpected ${token.value} in ${this.source}`)
+  }
+
+  resolveName (fullName, args) {
+    if (fullName === 'this') return (ctx) => ctx.this || 0
+    if (fullName === 'true') return () => 1
+    if (fullName === 'false') return () => 0
+
+    const [namespace, name] = splitName(fullName)
+    if (namespace === 'math') {
+      if (name in mathConstants) return () => mathConstants[name]
+      const fn = mathFunctions[name]
+      if (!fn) return () => 0
+      return (ctx) => fn(...args.map(arg => num(arg(ctx))))
+    }
+    if (namespace === 'query') {
+      return (ctx) => {
+        const value = ctx.query[name]
+        if (typeof value === 'function') return value(...args.map(arg => arg(ctx)))
+        return value === undefined ? 0 : value
+      }
+    }
+    if (namespace === 'variable' || namespace === 'temp') {
+      return (ctx) => {
+        const value = (namespace === 'temp' ? ctx.temp : ctx.variable)[name]
+        return value === undefined ? 0 : value
+      }
+    }
+    return () => 0
+  }
+}
+
+function binaryOperation (op, a, b) {
+  switch (op) {
+    case '+': return (ctx) => num(a(ctx)) + num(b(ctx))
+    case '-': return (ctx) => num(a(ctx)) - num(b(ctx))
+    case '*': return (ctx) => num(a(ctx)) * num(b(ctx))
+    case '/': return (ctx) => num(a(ctx)) / num(b(ctx))
+    case '<': return (ctx) => num(a(ctx)) < num(b(ctx)) ? 1 : 0
+    case '>': return (ctx) => num(a(ctx)) > num(b(ctx)) ? 1 : 0
+    case '<=': return (ctx) => num(a(ctx)) <= num(b(ctx)) ? 1 : 0
+    case '>=': return (ctx) => num(a(ctx)) >= num(b(ctx)) ? 1 : 0
+    case '==': return (ctx) => a(ctx) === b(ctx) ? 1 : 0
+    case '!=': return (ctx) => a(ctx) !== b(ctx) ? 1 : 0
+    case '&&': return (ctx) => num(a(ctx)) && num(b(ctx)) ? 1 : 0
+    case '||': return (ctx) => num(a(ctx)) || num(b(ctx)) ? 1 : 0
+    case '??': return (ctx) => a(ctx) ?? b(ctx)
+  }
+}
+
+const compiled = new Map()
+
+/**
+ * Compile a Molang expression or statement list
+ * Numbers are returned as constant functions. Expressions that fail to parse evaluate to 0
+ * @param {string|number} source - Molang source
+ * @returns {function(Object): number} Function of the context ({ query, variable, temp, this })
+ */
+function compileMolang (source) {
+  if (typeof source === 'number') return () => source
+  let fn = compiled.get(source)
+  if (!fn) {
+    try {
+      fn = new Parser(source).parseProgram()
+    } catch (err) {
+      fn = () => 0
+    }
+    compiled.set(source, fn)
+  }
+  return fn
+}
+
+/**
+ * Evaluate a Molang expression
+ * @param {string|number} source - Molang source
+ * @param {Object} ctx - Context: query values or functions, variables, temp variables and `this`
+ * @returns {number} Value of the expression
+ */
+function evaluateMolang (source, ctx) {
+  return num(compileMolang(source)(ctx))
+}
+
+module.exports = { compileMolang, evaluateMolang }
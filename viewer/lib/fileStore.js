@@ -0,0 +1,60 @@
+/**
+ * Store of the geometry cache entries in a directory, one file per entry, for node (headless mode)
+ * Not part of the browser bundle
+ * @module viewer/lib/fileStore
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const EXTENSION = '.bin'
+
+class FileStore {
+  /**
+   * @param {string} directory - Created if it doesn't exist
+   */
+  constructor (directory) {
+    this.directory = directory
+    this.ready = fs.promises.mkdir(directory, { recursive: true })
+  }
+
+  _path (id) {
+    return path.join(this.directory, id + EXTENSION)
+  }
+
+  async get (id) {
+    await this.ready
+    try {
+      return await fs.promises.readFile(this._path(id))
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined
+      throw error
+    }
+  }
+
+  async set (id, bytes) {
+    await this.ready
+    await fs.promises.writeFile(this._path(id), bytes)
+  }
+
+  async delete (id) {
+    await this.ready
+    try {
+      await fs.promises.unlink(this._path(id))
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+    }
+  }
+
+  async keys () {
+    await this.ready
+    const files = await fs.promises.readdir(this.directory)
+    return files.filter(file => file.endsWith(EXTENSION)).map(file => file.slice(0, -EXTENSION.length))
+  }
+
+  async clear () {
+    await Promise.all((await this.keys()).map(id => this.delete(id)))
+  }
+}
+
+module.exports = { FileStore }
@@ -0,0 +1,360 @@
+/* global indexedDB, TextEncoder, TextDecoder */
+
+/**
+ * Cache of the section geometries, keyed by a hash of the section content, so that the sections of an area
+ * visited again are drawn without meshing them again. The cache keeps the most recently used sections
+ * in a store: IndexedDB in browsers, a directory in node (see fileStore.js), or memory
+ * @module viewer/lib/geometryCache
+ */
+
+const { Vec3 } = require('vec3')
+const { LRUCache } = require('./lruCache')
+const { GEOMETRY_CACHE_MAX_SECTIONS, GEOMETRY_CACHE_INDEX_SAVE_MS } = require('./constants')
+
+// Version of the stored entries, part of their id: entries of another version are never read
+const CACHE_FORMAT = 1
+// Id of the entry holding the order of the cached sections
+const INDEX_ID = 'index'
+
+const TYPED_ARRAYS = { Float32Array, Uint32Array, Int32Array, Uint16Array, Uint8Array }
+
+function toHex (hash) {
+  return (hash >>> 0).toString(16).padStart(8, '0')
+}
+
+/**
+ * Hash of everything the geometry of a section is built from: the block states, light and biomes of the
+ * section and of the blocks around it (faces, ambient occlusion and liquids depend on the neighbours)
+ * Two 32 bit hashes are kept, one would collide within the sections of a large explored world
+ * @param {World} world - World of the worker
+ * @param {number} sx - Section origin (block coordinates)
+ * @param {number} sy
+ * @param {number} sz
+ * @param {number} [salt] - Meshing options the geometry depends on
+ * @returns {string} 16 hex digits
+ */
+function getSectionHash (world, sx, sy, sz, salt = 0) {
+  let h1 = 0x811c9dc5 ^ salt
+  let h2 = 0x9747b28c ^ salt
+  for (const value of [sx, sy, sz]) {
+    h1 = Math.imul(h1 ^ value, 0x01000193)
+    h2 = Math.imul(h2 ^ value, 0x5bd1e995)
+    h2 ^= h2 >>> 13
+  }
+
+  const minY = world.minY
+  const maxY = world.minY + world.worldHeight
+  const pos = new Vec3(0, 0, 0)
+  for (let x = sx - 1; x <= sx + 16; x++) {
+    for (let z = sz - 1; z <= sz + 16; z++) {
+      const column = world.getColumn(Math.floor(x / 16) * 16, Math.floor(z / 16) * 16)
+      pos.x = x & 15
+      pos.z = z & 15
+      for (let y = sy - 1; y <= sy + 16; y++) {
+        let value = -1 // Not loaded
+        if (column) {
+          pos.y = y
+          value = y < minY || y >= maxY
+            ? 0
+            : column.getBlockStateId(pos) | column.getBlockLight(pos) << 16 | column.getSkyLight(pos) << 20 | column.getBiome(pos) << 24
+        }
+        h1 = Math.imul(h1 ^ value, 0x01000193)
+        h2 = Math.imul(h2 ^ value, 0x5bd1e995)
+        h2 ^= h2 >>> 13
+      }
+    }
+  }
+  return toHex(h1) + toHex(h2)
+}
+
+/**
+ * Cache key of a section geometry: the hash of the workers covers the blocks and the meshing options,
+ * their assets tag the version and the pack
+ * @param {{key: string, hash: string, assets: string}} section - Section key, hash and assets of a worker message
+ * @returns {string}
+ */
+function getGeometryCacheKey ({ key, hash, assets }) {
+  return `${assets}|${key}|${hash}`
+}
+
+// Id of a cache key in the store, safe for a file name
+function getEntryId (key) {
+  let h1 = 0x811c9dc5 ^ CACHE_FORMAT
+  let h2 = 0x9747b28c ^ CACHE_FORMAT
+  for (let i = 0; i < key.length; i++) {
+    h1 = Math.imul(h1 ^ key.charCodeAt(i), 0x01000193)
+    h2 = Math.imul(h2 ^ key.charCodeAt(i), 0x5bd1e995)
+    h2 ^= h2 >>> 13
+  }
+  return toHex(h1) + toHex(h2)
+}
+
+// Index lists of the geometry are plain arrays (three makes them a buffer attribute), stored as Uint32Array
+function isIndexArray (value) {
+  return Array.isArray(value) && value.length > 0 && value.every(index => Number.isInteger(index) && index >= 0 && index <= 0xffffffff)
+}
+
+/**
+ * Bytes of a cache entry: the length of a JSON header (uint32), the header, then the arrays it refers to
+ * @param {string} key
+ * @param {Object} geometry - Section geometry, as given by the workers
+ * @returns {Uint8Array}
+ */
+function serializeEntry (key, geometry) {
+  const arrays = []
+  let byteLength = 0
+  const header = JSON.stringify({ key, geometry }, (name, value) => {
+    const plain = isIndexArray(value)
+    if (!plain && !ArrayBuffer.isView(value)) return value
+    const array = plain ? Uint32Array.from(value) : value
+    // Arrays start on 4 bytes, every stored type fits in that
+    byteLength = Math.ceil(byteLength / 4) * 4
+    arrays.push({ array, offset: byteLength })
+    const ref = { $array: array.constructor.name, offset: byteLength, length: array.length, plain }
+    byteLength += array.byteLength
+    return ref
+  })
+  const headerBytes = new TextEncoder().encode(header)
+  const start = Math.ceil((4 + headerBytes.length) / 4) * 4
+  const bytes = new Uint8Array(start + byteLength)
+  new DataView(bytes.buffer).setUint32(0, headerBytes.length, true)
+  bytes.set(headerBytes, 4)
+  for (const { array, offset } of arrays) {
+    bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), start + offset)
+  }
+  return bytes
+}
+
+/**
+ * @param {Uint8Array} bytes - As given by serializeEntry
+ * @returns {{key: string, geometry: Object}}
+ */
+function deserializeEntry (bytes) {
+  // Copied so that the arrays are aligned, the bytes of a file may not be
+  const buffer = new Uint8Array(bytes).buffer
+  const headerLength = new DataView(buffer).getUint32(0, true)
+  const header = new TextDecoder().decode(new Uint8Array(buffer, 4, headerLength))
+  const start = Math.ceil((4 + headerLength) / 4) * 4
+  return JSON.parse(header, (name, value) => {
+    if (!value || typeof value.$array !== 'string') return value
+    const array = new TYPED_ARRAYS[value.$array](buffer, start + value.offset, value.length)
+    return value.plain ? Array.from(array) : array
+  })
+}
+
+/**
+ * Store of the cache entries kept in memory, for the tests and the pages without IndexedDB
+ */
+class MemoryStore {
+  constructor () {
+    this.entries = new Map()
+  }
+
+  async get (id) {
+    return this.entries.get(id)
+  }
+
+  async set (id, bytes) {
+    this.entries.set(id, bytes)
+  }
+
+  async delete (id) {
+    this.entries.delete(id)
+  }
+
+  async keys () {
+    return Array.from(this.entries.keys())
+  }
+
+  async clear () {
+    this.entries.clear()
+  }
+}
+
+/**
+ * Store of the cache entries in an IndexedDB database of the page
+ */
+class IndexedDBStore {
+  /**
+   * @param {string} [name] - Database name
+   */
+  constructor (name = 'prismarine-viewer-geometry') {
+    this.db = new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, 1)
+      request.onupgradeneeded = () => request.result.createObjectStore('sections')
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  async _request (mode, makeRequest) {
+    const db = await this.db
+    return new Promise((resolve, reject) => {
+      const request = makeRequest(db.transaction('sections', mode).objectStore('sections'))
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  get (id) {
+    return this._request('readonly', (store) => store.get(id))
+  }
+
+  set (id, bytes) {
+    return this._request('readwrite', (store) => store.put(bytes, id))
+  }
+
+  delete (id) {
+    return this._request('readwrite', (store) => store.delete(id))
+  }
+
+  keys () {
+    return this._request('readonly', (store) => store.getAllKeys())
+  }
+
+  clear () {
+    return this._request('readwrite', (store) => store.clear())
+  }
+}
+
+class GeometryCache {
+  /**
+   * @param {Object} store - MemoryStore, IndexedDBStore or FileStore: async get, set, delete, keys and clear
+   *   of byte arrays by id
+   * @param {number} [maxSections] - Sections kept, the least recently used are dropped
+   */
+  constructor (store, maxSections = GEOMETRY_CACHE_MAX_SECTIONS) {
+    this.store = store
+    // Ids of the cached entries, least recently used first
+    this.index = new LRUCache(maxSections, (id) => this._deleteEntry(id))
+    this.saveTimeout = null
+    this.hits = 0
+    this.misses = 0
+    this.ready = this._load()
+  }
+
+  async _load () {
+    try {
+      const saved = await this.store.get(INDEX_ID)
+      for (const id of saved ? JSON.parse(new TextDecoder().decode(saved)) : []) this.index.set(id, true)
+      // Entries written after the last save of the index are not known, they are dropped
+      for (const id of await this.store.keys()) {
+        if (id !== INDEX_ID && !this.index.has(id)) await this.store.delete(id)
+      }
+    } catch (error) {
+      console.warn('Geometry cache could not be loaded:', error)
+    }
+  }
+
+  _deleteEntry (id) {
+    this.store.delete(id).catch((error) => console.warn('Geometry cache entry could not be deleted:', error))
+  }
+
+  /**
+   * Geometry of a section
+   * @param {string} key - Section position and content, with what else the geometry depends on
+   * @returns {Promise<Object|null>} Geometry, null if it is not cached
+   */
+  async get (key) {
+    await this.ready
+    const id = getEntryId(key)
+    if (this.index.has(id)) {
+      try {
+        const bytes = await this.store.get(id)
+        const entry = bytes ? deserializeEntry(bytes) : null
+        if (entry && entry.key === key) {
+          this.index.get(id)
+          this._scheduleSave()
+          this.hits++
+          return entry.geometry
+        }
+        if (!entry) this.index.delete(id)
+      } catch (error) {
+        console.warn('Geometry cache entry could not be read:', error)
+        this.index.delete(id)
+      }
+    }
+    this.misses++
+    return null
+  }
+
+  /**
+   * Keep the geometry of a section
+   * @param {string} key - As given to get
+   * @param {Object} geometry - Section geometry, as given by the workers
+   * @returns {Promise<void>}
+   */
+  async set (key, geometry) {
+    // Serialized first, the renderer sorts the translucent faces of the geometry in place
+    return this.setEntry(key, serializeEntry(key, geometry))
+  }
+
+  /**
+   * Keep the geometry of a section, serialized by the worker that meshed it
+   * @param {string} key - As given to get
+   * @param {Uint8Array} bytes - As given by serializeEntry
+   * @returns {Promise<void>}
+   */
+  async setEntry (key, bytes) {
+    await this.ready
+    const id = getEntryId(key)
+    this.index.set(id, true)
+    this._scheduleSave()
+    try {
+      await this.store.set(id, bytes)
+    } catch (error) {
+      console.warn('Geometry cache entry could not be written:', error)
+      this.index.delete(id)
+    }
+  }
+
+  _scheduleSave () {
+    if (this.saveTimeout !== null) return
+    this.saveTimeout = setTimeout(() => {
+      this.saveTimeout = null
+      this.save()
+    }, GEOMETRY_CACHE_INDEX_SAVE_MS)
+    // Node processes don't wait for it to exit
+    if (this.saveTimeout.unref) this.saveTimeout.unref()
+  }
+
+  /**
+   * Save the order of the cached sections, done shortly after it changes
+   * @returns {Promise<void>}
+   */
+  async save () {
+    const ids = JSON.stringify(Array.from(this.index.keys()))
+    try {
+      await this.store.set(INDEX_ID, new TextEncoder().encode(ids))
+    } catch (error) {
+      console.warn('Geometry cache index could not be saved:', error)
+    }
+  }
+
+  /**
+   * Drop every cached section
+   * @returns {Promise<void>}
+   */
+  async clear () {
+    await this.ready
+    this.index.clear()
+    await this.store.clear()
+  }
+
+  /**
+   * @returns {{enabled: boolean, sections: number, hits: number, misses: number}}
+   */
+  getStats () {
+    return { enabled: true, sections: this.index.size, hits: this.hits, misses: this.misses }
+  }
+}
+
+module.exports = {
+  getSectionHash,
+  getGeometryCacheKey,
+  serializeEntry,
+  deserializeEntry,
+  MemoryStore,
+  IndexedDBStore,
+  GeometryCache
+}
@@ -0,0 +1,168 @@
+/**
+ * Greedy meshing: the faces of full cube blocks sharing a texture, a tint and a light
+ * are merged into rectangles, their texture repeated over the rectangle by the material
+ * @module viewer/lib/greedyMeshing
+ */
+
+const SECTION_SIZE = 16
+
+// Atlas tile of a face covering a whole texture, -1 for partial faces (slabs, custom UVs)
+function getTileIndex (face, texture) {
+  const uv = face.uv
+  if (uv && (Math.abs(uv[2] - uv[0]) !== 16 || Math.abs(uv[3] - uv[1]) !== 16)) return -1
+  const size = Math.abs(texture.su)
+  if (!size || Math.abs(texture.sv) !== size) return -1
+  const tiles = Math.round(1 / size)
+  const column = Math.round(Math.min(texture.u, texture.u + texture.su) / size)
+  const row = Math.round(Math.min(texture.v, texture.v + texture.sv) / size)
+  return row * tiles + column
+}
+
+// Axis along which a texture coordinate (3: u, 4: v) of the face corners varies
+function getTextureAxis (corners, normalAxis, coordinate) {
+  for (let axis = 0; axis < 3; axis++) {
+    if (axis === normalAxis) continue
+    if (corners.every(corner => corner[axis] === corner[coordinate] || corner[axis] === 1 - corner[coordinate])) return axis
+  }
+  return -1
+}
+
+/**
+ * Faces of a section waiting to be merged, by plane and appearance
+ */
+class GreedyFaces {
+  constructor () {
+    this.groups = new Map()
+    this.count = 0
+  }
+
+  /**
+   * Add a block face
+   * @param {string} layer - Render pass of the texture
+   * @param {Object} faceInfo - Direction and corners of the face (elemFaces of the mesher)
+   * @param {Object} texture - Face texture: u, v, su, sv
+   * @param {number} tile - Atlas tile of the texture
+   * @param {Vec3} cursor - Block position
+   * @param {Array<number>} color - Tint and ambient occlusion, the same at the 4 corners
+   * @param {Array<number>} light - Block and sky light, the same at the 4 corners
+   */
+  add (layer, faceInfo, texture, tile, cursor, color, light) {
+    const { dir } = faceInfo
+    const normalAxis = dir[0] !== 0 ? 0 : dir[1] !== 0 ? 1 : 2
+    const position = [cursor.x & 15, cursor.y & 15, cursor.z & 15]
+    const key = `${layer},${dir},${position[normalAxis]},${tile},${texture.u},${texture.v},${texture.su},${texture.sv},${color},${light}`
+
+    let group = this.groups.get(key)
+    if (!group) {
+      const [axisA, axisB] = [0, 1, 2].filter(axis => axis !== normalAxis)
+      group = { layer, faceInfo, texture, tile, color, light, normalAxis, axisA, axisB, plane: position[normalAxis], cells: new Uint8Array(SECTION_SIZE * SECTION_SIZE) }
+      this.groups.set(key, group)
+    }
+    group.cells[position[group.axisA] * SECTION_SIZE + position[group.axisB]] = 1
+    this.count++
+  }
+
+  /**
+   * Merge the faces into rectangles and write them to the attributes of their render pass
+   * @param {Object} attr - Section attributes, by render pass
+   */
+  merge (attr) {
+    for (const group of this.groups.values()) {
+      const { cells } = group
+      for (let a = 0; a < SECTION_SIZE; a++) {
+        for (let b = 0; b < SECTION_SIZE; b++) {
+          if (!cells[a * SECTION_SIZE + b]) continue
+          let width = 1
+          while (b + width < SECTION_SIZE && cells[a * SECTION_SIZE + b + width]) width++
+          let height = 1
+          while (a + height < SECTION_SIZE && isRowFilled(cells, a + height, b, width)) height++
+          for (let i = a; i < a + height; i++) cells.fill(0, i * SECTION_SIZE + b, i * SECTION_SIZE + b + width)
+          writeRectangle(attr[group.layer], group, a, b, height, width)
+        }
+      }
+    }
+    this.groups.clear()
+  }
+}
+
+function isRowFilled (cells, a, b, width) {
+  for (let i = b; i < b + width; i++) {
+    if (!cells[a * SECTION_SIZE + i]) return false
+  }
+  return true
+}
+
+function writeRectangle (layer, group, a, b, height, width) {
+  const { faceInfo, texture, tile, color, light, normalAxis, axisA, axisB, plane } = group
+  const { dir, corners } = faceInfo
+  const start = [0, 0, 0]
+  const size = [1, 1, 1]
+  start[normalAxis] = plane
+  start[axisA] = a
+  start[axisB] = b
+  size[axisA] = height
+  size[axisB] = width
+  const repeatU = size[getTextureAxis(corners, normalAxis, 3)]
+  const repeatV = size[getTextureAxis(corners, normalAxis, 4)]
+
+  const ndx = layer.positions.length / 3
+  for (const pos of corners) {
+    layer.positions.push(
+      start[0] + pos[0] * size[0] - 8,
+      start[1] + pos[1] * size[1] - 8,
+      start[2] + pos[2] * size[2] - 8
+    )
+    layer.normals.push(...dir)
+    layer.uvs.push(texture.u + pos[3] * texture.su * repeatU, texture.v + pos[4] * texture.sv * repeatV)
+    layer.colors.push(...color)
+    layer.light.push(...light)
+    layer.animations.push(0)
+    layer.tiles.push(tile + 1)
+  }
+  layer.indices.push(
+    ndx, ndx + 1, ndx + 2,
+    ndx + 2, ndx + 1, ndx + 3
+  )
+}
+
+/**
+ * Repeat the atlas tile of merged faces over their rectangle
+ * Adds the `tile` attribute (atlas tile index + 1, 0 for faces drawn as is) and the `atlasTiles`
+ * uniform (tiles per atlas row), the tiled UV is `MAP_UV`, used by the texture lookup
+ * @param {Object} shader - Shader given to onBeforeCompile
+ * @param {Object} uniforms - { atlasTiles }
+ */
+function patchTilingShader (shader, uniforms) {
+  shader.uniforms.atlasTiles = uniforms.atlasTiles
+
+  shader.vertexShader = shader.vertexShader
+    .replace('#include <common>', [
+      '#include <common>',
+      'attribute float tile;',
+      'varying float vTile;'
+    ].join('\n'))
+    .replace('#include <uv_vertex>', [
+      '#include <uv_vertex>',
+      'vTile = tile;'
+    ].join('\n'))
+
+  shader.fragmentShader = shader.fragmentShader
+    .replace('#include <common>', [
+      '#include <common>',
+      'uniform float atlasTiles;',
+      'varying float vTile;',
+      'vec2 tiledUv(vec2 uv) {',
+      '  if (vTile < 0.5 || atlasTiles < 0.5) return uv;',
+      '  float index = floor(vTile - 0.5);',
+      '  vec2 origin = vec2(mod(index, atlasTiles), floor(index / atlasTiles)) / atlasTiles;',
+      '  return origin + fract((uv - origin) * atlasTiles) / atlasTiles;',
+      '}',
+      '#define MAP_UV tiledUv(vUv)'
+    ].join('\n'))
+}
+
+module.exports = {
+  getTileIndex,
+  GreedyFaces,
+  patchTilingShader
+}
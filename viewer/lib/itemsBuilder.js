@@ -0,0 +1,81 @@
+const fs = require('fs')
+const path = require('path')
+
+const ARMOR_PIECES = ['helmet', 'chestplate', 'leggings', 'boots']
+
+// Armor materials whose texture name differs from the item name
+const armorMaterials = {
+  golden: ['gold'],
+  turtle: ['turtle', 'turtle_scute']
+}
+
+// Texture files an item texture name can refer to
+function textureFiles (texture) {
+  texture = texture.replace(/^minecraft:/, '')
+  const [folder, ...rest] = texture.split('/')
+  const name = rest.join('/')
+  if (folder === 'block' || folder === 'blocks') return [`blocks/${name}.png`]
+  if (folder === 'item' || folder === 'items') return [`items/${name}.png`]
+  if (!name) return [`items/${texture}.png`, `blocks/${texture}.png`]
+  return [`${texture}.png`]
+}
+
+function getArmorTexture (itemName, directory) {
+  const match = new RegExp(`^(.+)_(${ARMOR_PIECES.join('|')})$`).exec(itemName)
+  if (!match) return null
+  const [, material, piece] = match
+  // Leggings use the second layer, which covers the waist and the legs
+  const inner = piece === 'leggings'
+
+  for (const name of armorMaterials[material] || [material]) {
+    const candidates = [
+      `models/armor/${name}_layer_${inner ? 2 : 1}.png`,
+      `entity/equipment/${inner ? 'humanoid_leggings' : 'humanoid'}/${name}.png`
+    ]
+    const file = candidates.find(file => fs.existsSync(path.join(directory, file)))
+    if (file) return file
+  }
+  return null
+}
+
+// Name of a texture file in the texture atlas
+function atlasName (file) {
+  return file.replace(/\.png$/, '').replace(/^blocks\//, '')
+}
+
+/**
+ * Find the textures of the items of a version: the flat texture drawn for held items,
+ * its place in the texture atlas (for dropped items), and the armor layer texture of armor pieces
+ * @param {string} version - Minecraft version
+ * @param {Object} mcAssets - minecraft-assets of the version
+ * @param {Object} [atlas] - Texture atlas made by makeTextureAtlas
+ * @returns {{textures: Object<string, string>, sprites: Object<string, Object>, armor: Object<string, string>}} Texture paths and atlas uvs keyed by item name
+ */
+function prepareItems (version, mcAssets, atlas) {
+  const items = { textures: {}, sprites: {}, armor: {} }
+  const addTexture = (name, file) => {
+    items.textures[name] = `textures/${version}/${file}`
+    const sprite = atlas && atlas.json.textures[atlasName(file)]
+    if (sprite) items.sprites[name] = sprite
+  }
+
+  for (const { name, texture } of mcAssets.itemsArray) {
+    if (texture) {
+      const file = textureFiles(texture).find(file => fs.existsSync(path.join(mcAssets.directory, file)))
+      if (file) addTexture(name, file)
+    }
+
+    const armor = getArmorTexture(name, mcAssets.directory)
+    if (armor) items.armor[name] = `textures/${version}/${armor}`
+  }
+
+  // Older versions only list block items with the blocks
+  for (const { name, texture } of mcAssets.blocksArray) {
+    if (!texture || items.textures[name]) continue
+    const file = textureFiles(texture).find(file => fs.existsSync(path.join(mcAssets.directory, file)))
+    if (file) addTexture(name, file)
+  }
+  return items
+}
+
+module.exports = { prepareItems }
@@ -0,0 +1,79 @@
+/**
+ * Block and sky light helpers shared by the mesher and the renderer
+ * @module viewer/lib/lighting
+ */
+
+const {
+  MAX_LIGHT_LEVEL,
+  MIN_BRIGHTNESS,
+  DAY_LENGTH_TICKS
+} = require('./constants')
+
+/**
+ * Convert a light level to a brightness multiplier, following the vanilla
+ * brightness curve so that light falls off faster near darkness
+ * @param {number} level - Light level, 0 to 15
+ * @returns {number} Brightness between MIN_BRIGHTNESS and 1
+ */
+function levelToBrightness (level) {
+  const ratio = Math.min(Math.max(level / MAX_LIGHT_LEVEL, 0), 1)
+  const curve = ratio / (4 - 3 * ratio)
+  return MIN_BRIGHTNESS + (1 - MIN_BRIGHTNESS) * curve
+}
+
+/**
+ * Compute how much of the sky light reaches the world at a given time
+ * @param {number} timeOfDay - Time of day in ticks (0 is sunrise, 6000 is noon)
+ * @returns {number} Factor between 0.2 (midnight) and 1 (day)
+ */
+function getSkyLightFactor (timeOfDay) {
+  const ticks = ((timeOfDay % DAY_LENGTH_TICKS) + DAY_LENGTH_TICKS) % DAY_LENGTH_TICKS
+
+  // Celestial angle, as computed by the vanilla client
+  let d = ticks / DAY_LENGTH_TICKS - 0.25
+  if (d < 0) d += 1
+  const angle = d + ((1 - (Math.cos(d * Math.PI) + 1) / 2) - d) / 3
+
+  const darkness = Math.min(Math.max(1 - (Math.cos(angle * Math.PI * 2) * 2 + 0.5), 0), 1)
+  return 1 - darkness * 0.8
+}
+
+// Brightness of each light level, the shader interpolates between them
+const BRIGHTNESS_TABLE = Array.from({ length: MAX_LIGHT_LEVEL + 1 }, (_, level) => levelToBrightness(level))
+
+/**
+ * Patch a material shader so that the per vertex `light` attribute
+ * (block light, sky light) scales the vertex color
+ * The brightness curve is levelToBrightness, given as a uniform table
+ * @param {Object} shader - Shader passed to material.onBeforeCompile
+ * @param {Object} uniforms - Shared uniforms: lightingEnabled, skyLightFactor
+ */
+function patchLightingShader (shader, uniforms) {
+  shader.uniforms.lightingEnabled = uniforms.lightingEnabled
+  shader.uniforms.skyLightFactor = uniforms.skyLightFactor
+  shader.uniforms.brightnessTable = { value: BRIGHTNESS_TABLE }
+
+  shader.vertexShader = shader.vertexShader
+    .replace('#include <common>', [
+      '#include <common>',
+      'attribute vec2 light;',
+      'uniform bool lightingEnabled;',
+      'uniform float skyLightFactor;',
+      `uniform float brightnessTable[${BRIGHTNESS_TABLE.length}];`
+    ].join('\n'))
+    .replace('#include <color_vertex>', [
+      '#include <color_vertex>',
+      'if (lightingEnabled) {',
+      `  float level = clamp(max(light.x, light.y * skyLightFactor), 0.0, 1.0) * ${MAX_LIGHT_LEVEL.toFixed(1)};`,
+      `  int index = int(min(floor(level), ${(MAX_LIGHT_LEVEL - 1).toFixed(1)}));`,
+      '  float brightness = mix(brightnessTable[index], brightnessTable[index + 1], level - float(index));',
+      '  vColor.xyz *= brightness;',
+      '}'
+    ].join('\n'))
+}
+
+module.exports = {
+  levelToBrightness,
+  getSkyLightFactor,
+  patchLightingShader
+}
@@ -0,0 +1,183 @@
+/**
+ * Level of detail of far chunk columns: a column is reduced to the top block of each
+ * of its 16x16 cells (heightmap), drawn as flat colored tops with walls where the height changes
+ * @module viewer/lib/lod
+ */
+
+const CELLS = 16 * 16
+
+// Side walls of a cell, with the fake lighting of the liquid sides
+const WALLS = [
+  { dx: 1, dz: 0, shade: 0.6 },
+  { dx: -1, dz: 0, shade: 0.6 },
+  { dx: 0, dz: 1, shade: 0.8 },
+  { dx: 0, dz: -1, shade: 0.8 }
+]
+
+/**
+ * Average color of a texture, weighted by the alpha of its texels
+ * @param {Uint8ClampedArray|Array<number>} data - RGBA texels
+ * @returns {Array<number>|null} [r, g, b] between 0 and 1, null for fully transparent textures
+ */
+function getAverageColor (data) {
+  const sum = [0, 0, 0]
+  let weight = 0
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = data[i + 3]
+    sum[0] += data[i] * alpha
+    sum[1] += data[i + 1] * alpha
+    sum[2] += data[i + 2] * alpha
+    weight += alpha
+  }
+  if (weight === 0) return null
+  return sum.map(value => Math.round(value / weight / 255 * 1000) / 1000)
+}
+
+function isEmptySection (section) {
+  return !section || section.solidBlockCount === 0
+}
+
+/**
+ * Top block of each cell of a chunk column
+ * Cells are indexed by z * 16 + x, cells without blocks have the state 0 and a height below the column
+ * @param {Object} column - prismarine-chunk column
+ * @returns {{heights: Int16Array, stateIds: Uint16Array, biomes: Uint16Array}} Y of the top blocks, their state and biome
+ */
+function getColumnHeightmap (column) {
+  const minY = column.minY ?? 0
+  const heights = new Int16Array(CELLS).fill(minY - 1)
+  const stateIds = new Uint16Array(CELLS)
+  const biomes = new Uint16Array(CELLS)
+
+  const sections = column.sections.map((section, index) => isEmptySection(section) ? -1 : index).filter(index => index >= 0).reverse()
+  const pos = { x: 0, y: 0, z: 0 }
+  for (pos.z = 0; pos.z < 16; pos.z++) {
+    for (pos.x = 0; pos.x < 16; pos.x++) {
+      const cell = pos.z * 16 + pos.x
+      for (const index of sections) {
+        for (pos.y = minY + index * 16 + 15; pos.y >= minY + index * 16; pos.y--) {
+          const stateId = column.getBlockStateId(pos)
+          if (stateId === 0) continue
+          heights[cell] = pos.y
+          stateIds[cell] = stateId
+          biomes[cell] = column.getBiome(pos)
+          break
+        }
+        if (stateIds[cell] !== 0) break
+      }
+    }
+  }
+  return { heights, stateIds, biomes }
+}
+
+function createLodAttributes () {
+  return { positions: [], normals: [], colors: [], light: [], indices: [] }
+}
+
+// Quad in full sky light, the triangles face the normal
+function pushQuad (attr, corners, normal, color) {
+  const ndx = attr.positions.length / 3
+  for (const corner of corners) {
+    attr.positions.push(...corner)
+    attr.normals.push(...normal)
+    attr.colors.push(...color)
+    attr.light.push(0, 1)
+  }
+  const [a, b, c] = corners
+  const cross = [
+    (b[1] - a[1]) * (c[2] - a[2]) - (b[2] - a[2]) * (c[1] - a[1]),
+    (b[2] - a[2]) * (c[0] - a[0]) - (b[0] - a[0]) * (c[2] - a[2]),
+    (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0])
+  ]
+  if (cross[0] * normal[0] + cross[1] * normal[1] + cross[2] * normal[2] > 0) {
+    attr.indices.push(ndx, ndx + 1, ndx + 2, ndx + 2, ndx + 1, ndx + 3)
+  } else {
+    attr.indices.push(ndx, ndx + 2, ndx + 1, ndx + 2, ndx + 3, ndx + 1)
+  }
+}
+
+/**
+ * Geometry of a column from its heightmap
+ * The tops of neighbour cells with the same height and color are merged, the walls on the border of the
+ * column go down to its lowest cell so that no gap shows between columns of different heights
+ * @param {Object} heightmap - Heights and states of the cells, as given by getColumnHeightmap
+ * @param {Function} getColor - (stateId, biome) => [r, g, b], or null for blocks without a top face
+ * @returns {Object} positions (relative to the column origin, absolute y), normals, colors, light and indices
+ */
+function getLodGeometry ({ heights, stateIds, biomes }, getColor) {
+  const attr = createLodAttributes()
+  const colors = new Array(CELLS).fill(null)
+  const colorCache = new Map()
+  let floor = Infinity
+  for (let cell = 0; cell < CELLS; cell++) {
+    if (stateIds[cell] === 0) continue
+    const key = `${stateIds[cell]},${biomes[cell]}`
+    if (!colorCache.has(key)) colorCache.set(key, getColor(stateIds[cell], biomes[cell]))
+    colors[cell] = colorCache.get(key)
+    if (colors[cell]) floor = Math.min(floor, heights[cell] + 1)
+  }
+  if (floor === Infinity) return finishLodAttributes(attr)
+
+  const top = (x, z) => {
+    if (x < 0 || x > 15 || z < 0 || z > 15) return floor
+    const cell = z * 16 + x
+    return colors[cell] ? heights[cell] + 1 : floor
+  }
+
+  // Tops, merged into rectangles of cells with the same height and color
+  const done = new Uint8Array(CELLS)
+  const sameTop = (cell, other) => !done[other] && colors[other] && heights[other] === heights[cell] && colors[other] === colors[cell]
+  for (let z = 0; z < 16; z++) {
+    for (let x = 0; x < 16; x++) {
+      const cell = z * 16 + x
+      if (done[cell] || !colors[cell]) continue
+      let width = 1
+      while (x + width < 16 && sameTop(cell, cell + width)) width++
+      let depth = 1
+      while (z + depth < 16) {
+        let row = 0
+        while (row < width && sameTop(cell, cell + depth * 16 + row)) row++
+        if (row < width) break
+        depth++
+      }
+      for (let i = 0; i < depth; i++) done.fill(1, cell + i * 16, cell + i * 16 + width)
+      const y = heights[cell] + 1
+      pushQuad(attr, [[x, y, z], [x + width, y, z], [x, y, z + depth], [x + width, y, z + depth]], [0, 1, 0], colors[cell])
+    }
+  }
+
+  // Walls, where a cell is higher than its neighbour
+  for (let z = 0; z < 16; z++) {
+    for (let x = 0; x < 16; x++) {
+      const color = colors[z * 16 + x]
+      if (!color) continue
+      const y1 = top(x, z)
+      for (const { dx, dz, shade } of WALLS) {
+        const y0 = top(x + dx, z + dz)
+        if (y0 >= y1) continue
+        const wallColor = [color[0] * shade, color[1] * shade, color[2] * shade]
+        const wx = x + Math.max(dx, 0)
+        const wz = z + Math.max(dz, 0)
+        const corners = dx !== 0
+          ? [[wx, y0, z], [wx, y0, z + 1], [wx, y1, z], [wx, y1, z + 1]]
+          : [[x, y0, wz], [x + 1, y0, wz], [x, y1, wz], [x + 1, y1, wz]]
+        pushQuad(attr, corners, [dx, 0, dz], wallColor)
+      }
+    }
+  }
+  return finishLodAttributes(attr)
+}
+
+function finishLodAttributes (attr) {
+  attr.positions = new Float32Array(attr.positions)
+  attr.normals = new Float32Array(attr.normals)
+  attr.colors = new Float32Array(attr.colors)
+  attr.light = new Float32Array(attr.light)
+  return attr
+}
+
+module.exports = {
+  getAverageColor,
+  getColumnHeightmap,
+  getLodGeometry
+}
@@ -4,8 +4,13 @@
  */
 
 class LRUCache {
-  constructor (maxSize) {
+  /**
+   * @param {number} maxSize - Number of entries kept
+   * @param {Function} [onEvict] - (key, value) => void, called for the entries dropped to make room
+   */
+  constructor (maxSize, onEvict = null) {
     this.maxSize = maxSize
+    this.onEvict = onEvict
     this.cache = new Map()
   }
 
@@ -26,12 +31,18 @@ class LRUCache {
       this.cache.delete(key)
     } else if (this.cache.size >= this.maxSize) {
       // Delete oldest entry (first item in Map)
-      const firstKey = this.cache.keys().next().value
+      const [firstKey, firstValue] = this.cache.entries().next().value
       this.cache.delete(firstKey)
+      if (this.onEvict) this.onEvict(firstKey, firstValue)
     }
     this.cache.set(key, value)
   }
 
+  // Value of an entry, without making it the most recently used
+  peek (key) {
+    return this.cache.get(key)
+  }
+
   has (key) {
     return this.cache.has(key)
   }
@@ -44,6 +55,14 @@ class LRUCache {
     this.cache.clear()
   }
 
+  keys () {
+    return this.cache.keys()
+  }
+
+  entries () {
+    return this.cache.entries()
+  }
+
   get size () {
     return this.cache.size
   }
@@ -0,0 +1,392 @@
+/**
+ * Meshing of the dirty sections: they wait in a queue ordered by priority (nearest to the camera first)
+ * and are given to one worker at a time, with the columns they are meshed from
+ * @module viewer/lib/meshingQueue
+ */
+
+const { MESHING_JOBS_PER_WORKER, MESHING_COLUMN_UPDATES } = require('./constants')
+const { SharedColumn } = require('./sharedColumn')
+
+// Keys of the column of a section origin and of its 8 neighbours, the faces and the ambient
+// occlusion of the blocks on the border of a section depend on the neighbour columns
+function getMeshedColumns (x, z) {
+  const keys = []
+  for (let dx = -16; dx <= 16; dx += 16) {
+    for (let dz = -16; dz <= 16; dz += 16) {
+      keys.push(`${x + dx},${z + dz}`)
+    }
+  }
+  return keys
+}
+
+class MeshingQueue {
+  /**
+   * @param {Function} [getPriority] - (x, y, z) => priority of the section at this origin, lower is meshed first
+   */
+  constructor (getPriority = () => 0) {
+    this.getPriority = getPriority
+    this.sections = new Map()
+    this.order = []
+  }
+
+  get size () {
+    return this.sections.size
+  }
+
+  has (key) {
+    return this.sections.has(key)
+  }
+
+  /**
+   * Queue a section, after the sections of the same priority
+   * @param {string} key - Section key
+   * @param {number} x - Section origin (block coordinates)
+   * @param {number} y
+   * @param {number} z
+   * @returns {boolean} false if the section was already queued
+   */
+  add (key, x, y, z) {
+    if (this.sections.has(key)) return false
+    const entry = { key, x, y, z, priority: this.getPriority(x, y, z) }
+    this.sections.set(key, entry)
+
+    let low = 0
+    let high = this.order.length
+    while (low < high) {
+      const middle = (low + high) >> 1
+      if (this.order[middle].priority <= entry.priority) low = middle + 1
+      else high = middle
+    }
+    this.order.splice(low, 0, entry)
+    return true
+  }
+
+  delete (key) {
+    const entry = this.sections.get(key)
+    if (!entry) return false
+    this.sections.delete(key)
+    this.order.splice(this.order.indexOf(entry), 1)
+    return true
+  }
+
+  /**
+   * Remove the sections of a column
+   * @param {number} x - Column x (block coordinate)
+   * @param {number} z - Column z (block coordinate)
+   * @returns {Array<string>} Keys of the removed sections
+   */
+  deleteColumn (x, z) {
+    const keys = []
+    for (const entry of this.sections.values()) {
+      if (entry.x === x && entry.z === z) keys.push(entry.key)
+    }
+    for (const key of keys) this.sections.delete(key)
+    this.order = this.order.filter(entry => this.sections.get(entry.key) === entry)
+    return keys
+  }
+
+  /**
+   * Queued sections, in priority order
+   * @returns {Array<{key: string, x: number, y: number, z: number}>}
+   */
+  entries () {
+    return this.order
+  }
+
+  // Compute the priorities again (camera move) and sort the sections
+  sort () {
+    for (const entry of this.order) entry.priority = this.getPriority(entry.x, entry.y, entry.z)
+    this.order.sort((a, b) => a.priority - b.priority)
+  }
+
+  clear () {
+    this.sections.clear()
+    this.order = []
+  }
+}
+
+/**
+ * Gives the queued sections to the workers, a few at a time so that the queue can be ordered again
+ * Columns are only sent to the workers meshing their sections (or their neighbours), with the block updates since.
+ * Those are kept up to maxColumnUpdates per column: past that, a worker holding the column sends it back with
+ * its updates, and it is sent as is to the next workers
+ *
+ * With shared memory, a column is parsed by one worker which copies it to shared memory (see sharedColumn.js),
+ * the other workers are given the shared column and the block updates are written to it in place
+ */
+class MeshingScheduler {
+  /**
+   * @param {Function} [getPriority] - (x, y, z) => priority of the section at this origin, lower is meshed first
+   * @param {number} [jobsPerWorker] - Sections given to a worker at once
+   * @param {boolean} [sharedColumns] - Whether to store the columns in shared memory
+   * @param {number} [maxColumnUpdates] - Block updates kept per column
+   */
+  constructor (getPriority, jobsPerWorker = MESHING_JOBS_PER_WORKER, sharedColumns = false, maxColumnUpdates = MESHING_COLUMN_UPDATES) {
+    this.queue = new MeshingQueue(getPriority)
+    this.jobsPerWorker = jobsPerWorker
+    this.sharedColumns = sharedColumns
+    this.maxColumnUpdates = maxColumnUpdates
+    this.nextColumnId = 0
+    this.workers = []
+    this.workerSections = []
+    this.workerColumns = []
+    // Sections being meshed, by key, to the index of their worker
+    this.sections = new Map()
+    // Columns as serialized by prismarine-chunk toJson and their block updates, by column key
+    // With shared memory, the shared column once a worker copied it (the updates until then are kept)
+    // snapshot: count of block updates the column had when a worker was asked to send it back, null otherwise
+    this.columns = new Map()
+  }
+
+  addWorker (worker) {
+    this.workers.push(worker)
+    this.workerSections.push(new Set())
+    this.workerColumns.push(new Set())
+  }
+
+  hasColumn (x, z) {
+    return this.columns.has(`${x},${z}`)
+  }
+
+  // Workers already holding the column get the new one, the others get it with the sections they mesh
+  addColumn (x, z, chunk) {
+    const key = `${x},${z}`
+    const column = { x, z, chunk, blockUpdates: [], snapshot: null, shared: null, id: this.nextColumnId++ }
+    this.columns.set(key, column)
+    if (this.sharedColumns) {
+      // The sections of the column wait for its shared copy
+      const worker = column.id % this.workers.length
+      this.workers[worker].postMessage({ type: 'chunk', x, z, chunk, share: true, id: column.id })
+      return
+    }
+    this.workers.forEach((worker, i) => {
+      if (this.workerColumns[i].has(key)) worker.postMessage({ type: 'chunk', x, z, chunk })
+    })
+  }
+
+  /**
+   * A worker copied a column to shared memory
+   * @param {number} worker - Index of the worker
+   * @param {{x: number, z: number, id: number, column: Object}} data - Message of the worker
+   */
+  setSharedColumn (worker, { x, z, id, column: data }) {
+    const key = `${x},${z}`
+    const column = this.columns.get(key)
+    if (!column || column.id !== id) {
+      // Removed (or sent again) while it was copied
+      if (!this.workerColumns[worker].has(key)) this.workers[worker].postMessage({ type: 'unloadChunk', x, z })
+      return
+    }
+
+    column.shared = new SharedColumn(data)
+    column.chunk = null
+    let replaced = false
+    for (const { pos, stateId } of column.blockUpdates) {
+      if (this._setSharedBlockStateId(column.shared, pos, stateId)) replaced = true
+    }
+    column.blockUpdates = []
+
+    this.workerColumns[worker].add(key)
+    for (let i = 0; i < this.workers.length; i++) {
+      if (this.workerColumns[i].has(key) && (i !== worker || replaced)) this._postSharedColumn(i, column)
+    }
+    this.dispatch()
+  }
+
+  _setSharedBlockStateId (shared, pos, stateId) {
+    const x = Math.floor(pos.x)
+    const z = Math.floor(pos.z)
+    return shared.setBlockStateId({ x: x - Math.floor(x / 16) * 16, y: Math.floor(pos.y), z: z - Math.floor(z / 16) * 16 }, stateId)
+  }
+
+  _postSharedColumn (worker, column) {
+    this.workers[worker].postMessage({ type: 'sharedColumn', x: column.x, z: column.z, column: column.shared.toData() })
+  }
+
+  /**
+   * Unload a column from the workers holding it and drop its queued sections
+   * The sections being meshed are left to finish
+   * @returns {Array<string>} Keys of the dropped sections
+   */
+  removeColumn (x, z) {
+    const key = `${x},${z}`
+    this.columns.delete(key)
+    this.workers.forEach((worker, i) => {
+      if (this.workerColumns[i].delete(key)) worker.postMessage({ type: 'unloadChunk', x, z })
+    })
+    return this.queue.deleteColumn(x, z)
+  }
+
+  setBlockStateId (pos, stateId) {
+    const key = `${Math.floor(pos.x / 16) * 16},${Math.floor(pos.z / 16) * 16}`
+    const column = this.columns.get(key)
+    if (!column) return
+    if (column.shared) {
+      // Written in place, the workers see it unless the section arrays had to be replaced
+      if (!this._setSharedBlockStateId(column.shared, pos, stateId)) return
+      this.workers.forEach((worker, i) => {
+        if (this.workerColumns[i].has(key)) this._postSharedColumn(i, column)
+      })
+      return
+    }
+    column.blockUpdates.push({ pos, stateId })
+    if (this.sharedColumns) return
+    this.workers.forEach((worker, i) => {
+      if (this.workerColumns[i].has(key)) worker.postMessage({ type: 'blockUpdate', pos, stateId })
+    })
+    if (column.blockUpdates.length >= this.maxColumnUpdates && column.snapshot === null) this._requestSnapshot(key, column)
+  }
+
+  // Ask a worker holding the column (one is given it otherwise) to send it back with its block updates
+  _requestSnapshot (key, column) {
+    let worker = this.workerColumns.findIndex(held => held.has(key))
+    if (worker === -1) {
+      worker = column.id % this.workers.length
+      this._sendColumn(worker, key, column)
+    }
+    column.snapshot = column.blockUpdates.length
+    this.workers[worker].postMessage({ type: 'chunkSnapshot', x: column.x, z: column.z, id: column.id })
+  }
+
+  /**
+   * A worker sent a column back, with the block updates it was given before it was asked
+   * @param {{x: number, z: number, id: number, chunk: *}} data - Message of the worker
+   */
+  setColumnSnapshot ({ x, z, id, chunk }) {
+    const column = this.columns.get(`${x},${z}`)
+    // Removed, or sent again, since
+    if (!column || column.id !== id || column.snapshot === null) return
+    if (chunk) {
+      column.chunk = chunk
+      column.blockUpdates = column.blockUpdates.slice(column.snapshot)
+    }
+    column.snapshot = null
+  }
+
+  /**
+   * Queue a section, a section being meshed is queued again as its blocks may have changed since it was sent
+   * @returns {boolean} false if the section was already queued
+   */
+  add (key, x, y, z) {
+    return this.queue.add(key, x, y, z)
+  }
+
+  delete (key) {
+    return this.queue.delete(key)
+  }
+
+  // Whether a section is queued or being meshed
+  isPending (key) {
+    return this.queue.has(key) || this.sections.has(key)
+  }
+
+  /**
+   * A worker is done with a section, its slot is given to the next one
+   * @param {number} worker - Index of the worker
+   * @param {string} key - Section key
+   */
+  finish (worker, key) {
+    if (this.sections.get(key) !== worker) return
+    this.sections.delete(key)
+    this.workerSections[worker].delete(key)
+    this.dispatch()
+  }
+
+  // Give the most urgent queued sections to the workers with free slots
+  dispatch () {
+    let slots = 0
+    for (const sections of this.workerSections) slots += Math.max(this.jobsPerWorker - sections.size, 0)
+
+    const dispatched = []
+    for (const section of this.queue.entries()) {
+      if (dispatched.length >= slots) break
+      // Sent once its worker is done with it, a worker could skip a section it was given twice
+      if (this.sections.has(section.key) || !this._hasColumnsReady(section.x, section.z)) continue
+      dispatched.push(section)
+    }
+
+    for (const { key, x, y, z } of dispatched) {
+      const worker = this._pickWorker(x, z)
+      this.queue.delete(key)
+      this._sendColumns(worker, x, z)
+      this.sections.set(key, worker)
+      this.workerSections[worker].add(key)
+      this.workers[worker].postMessage({ type: 'dirty', x, y, z, value: true })
+    }
+  }
+
+  // Worker with a free slot holding most of the columns a section is meshed from, the least busy one on a tie
+  _pickWorker (x, z) {
+    const columns = getMeshedColumns(x, z)
+    let best = -1
+    let bestScore = -1
+    for (let i = 0; i < this.workers.length; i++) {
+      const free = this.jobsPerWorker - this.workerSections[i].size
+      if (free <= 0) continue
+      const held = columns.filter(key => this.workerColumns[i].has(key)).length
+      const score = held * (this.jobsPerWorker + 1) + free
+      if (score > bestScore) {
+        best = i
+        bestScore = score
+      }
+    }
+    return best
+  }
+
+  // Whether the loaded columns a section is meshed from are in shared memory, without shared memory they always are
+  _hasColumnsReady (x, z) {
+    if (!this.sharedColumns) return true
+    return getMeshedColumns(x, z).every(key => !this.columns.has(key) || this.columns.get(key).shared)
+  }
+
+  // Send a worker the loaded columns it needs to mesh a section, with their block updates
+  _sendColumns (worker, x, z) {
+    for (const key of getMeshedColumns(x, z)) {
+      const column = this.columns.get(key)
+      if (!column || this.workerColumns[worker].has(key)) continue
+      this._sendColumn(worker, key, column)
+    }
+  }
+
+  _sendColumn (worker, key, column) {
+    this.workerColumns[worker].add(key)
+    if (column.shared) {
+      this._postSharedColumn(worker, column)
+      return
+    }
+    this.workers[worker].postMessage({ type: 'chunk', x: column.x, z: column.z, chunk: column.chunk })
+    for (const { pos, stateId } of column.blockUpdates) {
+      this.workers[worker].postMessage({ type: 'blockUpdate', pos, stateId })
+    }
+  }
+
+  /**
+   * Shared memory used by the columns, and what the workers holding them would use with their own copy
+   * @returns {{enabled: boolean, columns: number, bytes: number, savedBytes: number}}
+   */
+  getSharedStats () {
+    let columns = 0
+    let bytes = 0
+    let savedBytes = 0
+    for (const [key, column] of this.columns) {
+      if (!column.shared) continue
+      const holders = this.workerColumns.filter(held => held.has(key)).length
+      const size = column.shared.byteLength
+      columns++
+      bytes += size
+      savedBytes += size * Math.max(holders - 1, 0)
+    }
+    return { enabled: this.sharedColumns, columns, bytes, savedBytes }
+  }
+
+  // Forget the columns and the sections, once the workers are reset
+  clear () {
+    this.queue.clear()
+    this.columns.clear()
+    this.sections.clear()
+    for (const sections of this.workerSections) sections.clear()
+    for (const columns of this.workerColumns) columns.clear()
+  }
+}
+
+module.exports = { MeshingQueue, MeshingScheduler }
@@ -1,4 +1,8 @@
 const { Vec3 } = require('vec3')
+const { getBlockEntityState } = require('./blockEntity/states')
+const { RENDER_LAYERS } = require('./renderLayers')
+const { getTileIndex, GreedyFaces } = require('./greedyMeshing')
+const { getSectionVisibility } = require('./occlusion')
 
 const tints = require('minecraft-data')('1.16.2').tints
 
@@ -98,6 +102,20 @@ const elemFaces = {
   }
 }
 
+const MAX_LIGHT = 15
+
+function isOpaqueCube (block) {
+  return block && block.isCube && !block.transparent
+}
+
+// Light of the block a face looks into, falling back to the block itself when
+// that neighbour is opaque (faces of non-full blocks pressed against a wall)
+function getFaceLight (world, cursor, dir) {
+  const pos = cursor.offset(Math.round(dir[0]), Math.round(dir[1]), Math.round(dir[2]))
+  const source = isOpaqueCube(world.getBlock(pos)) ? cursor : pos
+  return [world.getBlockLight(source), world.getSkyLight(source)]
+}
+
 function getLiquidRenderHeight (world, block, type) {
   if (!block || block.type !== type) return 1 / 9
   if (block.metadata === 0) { // source block
@@ -108,6 +126,45 @@ function getLiquidRenderHeight (world, block, type) {
   return ((block.metadata >= 8 ? 8 : 7 - block.metadata) + 1) / 9
 }
 
+// Animated textures are tagged with their animation index + 1, the material moves them to the current frame
+function getAnimationAttribute (texture) {
+  return texture.animation !== undefined ? texture.animation + 1 : 0
+}
+
+// Render pass of a texture, from the alpha of the texture (see atlas.js)
+// Block states made before the passes existed keep the alpha tested material
+function getTextureLayer (texture) {
+  return RENDER_LAYERS.includes(texture.layer) ? texture.layer : 'cutout'
+}
+
+function isFullCube (element) {
+  return element.from.every(value => value === 0) && element.to.every(value => value === 16)
+}
+
+// Whether the 4 vertices of a face from index ndx have the same color and light
+function isUniformFace (layer, ndx) {
+  for (let i = 1; i < 4; i++) {
+    for (let c = 0; c < 3; c++) {
+      if (layer.colors[(ndx + i) * 3 + c] !== layer.colors[ndx * 3 + c]) return false
+    }
+    for (let c = 0; c < 2; c++) {
+      if (layer.light[(ndx + i) * 2 + c] !== layer.light[ndx * 2 + c]) return false
+    }
+  }
+  return true
+}
+
+// Remove the vertices of the layer from index ndx
+function truncateLayer (layer, ndx) {
+  layer.positions.length = ndx * 3
+  layer.normals.length = ndx * 3
+  layer.colors.length = ndx * 3
+  layer.uvs.length = ndx * 2
+  layer.light.length = ndx * 2
+  layer.animations.length = ndx
+  layer.tiles.length = ndx
+}
+
 function renderLiquid (world, cursor, texture, type, biome, water, attr) {
   const heights = []
   for (let z = -1; z <= 1; z++) {
@@ -130,7 +187,7 @@ function renderLiquid (world, cursor, texture, type, biome, water, attr) {
     if (!neighbor) continue
     if (neighbor.type === type) continue
     if ((neighbor.isCube && !isUp) || neighbor.material === 'plant' || neighbor.getProperties().waterlogged) continue
-    if (neighbor.position.y < 0) continue
+    if (neighbor.position.y < world.minY) continue
 
     let tint = [1, 1, 1]
     if (water) {
@@ -145,17 +202,34 @@ function renderLiquid (world, cursor, texture, type, biome, water, attr) {
     const v = texture.v
     const su = texture.su
     const sv = texture.sv
+    const animation = getAnimationAttribute(texture)
+    const layer = attr[getTextureLayer(texture)]
+    const ndx = layer.positions.length / 3
+
+    const blockLight = world.getBlockLight(cursor) / MAX_LIGHT
+    const skyLight = world.getSkyLight(cursor) / MAX_LIGHT
 
     for (const pos of corners) {
       const height = cornerHeights[pos[2] * 2 + pos[0]]
-      attr.t_positions.push(
+      layer.positions.push(
         (pos[0] ? 1 : 0) + (cursor.x & 15) - 8,
         (pos[1] ? height : 0) + (cursor.y & 15) - 8,
         (pos[2] ? 1 : 0) + (cursor.z & 15) - 8)
-      attr.t_normals.push(...dir)
-      attr.t_uvs.push(pos[3] * su + u, pos[4] * sv * (pos[1] ? 1 : height) + v)
-      attr.t_colors.push(tint[0], tint[1], tint[2])
+      layer.normals.push(...dir)
+      layer.uvs.push(pos[3] * su + u, pos[4] * sv * (pos[1] ? 1 : height) + v)
+      layer.colors.push(tint[0], tint[1], tint[2])
+      layer.light.push(blockLight, skyLight)
+      layer.animations.push(animation)
+      layer.tiles.push(0)
     }
+
+    // Liquid surfaces are seen from both sides
+    layer.indices.push(
+      ndx, ndx + 1, ndx + 2,
+      ndx + 2, ndx + 1, ndx + 3,
+      ndx, ndx + 2, ndx + 1,
+      ndx + 2, ndx + 3, ndx + 1
+    )
   }
 }
 
@@ -228,6 +302,21 @@ function buildRotationMatrix (axis, degree) {
   return matrix
 }
 
+// Biome or block dependent color of a face (grass, foliage, redstone wire)
+function getFaceTint (block, eFace, biome) {
+  if (eFace.tintindex !== 0) return [1, 1, 1]
+  if (block.name === 'redstone_wire') {
+    return tints.redstone[`${block.getProperties().power}`]
+  } else if (block.name === 'birch_leaves' ||
+    block.name === 'spruce_leaves' ||
+    block.name === 'lily_pad') {
+    return tints.constant[block.name]
+  } else if (block.name.includes('leaves') || block.name === 'vine') {
+    return tints.foliage[biome]
+  }
+  return tints.grass[biome]
+}
+
 function renderElement (world, cursor, element, doAO, attr, globalMatrix, globalShift, block, biome) {
   const cullIfIdentical = block.name.indexOf('glass') >= 0
 
@@ -241,7 +330,7 @@ function renderElement (world, cursor, element, doAO, attr, globalMatrix, global
       if (!neighbor) continue
       if (cullIfIdentical && neighbor.type === block.type) continue
       if (!neighbor.transparent && neighbor.isCube) continue
-      if (neighbor.position.y < 0) continue
+      if (neighbor.position.y < world.minY) continue
     }
 
     const minx = element.from[0]
@@ -255,25 +344,19 @@ function renderElement (world, cursor, element, doAO, attr, globalMatrix, global
     const v = eFace.texture.v
     const su = eFace.texture.su
     const sv = eFace.texture.sv
+    const animation = getAnimationAttribute(eFace.texture)
+    const layerName = getTextureLayer(eFace.texture)
+    const layer = attr[layerName]
 
-    const ndx = Math.floor(attr.positions.length / 3)
+    // Faces of full cubes covering a whole static texture can be merged by the greedy mesher
+    const tile = attr.greedyFaces && !globalMatrix && !element.rotation && !eFace.rotation &&
+      eFace.texture.animation === undefined && isFullCube(element)
+      ? getTileIndex(eFace, eFace.texture)
+      : -1
 
-    let tint = [1, 1, 1]
-    if (eFace.tintindex !== undefined) {
-      if (eFace.tintindex === 0) {
-        if (block.name === 'redstone_wire') {
-          tint = tints.redstone[`${block.getProperties().power}`]
-        } else if (block.name === 'birch_leaves' ||
-          block.name === 'spruce_leaves' ||
-          block.name === 'lily_pad') {
-          tint = tints.constant[block.name]
-        } else if (block.name.includes('leaves') || block.name === 'vine') {
-          tint = tints.foliage[biome]
-        } else {
-          tint = tints.grass[biome]
-        }
-      }
-    }
+    const ndx = Math.floor(layer.positions.length / 3)
+
+    const tint = getFaceTint(block, eFace, biome)
 
     // UV rotation
     const r = eFace.rotation || 0
@@ -298,6 +381,8 @@ function renderElement (world, cursor, element, doAO, attr, globalMatrix, global
       )
     }
 
+    const faceLight = getFaceLight(world, cursor, dir)
+
     const aos = []
     for (const pos of corners) {
       let vertex = [
@@ -310,19 +395,21 @@ function renderElement (world, cursor, element, doAO, attr, globalMatrix, global
       vertex = vecadd3(matmul3(globalMatrix, vertex), globalShift)
       vertex = vertex.map(v => v / 16)
 
-      attr.positions.push(
+      layer.positions.push(
         vertex[0] + (cursor.x & 15) - 8,
         vertex[1] + (cursor.y & 15) - 8,
         vertex[2] + (cursor.z & 15) - 8
       )
 
-      attr.normals.push(...dir)
+      layer.normals.push(...dir)
 
       const baseu = (pos[3] - 0.5) * uvcs - (pos[4] - 0.5) * uvsn + 0.5
       const basev = (pos[3] - 0.5) * uvsn + (pos[4] - 0.5) * uvcs + 0.5
-      attr.uvs.push(baseu * su + u, basev * sv + v)
+      layer.uvs.push(baseu * su + u, basev * sv + v)
 
       let light = 1
+      let blockLight = faceLight[0]
+      let skyLight = faceLight[1]
       if (doAO) {
         const dx = pos[0] * 2 - 1
         const dy = pos[1] * 2 - 1
@@ -330,9 +417,12 @@ function renderElement (world, cursor, element, doAO, attr, globalMatrix, global
         const cornerDir = matmul3(globalMatrix, [dx, dy, dz])
         const side1Dir = matmul3(globalMatrix, [dx * mask1[0], dy * mask1[1], dz * mask1[2]])
         const side2Dir = matmul3(globalMatrix, [dx * mask2[0], dy * mask2[1], dz * mask2[2]])
-        const side1 = world.getBlock(cursor.offset(...side1Dir))
-        const side2 = world.getBlock(cursor.offset(...side2Dir))
-        const corner = world.getBlock(cursor.offset(...cornerDir))
+        const side1Pos = cursor.offset(...side1Dir)
+        const side2Pos = cursor.offset(...side2Dir)
+        const cornerPos = cursor.offset(...cornerDir)
+        const side1 = world.getBlock(side1Pos)
+        const side2 = world.getBlock(side2Pos)
+        const corner = world.getBlock(cornerPos)
 
         const side1Block = (side1 && side1.isCube) ? 1 : 0
         const side2Block = (side2 && side2.isCube) ? 1 : 0
@@ -343,18 +433,40 @@ function renderElement (world, cursor, element, doAO, attr, globalMatrix, global
         const ao = (side1Block && side2Block) ? 0 : (3 - (side1Block + side2Block + cornerBlock))
         light = (ao + 1) / 4
         aos.push(ao)
+
+        // Smooth lighting: average the face light with the non opaque blocks around the corner
+        let samples = 1
+        for (const [sample, samplePos] of [[side1, side1Pos], [side2, side2Pos], [corner, cornerPos]]) {
+          if (!sample || isOpaqueCube(sample)) continue
+          blockLight += world.getBlockLight(samplePos)
+          skyLight += world.getSkyLight(samplePos)
+          samples++
+        }
+        blockLight /= samples
+        skyLight /= samples
       }
 
-      attr.colors.push(tint[0] * light, tint[1] * light, tint[2] * light)
+      layer.colors.push(tint[0] * light, tint[1] * light, tint[2] * light)
+      layer.light.push(blockLight / MAX_LIGHT, skyLight / MAX_LIGHT)
+      layer.animations.push(animation)
+      layer.tiles.push(0)
+    }
+
+    if (tile >= 0 && isUniformFace(layer, ndx)) {
+      const color = layer.colors.slice(ndx * 3, ndx * 3 + 3)
+      const light = layer.light.slice(ndx * 2, ndx * 2 + 2)
+      attr.greedyFaces.add(layerName, elemFaces[face], eFace.texture, tile, cursor, color, light)
+      truncateLayer(layer, ndx)
+      continue
     }
 
     if (doAO && aos[0] + aos[3] >= aos[1] + aos[2]) {
-      attr.indices.push(
+      layer.indices.push(
         ndx, ndx + 3, ndx + 2,
         ndx, ndx + 1, ndx + 3
       )
     } else {
-      attr.indices.push(
+      layer.indices.push(
         ndx, ndx + 1, ndx + 2,
         ndx + 2, ndx + 1, ndx + 3
       )
@@ -362,92 +474,176 @@ function renderElement (world, cursor, element, doAO, attr, globalMatrix, global
   }
 }
 
-function getSectionGeometry (sx, sy, sz, world, blocksStates) {
-  const attr = {
-    sx: sx + 8,
-    sy: sy + 8,
-    sz: sz + 8,
+function createLayerAttributes () {
+  return {
     positions: [],
     normals: [],
     colors: [],
     uvs: [],
-    t_positions: [],
-    t_normals: [],
-    t_colors: [],
-    t_uvs: [],
+    light: [],
+    animations: [],
+    tiles: [],
     indices: []
   }
+}
+
+// One set of attributes per render pass (opaque, cutout, translucent)
+// Faces to merge are collected in greedyFaces when greedy meshing is enabled
+function createAttributes (x, y, z, greedy = false) {
+  const attr = { sx: x, sy: y, sz: z, blockEntities: [], greedyFaces: greedy ? new GreedyFaces() : null }
+  for (const layer of RENDER_LAYERS) attr[layer] = createLayerAttributes()
+  return attr
+}
+
+function renderBlock (world, cursor, block, blocksStates, attr) {
+  const biome = block.biome.name
+  if (block.variant === undefined) {
+    block.variant = getModelVariants(block, blocksStates)
+  }
+
+  for (const variant of block.variant) {
+    if (!variant || !variant.model) continue
+
+    if (block.name === 'water') {
+      renderLiquid(world, cursor, variant.model.textures.particle, block.type, biome, true, attr)
+    } else if (block.name === 'lava') {
+      renderLiquid(world, cursor, variant.model.textures.particle, block.type, biome, false, attr)
+    } else {
+      let globalMatrix = null
+      let globalShift = null
+
+      for (const axis of ['x', 'y', 'z']) {
+        if (axis in variant) {
+          if (!globalMatrix) globalMatrix = buildRotationMatrix(axis, -variant[axis])
+          else globalMatrix = matmulmat3(globalMatrix, buildRotationMatrix(axis, -variant[axis]))
+        }
+      }
+
+      if (globalMatrix) {
+        globalShift = [8, 8, 8]
+        globalShift = vecsub3(globalShift, matmul3(globalMatrix, globalShift))
+      }
+
+      for (const element of variant.model.elements) {
+        renderElement(world, cursor, element, variant.model.ao, attr, globalMatrix, globalShift, block, biome)
+      }
+    }
+  }
+}
+
+// Turn the attributes of a render pass into typed arrays
+function finishLayerAttributes (layer) {
+  layer.positions = new Float32Array(layer.positions)
+  layer.normals = new Float32Array(layer.normals)
+  layer.colors = new Float32Array(layer.colors)
+  layer.uvs = new Float32Array(layer.uvs)
+  layer.light = new Float32Array(layer.light)
+  layer.animations = new Float32Array(layer.animations)
+  layer.tiles = new Float32Array(layer.tiles)
+  return layer
+}
+
+function countVertices (attr) {
+  return RENDER_LAYERS.reduce((count, layer) => count + attr[layer].positions.length / 3, 0)
+}
+
+// Merge the greedy faces, count the vertices and turn the attributes into typed arrays
+function finishAttributes (attr) {
+  attr.unmergedVertexCount = countVertices(attr)
+  if (attr.greedyFaces) {
+    attr.unmergedVertexCount += attr.greedyFaces.count * 4
+    attr.greedyFaces.merge(attr)
+  }
+  delete attr.greedyFaces
+  attr.vertexCount = countVertices(attr)
+
+  for (const layer of RENDER_LAYERS) finishLayerAttributes(attr[layer])
+  return attr
+}
+
+// Single set of attributes holding the faces of every render pass
+function mergeLayers (attr) {
+  const merged = createLayerAttributes()
+  for (const name of RENDER_LAYERS) {
+    const layer = attr[name]
+    const ndx = merged.positions.length / 3
+    merged.positions.push(...layer.positions)
+    merged.normals.push(...layer.normals)
+    merged.colors.push(...layer.colors)
+    merged.uvs.push(...layer.uvs)
+    merged.light.push(...layer.light)
+    merged.animations.push(...layer.animations)
+    merged.tiles.push(...layer.tiles)
+    merged.indices.push(...layer.indices.map(index => index + ndx))
+  }
+  return { sx: attr.sx, sy: attr.sy, sz: attr.sz, ...finishLayerAttributes(merged) }
+}
+
+/**
+ * Geometry of a section, split by render pass
+ * @param {number} sx - Section origin (block coordinates)
+ * @param {number} sy
+ * @param {number} sz
+ * @param {World} world - Blocks around the section
+ * @param {Object} blocksStates - Block states with resolved models
+ * @param {Object} [options]
+ * @param {boolean} [options.greedy=false] - Merge the faces of full cubes sharing a texture, a tint and a light
+ * @returns {Object} Section center (sx, sy, sz), the attributes of the opaque, cutout and translucent passes,
+ *   the block entities, the vertex count, with and without greedy meshing (vertexCount, unmergedVertexCount)
+ *   and the faces of the section seen from each other (visibility, see occlusion.js)
+ */
+function getSectionGeometry (sx, sy, sz, world, blocksStates, { greedy = false } = {}) {
+  const attr = createAttributes(sx + 8, sy + 8, sz + 8, greedy)
+  const opaque = new Uint8Array(16 * 16 * 16)
 
   const cursor = new Vec3(0, 0, 0)
   for (cursor.y = sy; cursor.y < sy + 16; cursor.y++) {
     for (cursor.z = sz; cursor.z < sz + 16; cursor.z++) {
       for (cursor.x = sx; cursor.x < sx + 16; cursor.x++) {
         const block = world.getBlock(cursor)
-        const biome = block.biome.name
-        if (block.variant === undefined) {
-          block.variant = getModelVariants(block, blocksStates)
-        }
-
-        for (const variant of block.variant) {
-          if (!variant || !variant.model) continue
-
-          if (block.name === 'water') {
-            renderLiquid(world, cursor, variant.model.textures.particle, block.type, biome, true, attr)
-          } else if (block.name === 'lava') {
-            renderLiquid(world, cursor, variant.model.textures.particle, block.type, biome, false, attr)
-          } else {
-            let globalMatrix = null
-            let globalShift = null
-
-            for (const axis of ['x', 'y', 'z']) {
-              if (axis in variant) {
-                if (!globalMatrix) globalMatrix = buildRotationMatrix(axis, -variant[axis])
-                else globalMatrix = matmulmat3(globalMatrix, buildRotationMatrix(axis, -variant[axis]))
-              }
-            }
-
-            if (globalMatrix) {
-              globalShift = [8, 8, 8]
-              globalShift = vecsub3(globalShift, matmul3(globalMatrix, globalShift))
-            }
-
-            for (const element of variant.model.elements) {
-              renderElement(world, cursor, element, variant.model.ao, attr, globalMatrix, globalShift, block, biome)
-            }
-          }
+        if (isOpaqueCube(block)) opaque[((cursor.y - sy) * 16 + cursor.z - sz) * 16 + cursor.x - sx] = 1
+        const blockEntity = getBlockEntityState(world, block)
+        // Block entities are drawn by the main thread, except beds of versions where they have a block model
+        if (blockEntity && !(blockEntity.kind === 'bed' && hasModelElements(block, blocksStates))) {
+          attr.blockEntities.push(blockEntity)
+          continue
         }
+        renderBlock(world, cursor, block, blocksStates, attr)
       }
     }
   }
 
-  let ndx = attr.positions.length / 3
-  for (let i = 0; i < attr.t_positions.length / 12; i++) {
-    attr.indices.push(
-      ndx, ndx + 1, ndx + 2,
-      ndx + 2, ndx + 1, ndx + 3,
-      // back face
-      ndx, ndx + 2, ndx + 1,
-      ndx + 2, ndx + 3, ndx + 1
-    )
-    ndx += 4
-  }
-
-  attr.positions.push(...attr.t_positions)
-  attr.normals.push(...attr.t_normals)
-  attr.colors.push(...attr.t_colors)
-  attr.uvs.push(...attr.t_uvs)
-
-  delete attr.t_positions
-  delete attr.t_normals
-  delete attr.t_colors
-  delete attr.t_uvs
+  attr.visibility = getSectionVisibility(opaque)
+  return finishAttributes(attr)
+}
 
-  attr.positions = new Float32Array(attr.positions)
-  attr.normals = new Float32Array(attr.normals)
-  attr.colors = new Float32Array(attr.colors)
-  attr.uvs = new Float32Array(attr.uvs)
+/**
+ * Geometry of a single block surrounded by air, in full sky light
+ * Used for blocks drawn outside of the world sections (falling blocks)
+ * The block spans 0 to 1 on each axis
+ * @param {Object} block - prismarine-block
+ * @param {Object} blocksStates - Block states with resolved models
+ * @returns {Object} Geometry attributes of a section render pass, holding the faces of every pass
+ */
+function getBlockGeometry (block, blocksStates) {
+  const attr = createAttributes(0, 0, 0)
+  const cursor = new Vec3(8, 8, 8)
+  const world = {
+    minY: -Infinity,
+    getBlock: (pos) => pos.equals(cursor) ? block : { name: 'air', type: 0, isCube: false, transparent: true, position: pos },
+    getBlockLight: () => 0,
+    getSkyLight: () => MAX_LIGHT
+  }
+  block.position = cursor
+  renderBlock(world, cursor, block, blocksStates, attr)
+  return mergeLayers(attr)
+}
 
-  return attr
+function hasModelElements (block, blocksStates) {
+  if (block.variant === undefined) {
+    block.variant = getModelVariants(block, blocksStates)
+  }
+  return block.variant.some(variant => variant && variant.model && variant.model.elements && variant.model.elements.length > 0)
 }
 
 function parseProperties (properties) {
@@ -506,4 +702,36 @@ function getModelVariants (block, blockStates) {
   return []
 }
 
-module.exports = { getSectionGeometry }
+// Gray for the textures of block states built before the atlas had average colors
+const DEFAULT_TOP_COLOR = [0.5, 0.5, 0.5]
+
+/**
+ * Color of a block seen from above, from the average color of its top texture and its tint
+ * Used for the far columns drawn at a lower level of detail
+ * @param {Object} block - prismarine-block
+ * @param {Object} blocksStates - Block states with resolved models
+ * @param {string} biome - Biome name, for the grass, foliage and water tints
+ * @returns {Array<number>|null} [r, g, b], null for blocks without a model (barriers, light blocks)
+ */
+function getBlockTopColor (block, blocksStates, biome) {
+  for (const variant of getModelVariants(block, blocksStates)) {
+    if (!variant || !variant.model) continue
+    if (block.name === 'water' || block.name === 'lava') {
+      const color = variant.model.textures.particle.color ?? DEFAULT_TOP_COLOR
+      const tint = block.name === 'water' ? tints.water[biome] : [1, 1, 1]
+      return color.map((value, i) => value * tint[i])
+    }
+    // Up face of the highest element
+    let top = null
+    for (const element of variant.model.elements) {
+      if (element.faces.up && (!top || element.to[1] > top.element.to[1])) top = { element, face: element.faces.up }
+    }
+    if (!top) continue
+    const color = top.face.texture.color ?? DEFAULT_TOP_COLOR
+    const tint = getFaceTint(block, top.face, biome)
+    return color.map((value, i) => value * tint[i])
+  }
+  return null
+}
+
+module.exports = { getSectionGeometry, getBlockGeometry, getBlockTopColor }
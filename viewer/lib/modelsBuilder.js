@@ -19,7 +19,8 @@ function getModel (name, blocksModels) {
   }
 
   if (data.parent) {
-    model = getModel(data.parent, blocksModels)
+    // Models of resource packs can have a missing parent, their own elements are still used
+    model = getModel(data.parent, blocksModels) || model
   }
   if (data.textures) {
     Object.assign(model.textures, JSON.parse(JSON.stringify(data.textures)))
@@ -35,24 +36,27 @@ function getModel (name, blocksModels) {
 
 function prepareModel (model, texturesJson) {
   // resolve texture names eg west: #all -> blocks/stone
+  // unresolved references and textures missing from the atlas (broken resource packs) use the missing texture
   for (const tex in model.textures) {
     let root = model.textures[tex]
-    while (root.charAt(0) === '#') {
+    const seen = new Set()
+    while (root && root.charAt(0) === '#' && !seen.has(root)) {
+      seen.add(root)
       root = model.textures[root.substr(1)]
     }
-    model.textures[tex] = root
+    model.textures[tex] = root && root.charAt(0) !== '#' ? root : 'missing_texture'
   }
   for (const tex in model.textures) {
     let name = model.textures[tex]
     name = cleanupBlockName(name)
-    model.textures[tex] = texturesJson[name]
+    model.textures[tex] = texturesJson[name] ?? texturesJson.missing_texture
   }
   for (const elem of model.elements) {
     for (const sideName of Object.keys(elem.faces)) {
       const face = elem.faces[sideName]
 
       if (face.texture.charAt(0) === '#') {
-        face.texture = JSON.parse(JSON.stringify(model.textures[face.texture.substr(1)]))
+        face.texture = JSON.parse(JSON.stringify(model.textures[face.texture.substr(1)] ?? texturesJson.missing_texture))
       } else if (
         !(cleanupBlockName(face.texture) in texturesJson) &&
         face.texture in model.textures
@@ -61,7 +65,7 @@ function prepareModel (model, texturesJson) {
       } else {
         let name = face.texture
         name = cleanupBlockName(name)
-        face.texture = JSON.parse(JSON.stringify(texturesJson[name]))
+        face.texture = JSON.parse(JSON.stringify(texturesJson[name] ?? texturesJson.missing_texture))
       }
 
       let uv = face.uv
@@ -93,7 +97,7 @@ function prepareModel (model, texturesJson) {
 }
 
 function resolveModel (name, blocksModels, texturesJson) {
-  const model = getModel(name, blocksModels)
+  const model = getModel(name, blocksModels) || getModel('missing_texture', blocksModels)
   prepareModel(model, texturesJson.textures)
   return model
 }
@@ -0,0 +1,143 @@
+/**
+ * Cave culling: a section is only drawn if the camera can see into it through the sections in between
+ * The workers find which faces of each section are connected through its non-opaque blocks (visibility),
+ * the renderer walks the sections from the camera through connected faces
+ * @module viewer/lib/occlusion
+ */
+
+const SECTION_SIZE = 16
+
+// Faces of a section and their direction, the opposite of a face is face ^ 1
+const FACES = [
+  [0, -1, 0], // down
+  [0, 1, 0], // up
+  [0, 0, -1], // north
+  [0, 0, 1], // south
+  [-1, 0, 0], // west
+  [1, 0, 0] // east
+]
+
+// Bit of each pair of faces in a visibility
+const PAIR_BITS = FACES.map(() => new Array(FACES.length).fill(0))
+let pairCount = 0
+for (let a = 0; a < FACES.length; a++) {
+  for (let b = a + 1; b < FACES.length; b++) {
+    PAIR_BITS[a][b] = PAIR_BITS[b][a] = 1 << pairCount++
+  }
+}
+
+// Visibility of a section without opaque blocks, every face sees every other
+const ALL_VISIBLE = (1 << pairCount) - 1
+
+/**
+ * Whether two faces of a section see each other
+ * @param {number} visibility - Visibility of the section, as given by getSectionVisibility
+ * @param {number} a - Face index
+ * @param {number} b - Face index
+ * @returns {boolean}
+ */
+function canSee (visibility, a, b) {
+  return (visibility & PAIR_BITS[a][b]) !== 0
+}
+
+// Faces a block of the section touches
+function getBlockFaces (x, y, z) {
+  let faces = 0
+  if (y === 0) faces |= 1 << 0
+  if (y === SECTION_SIZE - 1) faces |= 1 << 1
+  if (z === 0) faces |= 1 << 2
+  if (z === SECTION_SIZE - 1) faces |= 1 << 3
+  if (x === 0) faces |= 1 << 4
+  if (x === SECTION_SIZE - 1) faces |= 1 << 5
+  return faces
+}
+
+/**
+ * Find which faces of a section are connected through its non-opaque blocks
+ * @param {Uint8Array} opaque - 1 for the opaque blocks of the section, indexed by (y * 16 + z) * 16 + x
+ * @returns {number} Visibility: a bit per pair of faces seeing each other
+ */
+function getSectionVisibility (opaque) {
+  if (!opaque.includes(1)) return ALL_VISIBLE
+
+  let visibility = 0
+  const visited = new Uint8Array(opaque.length)
+  const stack = new Int32Array(opaque.length)
+  for (let start = 0; start < opaque.length; start++) {
+    if (opaque[start] || visited[start]) continue
+
+    // Flood fill the region of the block, collecting the faces it touches
+    let faces = 0
+    let size = 0
+    stack[size++] = start
+    visited[start] = 1
+    while (size > 0) {
+      const index = stack[--size]
+      const x = index & 15
+      const z = (index >> 4) & 15
+      const y = index >> 8
+      faces |= getBlockFaces(x, y, z)
+      const neighbors = [
+        x > 0 ? index - 1 : -1,
+        x < 15 ? index + 1 : -1,
+        z > 0 ? index - 16 : -1,
+        z < 15 ? index + 16 : -1,
+        y > 0 ? index - 256 : -1,
+        y < 15 ? index + 256 : -1
+      ]
+      for (const neighbor of neighbors) {
+        if (neighbor < 0 || opaque[neighbor] || visited[neighbor]) continue
+        visited[neighbor] = 1
+        stack[size++] = neighbor
+      }
+    }
+
+    for (let a = 0; a < FACES.length; a++) {
+      if (!(faces & (1 << a))) continue
+      for (let b = a + 1; b < FACES.length; b++) {
+        if (faces & (1 << b)) visibility |= PAIR_BITS[a][b]
+      }
+    }
+    if (visibility === ALL_VISIBLE) break
+  }
+  return visibility
+}
+
+/**
+ * Sections the camera can see into, walking from the camera section through the connected faces
+ * of the sections, without going back towards the camera
+ * @param {{x: number, y: number, z: number}} start - Origin of the camera section (block coordinates)
+ * @param {Function} getVisibility - (x, y, z) => visibility of the section at this origin,
+ *   ALL_VISIBLE for sections without data, null outside of the loaded world
+ * @returns {Set<string>|null} Keys ("x,y,z") of the visible sections, null when the camera section is outside
+ *   of the loaded world (a camera past the loaded columns), where nothing can be culled this way
+ */
+function findVisibleSections (start, getVisibility) {
+  if (getVisibility(start.x, start.y, start.z) === null) return null
+  const visible = new Set([`${start.x},${start.y},${start.z}`])
+  const queue = [{ x: start.x, y: start.y, z: start.z, from: -1, directions: 0 }]
+  for (let i = 0; i < queue.length; i++) {
+    const { x, y, z, from, directions } = queue[i]
+    const visibility = from === -1 ? ALL_VISIBLE : getVisibility(x, y, z) ?? ALL_VISIBLE
+    for (let face = 0; face < FACES.length; face++) {
+      if (directions & (1 << (face ^ 1))) continue
+      if (from !== -1 && !canSee(visibility, from, face)) continue
+      const [dx, dy, dz] = FACES[face]
+      const nx = x + dx * SECTION_SIZE
+      const ny = y + dy * SECTION_SIZE
+      const nz = z + dz * SECTION_SIZE
+      const key = `${nx},${ny},${nz}`
+      if (visible.has(key) || getVisibility(nx, ny, nz) === null) continue
+      visible.add(key)
+      queue.push({ x: nx, y: ny, z: nz, from: face ^ 1, directions: directions | (1 << face) })
+    }
+  }
+  return visible
+}
+
+module.exports = {
+  ALL_VISIBLE,
+  canSee,
+  getSectionVisibility,
+  findVisibleSections
+}
@@ -0,0 +1,135 @@
+/**
+ * Growable buffer of the points of a primitive (points, or line segments as pairs of points), for appending
+ * and removing points in place: the client draws from its array, the server keeps the points of the primitive
+ * for the clients connecting later
+ * @module viewer/lib/pointBuffer
+ */
+
+function itemKey (points, start, pointsPerItem) {
+  let key = ''
+  for (let i = start; i < start + pointsPerItem; i++) {
+    key += `${points[i].x},${points[i].y},${points[i].z};`
+  }
+  return key
+}
+
+class PointBuffer {
+  /**
+   * @param {number} [pointsPerItem] - 1 for points, 2 for line segments
+   * @param {Array<{x: number, y: number, z: number}>} [points] - Initial points
+   */
+  constructor (pointsPerItem = 1, points = []) {
+    this.pointsPerItem = pointsPerItem
+    this.itemSize = pointsPerItem * 3
+    this.array = new Float32Array(16 * this.itemSize)
+    // Items in the array, and their points as given
+    this.count = 0
+    this.items = []
+    // Indices of the items by point coordinates
+    this.indices = new Map()
+    // Range of the array changed since the last takeDirtyRange, in floats
+    this.dirtyStart = Infinity
+    this.dirtyEnd = 0
+    this.append(points)
+  }
+
+  /**
+   * @returns {number} Points in the array
+   */
+  get pointCount () {
+    return this.count * this.pointsPerItem
+  }
+
+  _markDirty (start, end) {
+    this.dirtyStart = Math.min(this.dirtyStart, start)
+    this.dirtyEnd = Math.max(this.dirtyEnd, end)
+  }
+
+  _write (index, item) {
+    const offset = index * this.itemSize
+    for (let i = 0; i < item.length; i++) {
+      this.array[offset + i * 3] = item[i].x
+      this.array[offset + i * 3 + 1] = item[i].y
+      this.array[offset + i * 3 + 2] = item[i].z
+    }
+    this._markDirty(offset, offset + this.itemSize)
+  }
+
+  /**
+   * @param {Array<{x: number, y: number, z: number}>} points - Points, or pairs of points for segments
+   * @returns {boolean} Whether the array was replaced by a larger one
+   */
+  append (points) {
+    const added = Math.floor(points.length / this.pointsPerItem)
+    let grown = false
+    if ((this.count + added) * this.itemSize > this.array.length) {
+      let length = this.array.length
+      while ((this.count + added) * this.itemSize > length) length *= 2
+      const array = new Float32Array(length)
+      array.set(this.array.subarray(0, this.count * this.itemSize))
+      this.array = array
+      grown = true
+    }
+
+    for (let i = 0; i < added * this.pointsPerItem; i += this.pointsPerItem) {
+      const item = points.slice(i, i + this.pointsPerItem).map(({ x, y, z }) => ({ x, y, z }))
+      const key = itemKey(points, i, this.pointsPerItem)
+      if (!this.indices.has(key)) this.indices.set(key, [])
+      this.indices.get(key).push(this.count)
+      this.items.push({ key, points: item })
+      this._write(this.count, item)
+      this.count++
+    }
+    return grown
+  }
+
+  /**
+   * Remove an item of the same coordinates for each point (or pair of points) given, by moving the last item
+   * in its place
+   * @param {Array<{x: number, y: number, z: number}>} points
+   * @returns {number} Items removed
+   */
+  remove (points) {
+    let removed = 0
+    for (let i = 0; i + this.pointsPerItem <= points.length; i += this.pointsPerItem) {
+      const key = itemKey(points, i, this.pointsPerItem)
+      const indices = this.indices.get(key)
+      if (!indices) continue
+      const index = indices.pop()
+      if (indices.length === 0) this.indices.delete(key)
+
+      const last = this.count - 1
+      if (index !== last) {
+        const moved = this.items[last]
+        const movedIndices = this.indices.get(moved.key)
+        movedIndices[movedIndices.indexOf(last)] = index
+        this.items[index] = moved
+        this._write(index, moved.points)
+      }
+      this.items.pop()
+      this.count--
+      removed++
+    }
+    return removed
+  }
+
+  /**
+   * @returns {Array<{x: number, y: number, z: number}>} The points, in the order of the array
+   */
+  getPoints () {
+    return this.items.flatMap(item => item.points)
+  }
+
+  /**
+   * Range of the array to upload again, reset by the call
+   * @returns {{offset: number, count: number}|null} In floats, null if nothing changed
+   */
+  takeDirtyRange () {
+    const range = this.dirtyEnd > this.dirtyStart ? { offset: this.dirtyStart, count: this.dirtyEnd - this.dirtyStart } : null
+    this.dirtyStart = Infinity
+    this.dirtyEnd = 0
+    return range
+  }
+}
+
+module.exports = { PointBuffer }
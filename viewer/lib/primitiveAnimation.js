@@ -0,0 +1,33 @@
+/**
+ * Time-limited and animated primitives: they expire, fade out and blink on the client, the server sends
+ * them once
+ * @module viewer/lib/primitiveAnimation
+ */
+
+/**
+ * @param {Object} primitive
+ * @returns {boolean} Whether the primitive changes over time or follows an entity
+ */
+function isAnimated ({ ttl, fade, blink, follow }) {
+  return [ttl, fade, blink, follow].some(value => typeof value === 'number')
+}
+
+/**
+ * State of a primitive some time after it was drawn
+ * @param {Object} primitive
+ * @param {number} [primitive.ttl] - Milliseconds it is drawn for, forever without ttl or fade
+ * @param {number} [primitive.fade] - Milliseconds it fades out over, at the end of the ttl, or from the start
+ *   without ttl
+ * @param {number} [primitive.blink] - Blink period in milliseconds, drawn for the first half of each period
+ * @param {number} age - Milliseconds since it was drawn
+ * @returns {{expired: boolean, visible: boolean, opacity: number}} opacity multiplies its own
+ */
+function getPrimitiveState ({ ttl, fade, blink }, age) {
+  const lifetime = typeof ttl === 'number' ? ttl : fade
+  if (typeof lifetime === 'number' && age >= lifetime) return { expired: true, visible: false, opacity: 0 }
+  const opacity = fade ? Math.min(1, (lifetime - age) / fade) : 1
+  const visible = !blink || Math.floor(age / (blink / 2)) % 2 === 0
+  return { expired: false, visible, opacity }
+}
+
+module.exports = { isAnimated, getPrimitiveState }
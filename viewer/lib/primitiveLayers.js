@@ -0,0 +1,127 @@
+/**
+ * Named layers of primitives ("path", "targets"...), shown, faded and ordered together
+ * @module viewer/lib/primitiveLayers
+ */
+
+const THREE = require('three')
+const { EventEmitter } = require('events')
+const { DEFAULT_PRIMITIVE_LAYER, PRIMITIVE_RENDER_ORDER } = require('./constants')
+
+// Opacity of the layer times the opacity the primitive was drawn with (and its fade, see setOpacity),
+// translucent primitives don't write depth
+function applyLayer (object, layer) {
+  const factor = typeof object.userData.opacity === 'number' ? object.userData.opacity * layer.opacity : layer.opacity
+  object.traverse((child) => {
+    child.renderOrder = PRIMITIVE_RENDER_ORDER + layer.order
+    if (!child.material) return
+    for (const material of Array.isArray(child.material) ? child.material : [child.material]) {
+      if (!material.userData.layerBase) {
+        const { opacity, transparent, depthWrite } = material
+        material.userData.layerBase = { opacity, transparent, depthWrite }
+      }
+      const base = material.userData.layerBase
+      const opacity = base.opacity * factor
+      const transparent = base.transparent || opacity < 1
+      if (transparent !== material.transparent) material.needsUpdate = true
+      material.opacity = opacity
+      material.transparent = transparent
+      material.depthWrite = base.depthWrite && opacity >= 1
+    }
+  })
+}
+
+/**
+ * Each layer is a group of the scene, the layer of a primitive is created with it
+ * Emits 'update' when a layer is added, changed or cleared, and when its primitive count changes
+ */
+class PrimitiveLayers extends EventEmitter {
+  constructor (scene) {
+    super()
+    this.scene = scene
+    this.layers = new Map()
+  }
+
+  /**
+   * @param {string} [name] - Layer name, the default layer without name
+   * @returns {{name: string, group: THREE.Group, visible: boolean, opacity: number, order: number}}
+   */
+  get (name = DEFAULT_PRIMITIVE_LAYER) {
+    let layer = this.layers.get(name)
+    if (!layer) {
+      layer = { name, group: new THREE.Group(), visible: true, opacity: 1, order: 0 }
+      layer.group.name = `primitives:${name}`
+      this.layers.set(name, layer)
+      this.scene.add(layer.group)
+    }
+    return layer
+  }
+
+  /**
+   * Change the settings of a layer, the settings not given are kept
+   * @param {Object} settings
+   * @param {string} settings.name
+   * @param {boolean} [settings.visible]
+   * @param {number} [settings.opacity] - Multiplies the opacity of the primitives, 0 to 1
+   * @param {number} [settings.order] - Layers of higher order are drawn after the others, so that their
+   *   translucent primitives and labels are blended over them
+   */
+  set ({ name, visible, opacity, order }) {
+    const layer = this.get(name)
+    if (typeof visible === 'boolean') layer.visible = visible
+    if (typeof opacity === 'number') layer.opacity = opacity
+    if (typeof order === 'number') layer.order = order
+    layer.group.visible = layer.visible
+    for (const object of layer.group.children) applyLayer(object, layer)
+    this.emit('update')
+  }
+
+  /**
+   * @param {string} [name] - Layer name, the default layer without name
+   * @param {THREE.Object3D} object - Primitive mesh
+   */
+  add (name, object) {
+    const layer = this.get(name)
+    object.userData.layer = layer.name
+    applyLayer(object, layer)
+    layer.group.add(object)
+    this.emit('update')
+  }
+
+  /**
+   * Fade a primitive of a layer
+   * @param {THREE.Object3D} object - Primitive mesh of a layer
+   * @param {number} opacity - Multiplies the opacity it was drawn with, 0 to 1
+   */
+  setOpacity (object, opacity) {
+    object.userData.opacity = opacity
+    applyLayer(object, this.get(object.userData.layer))
+  }
+
+  /**
+   * @param {THREE.Object3D} object - Primitive mesh of a layer
+   */
+  remove (object) {
+    if (object.parent) object.parent.remove(object)
+    this.emit('update')
+  }
+
+  /**
+   * @returns {Array<{name: string, visible: boolean, opacity: number, order: number, count: number}>} The
+   *   layers in drawing order, with their primitive count
+   */
+  list () {
+    return Array.from(this.layers.values(), ({ name, visible, opacity, order, group }) => ({ name, visible, opacity, order, count: group.children.length }))
+      .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name))
+  }
+
+  /**
+   * Remove the layers from the scene, their primitives are disposed of by their owner
+   */
+  clear () {
+    for (const { group } of this.layers.values()) this.scene.remove(group)
+    this.layers.clear()
+    this.emit('update')
+  }
+}
+
+module.exports = { PrimitiveLayers }
@@ -1,6 +1,91 @@
 const THREE = require('three')
 const { MeshLine, MeshLineMaterial } = require('three.meshline')
+const { createCanvas } = require('canvas')
 const { dispose3 } = require('./dispose')
+const { PrimitiveLayers } = require('./primitiveLayers')
+const { isAnimated, getPrimitiveState } = require('./primitiveAnimation')
+const { PointBuffer } = require('./pointBuffer')
+const {
+  PRIMITIVE_LABEL_FONT,
+  PRIMITIVE_LABEL_LINE_HEIGHT,
+  PRIMITIVE_LABEL_PADDING,
+  PRIMITIVE_LABEL_BACKGROUND,
+  PRIMITIVE_ARROW_RADIUS,
+  PRIMITIVE_ARROW_HEAD_LENGTH,
+  PRIMITIVE_SPHERE_SEGMENTS,
+  PRIMITIVE_FACE_OFFSET
+} = require('./constants')
+
+// Outward normals of the block faces, by face index (0 bottom, 1 top, 2 north, 3 south, 4 west, 5 east)
+const FACE_NORMALS = [[0, -1, 0], [0, 1, 0], [0, 0, -1], [0, 0, 1], [-1, 0, 0], [1, 0, 0]]
+
+// Translucent surfaces don't write depth, so that the world and the other primitives show through them
+function getSurfaceMaterial (color, opacity) {
+  const transparent = opacity < 1
+  return new THREE.MeshBasicMaterial({ color, opacity, transparent, depthWrite: !transparent, side: THREE.DoubleSide })
+}
+
+// Text sprite, facing the camera and drawn over the world, a line of text is `size` blocks high
+function getLabelMesh (text, color, size) {
+  const lines = String(text).split('\n')
+  const measure = createCanvas(1, 1).getContext('2d')
+  measure.font = PRIMITIVE_LABEL_FONT
+  const textWidth = Math.max(...lines.map(line => measure.measureText(line).width))
+
+  const width = Math.ceil(textWidth) + 2 * PRIMITIVE_LABEL_PADDING
+  const height = lines.length * PRIMITIVE_LABEL_LINE_HEIGHT + 2 * PRIMITIVE_LABEL_PADDING
+  const canvas = createCanvas(width, height)
+  const ctx = canvas.getContext('2d')
+  ctx.fillStyle = PRIMITIVE_LABEL_BACKGROUND
+  ctx.fillRect(0, 0, width, height)
+  ctx.font = PRIMITIVE_LABEL_FONT
+  ctx.fillStyle = new THREE.Color(color).getStyle()
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  lines.forEach((line, i) => {
+    ctx.fillText(line, width / 2, PRIMITIVE_LABEL_PADDING + (i + 0.5) * PRIMITIVE_LABEL_LINE_HEIGHT)
+  })
+
+  const texture = new THREE.Texture(canvas)
+  texture.needsUpdate = true
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthTest: false, transparent: true }))
+  sprite.scale.set(width / PRIMITIVE_LABEL_LINE_HEIGHT * size, height / PRIMITIVE_LABEL_LINE_HEIGHT * size, 1)
+  return sprite
+}
+
+// Shaft and head along +y, from the start to the end
+function getArrowMesh (start, end, color) {
+  const direction = new THREE.Vector3().subVectors(end, start)
+  const length = direction.length()
+  const headLength = Math.min(PRIMITIVE_ARROW_HEAD_LENGTH, length / 2)
+  const material = new THREE.MeshBasicMaterial({ color })
+
+  const shaft = new THREE.Mesh(new THREE.CylinderGeometry(PRIMITIVE_ARROW_RADIUS, PRIMITIVE_ARROW_RADIUS, length - headLength, 8), material)
+  shaft.position.y = (length - headLength) / 2
+  const head = new THREE.Mesh(new THREE.ConeGeometry(PRIMITIVE_ARROW_RADIUS * 3, headLength, 8), material)
+  head.position.y = length - headLength / 2
+
+  const arrow = new THREE.Group()
+  arrow.add(shaft, head)
+  arrow.position.copy(start)
+  if (length > 0) arrow.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction.divideScalar(length))
+  return arrow
+}
+
+// Points and line segments are drawn from a PointBuffer, updated in place by the deltas
+function getPointBufferGeometry (buffer) {
+  const position = new THREE.BufferAttribute(buffer.array, 3)
+  position.setUsage(THREE.DynamicDrawUsage)
+  buffer.takeDirtyRange()
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', position)
+  geometry.setDrawRange(0, buffer.pointCount)
+  return geometry
+}
+
+function toVector3 (p) {
+  return new THREE.Vector3(p.x, p.y, p.z)
+}
 
 function getMesh (primitive, camera) {
   if (primitive.type === 'line') {
@@ -35,44 +120,203 @@ function getMesh (primitive, camera) {
   } else if (primitive.type === 'points') {
     const color = primitive.color ? primitive.color : 'aqua'
     const size = primitive.size ? primitive.size : 5
-    const points = []
-    for (const p of primitive.points) {
-      points.push(p.x, p.y, p.z)
-    }
-    const geometry = new THREE.BufferGeometry()
-    geometry.setAttribute('position', new THREE.Float32BufferAttribute(points, 3))
+    const buffer = new PointBuffer(1, primitive.points)
     const material = new THREE.PointsMaterial({ color, size, sizeAttenuation: false })
-    return new THREE.Points(geometry, material)
+    const points = new THREE.Points(getPointBufferGeometry(buffer), material)
+    points.userData.pointBuffer = buffer
+    // Its bounds change with the deltas
+    points.frustumCulled = false
+    return points
+  } else if (primitive.type === 'segments') {
+    const color = primitive.color ? primitive.color : 0xff0000
+    const buffer = new PointBuffer(2, primitive.points)
+    const segments = new THREE.LineSegments(getPointBufferGeometry(buffer), new THREE.LineBasicMaterial({ color }))
+    segments.userData.pointBuffer = buffer
+    segments.frustumCulled = false
+    return segments
+  } else if (primitive.type === 'label') {
+    const color = primitive.color ? primitive.color : 'white'
+    const size = primitive.size ? primitive.size : 0.5
+    const label = getLabelMesh(primitive.text, color, size)
+    label.position.copy(toVector3(primitive.position))
+    return label
+  } else if (primitive.type === 'sphere') {
+    const color = primitive.color ? primitive.color : 0xff0000
+    const radius = primitive.radius ? primitive.radius : 0.5
+    const opacity = typeof primitive.opacity === 'number' ? primitive.opacity : 1
+    const geometry = new THREE.SphereGeometry(radius, PRIMITIVE_SPHERE_SEGMENTS, PRIMITIVE_SPHERE_SEGMENTS / 2)
+    const sphere = new THREE.Mesh(geometry, getSurfaceMaterial(color, opacity))
+    sphere.position.copy(toVector3(primitive.position))
+    return sphere
+  } else if (primitive.type === 'arrow') {
+    const color = primitive.color ? primitive.color : 0xffff00
+    return getArrowMesh(toVector3(primitive.start), toVector3(primitive.end), color)
+  } else if (primitive.type === 'box') {
+    const color = primitive.color ? primitive.color : 'aqua'
+    const opacity = typeof primitive.opacity === 'number' ? primitive.opacity : 0.3
+    const start = toVector3(primitive.start)
+    const size = toVector3(primitive.end).sub(start)
+    const box = new THREE.Mesh(new THREE.BoxGeometry(size.x, size.y, size.z), getSurfaceMaterial(color, opacity))
+    box.position.copy(start).addScaledVector(size, 0.5)
+    return box
+  } else if (primitive.type === 'blockFace') {
+    const color = primitive.color ? primitive.color : 'yellow'
+    const opacity = typeof primitive.opacity === 'number' ? primitive.opacity : 0.5
+    const normal = new THREE.Vector3().fromArray(FACE_NORMALS[primitive.face])
+    const face = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), getSurfaceMaterial(color, opacity))
+    // The plane faces +z, turned to face out of the block
+    const { x, y, z } = primitive.position
+    face.position.set(Math.floor(x) + 0.5, Math.floor(y) + 0.5, Math.floor(z) + 0.5).addScaledVector(normal, 0.5 + PRIMITIVE_FACE_OFFSET)
+    face.lookAt(face.position.clone().add(normal))
+    return face
+  } else if (primitive.type === 'mesh') {
+    const color = primitive.color ? primitive.color : 0xff00ff
+    const opacity = typeof primitive.opacity === 'number' ? primitive.opacity : 1
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(primitive.vertices, 3))
+    if (primitive.indices) geometry.setIndex(primitive.indices)
+    return new THREE.Mesh(geometry, getSurfaceMaterial(color, opacity))
   }
   return null
 }
 
 class Primitives {
-  constructor (scene, camera) {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {THREE.Camera} camera
+   * @param {Entities} [entities] - Entities the primitives can follow
+   */
+  constructor (scene, camera, entities = null) {
     this.scene = scene
     this.camera = camera
+    this.entities = entities
     this.primitives = {}
+    this.layers = new PrimitiveLayers(scene)
+    // Primitives that expire, fade, blink or follow an entity, by id: their timing, followed entity, the time
+    // they were drawn and their position relative to the entity
+    this.animated = new Map()
   }
 
   clear () {
     for (const mesh of Object.values(this.primitives)) {
-      this.scene.remove(mesh)
       dispose3(mesh)
     }
     this.primitives = {}
+    this.animated.clear()
+    this.layers.clear()
   }
 
+  _remove (id) {
+    this.layers.remove(this.primitives[id])
+    dispose3(this.primitives[id])
+    delete this.primitives[id]
+    this.animated.delete(id)
+  }
+
+  /**
+   * Draw, replace or erase (no type) a primitive, in its layer, or apply a delta to it
+   * @param {Object} primitive
+   */
   update (primitive) {
-    if (this.primitives[primitive.id]) {
-      this.scene.remove(this.primitives[primitive.id])
-      dispose3(this.primitives[primitive.id])
-      delete this.primitives[primitive.id]
+    if (primitive.delta) {
+      this._applyDelta(primitive)
+      return
     }
+    if (this.primitives[primitive.id]) this._remove(primitive.id)
 
     const mesh = getMesh(primitive, this.camera)
     if (!mesh) return
     this.primitives[primitive.id] = mesh
-    this.scene.add(mesh)
+    this.layers.add(primitive.layer, mesh)
+
+    if (isAnimated(primitive)) {
+      const { ttl, fade, blink, follow } = primitive
+      this.animated.set(primitive.id, { ttl, fade, blink, follow, start: Date.now(), position: mesh.position.clone() })
+      this._animate(primitive.id, Date.now())
+    }
+  }
+
+  /**
+   * Append or remove points (pairs of points for segments) of a points or segments primitive
+   * @param {{id: string, delta: string, points: Array<{x: number, y: number, z: number}>}} primitive
+   */
+  _applyDelta ({ id, delta, points }) {
+    const mesh = this.primitives[id]
+    const buffer = mesh && mesh.userData.pointBuffer
+    if (!buffer) return
+
+    let grown = false
+    if (delta === 'append') grown = buffer.append(points)
+    else buffer.remove(points)
+
+    if (grown) {
+      // The larger array goes in a new geometry, so that the buffer of the old one is freed
+      mesh.geometry.dispose()
+      mesh.geometry = getPointBufferGeometry(buffer)
+      return
+    }
+    const range = buffer.takeDirtyRange()
+    if (range) {
+      const position = mesh.geometry.attributes.position
+      const pending = position.updateRange
+      // Ranges of the deltas received since the last upload
+      if (pending.count !== -1) {
+        const end = Math.max(pending.offset + pending.count, range.offset + range.count)
+        range.offset = Math.min(pending.offset, range.offset)
+        range.count = end - range.offset
+      }
+      position.updateRange.offset = range.offset
+      position.updateRange.count = range.count
+      position.needsUpdate = true
+    }
+    mesh.geometry.setDrawRange(0, buffer.pointCount)
+  }
+
+  _animate (id, time) {
+    const animation = this.animated.get(id)
+    const state = getPrimitiveState(animation, time - animation.start)
+    if (state.expired) {
+      this._remove(id)
+      return
+    }
+
+    const mesh = this.primitives[id]
+    let visible = state.visible
+    if (typeof animation.follow === 'number') {
+      // Hidden while the entity is not there
+      const entity = this.entities && this.entities.entities[animation.follow]
+      if (entity) mesh.position.addVectors(animation.position, entity.position)
+      else visible = false
+    }
+    mesh.visible = visible
+    if (state.opacity !== (typeof mesh.userData.opacity === 'number' ? mesh.userData.opacity : 1)) {
+      this.layers.setOpacity(mesh, state.opacity)
+    }
+  }
+
+  /**
+   * Expire, fade, blink and move the animated primitives, call it each frame
+   * @param {number} [time] - Milliseconds, Date.now() by default
+   */
+  animate (time = Date.now()) {
+    for (const id of Array.from(this.animated.keys())) this._animate(id, time)
+  }
+
+  /**
+   * @param {{name: string, visible: boolean, opacity: number, order: number}} settings - See PrimitiveLayers.set
+   */
+  setLayer (settings) {
+    this.layers.set(settings)
+  }
+
+  /**
+   * Erase all the primitives of a layer, it keeps its settings
+   * @param {string} name
+   */
+  clearLayer (name) {
+    for (const [id, mesh] of Object.entries(this.primitives)) {
+      if (mesh.userData.layer === name) this._remove(id)
+    }
   }
 }
 
@@ -0,0 +1,94 @@
+/**
+ * Render passes of the world sections: opaque faces, cutout faces (fully transparent
+ * texels, alpha tested) and translucent faces (blended, sorted back to front)
+ * @module viewer/lib/renderLayers
+ */
+
+const { TRANSLUCENT_PIXEL_RATIO } = require('./constants')
+
+const RENDER_LAYERS = ['opaque', 'cutout', 'translucent']
+
+/**
+ * Find the render pass of a texture from its alpha channel
+ * A few stray semi-transparent texels (anti-aliased plant edges) don't make a texture translucent
+ * @param {Uint8ClampedArray|Array<number>} data - RGBA texels of the texture, all frames for animated textures
+ * @returns {string} 'opaque', 'cutout' or 'translucent'
+ */
+function getTextureLayer (data) {
+  const count = data.length / 4
+  let transparent = 0
+  let translucent = 0
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] === 255) continue
+    transparent++
+    if (data[i] > 0) translucent++
+  }
+  if (translucent > 0 && translucent >= count * TRANSLUCENT_PIXEL_RATIO) return 'translucent'
+  return transparent > 0 ? 'cutout' : 'opaque'
+}
+
+/**
+ * Back to front ordering of the translucent faces of a section
+ * The mesher writes the 4 vertices of each face followed by its triangles, so the faces
+ * are the runs of indices pointing to the same 4 vertices
+ */
+class TranslucentSorter {
+  /**
+   * @param {ArrayLike<number>} positions - Vertex positions, 3 per vertex
+   * @param {ArrayLike<number>} indices - Triangle indices, in mesher order
+   */
+  constructor (positions, indices) {
+    this.indices = Uint32Array.from(indices)
+    const starts = []
+    for (let i = 0; i < indices.length; i++) {
+      if (i === 0 || Math.floor(indices[i] / 4) !== Math.floor(indices[i - 1] / 4)) starts.push(i)
+    }
+    starts.push(indices.length)
+    this.starts = Uint32Array.from(starts)
+
+    const count = starts.length - 1
+    this.centers = new Float32Array(count * 3)
+    for (let face = 0; face < count; face++) {
+      const vertex = Math.floor(indices[starts[face]] / 4) * 4
+      for (let axis = 0; axis < 3; axis++) {
+        let sum = 0
+        for (let i = 0; i < 4; i++) sum += positions[(vertex + i) * 3 + axis]
+        this.centers[face * 3 + axis] = sum / 4
+      }
+    }
+    this.distances = new Float32Array(count)
+    this.order = new Uint32Array(count)
+  }
+
+  /**
+   * Write the indices of the faces, farthest from the camera first
+   * @param {number} x - Camera position, relative to the section
+   * @param {number} y
+   * @param {number} z
+   * @param {Uint16Array|Uint32Array} out - Index array of the geometry, as long as the mesher indices
+   * @returns {Uint16Array|Uint32Array} out
+   */
+  sort (x, y, z, out) {
+    const { centers, distances, order, starts, indices } = this
+    for (let face = 0; face < order.length; face++) {
+      const dx = centers[face * 3] - x
+      const dy = centers[face * 3 + 1] - y
+      const dz = centers[face * 3 + 2] - z
+      distances[face] = dx * dx + dy * dy + dz * dz
+      order[face] = face
+    }
+    order.sort((a, b) => distances[b] - distances[a])
+
+    let offset = 0
+    for (const face of order) {
+      for (let i = starts[face]; i < starts[face + 1]; i++) out[offset++] = indices[i]
+    }
+    return out
+  }
+}
+
+module.exports = {
+  RENDER_LAYERS,
+  getTextureLayer,
+  TranslucentSorter
+}
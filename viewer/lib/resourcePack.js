@@ -0,0 +1,149 @@
+/**
+ * Resource packs: reading a pack folder or zip and layering it over the vanilla assets
+ * of minecraft-assets, for makeTextureAtlas and prepareBlocksStates
+ * Only the minecraft namespace is used: block and item textures, block models and block states
+ * @module viewer/lib/resourcePack
+ */
+
+const fs = require('fs')
+const path = require('path')
+const zlib = require('zlib')
+
+const ZIP_END_SIGNATURE = 0x06054b50
+const ZIP_ENTRY_SIGNATURE = 0x02014b50
+const ZIP_LOCAL_SIGNATURE = 0x04034b50
+
+const PACK_ROOT = 'assets/minecraft/'
+
+// Textures of resource packs (textures/block/ since 1.13, textures/blocks/ before) by their minecraft-assets file
+const texturePattern = /^textures\/(blocks?|items?)\/([^/]+\.png)$/
+const modelPattern = /^models\/block\/([^/]+)\.json$/
+const blockStatePattern = /^blockstates\/([^/]+)\.json$/
+
+/**
+ * Read the files of a zip archive (stored or deflated, zip64 is not supported)
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Map<string, Buffer>} File contents by path, without the directories
+ */
+function readZip (buffer) {
+  let end = -1
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === ZIP_END_SIGNATURE) {
+      end = i
+      break
+    }
+  }
+  if (end === -1) throw new Error('Not a zip archive')
+
+  const count = buffer.readUInt16LE(end + 10)
+  let offset = buffer.readUInt32LE(end + 16)
+  if (count === 0xffff || offset === 0xffffffff) throw new Error('Zip64 archives are not supported')
+
+  const files = new Map()
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== ZIP_ENTRY_SIGNATURE) throw new Error('Invalid zip central directory')
+    const flags = buffer.readUInt16LE(offset + 8)
+    const method = buffer.readUInt16LE(offset + 10)
+    const compressedSize = buffer.readUInt32LE(offset + 20)
+    const nameLength = buffer.readUInt16LE(offset + 28)
+    const extraLength = buffer.readUInt16LE(offset + 30)
+    const commentLength = buffer.readUInt16LE(offset + 32)
+    const localOffset = buffer.readUInt32LE(offset + 42)
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength)
+    offset += 46 + nameLength + extraLength + commentLength
+
+    if (name.endsWith('/')) continue
+    if (flags & 1) throw new Error(`${name} is encrypted`)
+    if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_SIGNATURE) throw new Error(`Invalid zip entry ${name}`)
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28)
+    const data = buffer.subarray(start, start + compressedSize)
+    if (method === 0) files.set(name, data)
+    else if (method === 8) files.set(name, zlib.inflateRawSync(data))
+    else throw new Error(`${name} uses the unsupported compression method ${method}`)
+  }
+  return files
+}
+
+function readDirectory (directory, prefix = '', files = new Map()) {
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    const file = path.join(directory, entry.name)
+    if (entry.isDirectory()) readDirectory(file, `${prefix}${entry.name}/`, files)
+    else if (entry.isFile()) files.set(prefix + entry.name, fs.readFileSync(file))
+  }
+  return files
+}
+
+/**
+ * Read the minecraft namespace of a resource pack
+ * The pack can be nested in a folder of the zip, as when zipping the pack folder
+ * @param {string} source - Resource pack folder or zip file
+ * @returns {Map<string, Buffer>} File contents by path in assets/minecraft (textures/block/stone.png...)
+ */
+function readResourcePack (source) {
+  const all = fs.statSync(source).isDirectory() ? readDirectory(source) : readZip(fs.readFileSync(source))
+
+  const packFile = [...all.keys()].find(file => file.startsWith(PACK_ROOT) || file.includes(`/${PACK_ROOT}`))
+  if (!packFile) throw new Error(`${source} is not a resource pack: it has no ${PACK_ROOT} folder`)
+  const root = packFile.slice(0, packFile.indexOf(PACK_ROOT)) + PACK_ROOT
+
+  const files = new Map()
+  for (const [file, content] of all) {
+    if (file.startsWith(root)) files.set(file.slice(root.length), content)
+  }
+  return files
+}
+
+function parseJson (file, content) {
+  try {
+    // Some packs are saved with a byte order mark
+    return JSON.parse(content.toString('utf8').replace(/^\uFEFF/, ''))
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${file}: ${err.message}`)
+  }
+}
+
+/**
+ * Layer a resource pack over the assets of a version
+ * Textures of the pack replace or add to the vanilla ones, with their own animation (a vanilla
+ * .png.mcmeta doesn't apply to a replaced texture), block models and block states replace the vanilla ones
+ * @param {Object} mcAssets - minecraft-assets of the version
+ * @param {Map<string, Buffer>} files - Resource pack files, as returned by readResourcePack
+ * @returns {Object} Assets for makeTextureAtlas and prepareBlocksStates: the vanilla directory, copies of
+ *   the block models and states and `textures`, the pack textures by file (blocks/stone.png): { image, mcmeta }
+ */
+function layerResourcePack (mcAssets, files) {
+  // prepareBlocksStates resolves the models in place
+  const blocksModels = JSON.parse(JSON.stringify(mcAssets.blocksModels))
+  const blocksStates = JSON.parse(JSON.stringify(mcAssets.blocksStates))
+  const textures = new Map()
+
+  for (const [file, content] of files) {
+    let match = texturePattern.exec(file)
+    if (match) {
+      const folder = match[1].startsWith('block') ? 'blocks' : 'items'
+      textures.set(`${folder}/${match[2]}`, { image: content, mcmeta: files.get(`${file}.mcmeta`) || null })
+      continue
+    }
+    match = modelPattern.exec(file)
+    if (match) {
+      blocksModels[match[1]] = parseJson(file, content)
+      continue
+    }
+    match = blockStatePattern.exec(file)
+    if (match) blocksStates[match[1]] = parseJson(file, content)
+  }
+
+  return {
+    version: mcAssets.version,
+    directory: mcAssets.directory,
+    blocksModels,
+    blocksStates,
+    textures
+  }
+}
+
+module.exports = {
+  readZip,
+  readResourcePack,
+  layerResourcePack
+}
@@ -0,0 +1,43 @@
+const fs = require('fs')
+const path = require('path')
+const mcAssets = require('minecraft-assets')
+const { makeTextureAtlas } = require('./atlas')
+const { prepareBlocksStates } = require('./modelsBuilder')
+const { readResourcePack, layerResourcePack } = require('./resourcePack')
+
+/**
+ * Build the texture atlas and the block states of a version with a resource pack layered over the vanilla assets
+ * @param {string} version - Minecraft version
+ * @param {string|Map<string, Buffer>} source - Resource pack folder or zip file, or its files as returned by readResourcePack
+ * @returns {{atlas: Object, blocksStates: Object}} Atlas made by makeTextureAtlas and block states made by prepareBlocksStates
+ */
+function buildResourcePack (version, source) {
+  const files = typeof source === 'string' ? readResourcePack(source) : source
+  const assets = layerResourcePack(mcAssets(version), files)
+  const atlas = makeTextureAtlas(assets)
+  const blocksStates = prepareBlocksStates(assets, atlas)
+  return { atlas, blocksStates }
+}
+
+/**
+ * Write the atlas and the block states of a resource pack, laid out as the public folder:
+ * textures/<version>.png, textures/<version>.json and blocksStates/<version>.json
+ * The viewer loads them with setResourcePack(<URL of the directory>)
+ * @param {string} version - Minecraft version
+ * @param {string|Map<string, Buffer>} source - Resource pack folder or zip file, or its files as returned by readResourcePack
+ * @param {string} directory - Output directory
+ */
+function writeResourcePack (version, source, directory) {
+  const { atlas, blocksStates } = buildResourcePack(version, source)
+
+  const texturesPath = path.join(directory, 'textures')
+  const blockStatesPath = path.join(directory, 'blocksStates')
+  fs.mkdirSync(texturesPath, { recursive: true })
+  fs.mkdirSync(blockStatesPath, { recursive: true })
+
+  fs.writeFileSync(path.join(texturesPath, version + '.png'), atlas.image)
+  fs.writeFileSync(path.join(texturesPath, version + '.json'), JSON.stringify(atlas.json))
+  fs.writeFileSync(path.join(blockStatesPath, version + '.json'), JSON.stringify(blocksStates))
+}
+
+module.exports = { buildResourcePack, writeResourcePack }
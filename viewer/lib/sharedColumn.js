@@ -0,0 +1,388 @@
+/* global SharedArrayBuffer */
+
+/**
+ * Chunk columns stored once in shared memory (SharedArrayBuffer) and read by every mesher worker
+ * Each section holds its block states, block light, sky light and biomes as paletted arrays:
+ * a palette of the values it uses and the index of each block in the palette, packed in 32 bit words
+ * @module viewer/lib/sharedColumn
+ */
+
+const { Vec3 } = require('vec3')
+
+const SECTION_VOLUME = 16 * 16 * 16
+const HEADER_SIZE = 2 // bits per entry and palette size, the palette follows
+
+/**
+ * Whether the columns can be shared with the workers: browsers only allow SharedArrayBuffer
+ * on cross-origin isolated pages (served with the COOP and COEP headers)
+ * @returns {boolean}
+ */
+function isSharedMemoryAvailable () {
+  return typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated !== false
+}
+
+/**
+ * Memory for the arrays of a column: shared when possible, a plain ArrayBuffer for the columns
+ * decoded by a worker of a page that is not cross-origin isolated
+ * @param {number} byteLength
+ * @returns {SharedArrayBuffer|ArrayBuffer}
+ */
+function createBuffer (byteLength) {
+  return typeof SharedArrayBuffer !== 'undefined' ? new SharedArrayBuffer(byteLength) : new ArrayBuffer(byteLength)
+}
+
+// Bits per entry for a palette size, a power of two so that no entry spans two words
+// Values are stored directly past 256 entries
+function getBitsPerEntry (paletteSize) {
+  if (paletteSize <= 1) return 0
+  if (paletteSize <= 2) return 1
+  if (paletteSize <= 4) return 2
+  if (paletteSize <= 16) return 4
+  if (paletteSize <= 256) return 8
+  return 16
+}
+
+function getPaletteCapacity (bits) {
+  return bits === 16 ? 0 : 1 << bits
+}
+
+// Palette index of each value while a paletted array is built, -1 for the values not in the palette
+const paletteIndices = new Int32Array(65536).fill(-1)
+
+/**
+ * Paletted array of the 4096 values of a section, in shared memory
+ * @param {ArrayLike<number>} values - Values indexed by (y * 16 + z) * 16 + x, from 0 to 65535
+ * @returns {Uint32Array} Header, palette and packed indices
+ */
+function createPalettedArray (values) {
+  const palette = []
+  for (let i = 0; i < values.length; i++) {
+    if (paletteIndices[values[i]] === -1) paletteIndices[values[i]] = palette.push(values[i]) - 1
+  }
+  const bits = getBitsPerEntry(palette.length)
+  const capacity = getPaletteCapacity(bits)
+  const words = new Uint32Array(createBuffer((HEADER_SIZE + capacity + SECTION_VOLUME * bits / 32) * 4))
+  words[0] = bits
+  if (bits !== 16) {
+    words[1] = palette.length
+    words.set(palette, HEADER_SIZE)
+  }
+
+  if (bits > 0) {
+    const perWord = 32 / bits
+    let word = HEADER_SIZE + capacity
+    for (let i = 0; i < values.length; i += perWord, word++) {
+      let packed = 0
+      for (let j = 0; j < perWord; j++) {
+        packed |= (bits === 16 ? values[i + j] : paletteIndices[values[i + j]]) << (j * bits)
+      }
+      words[word] = packed
+    }
+  }
+
+  for (const value of palette) paletteIndices[value] = -1
+  return words
+}
+
+function writeEntry (words, capacity, bits, index, entry) {
+  const perWord = 32 / bits
+  const word = HEADER_SIZE + capacity + Math.floor(index / perWord)
+  const shift = (index % perWord) * bits
+  const mask = ((1 << bits) - 1) << shift
+  words[word] = (words[word] & ~mask) | (entry << shift)
+}
+
+/**
+ * Value of a paletted array
+ * @param {Uint32Array} words - Paletted array, as created by createPalettedArray
+ * @param {number} index - (y * 16 + z) * 16 + x
+ * @returns {number}
+ */
+function getPalettedValue (words, index) {
+  const bits = words[0]
+  if (bits === 0) return words[HEADER_SIZE]
+  const capacity = getPaletteCapacity(bits)
+  const perWord = 32 / bits
+  const word = words[HEADER_SIZE + capacity + Math.floor(index / perWord)]
+  const entry = (word >>> ((index % perWord) * bits)) & ((1 << bits) - 1)
+  return bits === 16 ? entry : words[HEADER_SIZE + entry]
+}
+
+/**
+ * Set a value of a paletted array, in place while its palette has room
+ * @param {Uint32Array} words - Paletted array
+ * @param {number} index - (y * 16 + z) * 16 + x
+ * @param {number} value
+ * @returns {Uint32Array} The same array, or a new larger one if the palette was full
+ */
+function setPalettedValue (words, index, value) {
+  const bits = words[0]
+  if (bits === 16) {
+    writeEntry(words, 0, 16, index, value)
+    return words
+  }
+  const size = words[1]
+  let entry = words.subarray(HEADER_SIZE, HEADER_SIZE + size).indexOf(value)
+  if (entry === -1) {
+    if (size === getPaletteCapacity(bits)) {
+      const values = new Uint16Array(SECTION_VOLUME)
+      for (let i = 0; i < SECTION_VOLUME; i++) values[i] = getPalettedValue(words, i)
+      values[index] = value
+      return createPalettedArray(values)
+    }
+    // The palette entry is written before the size, readers never see an unset entry
+    entry = size
+    words[HEADER_SIZE + entry] = value
+    words[1] = size + 1
+  }
+  writeEntry(words, getPaletteCapacity(bits), bits, index, entry)
+  return words
+}
+
+// Whether the sections of a prismarine-chunk column are paletted (1.9+), rather than the 1.8 block arrays
+function isPalettedColumn (column) {
+  return column.sections.every(section => !section || !ArrayBuffer.isView(section.data))
+}
+
+/**
+ * Entries of a prismarine-chunk BitArray: packed across its 32 bit words, or (BitArrayNoSpan, 1.16+) in each
+ * 64 bit long (two words) without spanning the next one
+ * @param {Object} bitArray
+ * @param {Uint16Array} values - Filled with the entries
+ */
+function readBitArray ({ data, bitsPerValue: bits, valueMask: mask, valuesPerLong }, values) {
+  if (valuesPerLong === undefined) {
+    for (let i = 0, bit = 0; i < values.length; i++, bit += bits) {
+      const word = bit >>> 5
+      const shift = bit & 31
+      let value = data[word] >>> shift
+      if (shift + bits > 32) value |= data[word + 1] << (32 - shift)
+      values[i] = value & mask
+    }
+    return
+  }
+  for (let i = 0, word = 0; i < values.length; word += 2) {
+    const low = data[word]
+    const high = data[word + 1]
+    for (let j = 0, shift = 0; j < valuesPerLong && i < values.length; j++, i++, shift += bits) {
+      if (shift >= 32) values[i] = (high >>> (shift - 32)) & mask
+      else if (shift + bits > 32) values[i] = ((low >>> shift) | (high << (32 - shift))) & mask
+      else values[i] = (low >>> shift) & mask
+    }
+  }
+}
+
+/**
+ * Values of a prismarine-chunk paletted container: a section before 1.18 (without palette when it uses the
+ * global one), or the single value, indirect and direct containers of 1.18+
+ * @param {Object} container
+ * @param {Uint16Array} values - Filled with the values, unless they are all the same
+ * @returns {number} The value of all the entries, -1 if they were read to values
+ */
+function readPalettedContainer (container, values) {
+  if (container.data === undefined) return container.value
+  // 1.18+ sections hold their container, the others a BitArray
+  if (container.data.valueMask === undefined) return readPalettedContainer(container.data, values)
+  const palette = container.palette
+  if (palette && palette.length === 1) return palette[0]
+  readBitArray(container.data, values)
+  if (palette) {
+    for (let i = 0; i < values.length; i++) values[i] = palette[values[i]]
+  }
+  return -1
+}
+
+// Light of a section, 0 without a light array
+function readLight (bitArray, values) {
+  if (!bitArray) return 0
+  readBitArray(bitArray, values)
+  return -1
+}
+
+// Biomes of the 4x4x4 cells of a section, by (y * 4 + z) * 4 + x
+const biomeCells = new Uint16Array(64)
+
+function readBiomes (column, section, sectionY, values) {
+  if (column.biomes.length === 256) {
+    // Before 1.15: a biome for each x and z of the column
+    for (let i = 0; i < SECTION_VOLUME; i++) values[i] = column.biomes[i & 255]
+    return -1
+  }
+  if (typeof column.biomes[0] === 'object') {
+    // 1.18+: a paletted container for each section
+    const container = column.biomes[section]
+    if (!container) return 0
+    const biome = readPalettedContainer(container.data, biomeCells)
+    if (biome !== -1) return biome
+  } else {
+    // 1.15 to 1.17: the cells of the column, the getters wrap past 64 cells high
+    if (sectionY < 0 || sectionY >= (column.worldHeight ?? 256)) return 0
+    for (let i = 0; i < 64; i++) biomeCells[i] = column.biomes[((((sectionY >> 2) + (i >> 4)) & 63) << 4) | (i & 15)]
+  }
+  let index = 0
+  for (let y = 0; y < 16; y++) {
+    for (let z = 0; z < 16; z++) {
+      for (let x = 0; x < 16; x++, index++) values[index] = biomeCells[(y >> 2) << 4 | (z >> 2) << 2 | x >> 2]
+    }
+  }
+  return -1
+}
+
+// Values of the section being read
+const sectionValues = new Uint16Array(SECTION_VOLUME)
+
+// Paletted array of the values read to sectionValues, or of a single value
+function toPalettedArray (value) {
+  return createPalettedArray(value === -1 ? sectionValues : [value])
+}
+
+/**
+ * Add a section to the data of a SharedColumn, from the palettes and bit arrays of a paletted column (1.9+)
+ * @param {Object} column - prismarine-chunk column
+ * @param {number} baseY - Lowest block Y of the section
+ * @param {Object} data - Paletted arrays of the sections
+ */
+function readPalettedSection (column, baseY, data) {
+  const sectionY = baseY - (column.minY ?? 0)
+  const index = sectionY >> 4
+  const section = column.sections[index]
+  data.sections.push(section ? toPalettedArray(readPalettedContainer(section, sectionValues)) : null)
+  if (column.skyLightSections) {
+    // 1.14+: the light of the column, with a section more below and above it
+    data.blockLight.push(toPalettedArray(readLight(column.blockLightSections[index + 1], sectionValues)))
+    data.skyLight.push(toPalettedArray(readLight(column.skyLightSections[index + 1], sectionValues)))
+  } else if (section) {
+    data.blockLight.push(toPalettedArray(readLight(section.blockLight, sectionValues)))
+    data.skyLight.push(toPalettedArray(readLight(section.skyLight, sectionValues)))
+  } else {
+    // Before 1.14, the sections without blocks are lit
+    data.blockLight.push(toPalettedArray(15))
+    data.skyLight.push(toPalettedArray(15))
+  }
+  data.biomes.push(toPalettedArray(readBiomes(column, index, sectionY, sectionValues)))
+}
+
+/**
+ * Add a section to the data of a SharedColumn, read block by block (1.8 columns)
+ * @param {Object} column - prismarine-chunk column
+ * @param {number} baseY - Lowest block Y of the section
+ * @param {Object} data - Paletted arrays of the sections
+ */
+function readSectionBlocks (column, baseY, data) {
+  const states = new Uint16Array(SECTION_VOLUME)
+  const blockLight = new Uint16Array(SECTION_VOLUME)
+  const skyLight = new Uint16Array(SECTION_VOLUME)
+  const biomes = new Uint16Array(SECTION_VOLUME)
+  const hasBlocks = !!column.sections[Math.floor((baseY - (column.minY ?? 0)) / 16)]
+  const pos = new Vec3(0, 0, 0)
+  let index = 0
+  for (pos.y = baseY; pos.y < baseY + 16; pos.y++) {
+    for (pos.z = 0; pos.z < 16; pos.z++) {
+      for (pos.x = 0; pos.x < 16; pos.x++, index++) {
+        if (hasBlocks) states[index] = column.getBlockStateId(pos)
+        blockLight[index] = column.getBlockLight(pos)
+        skyLight[index] = column.getSkyLight(pos)
+        // Biomes are stored by cells of 4 blocks high (or by column in the older versions)
+        biomes[index] = (pos.y & 3) === 0 ? column.getBiome(pos) : biomes[index - 256]
+      }
+    }
+  }
+  data.sections.push(hasBlocks ? createPalettedArray(states) : null)
+  data.blockLight.push(createPalettedArray(blockLight))
+  data.skyLight.push(createPalettedArray(skyLight))
+  data.biomes.push(createPalettedArray(biomes))
+}
+
+/**
+ * Column read by the World of the workers in place of a prismarine-chunk column
+ * Positions have x and z in the column (0 to 15) and an absolute y
+ */
+class SharedColumn {
+  /**
+   * @param {Object} data - Paletted arrays of the sections, as given by toData
+   */
+  constructor ({ minY, sections, blockLight, skyLight, biomes }) {
+    this.minY = minY
+    // Block states of each section, null for the sections without blocks
+    this.sections = sections
+    this.blockLight = blockLight
+    this.skyLight = skyLight
+    this.biomes = biomes
+  }
+
+  /**
+   * Copy a prismarine-chunk column to shared memory
+   * @param {Object} column - prismarine-chunk column
+   * @param {number} minY - Lowest block Y of the world
+   * @param {number} height - Height of the world
+   * @returns {SharedColumn}
+   */
+  static fromColumn (column, minY, height) {
+    const data = { minY, sections: [], blockLight: [], skyLight: [], biomes: [] }
+    const readSection = isPalettedColumn(column) ? readPalettedSection : readSectionBlocks
+    for (let baseY = minY; baseY < minY + height; baseY += 16) readSection(column, baseY, data)
+    return new SharedColumn(data)
+  }
+
+  /**
+   * Paletted arrays of the sections, to post to a worker (the memory is shared, not copied)
+   * @returns {Object}
+   */
+  toData () {
+    return { minY: this.minY, sections: this.sections, blockLight: this.blockLight, skyLight: this.skyLight, biomes: this.biomes }
+  }
+
+  // Bytes of shared memory used by the column
+  get byteLength () {
+    let bytes = 0
+    for (const arrays of [this.sections, this.blockLight, this.skyLight, this.biomes]) {
+      for (const words of arrays) bytes += words ? words.byteLength : 0
+    }
+    return bytes
+  }
+
+  _get (arrays, pos) {
+    const words = arrays[(pos.y - this.minY) >> 4]
+    return words ? getPalettedValue(words, ((((pos.y - this.minY) & 15) << 4 | pos.z) << 4) | pos.x) : 0
+  }
+
+  getBlockStateId (pos) {
+    return this._get(this.sections, pos)
+  }
+
+  getBlockLight (pos) {
+    return this._get(this.blockLight, pos)
+  }
+
+  getSkyLight (pos) {
+    return this._get(this.skyLight, pos)
+  }
+
+  getBiome (pos) {
+    return this._get(this.biomes, pos)
+  }
+
+  /**
+   * Set the state of a block
+   * @returns {boolean} true if the arrays of a section were replaced, the workers have to be given them again
+   */
+  setBlockStateId (pos, stateId) {
+    const section = (pos.y - this.minY) >> 4
+    if (section < 0 || section >= this.sections.length) return false
+    const index = ((((pos.y - this.minY) & 15) << 4 | pos.z) << 4) | pos.x
+    const words = this.sections[section] ?? createPalettedArray(new Uint16Array(SECTION_VOLUME))
+    const updated = setPalettedValue(words, index, stateId)
+    if (updated === this.sections[section]) return false
+    this.sections[section] = updated
+    return true
+  }
+}
+
+module.exports = {
+  isSharedMemoryAvailable,
+  createBuffer,
+  createPalettedArray,
+  getPalettedValue,
+  setPalettedValue,
+  SharedColumn
+}
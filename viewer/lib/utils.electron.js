@@ -10,8 +10,21 @@ function loadTexture (texture, cb) {
   cb(textureCache[texture])
 }
 
-function loadJSON (json, cb) {
-  cb(require(path.resolve(__dirname, '../../public/' + json)))
+function tryLoadTexture (texture, cb) {
+  const url = texture.startsWith('data:') ? texture : path.resolve(__dirname, '../../public/' + texture)
+  new THREE.TextureLoader().load(url, cb, undefined, () => {})
 }
 
-module.exports = { loadTexture, loadJSON }
+// onError is called when the file is missing, without it the error is thrown
+function loadJSON (json, cb, onError) {
+  let data
+  try {
+    data = require(path.resolve(__dirname, '../../public/' + json))
+  } catch (err) {
+    if (onError) return onError(err)
+    throw err
+  }
+  cb(data)
+}
+
+module.exports = { loadTexture, tryLoadTexture, loadJSON }
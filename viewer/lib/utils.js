@@ -26,11 +26,28 @@ function loadTexture (texture, cb) {
   }
 }
 
-function loadJSON (json, cb) {
+function tryLoadTexture (texture, cb) {
   if (process.platform === 'browser') {
-    return require('./utils.web').loadJSON(json, cb)
+    return require('./utils.web').tryLoadTexture(texture, cb)
   }
-  cb(require(path.resolve(__dirname, '../../public/' + json)))
+
+  const file = texture.startsWith('data:') ? texture : path.resolve(__dirname, '../../public/' + texture)
+  loadImage(file).then(image => cb(new THREE.CanvasTexture(image)), () => {})
+}
+
+// onError is called when the file is missing, without it the error is thrown
+function loadJSON (json, cb, onError) {
+  if (process.platform === 'browser') {
+    return require('./utils.web').loadJSON(json, cb, onError)
+  }
+  let data
+  try {
+    data = require(path.resolve(__dirname, '../../public/' + json))
+  } catch (err) {
+    if (onError) return onError(err)
+    throw err
+  }
+  cb(data)
 }
 
-module.exports = { loadTexture, loadJSON }
+module.exports = { loadTexture, tryLoadTexture, loadJSON }
@@ -9,7 +9,17 @@ function loadTexture (texture, cb) {
   cb(textureCache[texture])
 }
 
-function loadJSON (url, callback) {
+// For textures that may not exist (skins): cb is only called once the texture is loaded
+function tryLoadTexture (url, cb) {
+  new THREE.TextureLoader().load(url, cb, undefined, () => {})
+}
+
+// onError is called when the file is missing or can't be fetched, without it the error is thrown
+function loadJSON (url, callback, onError) {
+  const fail = (error) => {
+    if (onError) return onError(error)
+    throw error
+  }
   const xhr = new XMLHttpRequest()
   xhr.open('GET', url, true)
   xhr.responseType = 'json'
@@ -18,10 +28,13 @@ function loadJSON (url, callback) {
     if (status === 200) {
       callback(xhr.response)
     } else {
-      throw new Error(url + ' not found')
+      fail(new Error(url + ' not found'))
     }
   }
+  xhr.onerror = function () {
+    fail(new Error(url + ' could not be loaded'))
+  }
   xhr.send()
 }
 
-module.exports = { loadTexture, loadJSON }
+module.exports = { loadTexture, tryLoadTexture, loadJSON }
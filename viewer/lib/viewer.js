@@ -3,22 +3,26 @@ const TWEEN = require('@tweenjs/tween.js')
 const { WorldRenderer } = require('./worldrenderer')
 const { Entities } = require('./entities')
 const { Primitives } = require('./primitives')
+const { Viewport } = require('./viewport')
 const { getVersion } = require('./version')
 const { Vec3 } = require('vec3')
 const {
   PLAYER_HEIGHT,
   TWEEN_DURATION_MS,
-  SNEAK_HEIGHT_OFFSET
+  SNEAK_HEIGHT_OFFSET,
+  SKYBOX_COLOR
 } = require('./constants')
 
 // Reusable objects for raycasting to avoid GC pressure
 const _raycaster = new THREE.Raycaster()
 const _mouse = new THREE.Vector2()
+const _size = new THREE.Vector2()
 
 class Viewer {
   constructor (renderer) {
     this.scene = new THREE.Scene()
-    this.scene.background = new THREE.Color('lightblue')
+    this.skyColor = new THREE.Color(SKYBOX_COLOR)
+    this.scene.background = this.skyColor.clone()
 
     this.ambientLight = new THREE.AmbientLight(0xcccccc)
     this.scene.add(this.ambientLight)
@@ -32,15 +36,17 @@ class Viewer {
     this.camera = new THREE.PerspectiveCamera(75, size.x / size.y, 0.1, 1000)
 
     this.world = new WorldRenderer(this.scene)
-    this.entities = new Entities(this.scene)
-    this.primitives = new Primitives(this.scene, this.camera)
+    this.entities = new Entities(this.scene, this.world)
+    this.primitives = new Primitives(this.scene, this.camera, this.entities)
 
     this.domElement = renderer.domElement
     this.playerHeight = PLAYER_HEIGHT
     this.isSneaking = false
 
-    // Track active tweens to prevent memory leaks
-    this.cameraTween = null
+    // Cameras drawing the scene, each in a region of the canvas, in drawing order
+    // The main viewport has this.camera, the meshing order follows it
+    this.viewports = new Map([['main', new Viewport('main', this.camera)]])
+    this.focusListener = null
 
     // Performance settings
     this.enableFrustumCulling = true
@@ -48,10 +54,7 @@ class Viewer {
 
   resetAll () {
     // Stop any active camera tween
-    if (this.cameraTween) {
-      this.cameraTween.stop()
-      this.cameraTween = null
-    }
+    this._stopCameraTweens()
 
     this.world.resetWorld()
     this.entities.clear()
@@ -63,10 +66,12 @@ class Viewer {
    * Call this when the viewer is no longer needed
    */
   dispose () {
-    // Stop camera tween
-    if (this.cameraTween) {
-      this.cameraTween.stop()
-      this.cameraTween = null
+    // Stop camera tweens
+    this._stopCameraTweens()
+    if (this.focusListener) {
+      this.domElement.removeEventListener('pointerdown', this.focusListener, true)
+      this.domElement.removeEventListener('wheel', this.focusListener, true)
+      this.focusListener = null
     }
 
     // Dispose world renderer (includes workers)
@@ -118,46 +123,210 @@ class Viewer {
     console.log('Using version: ' + version)
     this.version = version
     this.world.setVersion(version)
-    this.entities.clear()
+    this.entities.setVersion(version)
     this.primitives.clear()
     return true
   }
 
-  addColumn (x, z, chunk) {
-    this.world.addColumn(x, z, chunk)
+  addColumn (x, z, chunk, blockEntities) {
+    this.world.addColumn(x, z, chunk, blockEntities)
   }
 
   removeColumn (x, z) {
     this.world.removeColumn(x, z)
   }
 
+  addLodColumn (x, z, heightmap) {
+    this.world.addLodColumn(x, z, heightmap)
+  }
+
+  removeLodColumn (x, z) {
+    this.world.removeLodColumn(x, z)
+  }
+
   setBlockStateId (pos, stateId) {
     this.world.setBlockStateId(pos, stateId)
   }
 
+  /**
+   * Set the data of a block entity: sign text, banner and bed colours, skull type
+   * @param {{x: number, y: number, z: number}} pos - Block position
+   * @param {Object|null} nbt - Plain block entity data, null if the block entity was removed
+   */
+  setBlockEntity (pos, nbt) {
+    this.world.setBlockEntity(pos, nbt)
+  }
+
+  /**
+   * Change the vertical bounds of the world (dimension change)
+   * Loaded columns are dropped and need to be added again
+   * @param {number} minY - Lowest block Y
+   * @param {number} height - Number of blocks from minY to the build limit
+   */
+  setWorldBounds (minY, height) {
+    this.world.setWorldBounds(minY, height)
+  }
+
   updateEntity (e) {
     this.entities.update(e)
   }
 
+  /**
+   * Set the directory player skins are loaded from
+   * Skins are looked up by texture hash, then by username
+   * @param {string|null} directory - URL of the skin directory, null to only use data URL skins
+   */
+  setSkinDirectory (directory) {
+    this.entities.setSkinDirectory(directory)
+  }
+
+  /**
+   * Use the texture atlas and the block models of a resource pack, without reloading the page
+   * Packs are built with viewer/resourcepack.js
+   * @param {string|null} url - URL of the pack directory, null for the vanilla assets
+   * @returns {Promise<void>} Resolves once the workers have the block models of the pack
+   */
+  setResourcePack (url) {
+    return this.world.setResourcePack(url)
+  }
+
+  /**
+   * Keep the geometry of the meshed sections in a cache, to draw the areas visited again without meshing them
+   * @param {GeometryCache|null} cache - A GeometryCache over an IndexedDBStore (browser) or a FileStore (node),
+   *   null to disable caching
+   */
+  setGeometryCache (cache) {
+    this.world.setGeometryCache(cache)
+  }
+
   updatePrimitive (p) {
     this.primitives.update(p)
   }
 
-  setFirstPersonCamera (pos, yaw, pitch) {
+  /**
+   * Enable or disable block and sky light shading of the world
+   * @param {boolean} enabled - Whether to apply light levels
+   */
+  setLighting (enabled) {
+    this.world.setLighting(enabled)
+    this._updateSkyColor()
+  }
+
+  /**
+   * Set the time of day, dimming the sky light and the sky color
+   * @param {number} timeOfDay - Time of day in ticks (0 to 24000)
+   */
+  setTimeOfDay (timeOfDay) {
+    this.world.setTimeOfDay(timeOfDay)
+    this._updateSkyColor()
+  }
+
+  _updateSkyColor () {
+    if (!this.scene.background) return
+    const { enabled, skyLightFactor } = this.world.getStats().lighting
+    this.scene.background.copy(this.skyColor).multiplyScalar(enabled ? skyLightFactor : 1)
+  }
+
+  /**
+   * Move a camera to the eyes of a player
+   * @param {Vec3|null} pos - Player position, null to only turn the camera
+   * @param {number} yaw
+   * @param {number} pitch
+   * @param {string} [name] - Name of the viewport of the camera
+   */
+  setFirstPersonCamera (pos, yaw, pitch, name = 'main') {
+    const viewport = this.getViewport(name)
+    const camera = viewport.camera
     if (pos) {
       let y = pos.y + this.playerHeight
       if (this.isSneaking) y -= SNEAK_HEIGHT_OFFSET
 
       // Stop previous camera tween to prevent memory leak
-      if (this.cameraTween) {
-        this.cameraTween.stop()
+      if (viewport.cameraTween) {
+        viewport.cameraTween.stop()
       }
 
-      this.cameraTween = new TWEEN.Tween(this.camera.position)
+      viewport.cameraTween = new TWEEN.Tween(camera.position)
         .to({ x: pos.x, y, z: pos.z }, TWEEN_DURATION_MS)
         .start()
     }
-    this.camera.rotation.set(pitch, yaw, 0, 'ZYX')
+    camera.rotation.set(pitch, yaw, 0, 'ZYX')
+  }
+
+  _stopCameraTweens () {
+    for (const viewport of this.viewports.values()) {
+      if (viewport.cameraTween) {
+        viewport.cameraTween.stop()
+        viewport.cameraTween = null
+      }
+    }
+  }
+
+  /**
+   * Draw the scene with another camera too, in a region of the canvas (split screen), without another copy of
+   * the world. Viewports are drawn by render, in the order they were added
+   * @param {string} name
+   * @param {THREE.Camera} camera - Perspective or orthographic camera
+   * @param {Object} [options] - Region, culling and controls of the viewport, see Viewport
+   * @returns {Viewport}
+   */
+  addViewport (name, camera, options) {
+    if (this.viewports.has(name)) throw new Error(`Viewport ${name} already exists`)
+    const viewport = new Viewport(name, camera, options)
+    this.viewports.set(name, viewport)
+    this._listenViewportFocus()
+    return viewport
+  }
+
+  /**
+   * @param {string} name - Name of a viewport added with addViewport
+   */
+  removeViewport (name) {
+    if (name === 'main') throw new Error('The main viewport can\'t be removed')
+    const viewport = this.viewports.get(name)
+    if (!viewport) return
+    if (viewport.cameraTween) viewport.cameraTween.stop()
+    this.viewports.delete(name)
+  }
+
+  /**
+   * @param {string} [name]
+   * @returns {Viewport}
+   */
+  getViewport (name = 'main') {
+    const viewport = this.viewports.get(name)
+    if (!viewport) throw new Error(`Unknown viewport ${name}`)
+    return viewport
+  }
+
+  /**
+   * Viewport drawn at a point of the canvas, the last added on top
+   * @param {number} clientX - Pointer position, in pixels
+   * @param {number} clientY
+   * @returns {Viewport|null}
+   */
+  getViewportAt (clientX, clientY) {
+    const x = clientX / this.domElement.clientWidth
+    const y = clientY / this.domElement.clientHeight
+    let found = null
+    for (const viewport of this.viewports.values()) {
+      if (viewport.enabled && viewport.containsPoint(x, y)) found = viewport
+    }
+    return found
+  }
+
+  // Pointer input only moves the controls of the viewport it starts in
+  _listenViewportFocus () {
+    if (this.focusListener || typeof this.domElement.addEventListener !== 'function') return
+    this.focusListener = (evt) => {
+      const focused = this.getViewportAt(evt.clientX, evt.clientY)
+      for (const viewport of this.viewports.values()) {
+        if (viewport.controls) viewport.controls.enabled = viewport === focused
+      }
+    }
+    // Captured, before the controls get the event
+    this.domElement.addEventListener('pointerdown', this.focusListener, true)
+    this.domElement.addEventListener('wheel', this.focusListener, true)
   }
 
   listen (emitter) {
@@ -169,23 +338,65 @@ class Viewer {
       this.updatePrimitive(p)
     })
 
-    emitter.on('loadChunk', ({ x, z, chunk }) => {
-      this.addColumn(x, z, chunk)
+    emitter.on('primitives', ({ updates }) => {
+      for (const p of updates) this.updatePrimitive(p)
+    })
+
+    emitter.on('primitiveLayer', (layer) => {
+      this.primitives.setLayer(layer)
+    })
+
+    emitter.on('clearLayer', ({ name }) => {
+      this.primitives.clearLayer(name)
+    })
+
+    emitter.on('loadChunk', ({ x, z, chunk, blockEntities }) => {
+      this.addColumn(x, z, chunk, blockEntities)
     })
 
     emitter.on('unloadChunk', ({ x, z }) => {
       this.removeColumn(x, z)
     })
 
+    // Far columns, sent as heightmaps when the WorldView has a LOD distance
+    emitter.on('loadLodChunk', ({ x, z, heights, stateIds, biomes }) => {
+      this.addLodColumn(x, z, { heights, stateIds, biomes })
+    })
+
+    emitter.on('unloadLodChunk', ({ x, z }) => {
+      this.removeLodColumn(x, z)
+    })
+
     emitter.on('blockUpdate', ({ pos, stateId }) => {
       this.setBlockStateId(new Vec3(pos.x, pos.y, pos.z), stateId)
     })
 
+    emitter.on('blockEntityUpdate', ({ pos, nbt }) => {
+      this.setBlockEntity(pos, nbt)
+    })
+
+    // Packs served by the mineflayer server (its resourcePacks option), null name for the vanilla assets
+    emitter.on('resourcePack', ({ name }) => {
+      this.setResourcePack(name ? `resourcepacks/${name}` : null)
+    })
+
+    emitter.on('dimension', ({ minY, height }) => {
+      this.setWorldBounds(minY, height)
+    })
+
+    // Worlds coming with a time of day come from a server, so they carry real light data
+    emitter.on('time', ({ timeOfDay }) => {
+      if (!this.world.lightUniforms.lightingEnabled.value) this.setLighting(true)
+      this.setTimeOfDay(timeOfDay)
+    })
+
     this.domElement.addEventListener('pointerdown', (evt) => {
+      // Ray from the camera of the viewport clicked in
+      const viewport = this.getViewportAt(evt.clientX, evt.clientY)
+      if (!viewport) return
       // Reuse raycaster and mouse vector to avoid GC pressure
-      _mouse.x = (evt.clientX / this.domElement.clientWidth) * 2 - 1
-      _mouse.y = -(evt.clientY / this.domElement.clientHeight) * 2 + 1
-      _raycaster.setFromCamera(_mouse, this.camera)
+      viewport.getPointerCoords(evt.clientX / this.domElement.clientWidth, evt.clientY / this.domElement.clientHeight, _mouse)
+      _raycaster.setFromCamera(_mouse, viewport.camera)
       const ray = _raycaster.ray
       emitter.emit('mouseClick', { origin: ray.origin, direction: ray.direction, button: evt.button })
     })
@@ -196,10 +407,27 @@ class Viewer {
    */
   update () {
     TWEEN.update()
+    if (this.entities) this.entities.animate()
+    if (this.primitives) this.primitives.animate()
+    if (this.world) this.world.updateTextureAnimations()
+
+    for (const viewport of this.viewports.values()) {
+      if (viewport.controls && viewport.enabled) viewport.controls.update()
+    }
 
-    // Update frustum culling
-    if (this.enableFrustumCulling && this.world) {
-      this.world.updateFrustumCulling(this.camera)
+    // Update frustum and occlusion culling, for each viewport before drawing it when there are several
+    if (this.world && (this.enableFrustumCulling || this.world.occlusionCullingEnabled)) {
+      this._updateCulling(this.getViewport())
+    }
+
+    // Translucent faces (water, stained glass) are blended back to front, for each viewport before drawing it when there are several
+    if (this.world && !this._getDrawnViewports().split) {
+      this.world.updateTranslucentSorting(this.camera)
+    }
+
+    // Sections near the camera and in view are meshed first
+    if (this.world) {
+      this.world.updateMeshingQueue(this.camera)
     }
 
     // Clear pending dirty sections at end of frame
@@ -208,6 +436,48 @@ class Viewer {
     }
   }
 
+  _updateCulling (viewport) {
+    this.world.updateFrustumCulling(viewport.camera, {
+      frustumCulling: this.enableFrustumCulling && viewport.frustumCulling,
+      occlusionCulling: this.world.occlusionCullingEnabled && viewport.occlusionCulling
+    })
+    viewport.visibleMeshes = this.world.visibleMeshCount
+    viewport.totalMeshes = this.world.totalMeshCount
+    viewport.occludedMeshes = this.world.occludedMeshCount
+  }
+
+  // Viewports drawn by render, split when they aren't the main camera over the whole canvas
+  _getDrawnViewports () {
+    const viewports = Array.from(this.viewports.values()).filter(viewport => viewport.enabled)
+    const split = viewports.length > 1 || (viewports.length === 1 && viewports[0] !== this.getViewport())
+    return { viewports, split }
+  }
+
+  /**
+   * Draw the viewports, each in its region of the canvas with its own culling and translucent sorting pass
+   * Call after update, instead of renderer.render(viewer.scene, viewer.camera)
+   * @param {THREE.WebGLRenderer} renderer
+   */
+  render (renderer) {
+    const { x: width, y: height } = renderer.getSize(_size)
+    const { viewports, split } = this._getDrawnViewports()
+    for (const viewport of viewports) {
+      const rect = viewport.getRect(width, height)
+      if (rect.width <= 0 || rect.height <= 0) continue
+      viewport.updateAspect(rect.width / rect.height)
+      if (split && this.world) {
+        this._updateCulling(viewport)
+        this.world.updateTranslucentSorting(viewport.camera)
+      }
+      renderer.setViewport(rect.x, rect.y, rect.width, rect.height)
+      renderer.setScissor(rect.x, rect.y, rect.width, rect.height)
+      renderer.setScissorTest(split)
+      renderer.render(this.scene, viewport.camera)
+    }
+    renderer.setViewport(0, 0, width, height)
+    renderer.setScissorTest(false)
+  }
+
   /**
    * Enable or disable frustum culling
    * @param {boolean} enabled - Whether to enable frustum culling
@@ -219,13 +489,30 @@ class Viewer {
     }
   }
 
+  /**
+   * Enable or disable occlusion culling of the sections hidden behind opaque blocks
+   * @param {boolean} enabled - Whether to enable occlusion culling
+   */
+  setOcclusionCulling (enabled) {
+    if (this.world) {
+      this.world.setOcclusionCulling(enabled)
+    }
+  }
+
   /**
    * Get performance statistics
    */
   getStats () {
     return {
       world: this.world ? this.world.getStats() : null,
-      frustumCullingEnabled: this.enableFrustumCulling
+      frustumCullingEnabled: this.enableFrustumCulling,
+      viewports: Array.from(this.viewports.values(), ({ name, enabled, visibleMeshes, totalMeshes, occludedMeshes }) => ({
+        name,
+        enabled,
+        visibleMeshes,
+        culledMeshes: totalMeshes - visibleMeshes - occludedMeshes,
+        occludedMeshes
+      }))
     }
   }
 
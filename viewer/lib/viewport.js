@@ -0,0 +1,109 @@
+/**
+ * Viewports of a Viewer: cameras drawing the same scene, each in a region of the canvas (split screen)
+ * @module viewer/lib/viewport
+ */
+
+class Viewport {
+  /**
+   * @param {string} name
+   * @param {THREE.Camera} camera - Perspective or orthographic camera, its aspect ratio follows the region
+   * @param {Object} [options]
+   * @param {number} [options.x] - Left of the region, as a fraction of the canvas width (0 to 1)
+   * @param {number} [options.y] - Top of the region, as a fraction of the canvas height (0 to 1)
+   * @param {number} [options.width] - Width of the region, as a fraction of the canvas width
+   * @param {number} [options.height] - Height of the region, as a fraction of the canvas height
+   * @param {boolean} [options.frustumCulling] - Cull the sections out of the camera view, if the world does
+   * @param {boolean} [options.occlusionCulling] - Cull the sections hidden from the camera, if the world does
+   * @param {Object} [options.controls] - Controls of the camera (OrbitControls, MapControls...), updated each
+   *   frame, and only enabled while the pointer input is over the region
+   */
+  constructor (name, camera, { x = 0, y = 0, width = 1, height = 1, frustumCulling = true, occlusionCulling = true, controls = null } = {}) {
+    this.name = name
+    this.camera = camera
+    this.controls = controls
+    this.frustumCulling = frustumCulling
+    this.occlusionCulling = occlusionCulling
+    this.enabled = true
+    this.setRegion(x, y, width, height)
+
+    // Tween of setFirstPersonCamera
+    this.cameraTween = null
+    this.aspect = null
+
+    // Sections drawn and culled by the last culling pass of the viewport
+    this.visibleMeshes = 0
+    this.totalMeshes = 0
+    this.occludedMeshes = 0
+  }
+
+  /**
+   * @param {number} x - Left, as a fraction of the canvas width
+   * @param {number} y - Top, as a fraction of the canvas height
+   * @param {number} width - Fraction of the canvas width
+   * @param {number} height - Fraction of the canvas height
+   */
+  setRegion (x, y, width, height) {
+    this.region = { x, y, width, height }
+  }
+
+  /**
+   * Region in pixels, from the bottom left of the canvas as WebGL has it
+   * @param {number} canvasWidth
+   * @param {number} canvasHeight
+   * @returns {{x: number, y: number, width: number, height: number}}
+   */
+  getRect (canvasWidth, canvasHeight) {
+    const { x, y, width, height } = this.region
+    const left = Math.round(x * canvasWidth)
+    const top = Math.round(y * canvasHeight)
+    const right = Math.round((x + width) * canvasWidth)
+    const bottom = Math.round((y + height) * canvasHeight)
+    return { x: left, y: canvasHeight - bottom, width: right - left, height: bottom - top }
+  }
+
+  /**
+   * @param {number} x - Pointer x, as a fraction of the canvas width
+   * @param {number} y - Pointer y, as a fraction of the canvas height, from the top
+   * @returns {boolean} Whether the point is in the region
+   */
+  containsPoint (x, y) {
+    const region = this.region
+    return x >= region.x && x < region.x + region.width && y >= region.y && y < region.y + region.height
+  }
+
+  /**
+   * Pointer position in the normalized device coordinates of the camera (-1 to 1), for raycasting
+   * @param {number} x - Pointer x, as a fraction of the canvas width
+   * @param {number} y - Pointer y, as a fraction of the canvas height, from the top
+   * @param {THREE.Vector2} target
+   * @returns {THREE.Vector2} target
+   */
+  getPointerCoords (x, y, target) {
+    const region = this.region
+    return target.set(((x - region.x) / region.width) * 2 - 1, -((y - region.y) / region.height) * 2 + 1)
+  }
+
+  /**
+   * Fit the projection of the camera to the aspect ratio of the region
+   * Orthographic cameras keep their vertical extent
+   * @param {number} aspect - Width / height of the region
+   */
+  updateAspect (aspect) {
+    if (aspect === this.aspect || !Number.isFinite(aspect)) return
+    this.aspect = aspect
+    const camera = this.camera
+    if (camera.isPerspectiveCamera) {
+      camera.aspect = aspect
+    } else if (camera.isOrthographicCamera) {
+      const halfWidth = (camera.top - camera.bottom) / 2 * aspect
+      const center = (camera.left + camera.right) / 2
+      camera.left = center - halfWidth
+      camera.right = center + halfWidth
+    } else {
+      return
+    }
+    camera.updateProjectionMatrix()
+  }
+}
+
+module.exports = { Viewport }
@@ -19,12 +19,23 @@ if (isNode) {
 
 const { Vec3 } = require('vec3')
 const { World } = require('./world')
-const { getSectionGeometry } = require('./models')
+const { getSectionGeometry, getBlockGeometry, getBlockTopColor } = require('./models')
+const { getLodGeometry } = require('./lod')
+const { SharedColumn } = require('./sharedColumn')
+const { isEncodedColumn, decodeColumn, encodeColumn } = require('./chunkCodec')
+const { getSectionHash, getGeometryCacheKey, serializeEntry } = require('./geometryCache')
+const { RENDER_LAYERS } = require('./renderLayers')
 const { WORKER_PROCESS_INTERVAL_MS } = require('./constants')
 
 let blocksStates = null
 let world = null
+let greedyMeshing = false
+// With a geometry cache, the renderer is given the hash of a section and asks for its geometry on a miss
+let geometryCache = false
+// Version and resource pack of the block states, given back with the section hashes
+let assets = null
 let processingIntervalId = null
+let processingScheduled = false
 
 function sectionKey (x, y, z) {
   return `${x},${y},${z}`
@@ -32,16 +43,22 @@ function sectionKey (x, y, z) {
 
 const dirtySections = {}
 
+// Single block geometries requested for entities (falling blocks), answered once
+// the world and the block states are known
+let blockGeometryRequests = []
+
+// Heightmaps of the far columns, by column key, meshed at a lower level of detail
+let lodColumns = new Map()
+
 function setSectionDirty (pos, value = true) {
   const x = Math.floor(pos.x / 16) * 16
   const y = Math.floor(pos.y / 16) * 16
   const z = Math.floor(pos.z / 16) * 16
-  const chunk = world ? world.getColumn(x, z) : null
   const key = sectionKey(x, y, z)
   if (!value) {
     delete dirtySections[key]
     postMessage({ type: 'sectionFinished', key })
-  } else if (chunk && chunk.sections[Math.floor(y / 16)]) {
+  } else if (world && world.hasSection(x, y, z)) {
     dirtySections[key] = value
   } else {
     postMessage({ type: 'sectionFinished', key })
@@ -54,19 +71,55 @@ function clearAllDirtySections () {
   }
 }
 
-function handleMessage (data) {
+async function handleMessage (data) {
   try {
     if (data.type === 'version') {
       world = new World(data.version)
+      postMessage({ type: 'worldBounds', minY: world.minY, height: world.worldHeight })
+    } else if (data.type === 'dimension') {
+      if (world) {
+        world.clear()
+        world.setBounds(data.minY, data.height)
+      }
+      lodColumns.clear()
+      clearAllDirtySections()
     } else if (data.type === 'blockStates') {
       blocksStates = data.json
+      assets = data.assets
+    } else if (data.type === 'greedyMeshing') {
+      greedyMeshing = data.enabled
+    } else if (data.type === 'geometryCache') {
+      geometryCache = data.enabled
     } else if (data.type === 'dirty') {
       const loc = new Vec3(data.x, data.y, data.z)
       setSectionDirty(loc, data.value)
+      scheduleProcessing()
     } else if (data.type === 'chunk') {
       if (world) {
-        world.addColumn(data.x, data.z, data.chunk)
+        let shared = null
+        if (isEncodedColumn(data.chunk)) {
+          // Binary columns already are paletted arrays
+          shared = await decodeColumn(data.chunk)
+          world.addSharedColumn(data.x, data.z, shared)
+        } else {
+          const column = world.addColumn(data.x, data.z, data.chunk)
+          if (data.share) {
+            shared = SharedColumn.fromColumn(column, world.minY, world.worldHeight).toData()
+            world.addSharedColumn(data.x, data.z, shared)
+          }
+        }
+        // Copied once to shared memory, the renderer gives it to the other workers
+        if (data.share) postMessage({ type: 'sharedColumn', x: data.x, z: data.z, id: data.id, column: shared })
+      }
+    } else if (data.type === 'sharedColumn') {
+      if (world) {
+        world.addSharedColumn(data.x, data.z, data.column)
       }
+    } else if (data.type === 'chunkSnapshot') {
+      // The column with its block updates, for the workers given it later, binary for the binary columns
+      const column = world && world.getColumn(data.x, data.z)
+      const chunk = column ? (column instanceof SharedColumn ? encodeColumn(column) : column.toJson()) : null
+      postMessage({ type: 'chunkSnapshot', x: data.x, z: data.z, id: data.id, chunk })
     } else if (data.type === 'unloadChunk') {
       if (world) {
         world.removeColumn(data.x, data.z)
@@ -76,9 +129,15 @@ function handleMessage (data) {
         const loc = new Vec3(data.pos.x, data.pos.y, data.pos.z).floored()
         world.setBlockStateId(loc, data.stateId)
       }
+    } else if (data.type === 'blockGeometry') {
+      blockGeometryRequests.push(data)
+    } else if (data.type === 'lodColumn') {
+      lodColumns.set(data.key, data)
     } else if (data.type === 'reset') {
       world = null
       blocksStates = null
+      blockGeometryRequests = []
+      lodColumns = new Map()
       clearAllDirtySections()
     }
   } catch (error) {
@@ -87,15 +146,76 @@ function handleMessage (data) {
   }
 }
 
+// Messages are handled in order, compressed columns are inflated asynchronously in browsers
+let handling = Promise.resolve()
+
 self.onmessage = ({ data }) => {
-  handleMessage(data)
+  handling = handling.then(() => handleMessage(data))
+}
+
+function geometryTransferables (geometry) {
+  return [
+    geometry.positions.buffer,
+    geometry.normals.buffer,
+    geometry.colors.buffer,
+    geometry.uvs.buffer,
+    geometry.light.buffer,
+    geometry.animations.buffer,
+    geometry.tiles.buffer
+  ]
+}
+
+function sectionTransferables (geometry) {
+  return RENDER_LAYERS.flatMap(layer => geometryTransferables(geometry[layer]))
+}
+
+function processBlockGeometries () {
+  const requests = blockGeometryRequests
+  blockGeometryRequests = []
+  for (const { id, stateId } of requests) {
+    try {
+      const geometry = getBlockGeometry(world.Block.fromStateId(stateId, 0), blocksStates)
+      postMessage({ type: 'blockGeometry', id, geometry }, geometryTransferables(geometry))
+    } catch (error) {
+      console.error('Block geometry generation error:', error)
+      postMessage({ type: 'blockGeometry', id, geometry: null })
+    }
+  }
+}
+
+function processLodColumns () {
+  const columns = lodColumns
+  lodColumns = new Map()
+  for (const [key, heightmap] of columns) {
+    try {
+      const geometry = getLodGeometry(heightmap, (stateId, biome) => {
+        const block = world.Block.fromStateId(stateId, biome)
+        return getBlockTopColor(block, blocksStates, block.biome.name)
+      })
+      postMessage({ type: 'lodGeometry', key, geometry }, [
+        geometry.positions.buffer,
+        geometry.normals.buffer,
+        geometry.colors.buffer,
+        geometry.light.buffer
+      ])
+    } catch (error) {
+      console.error('LOD geometry generation error:', error)
+      postMessage({ type: 'error', key, error: error.message })
+    }
+  }
 }
 
 function processDirtySections () {
   if (world === null || blocksStates === null) return
 
+  if (blockGeometryRequests.length > 0) processBlockGeometries()
+
   const sections = Object.keys(dirtySections)
-  if (sections.length === 0) return
+  if (sections.length === 0) {
+    // Far columns wait for the sections drawn in full detail
+    if (lodColumns.size > 0) processLodColumns()
+    return
+  }
 
   for (const key of sections) {
     let [x, y, z] = key.split(',')
@@ -103,18 +223,22 @@ function processDirtySections () {
     y = parseInt(y, 10)
     z = parseInt(z, 10)
 
-    const chunk = world.getColumn(x, z)
-    if (chunk && chunk.sections[Math.floor(y / 16)]) {
-      delete dirtySections[key]
+    const value = dirtySections[key]
+    delete dirtySections[key]
+    if (world.hasSection(x, y, z)) {
+      // The hash is taken again for a section meshed on a cache miss, its blocks may have changed since
+      const hash = geometryCache ? getSectionHash(world, x, y, z, greedyMeshing ? 1 : 0) : undefined
+      if (hash && value !== 'mesh') {
+        postMessage({ type: 'sectionHash', key, x, y, z, hash, assets })
+        continue
+      }
       try {
-        const geometry = getSectionGeometry(x, y, z, world, blocksStates)
-        const transferable = [
-          geometry.positions.buffer,
-          geometry.normals.buffer,
-          geometry.colors.buffer,
-          geometry.uvs.buffer
-        ]
-        postMessage({ type: 'geometry', key, geometry }, transferable)
+        const geometry = getSectionGeometry(x, y, z, world, blocksStates, { greedy: greedyMeshing })
+        // Serialized for the cache here rather than by the renderer, before the arrays are transferred
+        const entry = hash ? serializeEntry(getGeometryCacheKey({ key, hash, assets }), geometry) : undefined
+        const transferables = sectionTransferables(geometry)
+        if (entry) transferables.push(entry.buffer)
+        postMessage({ type: 'geometry', key, geometry, hash, assets, entry }, transferables)
       } catch (error) {
         console.error('Geometry generation error:', error)
         postMessage({ type: 'error', key, error: error.message })
@@ -124,7 +248,17 @@ function processDirtySections () {
   }
 }
 
-// Start the processing interval
+// The renderer gives a few sections at a time, they are meshed as soon as they arrive
+function scheduleProcessing () {
+  if (processingScheduled) return
+  processingScheduled = true
+  setTimeout(() => {
+    processingScheduled = false
+    processDirtySections()
+  }, 0)
+}
+
+// Start the processing interval, for the work waiting for the world and the block states
 processingIntervalId = setInterval(processDirtySections, WORKER_PROCESS_INTERVAL_MS)
 
 // Cleanup on worker termination (for Node.js workers)
@@ -1,7 +1,10 @@
 const Chunks = require('prismarine-chunk')
+const Blocks = require('prismarine-block')
 const mcData = require('minecraft-data')
-const { BLOCK_CACHE_MAX_SIZE } = require('./constants')
+const { BLOCK_CACHE_MAX_SIZE, MAX_LIGHT_LEVEL, SECTION_HEIGHT } = require('./constants')
 const { LRUCache } = require('./lruCache')
+const { getWorldBounds } = require('./dimensions')
+const { SharedColumn } = require('./sharedColumn')
 
 function columnKey (x, z) {
   return `${x},${z}`
@@ -23,10 +26,41 @@ function isCube (shapes) {
 class World {
   constructor (version) {
     this.Chunk = Chunks(version)
+    this.Block = Blocks(version)
     this.columns = {}
     this.blockCache = new LRUCache(BLOCK_CACHE_MAX_SIZE)
     this.biomeCache = mcData(version).biomes
     this.version = version
+    // Before 1.13 block states are an id and a metadata, some properties depend on the neighbours
+    this.legacyBlocks = !mcData(version).supportFeature('blockStateId')
+
+    const { minY, height } = getWorldBounds(version)
+    this.minY = minY
+    this.worldHeight = height
+  }
+
+  /**
+   * Set the vertical bounds of the world (on dimension change)
+   * @param {number} minY - Lowest block Y
+   * @param {number} height - Number of blocks from minY to the build limit
+   */
+  setBounds (minY, height) {
+    this.minY = minY
+    this.worldHeight = height
+  }
+
+  /**
+   * Whether a section is inside the world and has been loaded
+   * @param {number} x - Section x (block coordinate)
+   * @param {number} y - Section y (block coordinate)
+   * @param {number} z - Section z (block coordinate)
+   * @returns {boolean}
+   */
+  hasSection (x, y, z) {
+    if (y < this.minY || y >= this.minY + this.worldHeight) return false
+    const column = this.getColumn(Math.floor(x / 16) * 16, Math.floor(z / 16) * 16)
+    if (!column) return false
+    return !!column.sections[Math.floor((y - (column.minY ?? 0)) / SECTION_HEIGHT)]
   }
 
   addColumn (x, z, json) {
@@ -35,6 +69,19 @@ class World {
     return chunk
   }
 
+  /**
+   * Add a column stored in shared memory, read in place
+   * @param {number} x - Column x (block coordinate)
+   * @param {number} z - Column z (block coordinate)
+   * @param {Object} data - Paletted arrays of the sections, as given by SharedColumn toData
+   * @returns {SharedColumn}
+   */
+  addSharedColumn (x, z, data) {
+    const column = new SharedColumn(data)
+    this.columns[columnKey(x, z)] = column
+    return column
+  }
+
   removeColumn (x, z) {
     const key = columnKey(x, z)
     const column = this.columns[key]
@@ -69,11 +116,15 @@ class World {
 
     const loc = pos.floored()
     const locInChunk = posInChunk(loc)
-    const stateId = column.getBlockStateId(locInChunk)
+
+    // Outside of the world bounds is air
+    const inBounds = loc.y >= this.minY && loc.y < this.minY + this.worldHeight
+    const stateId = inBounds ? column.getBlockStateId(locInChunk) : 0
 
     let block = this.blockCache.get(stateId)
     if (!block) {
-      const b = column.getBlock(locInChunk)
+      // Shared columns only have the block states
+      const b = inBounds && column.getBlock ? column.getBlock(locInChunk) : this.Block.fromStateId(stateId, 0)
       b.isCube = isCube(b.shapes)
       this.blockCache.set(stateId, b)
       block = b
@@ -81,13 +132,37 @@ class World {
 
     // Clone position to avoid mutation issues
     block.position = loc
-    block.biome = this.biomeCache[column.getBiome(locInChunk)]
+    block.biome = inBounds ? this.biomeCache[column.getBiome(locInChunk)] : undefined
     if (block.biome === undefined) {
       block.biome = this.biomeCache[1]
     }
     return block
   }
 
+  /**
+   * Get the block light level at a position
+   * @param {Vec3} pos - World position
+   * @returns {number} Light level, 0 to 15
+   */
+  getBlockLight (pos) {
+    const column = this.columns[columnKey(Math.floor(pos.x / 16) * 16, Math.floor(pos.z / 16) * 16)]
+    if (!column || pos.y < this.minY || pos.y >= this.minY + this.worldHeight) return 0
+    return column.getBlockLight(posInChunk(pos))
+  }
+
+  /**
+   * Get the sky light level at a position
+   * Positions above the column (or in unloaded columns) are fully sky lit
+   * @param {Vec3} pos - World position
+   * @returns {number} Light level, 0 to 15
+   */
+  getSkyLight (pos) {
+    const column = this.columns[columnKey(Math.floor(pos.x / 16) * 16, Math.floor(pos.z / 16) * 16)]
+    if (!column || pos.y >= this.minY + this.worldHeight) return MAX_LIGHT_LEVEL
+    if (pos.y < this.minY) return 0
+    return column.getSkyLight(posInChunk(pos))
+  }
+
   /**
    * Clear all world data (for cleanup)
    */
@@ -103,7 +178,9 @@ class World {
     return {
       blockCacheSize: this.blockCache.size,
       blockCacheMaxSize: BLOCK_CACHE_MAX_SIZE,
-      columnCount: Object.keys(this.columns).length
+      columnCount: Object.keys(this.columns).length,
+      minY: this.minY,
+      worldHeight: this.worldHeight
     }
   }
 }
@@ -1,17 +1,112 @@
 const { spiral, ViewRect, chunkPos } = require('./simpleUtils')
 const { Vec3 } = require('vec3')
 const EventEmitter = require('events')
+const { normalizeEntityName } = require('./entity/fallbacks')
+const { getBlockEntityData } = require('./blockEntity/nbt')
+const { getColumnHeightmap } = require('./lod')
+const { LRUCache } = require('./lruCache')
+const { encodeChunk } = require('./chunkCodec')
+const { LOD_HEIGHTMAP_CACHE_SIZE, RESUME_MAX_COLUMNS } = require('./constants')
+
+// Block faces, by index of the item frame spawn data (1.13+)
+const FACINGS = ['down', 'up', 'north', 'south', 'west', 'east']
+// Horizontal directions, by index of the item frame spawn data (before 1.13)
+const HORIZONTAL_FACINGS = ['south', 'west', 'north', 'east']
+
+// Block state and facing of falling blocks and item frames, only sent in the spawn packet
+const spawnData = new WeakMap()
+
+// Names of the items held and worn by an entity, by equipment slot
+function getEquipment (entity) {
+  return (entity.equipment || []).map(item => item ? item.name : null)
+}
+
+// Item stack held by a dropped item or an item frame, from the entity metadata
+function getEntityItem (bot, entity) {
+  const name = normalizeEntityName(entity.name || '')
+  if (name !== 'item' && name !== 'item_frame' && name !== 'glow_item_frame') return undefined
+
+  for (const value of Object.values(entity.metadata || {})) {
+    if (!value || typeof value !== 'object') continue
+    const id = value.itemId ?? value.blockId
+    if (id === undefined) continue
+    if (id < 0 || value.present === false || value.itemCount === 0) return null
+    const item = bot.registry ? (bot.registry.items[id] || bot.registry.blocks[id]) : null
+    return { id, name: item ? item.name : undefined, count: value.itemCount }
+  }
+  return null
+}
+
+// Block state of a falling block, or facing of an item frame, from the spawn packet
+function getSpawnData (bot, entity, objectData) {
+  const name = normalizeEntityName(entity.name || '')
+  // Before 1.9 the object data is a container
+  const data = typeof objectData === 'object' ? objectData.intField : objectData
+  if (typeof data !== 'number') return null
+
+  const blockStateId = bot.supportFeature('blockStateId')
+  if (name === 'falling_block' || name === 'falling_sand') {
+    // Before 1.13: block id | metadata << 12
+    return { blockStateId: blockStateId ? data : ((data & 0xfff) << 4) | ((data >> 12) & 0xf) }
+  }
+  if (name === 'item_frame' || name === 'glow_item_frame') {
+    const facing = blockStateId ? FACINGS[data] : HORIZONTAL_FACINGS[data]
+    return facing ? { facing } : null
+  }
+  return null
+}
+
+// Block entity data of a column, keyed by position relative to the column
+function getColumnBlockEntities (column, x, z) {
+  const blockEntities = []
+  for (const [key, tag] of Object.entries(column.blockEntities || {})) {
+    const nbt = getBlockEntityData(tag)
+    if (!nbt) continue
+    const [bx, by, bz] = key.split(',').map(Number)
+    blockEntities.push({ pos: { x: x + bx, y: by, z: z + bz }, nbt })
+  }
+  return blockEntities
+}
+
+// Skin texture URL from the player info
+function getSkin (player) {
+  return player && player.skinData && player.skinData.url ? player.skinData.url : null
+}
 
 class WorldView extends EventEmitter {
-  constructor (world, viewDistance, position = new Vec3(0, 0, 0), emitter = null) {
+  /**
+   * @param {Object} world - prismarine-world
+   * @param {number} viewDistance - Chunk radius of the columns sent in full detail
+   * @param {Vec3} [position] - Initial position
+   * @param {EventEmitter} [emitter] - Where the world events are emitted (a socket), the WorldView itself by default
+   * @param {number} [lodDistance] - Chunk radius up to which the columns past the view distance are sent as
+   *   heightmaps (loadLodChunk), 0 to disable
+   */
+  constructor (world, viewDistance, position = new Vec3(0, 0, 0), emitter = null, lodDistance = 0) {
     super()
     this.world = world
     this.viewDistance = viewDistance
+    this.lodDistance = lodDistance
     this.loadedChunks = {}
+    this.lodChunks = {}
+    // Heightmaps of the columns seen so far, the far columns are still drawn once the server unloaded them
+    this.heightmaps = new LRUCache(LOD_HEIGHTMAP_CACHE_SIZE)
     this.lastPos = new Vec3(0, 0, 0).update(position)
     this.emitter = emitter || this
+    // Columns are sent as prismarine-chunk JSON until the client advertises the binary encoding
+    this.chunkEncoding = { format: 0, compress: false }
+    // Encodings shared with the WorldViews of the other clients (see setEncodedColumns)
+    this.encodedColumns = null
+    // Seqs of the world messages, when the client can resume its session (see setColumnVersions)
+    this.columnVersions = null
+    this.dimensionSeq = 0
+    // Columns unloaded, with the seq of the message, sent again to a resuming client that may have missed them
+    this.unloads = new LRUCache(RESUME_MAX_COLUMNS)
 
     this.listeners = {}
+    this.clientListeners = {}
+    // Last item sent for each dropped item and item frame
+    this.entityItems = {}
     this.emitter.on('mouseClick', async (click) => {
       const ori = new Vec3(click.origin.x, click.origin.y, click.origin.z)
       const dir = new Vec3(click.direction.x, click.direction.y, click.direction.z)
@@ -27,12 +122,30 @@ class WorldView extends EventEmitter {
       // 'move': botPosition,
       entitySpawn: function (e) {
         if (e === bot.entity) return
-        worldView.emitter.emit('entity', { id: e.id, name: e.name, pos: e.position, width: e.width, height: e.height, username: e.username })
+        worldView.emitter.emit('entity', worldView._entitySpawnPacket(bot, e))
       },
       entityMoved: function (e) {
-        worldView.emitter.emit('entity', { id: e.id, pos: e.position, pitch: e.pitch, yaw: e.yaw })
+        worldView.emitter.emit('entity', { id: e.id, pos: e.position, pitch: e.pitch, yaw: e.yaw, headYaw: e.headYaw })
+      },
+      entityEquip: function (e) {
+        if (e === bot.entity) return
+        worldView.emitter.emit('entity', { id: e.id, equipment: getEquipment(e) })
+      },
+      playerUpdated: function (player) {
+        const skin = getSkin(player)
+        if (!player.entity || player.entity === bot.entity || !skin) return
+        worldView.emitter.emit('entity', { id: player.entity.id, skin })
+      },
+      entityUpdate: function (e) {
+        const item = getEntityItem(bot, e)
+        if (item === undefined) return
+        const key = JSON.stringify(item)
+        if (worldView.entityItems[e.id] === key) return
+        worldView.entityItems[e.id] = key
+        worldView.emitter.emit('entity', { id: e.id, item })
       },
       entityGone: function (e) {
+        delete worldView.entityItems[e.id]
         worldView.emitter.emit('entity', { id: e.id, delete: true })
       },
       chunkColumnLoad: function (pos) {
@@ -40,7 +153,13 @@ class WorldView extends EventEmitter {
       },
       blockUpdate: function (oldBlock, newBlock) {
         const stateId = newBlock.stateId ? newBlock.stateId : ((newBlock.type << 4) | newBlock.metadata)
-        worldView.emitter.emit('blockUpdate', { pos: oldBlock.position, stateId })
+        worldView._emitWorld('blockUpdate', { pos: oldBlock.position, stateId })
+      },
+      time: function () {
+        worldView.emitter.emit('time', { timeOfDay: bot.time.timeOfDay })
+      },
+      game: function () {
+        worldView._updateDimension(bot.game)
       }
     }
 
@@ -48,26 +167,106 @@ class WorldView extends EventEmitter {
       bot.on(evt, listener)
     }
 
+    // The spawn packet is handled (and entitySpawn emitted) by mineflayer first
+    this.clientListeners[bot.username] = {
+      spawn_entity: function (packet) {
+        const e = bot.entities[packet.entityId]
+        if (!e) return
+        const data = getSpawnData(bot, e, packet.objectData)
+        if (!data) return
+        spawnData.set(e, data)
+        worldView.emitter.emit('entity', { id: e.id, ...data })
+      },
+      tile_entity_data: function (packet) {
+        // The position can also be only in the tag, as mineflayer handles it
+        const tag = packet.nbtData
+        const pos = packet.location ?? (tag && tag.value && tag.value.x
+          ? { x: tag.value.x.value, y: tag.value.y.value, z: tag.value.z.value }
+          : null)
+        if (!pos) return
+        worldView.emitter.emit('blockEntityUpdate', { pos: { x: pos.x, y: pos.y, z: pos.z }, nbt: getBlockEntityData(tag) })
+      },
+      // 1.8 sends sign text in a packet of its own
+      update_sign: function (packet) {
+        const { x, y, z } = packet.location
+        const nbt = { Text1: packet.text1, Text2: packet.text2, Text3: packet.text3, Text4: packet.text4 }
+        worldView.emitter.emit('blockEntityUpdate', { pos: { x, y, z }, nbt })
+      }
+    }
+    if (bot._client) {
+      for (const [evt, listener] of Object.entries(this.clientListeners[bot.username])) {
+        bot._client.on(evt, listener)
+      }
+    }
+
+    if (bot.game) this._updateDimension(bot.game)
+
+    if (bot.time && bot.time.timeOfDay !== undefined) {
+      this.emitter.emit('time', { timeOfDay: bot.time.timeOfDay })
+    }
+
     for (const id in bot.entities) {
       const e = bot.entities[id]
       if (e && e !== bot.entity) {
-        this.emitter.emit('entity', { id: e.id, name: e.name, pos: e.position, width: e.width, height: e.height, username: e.username })
+        this.emitter.emit('entity', this._entitySpawnPacket(bot, e))
       }
     }
   }
 
+  _entitySpawnPacket (bot, e) {
+    const packet = { id: e.id, name: e.name, pos: e.position, width: e.width, height: e.height, username: e.username }
+    if (e.username && bot.players) {
+      const skin = getSkin(bot.players[e.username])
+      if (skin) packet.skin = skin
+    }
+    if (e.equipment && e.equipment.some(item => item)) packet.equipment = getEquipment(e)
+
+    const item = getEntityItem(bot, e)
+    if (item !== undefined) {
+      packet.item = item
+      this.entityItems[e.id] = JSON.stringify(item)
+    }
+    Object.assign(packet, spawnData.get(e))
+    return packet
+  }
+
+  /**
+   * Emit the world bounds when the dimension (or its height) changes
+   * Columns of the previous dimension are forgotten so they get sent again
+   * @param {Object} game - bot.game
+   */
+  _updateDimension ({ dimension, minY, height }) {
+    if (minY === undefined || height === undefined) return
+    const last = this.dimension
+    if (last && last.dimension === dimension && last.minY === minY && last.height === height) return
+
+    this.dimension = { dimension, minY, height }
+    this.loadedChunks = {}
+    this.lodChunks = {}
+    this.heightmaps.clear()
+    this.dimensionSeq = this._emitWorld('dimension', { dimension, minY, height })
+  }
+
   removeListenersFromBot (bot) {
     for (const [evt, listener] of Object.entries(this.listeners[bot.username])) {
       bot.removeListener(evt, listener)
     }
     delete this.listeners[bot.username]
+
+    if (bot._client) {
+      for (const [evt, listener] of Object.entries(this.clientListeners[bot.username] || {})) {
+        bot._client.removeListener(evt, listener)
+      }
+    }
+    delete this.clientListeners[bot.username]
   }
 
   async init (pos) {
     const [botX, botZ] = chunkPos(pos)
 
+    const distance = Math.max(this.viewDistance, this.lodDistance)
     const positions = []
-    spiral(this.viewDistance * 2, this.viewDistance * 2, (x, z) => {
+    spiral(distance * 2, distance * 2, (x, z) => {
       const p = new Vec3((botX + x) * 16, 0, (botZ + z) * 16)
       positions.push(p)
     })
@@ -83,25 +282,161 @@ class WorldView extends EventEmitter {
     }
   }
 
-  async loadChunk (pos) {
+  /**
+   * Detail a column is sent with from the current position
+   * @param {Vec3} pos - Column position (block coordinates)
+   * @returns {string|null} 'full', 'lod', or null for columns out of range
+   */
+  getColumnDetail (pos) {
     const [botX, botZ] = chunkPos(this.lastPos)
     const dx = Math.abs(botX - Math.floor(pos.x / 16))
     const dz = Math.abs(botZ - Math.floor(pos.z / 16))
-    if (dx < this.viewDistance && dz < this.viewDistance) {
-      const column = await this.world.getColumnAt(pos)
-      if (column) {
-        const chunk = column.toJson()
-        this.emitter.emit('loadChunk', { x: pos.x, z: pos.z, chunk })
-        this.loadedChunks[`${pos.x},${pos.z}`] = true
+    if (dx < this.viewDistance && dz < this.viewDistance) return 'full'
+    if (dx < this.lodDistance && dz < this.lodDistance) return 'lod'
+    return null
+  }
+
+  /**
+   * Set the encoding of the columns sent from now on
+   * @param {{format: number, compress: boolean}} encoding - As negotiated with the client (chunkCodec)
+   */
+  setChunkEncoding (encoding) {
+    this.chunkEncoding = encoding
+  }
+
+  /**
+   * Take the columns to send from encodings shared with other WorldViews, rather than encoding them again
+   * @param {EncodedColumns} encodedColumns - See chunkCodec
+   */
+  setEncodedColumns (encodedColumns) {
+    this.encodedColumns = encodedColumns
+  }
+
+  /**
+   * Tag the world messages (columns, block updates, dimension) with a seq, so that the client can resume its
+   * session from the last one it received when it reconnects
+   * @param {ColumnVersions} versions - Changes of the world, see lib/resume
+   */
+  setColumnVersions (versions) {
+    this.columnVersions = versions
+  }
+
+  // Emit a world message, with a seq when the changes of the world are tracked, returns the seq (0 otherwise)
+  _emitWorld (event, message) {
+    const seq = this.columnVersions ? this.columnVersions.next() : 0
+    this.emitter.emit(event, seq ? { ...message, seq } : message)
+    return seq
+  }
+
+  /**
+   * State of the client, kept by the server when it disconnects to resume its session (see resume)
+   * @returns {Object} Dimension, columns and far columns sent, with their seq, and the last unloads
+   */
+  getResumeState () {
+    return {
+      dimension: this.dimension,
+      dimensionSeq: this.dimensionSeq,
+      columns: { ...this.loadedChunks },
+      lodColumns: { ...this.lodChunks },
+      unloads: Array.from(this.unloads.entries(), ([id, unload]) => unload)
+    }
+  }
+
+  /**
+   * Resume the session of a client that reconnected, instead of init: the columns it has are kept, with the
+   * block updates it missed, columns changed too much (or maybe not received) are sent again
+   * @param {Object} state - getResumeState of the WorldView of its last connection
+   * @param {number} seq - Seq of the last world message the client received
+   * @param {Vec3} pos - Current position
+   */
+  async resume ({ dimension, dimensionSeq, columns, lodColumns, unloads }, seq, pos) {
+    // The client has this dimension, it is not emitted again
+    this.dimension = dimension
+    this.dimensionSeq = dimensionSeq
+    // Changes of a column since the client got it, null to send it again (it may not have received it)
+    const getChanges = (x, z, sentSeq) => sentSeq <= seq ? this.columnVersions.getChanges(x, z, seq) : null
+
+    for (const [key, sentSeq] of Object.entries(columns)) {
+      const [x, z] = key.split(',').map(Number)
+      const changes = getChanges(x, z, sentSeq)
+      if (changes === null) {
+        this.unloadChunk(new Vec3(x, 0, z))
+        continue
       }
+      this.loadedChunks[key] = sentSeq
+      for (const { pos, stateId } of changes) this._emitWorld('blockUpdate', { pos, stateId })
     }
+    for (const [key, sentSeq] of Object.entries(lodColumns)) {
+      const [x, z] = key.split(',').map(Number)
+      const changes = getChanges(x, z, sentSeq)
+      if (changes === null || changes.length > 0) {
+        this.unloadLodChunk(new Vec3(x, 0, z))
+      } else {
+        this.lodChunks[key] = sentSeq
+      }
+    }
+    for (const { event, x, z, seq: unloadSeq } of unloads) {
+      const sent = event === 'unloadChunk' ? columns : lodColumns
+      if (unloadSeq > seq && !sent[`${x},${z}`]) this[event](new Vec3(x, 0, z))
+    }
+
+    // Columns out of view are unloaded, the missing ones are sent
+    await this.updatePosition(pos, true)
+  }
+
+  async loadChunk (pos) {
+    const detail = this.getColumnDetail(pos)
+    if (!detail) return
+    const column = await this.world.getColumnAt(pos)
+    const key = `${pos.x},${pos.z}`
+    if (column && this.lodDistance > this.viewDistance) {
+      this.heightmaps.set(key, getColumnHeightmap(column))
+    }
+
+    if (detail === 'full' && column) {
+      if (this.lodChunks[key]) this.unloadLodChunk(pos)
+      const chunk = this.encodedColumns
+        ? this.encodedColumns.encode(pos.x, pos.z, column, this.chunkEncoding)
+        : encodeChunk(column, this.chunkEncoding)
+      const blockEntities = getColumnBlockEntities(column, pos.x, pos.z)
+      // Seq of the message, true when the changes of the world are not tracked
+      this.loadedChunks[key] = this._emitWorld('loadChunk', { x: pos.x, z: pos.z, chunk, blockEntities }) || true
+    } else if (this.lodDistance > this.viewDistance) {
+      // Near columns the server has not sent (yet) are drawn from their last heightmap too
+      this._loadLodChunk(pos, !!column)
+    }
+  }
+
+  // Send the heightmap of a column, again only if it was just read from the world
+  _loadLodChunk (pos, updated) {
+    const key = `${pos.x},${pos.z}`
+    if (this.lodChunks[key] && !updated) return
+    const heightmap = this.heightmaps.get(key)
+    if (!heightmap) return
+    this.lodChunks[key] = this._emitWorld('loadLodChunk', {
+      x: pos.x,
+      z: pos.z,
+      heights: Array.from(heightmap.heights),
+      stateIds: Array.from(heightmap.stateIds),
+      biomes: Array.from(heightmap.biomes)
+    }) || true
   }
 
   unloadChunk (pos) {
-    this.emitter.emit('unloadChunk', { x: pos.x, z: pos.z })
+    this._unload('unloadChunk', pos)
     delete this.loadedChunks[`${pos.x},${pos.z}`]
   }
 
+  unloadLodChunk (pos) {
+    this._unload('unloadLodChunk', pos)
+    delete this.lodChunks[`${pos.x},${pos.z}`]
+  }
+
+  _unload (event, pos) {
+    const seq = this._emitWorld(event, { x: pos.x, z: pos.z })
+    if (seq) this.unloads.set(`${event},${pos.x},${pos.z}`, { event, x: pos.x, z: pos.z, seq })
+  }
+
   async updatePosition (pos, force = false) {
     const [lastX, lastZ] = chunkPos(this.lastPos)
     const [botX, botZ] = chunkPos(pos)
@@ -115,14 +450,22 @@ class WorldView extends EventEmitter {
           this.unloadChunk(p)
         }
       }
+      this.lastPos.update(pos)
+      for (const coords of Object.keys(this.lodChunks)) {
+        const [x, z] = coords.split(',').map(Number)
+        const p = new Vec3(x, 0, z)
+        if (!this.getColumnDetail(p)) this.unloadLodChunk(p)
+      }
+
+      const distance = Math.max(this.viewDistance, this.lodDistance)
       const positions = []
-      spiral(this.viewDistance * 2, this.viewDistance * 2, (x, z) => {
+      spiral(distance * 2, distance * 2, (x, z) => {
         const p = new Vec3((botX + x) * 16, 0, (botZ + z) * 16)
-        if (!this.loadedChunks[`${p.x},${p.z}`]) {
+        const key = `${p.x},${p.z}`
+        if (!this.loadedChunks[key] && !(this.lodChunks[key] && this.getColumnDetail(p) === 'lod')) {
           positions.push(p)
         }
       })
-      this.lastPos.update(pos)
       await this._loadChunks(positions)
     } else {
       this.lastPos.update(pos)
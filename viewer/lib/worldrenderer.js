@@ -3,21 +3,63 @@ const THREE = require('three')
 const Vec3 = require('vec3').Vec3
 const { loadTexture, loadJSON } = globalThis.isElectron ? require('./utils.electron.js') : require('./utils')
 const { EventEmitter } = require('events')
-const { dispose3, disposeTexture } = require('./dispose')
+const { disposeTexture } = require('./dispose')
+const { getSkyLightFactor, patchLightingShader } = require('./lighting')
+const { TextureAnimations, patchAnimationShader } = require('./animatedTextures')
+const { RENDER_LAYERS, TranslucentSorter } = require('./renderLayers')
+const { patchTilingShader } = require('./greedyMeshing')
+const { ALL_VISIBLE, findVisibleSections } = require('./occlusion')
+const { BlockEntities } = require('./blockEntities')
+const { MeshingScheduler } = require('./meshingQueue')
+const { BlockUpdateBatch } = require('./blockUpdates')
+const { isSharedMemoryAvailable } = require('./sharedColumn')
+const { getGeometryCacheKey } = require('./geometryCache')
 const {
   MATERIAL_ALPHA_TEST,
   DEFAULT_NUM_WORKERS,
-  WORLD_HEIGHT,
-  SECTION_HEIGHT
+  SECTION_HEIGHT,
+  NOON_TICKS,
+  TRANSLUCENT_SORT_DISTANCE,
+  MESHING_HIDDEN_PENALTY,
+  MESHING_JOBS_PER_WORKER,
+  MESHING_SORT_INTERVAL_MS
 } = require('./constants')
 
 function mod (x, n) {
   return ((x % n) + n) % n
 }
 
-// Reusable objects for frustum culling to avoid GC pressure
+function createGeometry (attributes) {
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.BufferAttribute(attributes.positions, 3))
+  geometry.setAttribute('normal', new THREE.BufferAttribute(attributes.normals, 3))
+  geometry.setAttribute('color', new THREE.BufferAttribute(attributes.colors, 3))
+  geometry.setAttribute('uv', new THREE.BufferAttribute(attributes.uvs, 2))
+  geometry.setAttribute('light', new THREE.BufferAttribute(attributes.light, 2))
+  geometry.setAttribute('animation', new THREE.BufferAttribute(attributes.animations, 1))
+  geometry.setAttribute('tile', new THREE.BufferAttribute(attributes.tiles, 1))
+  geometry.setIndex(attributes.indices)
+  return geometry
+}
+
+// Geometry of a far column, colored without texture
+function createLodGeometry (attributes) {
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.BufferAttribute(attributes.positions, 3))
+  geometry.setAttribute('normal', new THREE.BufferAttribute(attributes.normals, 3))
+  geometry.setAttribute('color', new THREE.BufferAttribute(attributes.colors, 3))
+  geometry.setAttribute('light', new THREE.BufferAttribute(attributes.light, 2))
+  geometry.setIndex(attributes.indices)
+  return geometry
+}
+
+// Reusable objects for frustum culling and translucent sorting to avoid GC pressure
 const _frustum = new THREE.Frustum()
 const _projScreenMatrix = new THREE.Matrix4()
+const _sectionBox = new THREE.Box3()
+const _sectionSize = new THREE.Vector3(16, 16, 16)
+const _cameraPosition = new THREE.Vector3()
+const _sectionCenter = new THREE.Vector3()
 
 class WorldRenderer {
   constructor (scene, numWorkers = DEFAULT_NUM_WORKERS) {
@@ -31,20 +73,100 @@ class WorldRenderer {
     this.blockStatesData = undefined
     this.texturesDataUrl = undefined
     this.currentTexture = null
+    // Base URL of the resource pack the atlas and the block states are loaded from, null for the vanilla ones
+    this.resourcePack = null
+    // Texture UVs and animations of the atlas (textures/<version>.json), null until loaded
+    this.atlas = null
+
+    // Vertical bounds of the world, reported by the workers from the version's
+    // dimension data (or set on dimension change). Columns added before they are
+    // known are meshed once they arrive.
+    this.worldBounds = null
 
-    // Track pending dirty sections to avoid duplicate messages
+    // Sections marked dirty since the last clearPendingDirtySections
     this.pendingDirtySections = new Set()
 
+    // Dirty sections wait in a queue, nearest to the camera and in view first, and are given to one worker
+    // at a time. The workers only hold the columns of the sections they mesh, stored once in shared memory
+    // when the page allows it (cross-origin isolated)
+    this.meshing = new MeshingScheduler((x, y, z) => this._getMeshingPriority(x, y, z), MESHING_JOBS_PER_WORKER, isSharedMemoryAvailable())
+    this.meshingScheduled = false
+    this.meshingCamera = null
+    this.meshingFrustum = new THREE.Frustum()
+    this.meshingSortTime = 0
+    // Sections that were drawn and are meshed again, for block updates and neighbour columns
+    this.meshingRebuilds = 0
+
+    // Optional cache of the section geometries by content (see geometryCache.js). Answers for the cache
+    // of an earlier world (before a reset) are dropped by generation
+    this.geometryCache = null
+    this.meshingGeneration = 0
+
+    // Block updates and the neighbour sections of new columns are marked dirty once per window
+    this.blockUpdates = new BlockUpdateBatch((batch) => this._flushBlockUpdates(batch))
+
+    // Single block geometries requested from the workers, by request id
+    this.blockGeometryRequests = new Map()
+    this.nextBlockGeometryId = 0
+
     // Frustum culling support
     this.frustumCullingEnabled = true
     this.visibleMeshCount = 0
     this.totalMeshCount = 0
 
-    this.material = new THREE.MeshLambertMaterial({
-      vertexColors: true,
-      transparent: true,
-      alphaTest: MATERIAL_ALPHA_TEST
-    })
+    // Occlusion (cave) culling: sections hidden behind opaque blocks are not drawn either. The sections
+    // seen from the camera section are walked again when the camera changes section or sections change
+    // (occlusionVersion), they are kept per camera for the viewports of a viewer
+    this.occlusionCullingEnabled = true
+    this.occlusionVersion = 0
+    this.occlusionCache = new WeakMap()
+    this.occludedMeshCount = 0
+
+    // Block and sky light are baked per vertex, the sky light factor is a uniform
+    // so that the time of day can change without re-meshing
+    this.lightUniforms = {
+      lightingEnabled: { value: false },
+      skyLightFactor: { value: 1 }
+    }
+    this.timeOfDay = NOON_TICKS
+
+    // Faces with an animated texture are tagged by the workers, their frame is a uniform too
+    this.textureAnimations = new TextureAnimations()
+
+    // Greedy meshing merges the faces of full cubes, the material repeats their atlas tile
+    this.greedyMeshing = false
+    this.tilingUniforms = {
+      atlasTiles: { value: 0 }
+    }
+
+    // One material per render pass: opaque faces, alpha tested cutout faces (leaves, plants) and
+    // blended translucent faces (water, stained glass, ice), drawn after the others without depth writes
+    this.materials = {
+      opaque: new THREE.MeshLambertMaterial({ vertexColors: true }),
+      cutout: new THREE.MeshLambertMaterial({ vertexColors: true, alphaTest: MATERIAL_ALPHA_TEST }),
+      translucent: new THREE.MeshLambertMaterial({ vertexColors: true, transparent: true, depthWrite: false })
+    }
+    for (const material of Object.values(this.materials)) {
+      material.onBeforeCompile = (shader) => {
+        patchLightingShader(shader, this.lightUniforms)
+        patchAnimationShader(shader, this.textureAnimations.uniforms)
+        patchTilingShader(shader, this.tilingUniforms)
+      }
+    }
+
+    // Far columns are drawn from their heightmap (see lod.js), in sky light and without texture
+    this.lodColumns = {}
+    this.lodMeshs = {}
+    this.lodMaterial = new THREE.MeshLambertMaterial({ vertexColors: true })
+    this.lodMaterial.onBeforeCompile = (shader) => {
+      patchLightingShader(shader, this.lightUniforms)
+    }
+
+    // Camera position of the last translucent sort, new sections are sorted for it
+    this.sortPosition = null
+
+    // Chests, signs, banners, beds and skulls, listed by the workers with the section geometry
+    this.blockEntities = new BlockEntities(scene)
 
     this.workers = []
     this.workersActive = true
@@ -61,15 +183,28 @@ class WorldRenderer {
     else src += '/worker.js'
 
     const worker = new Worker(src)
+    const index = this.workers.length
 
     worker.onmessage = ({ data }) => {
       if (!this.workersActive) return
 
       if (data.type === 'geometry') {
+        if (this.geometryCache && data.entry) this.geometryCache.setEntry(getGeometryCacheKey(data), data.entry)
         this._handleGeometry(data)
+      } else if (data.type === 'worldBounds') {
+        if (!this.worldBounds) this._setWorldBounds(data.minY, data.height)
+      } else if (data.type === 'blockGeometry') {
+        this._handleBlockGeometry(data)
+      } else if (data.type === 'lodGeometry') {
+        this._handleLodGeometry(data)
+      } else if (data.type === 'sectionHash') {
+        this._handleSectionHash(index, data)
+      } else if (data.type === 'sharedColumn') {
+        this.meshing.setSharedColumn(index, data)
+      } else if (data.type === 'chunkSnapshot') {
+        this.meshing.setColumnSnapshot(data)
       } else if (data.type === 'sectionFinished') {
-        this.sectionsOutstanding.delete(data.key)
-        this.renderUpdateEmitter.emit('update')
+        this._handleSectionFinished(index, data.key)
       } else if (data.type === 'error') {
         console.error('Worker error:', data.error)
       }
@@ -85,46 +220,154 @@ class WorldRenderer {
     }
 
     this.workers.push(worker)
+    this.meshing.addWorker(worker)
   }
 
-  _handleGeometry (data) {
-    let mesh = this.sectionMeshs[data.key]
-    if (mesh) {
-      this.scene.remove(mesh)
-      // Don't dispose textures as they're shared
-      dispose3(mesh, { disposeTextures: false })
-      delete this.sectionMeshs[data.key]
+  _handleSectionFinished (worker, key) {
+    this.meshing.finish(worker, key)
+    // Sections marked dirty again while they were meshed are still pending
+    if (!this.meshing.isPending(key)) this.sectionsOutstanding.delete(key)
+    this.renderUpdateEmitter.emit('update')
+  }
+
+  // Draw a section from the cache, or have its worker mesh it
+  _handleSectionHash (worker, data) {
+    const { key, x, y, z } = data
+    const generation = this.meshingGeneration
+    const lookup = this.geometryCache ? this.geometryCache.get(getGeometryCacheKey(data)) : Promise.resolve(null)
+    lookup.then((geometry) => {
+      if (!this.workersActive || generation !== this.meshingGeneration || this.meshing.sections.get(key) !== worker) return
+      if (geometry) {
+        this._handleGeometry({ key, geometry })
+        this._handleSectionFinished(worker, key)
+      } else {
+        this.workers[worker].postMessage({ type: 'dirty', x, y, z, value: 'mesh' })
+      }
+    })
+  }
+
+  /**
+   * Keep the geometry of the meshed sections in a cache: sections found there (same position, blocks,
+   * light and assets) are drawn without meshing them again, when an area is visited again
+   * @param {GeometryCache|null} cache - Cache to use, null to disable caching
+   */
+  setGeometryCache (cache) {
+    this.geometryCache = cache
+    for (const worker of this.workers) {
+      worker.postMessage({ type: 'geometryCache', enabled: cache !== null })
     }
+  }
+
+  _handleGeometry (data) {
+    this._removeSection(data.key)
 
     const chunkCoords = data.key.split(',')
     if (!this.loadedChunks[chunkCoords[0] + ',' + chunkCoords[2]]) return
 
-    const geometry = new THREE.BufferGeometry()
-    geometry.setAttribute('position', new THREE.BufferAttribute(data.geometry.positions, 3))
-    geometry.setAttribute('normal', new THREE.BufferAttribute(data.geometry.normals, 3))
-    geometry.setAttribute('color', new THREE.BufferAttribute(data.geometry.colors, 3))
-    geometry.setAttribute('uv', new THREE.BufferAttribute(data.geometry.uvs, 2))
-    geometry.setIndex(data.geometry.indices)
+    // A group per section, holding a mesh per non empty render pass
+    const section = new THREE.Group()
+    section.position.set(data.geometry.sx, data.geometry.sy, data.geometry.sz)
+    section.userData.vertexCount = data.geometry.vertexCount
+    section.userData.unmergedVertexCount = data.geometry.unmergedVertexCount
+    section.userData.visibility = data.geometry.visibility
+    for (const layer of RENDER_LAYERS) {
+      const attributes = data.geometry[layer]
+      if (attributes.indices.length === 0) continue
+      const mesh = new THREE.Mesh(createGeometry(attributes), this.materials[layer])
+      mesh.name = layer
+      if (layer === 'translucent') {
+        mesh.userData.sorter = new TranslucentSorter(attributes.positions, attributes.indices)
+        if (this.sortPosition) this._sortTranslucentMesh(mesh, section.position, this.sortPosition)
+      }
+      section.add(mesh)
+    }
+    this.sectionMeshs[data.key] = section
+    this.scene.add(section)
+    this.occlusionVersion++
+    this.blockEntities.setSection(data.key, data.geometry.blockEntities)
+  }
 
-    mesh = new THREE.Mesh(geometry, this.material)
-    mesh.position.set(data.geometry.sx, data.geometry.sy, data.geometry.sz)
-    this.sectionMeshs[data.key] = mesh
+  // Remove the meshes and the block entities of a section
+  _removeSection (key) {
+    const section = this.sectionMeshs[key]
+    if (section) {
+      this.scene.remove(section)
+      // The materials and the texture are shared by every section
+      for (const mesh of section.children) mesh.geometry.dispose()
+      delete this.sectionMeshs[key]
+      this.occlusionVersion++
+    }
+    this.blockEntities.removeSection(key)
+  }
+
+  _handleLodGeometry (data) {
+    this._removeLodMesh(data.key)
+    if (!this.lodColumns[data.key] || data.geometry.indices.length === 0) return
+
+    const [x, z] = data.key.split(',').map(Number)
+    const mesh = new THREE.Mesh(createLodGeometry(data.geometry), this.lodMaterial)
+    mesh.position.set(x, 0, z)
+    mesh.userData.vertexCount = data.geometry.positions.length / 3
+    this.lodMeshs[data.key] = mesh
     this.scene.add(mesh)
   }
 
+  _removeLodMesh (key) {
+    const mesh = this.lodMeshs[key]
+    if (!mesh) return
+    this.scene.remove(mesh)
+    mesh.geometry.dispose()
+    delete this.lodMeshs[key]
+  }
+
+  _clearLodColumns () {
+    for (const key of Object.keys(this.lodMeshs)) {
+      this._removeLodMesh(key)
+    }
+    this.lodColumns = {}
+  }
+
+  _handleBlockGeometry (data) {
+    const resolve = this.blockGeometryRequests.get(data.id)
+    if (!resolve) return
+    this.blockGeometryRequests.delete(data.id)
+    resolve(data.geometry ? createGeometry(data.geometry) : null)
+  }
+
+  _cancelBlockGeometryRequests () {
+    for (const resolve of this.blockGeometryRequests.values()) resolve(null)
+    this.blockGeometryRequests.clear()
+  }
+
+  /**
+   * Build the geometry of a single block with the block models of the workers
+   * The block spans 0 to 1 on each axis and uses the texture atlas of `material`
+   * @param {number} stateId - Block state id
+   * @returns {Promise<THREE.BufferGeometry|null>} Geometry, or null if the version changed
+   */
+  getBlockGeometry (stateId) {
+    if (!this.active || this.workers.length === 0) return Promise.resolve(null)
+    const id = this.nextBlockGeometryId++
+    return new Promise(resolve => {
+      this.blockGeometryRequests.set(id, resolve)
+      this.workers[id % this.workers.length].postMessage({ type: 'blockGeometry', id, stateId })
+    })
+  }
+
   resetWorld () {
     this.active = false
+    this._cancelBlockGeometryRequests()
 
     // Properly dispose all section meshes
-    for (const [key, mesh] of Object.entries(this.sectionMeshs)) {
-      this.scene.remove(mesh)
-      dispose3(mesh, { disposeTextures: false })
-      delete this.sectionMeshs[key]
+    for (const key of Object.keys(this.sectionMeshs)) {
+      this._removeSection(key)
     }
+    this.blockEntities.clear()
+    this._clearLodColumns()
 
     this.sectionMeshs = {}
     this.loadedChunks = {}
-    this.sectionsOutstanding.clear()
+    this._clearMeshing()
 
     // Reset workers
     for (const worker of this.workers) {
@@ -139,24 +382,27 @@ class WorldRenderer {
   dispose () {
     this.active = false
     this.workersActive = false
+    this._cancelBlockGeometryRequests()
 
     // Dispose all meshes
-    for (const mesh of Object.values(this.sectionMeshs)) {
-      this.scene.remove(mesh)
-      dispose3(mesh, { disposeTextures: false })
+    for (const key of Object.keys(this.sectionMeshs)) {
+      this._removeSection(key)
     }
     this.sectionMeshs = {}
+    this.blockEntities.dispose()
+    this._clearLodColumns()
 
-    // Dispose material and texture
+    // Dispose materials and texture
     if (this.currentTexture) {
       disposeTexture(this.currentTexture)
       this.currentTexture = null
     }
 
-    if (this.material) {
-      this.material.dispose()
-      this.material = null
+    for (const material of Object.values(this.materials)) {
+      material.dispose()
     }
+    this.materials = {}
+    this.lodMaterial.dispose()
 
     // Terminate workers
     for (const worker of this.workers) {
@@ -167,14 +413,16 @@ class WorldRenderer {
     this.workers = []
 
     this.loadedChunks = {}
-    this.sectionsOutstanding.clear()
+    this._clearMeshing()
     this.renderUpdateEmitter.removeAllListeners()
   }
 
   setVersion (version) {
     this.version = version
     this.resetWorld()
+    this.worldBounds = null
     this.active = true
+    this.blockEntities.setVersion(version)
 
     for (const worker of this.workers) {
       worker.postMessage({ type: 'version', version })
@@ -184,119 +432,324 @@ class WorldRenderer {
   }
 
   updateTexturesData () {
-    loadTexture(this.texturesDataUrl || `textures/${this.version}.png`, texture => {
-      // Dispose old texture if exists
-      if (this.currentTexture) {
+    const version = this.version
+    const resourcePack = this.resourcePack
+    const base = resourcePack ? `${resourcePack}/` : ''
+    const isCurrent = () => this.version === version && this.resourcePack === resourcePack
+
+    loadTexture(this.texturesDataUrl || `${base}textures/${version}.png`, texture => {
+      // Dispose old texture if exists, switching back to a pack gives the cached texture again
+      if (this.currentTexture && this.currentTexture !== texture) {
         disposeTexture(this.currentTexture)
       }
 
       texture.magFilter = THREE.NearestFilter
       texture.minFilter = THREE.NearestFilter
       texture.flipY = false
-      this.material.map = texture
+      for (const material of Object.values(this.materials)) {
+        material.map = texture
+        material.needsUpdate = true
+      }
       this.currentTexture = texture
     })
 
+    // Custom textures share the layout of the vanilla atlas but have no animation frames,
+    // their animated faces keep the first frame
+    // Without the atlas JSON (assets generated before it existed), textures don't animate nor tile
+    this.atlas = null
+    this.tilingUniforms.atlasTiles.value = 0
+    this.textureAnimations.setAnimations(null)
+    loadJSON(`${base}textures/${version}.json`, atlas => {
+      if (!isCurrent()) return
+      this.atlas = atlas
+      this.tilingUniforms.atlasTiles.value = Math.round(1 / atlas.size)
+      if (!this.texturesDataUrl) this.textureAnimations.setAnimations(atlas)
+    }, () => {
+      console.log(`No texture atlas data for ${version}, block textures won't be animated`)
+    })
+
     const loadBlockStates = () => {
       return new Promise(resolve => {
         if (this.blockStatesData) return resolve(this.blockStatesData)
-        return loadJSON(`blocksStates/${this.version}.json`, resolve)
+        return loadJSON(`${base}blocksStates/${version}.json`, resolve)
       })
     }
 
-    loadBlockStates().then((blockStates) => {
+    return loadBlockStates().then((blockStates) => {
+      if (!isCurrent()) return false
       for (const worker of this.workers) {
-        worker.postMessage({ type: 'blockStates', json: blockStates })
+        // The workers tag their geometry with the assets it was meshed with, for the geometry cache
+        worker.postMessage({ type: 'blockStates', json: blockStates, assets: `${version}|${resourcePack || ''}` })
       }
+      return true
     })
   }
 
-  addColumn (x, z, chunk) {
-    this.loadedChunks[`${x},${z}`] = true
+  /**
+   * Use the texture atlas and the block models of a resource pack, built with viewer/resourcepack.js
+   * The loaded sections are meshed again once the block states of the pack are loaded
+   * @param {string|null} url - URL of the pack directory (holding textures/ and blocksStates/), null for the vanilla assets
+   * @returns {Promise<void>} Resolves once the workers have the block states of the pack
+   */
+  setResourcePack (url) {
+    this.resourcePack = url ? url.replace(/\/+$/, '') : null
+    if (!this.version) return Promise.resolve()
+
+    return this.updateTexturesData().then((current) => {
+      if (!current) return
+      this._setAllColumnsDirty()
+      for (const key of Object.keys(this.lodColumns)) this._requestLodGeometry(key)
+    })
+  }
 
+  /**
+   * Enable or disable greedy meshing: the faces of full cube blocks sharing a texture, a tint and a light
+   * are merged into larger faces, for fewer vertices. The loaded sections are meshed again
+   * @param {boolean} enabled - Whether to merge faces
+   */
+  setGreedyMeshing (enabled) {
+    if (this.greedyMeshing === enabled) return
+    this.greedyMeshing = enabled
     for (const worker of this.workers) {
-      worker.postMessage({ type: 'chunk', x, z, chunk })
+      worker.postMessage({ type: 'greedyMeshing', enabled })
     }
+    this._setAllColumnsDirty()
+  }
 
-    // Mark sections as dirty with neighbor awareness
-    for (let y = 0; y < WORLD_HEIGHT; y += SECTION_HEIGHT) {
-      const loc = new Vec3(x, y, z)
-      this.setSectionDirty(loc)
-      this.setSectionDirty(loc.offset(-16, 0, 0))
-      this.setSectionDirty(loc.offset(16, 0, 0))
-      this.setSectionDirty(loc.offset(0, 0, -16))
-      this.setSectionDirty(loc.offset(0, 0, 16))
+  /**
+   * Set the vertical bounds of the world, for a dimension change
+   * All loaded columns are dropped, they are expected to be sent again
+   * @param {number} minY - Lowest block Y
+   * @param {number} height - Number of blocks from minY to the build limit
+   */
+  setWorldBounds (minY, height) {
+    for (const key of Object.keys(this.sectionMeshs)) {
+      this._removeSection(key)
+    }
+    this.blockEntities.clear()
+    this._clearLodColumns()
+    this.loadedChunks = {}
+    this._clearMeshing()
+
+    for (const worker of this.workers) {
+      worker.postMessage({ type: 'dimension', minY, height })
     }
+    this._setWorldBounds(minY, height)
   }
 
-  removeColumn (x, z) {
-    delete this.loadedChunks[`${x},${z}`]
+  _setWorldBounds (minY, height) {
+    this.worldBounds = { minY, height }
+    this._setAllColumnsDirty()
+    this.renderUpdateEmitter.emit('update')
+  }
 
-    for (const worker of this.workers) {
-      worker.postMessage({ type: 'unloadChunk', x, z })
+  _setAllColumnsDirty () {
+    if (!this.worldBounds) return
+    for (const key of Object.keys(this.loadedChunks)) {
+      const [x, z] = key.split(',').map(Number)
+      this._setColumnDirty(x, z)
+    }
+  }
+
+  _setColumnDirty (x, z) {
+    const { minY, height } = this.worldBounds
+    for (let y = minY; y < minY + height; y += SECTION_HEIGHT) {
+      this.setSectionDirty(new Vec3(x, y, z))
     }
+  }
 
-    for (let y = 0; y < WORLD_HEIGHT; y += SECTION_HEIGHT) {
-      this.setSectionDirty(new Vec3(x, y, z), false)
-      const key = `${x},${y},${z}`
-      const mesh = this.sectionMeshs[key]
-      if (mesh) {
-        this.scene.remove(mesh)
-        dispose3(mesh, { disposeTextures: false })
+  // The border faces of the neighbour columns were culled against the missing column. Only their sections
+  // drawn or being meshed are meshed again, with the batch: columns often arrive a few at a time
+  _setColumnNeighboursDirty (x, z) {
+    const { minY, height } = this.worldBounds
+    for (const [nx, nz] of [[x - 16, z], [x + 16, z], [x, z - 16], [x, z + 16]]) {
+      if (!this.meshing.hasColumn(nx, nz)) continue
+      for (let y = minY; y < minY + height; y += SECTION_HEIGHT) {
+        const key = `${nx},${y},${nz}`
+        if (this.sectionMeshs[key] || this.meshing.isPending(key)) this.blockUpdates.addSection(nx, y, nz)
       }
-      delete this.sectionMeshs[key]
     }
   }
 
-  setBlockStateId (pos, stateId) {
-    for (const worker of this.workers) {
-      worker.postMessage({ type: 'blockUpdate', pos, stateId })
+  /**
+   * Add a chunk column
+   * @param {number} x - Column x (block coordinate)
+   * @param {number} z - Column z (block coordinate)
+   * @param {Object} chunk - Column, as serialized by prismarine-chunk toJson
+   * @param {Array<{pos: Object, nbt: Object}>} [blockEntities] - Block entity data of the column (sign text, colours)
+   */
+  addColumn (x, z, chunk, blockEntities) {
+    this.loadedChunks[`${x},${z}`] = true
+    this.occlusionVersion++
+    if (blockEntities) this.blockEntities.setColumnData(x, z, blockEntities)
+
+    // Sent to the workers with the sections they mesh, the column holds the blocks of the batched updates
+    this.blockUpdates.deleteColumn(x, z)
+    this.meshing.addColumn(x, z, chunk)
+
+    if (this.worldBounds) {
+      this._setColumnDirty(x, z)
+      this._setColumnNeighboursDirty(x, z)
     }
+  }
 
-    this.setSectionDirty(pos)
+  removeColumn (x, z) {
+    const key = `${x},${z}`
+    delete this.loadedChunks[key]
+    this.occlusionVersion++
+    this.blockEntities.removeColumnData(x, z)
+    this.blockUpdates.deleteColumn(x, z)
+
+    // Queued sections of the column are dropped, the geometry of those being meshed is dropped on arrival
+    for (const sectionKey of this.meshing.removeColumn(x, z)) {
+      this.pendingDirtySections.delete(sectionKey)
+      if (!this.meshing.isPending(sectionKey)) this.sectionsOutstanding.delete(sectionKey)
+    }
+
+    if (!this.worldBounds) return
+    const { minY, height } = this.worldBounds
+    for (let y = minY; y < minY + height; y += SECTION_HEIGHT) {
+      this._removeSection(`${x},${y},${z}`)
+    }
+    this.renderUpdateEmitter.emit('update')
+  }
+
+  /**
+   * Add a far column, drawn at a lower level of detail from the top block of each of its cells
+   * The column is expected to be removed before it is added in full detail
+   * @param {number} x - Column x (block coordinate)
+   * @param {number} z - Column z (block coordinate)
+   * @param {{heights: ArrayLike<number>, stateIds: ArrayLike<number>, biomes: ArrayLike<number>}} heightmap - Y, state
+   *   and biome of the top block of each cell, indexed by z * 16 + x (see getColumnHeightmap in lod.js)
+   */
+  addLodColumn (x, z, heightmap) {
+    const key = `${x},${z}`
+    this.lodColumns[key] = heightmap
+    this._requestLodGeometry(key)
+  }
+
+  removeLodColumn (x, z) {
+    const key = `${x},${z}`
+    delete this.lodColumns[key]
+    this._removeLodMesh(key)
+  }
 
-    // Mark neighbor sections dirty if block is on boundary
-    if ((pos.x & 15) === 0) this.setSectionDirty(pos.offset(-16, 0, 0))
-    if ((pos.x & 15) === 15) this.setSectionDirty(pos.offset(16, 0, 0))
-    if ((pos.y & 15) === 0) this.setSectionDirty(pos.offset(0, -16, 0))
-    if ((pos.y & 15) === 15) this.setSectionDirty(pos.offset(0, 16, 0))
-    if ((pos.z & 15) === 0) this.setSectionDirty(pos.offset(0, 0, -16))
-    if ((pos.z & 15) === 15) this.setSectionDirty(pos.offset(0, 0, 16))
+  _requestLodGeometry (key) {
+    if (!this.active || this.workers.length === 0) return
+    const [x, z] = key.split(',').map(Number)
+    const { heights, stateIds, biomes } = this.lodColumns[key]
+    const hash = mod(Math.floor(x / 16) + Math.floor(z / 16), this.workers.length)
+    this.workers[hash].postMessage({ type: 'lodColumn', key, heights, stateIds, biomes })
+  }
+
+  /**
+   * Set the data of a block entity (sign text, colours), redrawing it
+   * @param {{x: number, y: number, z: number}} pos - Block position
+   * @param {Object|null} nbt - Plain block entity data, null if the block entity was removed
+   */
+  setBlockEntity (pos, nbt) {
+    this.blockEntities.setBlockEntity(pos, nbt)
+  }
+
+  /**
+   * Set the state of a block. Updates are applied at the end of the block update window, the sections
+   * they touch are meshed again once per window
+   * @param {Vec3} pos - Block position
+   * @param {number} stateId - Block state id
+   */
+  setBlockStateId (pos, stateId) {
+    this.blockUpdates.addBlockUpdate(pos, stateId)
+  }
+
+  /**
+   * Set the window block updates are coalesced over: a busy area (redstone, farms) is meshed again
+   * at most once per window instead of once per update
+   * @param {number} window - Milliseconds, 0 to mesh every update right away
+   */
+  setBlockUpdateWindow (window) {
+    this.blockUpdates.setWindow(window)
+  }
+
+  _flushBlockUpdates ({ updates, sections }) {
+    for (const { pos, stateId } of updates) {
+      this.meshing.setBlockStateId(pos, stateId)
+    }
+    if (this.worldBounds) {
+      const { minY, height } = this.worldBounds
+      for (const { x, y, z } of sections) {
+        if (y >= minY && y < minY + height) this.setSectionDirty(new Vec3(x, y, z))
+      }
+    }
+    this.renderUpdateEmitter.emit('update')
   }
 
   setSectionDirty (pos, value = true) {
     if (!this.active || this.workers.length === 0) return
 
-    const key = `${Math.floor(pos.x / 16) * 16},${Math.floor(pos.y / 16) * 16},${Math.floor(pos.z / 16) * 16}`
+    const x = Math.floor(pos.x / 16) * 16
+    const y = Math.floor(pos.y / 16) * 16
+    const z = Math.floor(pos.z / 16) * 16
+    const key = `${x},${y},${z}`
 
-    // Deduplicate: Skip if this section is already pending for this frame
-    if (value && this.pendingDirtySections.has(key)) {
+    if (!value) {
+      this.meshing.delete(key)
+      this.pendingDirtySections.delete(key)
+      if (!this.meshing.isPending(key)) this.sectionsOutstanding.delete(key)
       return
     }
 
-    // Dispatch sections to workers based on position
-    // This guarantees uniformity across workers and that a given section
-    // is always dispatched to the same worker
-    const hash = mod(
-      Math.floor(pos.x / 16) + Math.floor(pos.y / 16) + Math.floor(pos.z / 16),
-      this.workers.length
-    )
+    // Neighbours of a column may not be loaded, they have nothing to mesh
+    if (!this.meshing.hasColumn(x, z)) return
 
-    this.workers[hash].postMessage({
-      type: 'dirty',
-      x: pos.x,
-      y: pos.y,
-      z: pos.z,
-      value
+    if (this.meshing.add(key, x, y, z) && this.sectionMeshs[key]) this.meshingRebuilds++
+    this.sectionsOutstanding.add(key)
+    this.pendingDirtySections.add(key)
+    this._scheduleMeshing()
+  }
+
+  // Dispatch once the current message is handled, so that the sections it marks dirty are ordered together
+  _scheduleMeshing () {
+    if (this.meshingScheduled) return
+    this.meshingScheduled = true
+    queueMicrotask(() => {
+      this.meshingScheduled = false
+      if (this.active) this.meshing.dispatch()
     })
+  }
 
-    if (value) {
-      this.sectionsOutstanding.add(key)
-      this.pendingDirtySections.add(key)
-    } else {
-      this.sectionsOutstanding.delete(key)
-      this.pendingDirtySections.delete(key)
-    }
+  _clearMeshing () {
+    this.meshingGeneration++
+    this.blockUpdates.clear()
+    this.meshing.clear()
+    this.sectionsOutstanding.clear()
+    this.pendingDirtySections.clear()
+  }
+
+  // Distance from the camera to the center of a section, more for sections outside the view
+  // The sections are meshed in the order they are queued until the camera is known
+  _getMeshingPriority (x, y, z) {
+    if (!this.meshingCamera) return 0
+    _sectionCenter.set(x + 8, y + 8, z + 8)
+    _sectionBox.setFromCenterAndSize(_sectionCenter, _sectionSize)
+    const hidden = this.meshingFrustum.intersectsBox(_sectionBox) ? 0 : MESHING_HIDDEN_PENALTY
+    return this.meshingCamera.distanceTo(_sectionCenter) + hidden
+  }
+
+  /**
+   * Order the sections waiting to be meshed for the camera: nearest first, the ones in view before the others
+   * Call this once per frame
+   * @param {THREE.Camera} camera - Camera the world is rendered with
+   * @param {number} [time] - Time in milliseconds, now by default
+   */
+  updateMeshingQueue (camera, time = Date.now()) {
+    if (!camera) return
+    if (this.meshingCamera && time - this.meshingSortTime < MESHING_SORT_INTERVAL_MS) return
+    this.meshingSortTime = time
+    if (!this.meshingCamera) this.meshingCamera = new THREE.Vector3()
+    camera.getWorldPosition(this.meshingCamera)
+    _projScreenMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+    this.meshingFrustum.setFromProjectionMatrix(_projScreenMatrix)
+    if (this.meshing.queue.size > 0) this.meshing.queue.sort()
   }
 
   /**
@@ -309,14 +762,18 @@ class WorldRenderer {
   // Listen for chunk rendering updates emitted if a worker finished a render and resolve if the number
   // of sections not rendered are 0
   waitForChunksToRender () {
+    // Columns waiting for the world bounds have not been marked dirty yet, nor the sections of batched updates
+    const isDone = () => this.sectionsOutstanding.size === 0 && this.blockUpdates.size === 0 &&
+      (this.worldBounds !== null || Object.keys(this.loadedChunks).length === 0)
+
     return new Promise((resolve, reject) => {
-      if (this.sectionsOutstanding.size === 0) {
+      if (isDone()) {
         resolve()
         return
       }
 
       const updateHandler = () => {
-        if (this.sectionsOutstanding.size === 0) {
+        if (isDone()) {
           this.renderUpdateEmitter.removeListener('update', updateHandler)
           resolve()
         }
@@ -327,39 +784,88 @@ class WorldRenderer {
   }
 
   /**
-   * Update frustum culling for all section meshes
-   * Call this once per frame with the camera to enable frustum culling
+   * Update frustum and occlusion culling for all section meshes
+   * Call this once per frame with the camera to enable frustum culling, and before rendering each viewport
+   * when a viewer has several
    * @param {THREE.Camera} camera - Camera to use for frustum culling
+   * @param {Object} [options] - Culling of this pass, the world settings by default
+   * @param {boolean} [options.frustumCulling]
+   * @param {boolean} [options.occlusionCulling]
    */
-  updateFrustumCulling (camera) {
-    if (!this.frustumCullingEnabled || !camera) return
+  updateFrustumCulling (camera, { frustumCulling = this.frustumCullingEnabled, occlusionCulling = this.occlusionCullingEnabled } = {}) {
+    if (!camera) return
+    if (!frustumCulling && !occlusionCulling) {
+      // Sections hidden for the camera of another viewport are shown again
+      if (this.visibleMeshCount < this.totalMeshCount) this._showAllSections()
+      return
+    }
 
     // Update the frustum from camera
     _projScreenMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
     _frustum.setFromProjectionMatrix(_projScreenMatrix)
 
+    const visibleSections = occlusionCulling ? this._updateVisibleSections(camera) : null
+
     this.visibleMeshCount = 0
     this.totalMeshCount = 0
+    this.occludedMeshCount = 0
 
-    for (const mesh of Object.values(this.sectionMeshs)) {
+    for (const [key, section] of Object.entries(this.sectionMeshs)) {
       this.totalMeshCount++
 
-      // Check if mesh bounding sphere intersects frustum
-      if (!mesh.geometry.boundingSphere) {
-        mesh.geometry.computeBoundingSphere()
-      }
-
-      // Create a sphere at the mesh's world position
-      const sphere = mesh.geometry.boundingSphere.clone()
-      sphere.applyMatrix4(mesh.matrixWorld)
+      // Check if the section intersects the frustum
+      _sectionBox.setFromCenterAndSize(section.position, _sectionSize)
 
-      const isVisible = _frustum.intersectsSphere(sphere)
-      mesh.visible = isVisible
+      const inFrustum = !frustumCulling || _frustum.intersectsBox(_sectionBox)
+      const occluded = inFrustum && visibleSections !== null && !visibleSections.has(key)
+      const isVisible = inFrustum && !occluded
+      section.visible = isVisible
 
       if (isVisible) {
         this.visibleMeshCount++
       }
+      if (occluded) {
+        this.occludedMeshCount++
+      }
+    }
+  }
+
+  // Sections seen from the camera section, walked again only when the camera section or the sections changed
+  // null (frustum culling only) when the camera section isn't loaded
+  _updateVisibleSections (camera) {
+    if (!this.worldBounds) return null
+    camera.getWorldPosition(_cameraPosition)
+    const { minY, height } = this.worldBounds
+    // Cameras above or below the world look from its top or bottom section
+    const y = Math.min(Math.max(Math.floor(_cameraPosition.y / 16) * 16, minY), minY + height - SECTION_HEIGHT)
+    const x = Math.floor(_cameraPosition.x / 16) * 16
+    const z = Math.floor(_cameraPosition.z / 16) * 16
+    const start = `${x},${y},${z}`
+    let cached = this.occlusionCache.get(camera)
+    if (!cached || cached.version !== this.occlusionVersion || cached.start !== start) {
+      const sections = findVisibleSections({ x, y, z }, (sx, sy, sz) => this._getSectionVisibility(sx, sy, sz))
+      cached = { start, version: this.occlusionVersion, sections }
+      this.occlusionCache.set(camera, cached)
     }
+    return cached.sections
+  }
+
+  _showAllSections () {
+    for (const section of Object.values(this.sectionMeshs)) {
+      section.visible = true
+    }
+    this.totalMeshCount = Object.keys(this.sectionMeshs).length
+    this.visibleMeshCount = this.totalMeshCount
+    this.occludedMeshCount = 0
+  }
+
+  // Visibility of a section for the occlusion culling, null outside of the loaded columns
+  _getSectionVisibility (x, y, z) {
+    const { minY, height } = this.worldBounds
+    if (y < minY || y >= minY + height || !this.loadedChunks[`${x},${z}`]) return null
+    const section = this.sectionMeshs[`${x},${y},${z}`]
+    // Sections not meshed yet and empty sections of the older versions hide nothing
+    return section && section.userData.visibility !== undefined ? section.userData.visibility : ALL_VISIBLE
   }
 
   /**
@@ -370,16 +876,99 @@ class WorldRenderer {
     this.frustumCullingEnabled = enabled
     if (!enabled) {
       // Make all meshes visible when disabled
-      for (const mesh of Object.values(this.sectionMeshs)) {
-        mesh.visible = true
-      }
+      this._showAllSections()
     }
   }
 
+  /**
+   * Enable or disable occlusion culling: sections the camera can't see into, through the
+   * non-opaque blocks of the sections in between, are hidden (caves seen from the surface)
+   * @param {boolean} enabled - Whether to enable occlusion culling
+   */
+  setOcclusionCulling (enabled) {
+    this.occlusionCullingEnabled = enabled
+    this.occlusionVersion++
+    if (!enabled) {
+      this._showAllSections()
+    }
+  }
+
+  /**
+   * Sort the translucent faces of the visible sections back to front
+   * A section is sorted again once the camera moved TRANSLUCENT_SORT_DISTANCE blocks, call this once per frame
+   * @param {THREE.Camera} camera - Camera the world is rendered with
+   */
+  updateTranslucentSorting (camera) {
+    if (!camera) return
+    camera.getWorldPosition(_cameraPosition)
+    if (!this.sortPosition) this.sortPosition = new THREE.Vector3()
+    this.sortPosition.copy(_cameraPosition)
+
+    for (const section of Object.values(this.sectionMeshs)) {
+      if (!section.visible) continue
+      const mesh = section.getObjectByName('translucent')
+      if (!mesh) continue
+      const { sortPosition } = mesh.userData
+      if (sortPosition && sortPosition.distanceToSquared(_cameraPosition) < TRANSLUCENT_SORT_DISTANCE * TRANSLUCENT_SORT_DISTANCE) continue
+      this._sortTranslucentMesh(mesh, section.position, _cameraPosition)
+    }
+  }
+
+  _sortTranslucentMesh (mesh, sectionPosition, cameraPosition) {
+    const index = mesh.geometry.index
+    mesh.userData.sorter.sort(
+      cameraPosition.x - sectionPosition.x,
+      cameraPosition.y - sectionPosition.y,
+      cameraPosition.z - sectionPosition.z,
+      index.array
+    )
+    index.needsUpdate = true
+    if (!mesh.userData.sortPosition) mesh.userData.sortPosition = new THREE.Vector3()
+    mesh.userData.sortPosition.copy(cameraPosition)
+  }
+
+  /**
+   * Enable or disable block and sky light shading
+   * Light is always baked by the workers, so toggling does not re-mesh
+   * @param {boolean} enabled - Whether to apply light levels
+   */
+  setLighting (enabled) {
+    this.lightUniforms.lightingEnabled.value = enabled
+  }
+
+  /**
+   * Set the time of day used to dim the sky light
+   * @param {number} timeOfDay - Time of day in ticks (0 to 24000)
+   */
+  setTimeOfDay (timeOfDay) {
+    this.timeOfDay = timeOfDay
+    this.lightUniforms.skyLightFactor.value = getSkyLightFactor(timeOfDay)
+  }
+
+  /**
+   * Show the animated block textures (water, lava, fire...) at their frame for a given time
+   * Call this once per frame
+   * @param {number} [time] - Time in milliseconds, now by default
+   */
+  updateTextureAnimations (time = Date.now()) {
+    this.textureAnimations.update(time)
+  }
+
   /**
    * Get statistics for debugging
    */
   getStats () {
+    let vertices = 0
+    let unmergedVertices = 0
+    for (const section of Object.values(this.sectionMeshs)) {
+      vertices += section.userData.vertexCount
+      unmergedVertices += section.userData.unmergedVertexCount
+    }
+    let lodVertices = 0
+    for (const mesh of Object.values(this.lodMeshs)) {
+      lodVertices += mesh.userData.vertexCount
+    }
+
     return {
       sectionMeshCount: Object.keys(this.sectionMeshs).length,
       loadedChunkCount: Object.keys(this.loadedChunks).length,
@@ -387,11 +976,37 @@ class WorldRenderer {
       pendingDirtySections: this.pendingDirtySections.size,
       workerCount: this.workers.length,
       active: this.active,
+      worldBounds: this.worldBounds,
+      lighting: {
+        enabled: this.lightUniforms.lightingEnabled.value,
+        timeOfDay: this.timeOfDay,
+        skyLightFactor: this.lightUniforms.skyLightFactor.value
+      },
+      meshing: {
+        greedy: this.greedyMeshing,
+        vertices,
+        unmergedVertices,
+        queued: this.meshing.queue.size,
+        inProgress: this.meshing.sections.size,
+        rebuilds: this.meshingRebuilds
+      },
+      blockUpdates: this.blockUpdates.getStats(),
+      sharedChunks: this.meshing.getSharedStats(),
+      geometryCache: this.geometryCache ? this.geometryCache.getStats() : { enabled: false, sections: 0, hits: 0, misses: 0 },
+      lod: {
+        columns: Object.keys(this.lodColumns).length,
+        meshes: Object.keys(this.lodMeshs).length,
+        vertices: lodVertices
+      },
       frustumCulling: {
         enabled: this.frustumCullingEnabled,
         visibleMeshes: this.visibleMeshCount,
         totalMeshes: this.totalMeshCount,
-        culledMeshes: this.totalMeshCount - this.visibleMeshCount
+        culledMeshes: this.totalMeshCount - this.visibleMeshCount - this.occludedMeshCount
+      },
+      occlusionCulling: {
+        enabled: this.occlusionCullingEnabled,
+        culledMeshes: this.occludedMeshCount
       }
     }
   }
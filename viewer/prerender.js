@@ -1,31 +1,74 @@
 const path = require('path')
 const { makeTextureAtlas } = require('./lib/atlas')
 const { prepareBlocksStates } = require('./lib/modelsBuilder')
+const { prepareEntities } = require('./lib/entitiesBuilder')
+const { prepareItems } = require('./lib/itemsBuilder')
+const { prepareBlockEntities } = require('./lib/blockEntitiesBuilder')
 const mcAssets = require('minecraft-assets')
 const fs = require('fs-extra')
 
+const force = process.argv.includes('-f')
+
 const texturesPath = path.resolve(__dirname, '../public/textures')
-if (fs.existsSync(texturesPath) && !process.argv.includes('-f')) {
-  console.log('textures folder already exists, skipping...')
-  process.exit(0)
-}
 fs.mkdirSync(texturesPath, { recursive: true })
 
 const blockStatesPath = path.resolve(__dirname, '../public/blocksStates')
 fs.mkdirSync(blockStatesPath, { recursive: true })
 
+const entitiesPath = path.resolve(__dirname, '../public/entities')
+fs.mkdirSync(entitiesPath, { recursive: true })
+
+const itemsPath = path.resolve(__dirname, '../public/items')
+fs.mkdirSync(itemsPath, { recursive: true })
+
+const blockEntitiesPath = path.resolve(__dirname, '../public/blockEntities')
+fs.mkdirSync(blockEntitiesPath, { recursive: true })
+
 const supportedVersions = require('./lib/version').supportedVersions
 
+// Entity textures missing from a version are taken from the newest version having them
+const assetsDirectories = supportedVersions.slice().reverse()
+  .map(version => ({ version, directory: mcAssets(version).directory }))
+
+// Files generated for a version, a version is built again when one of them is missing (after an upgrade
+// adding new files) or with -f
+function getOutputs (version) {
+  return [
+    path.resolve(texturesPath, version + '.png'),
+    path.resolve(texturesPath, version + '.json'),
+    path.resolve(texturesPath, version),
+    path.resolve(blockStatesPath, version + '.json'),
+    path.resolve(entitiesPath, version + '.json'),
+    path.resolve(itemsPath, version + '.json'),
+    path.resolve(blockEntitiesPath, version + '.json')
+  ]
+}
+
 for (const version of supportedVersions) {
+  if (!force && getOutputs(version).every(output => fs.existsSync(output))) {
+    console.log(`assets of ${version} already exist, skipping...`)
+    continue
+  }
   const assets = mcAssets(version)
   const atlas = makeTextureAtlas(assets)
   const out = fs.createWriteStream(path.resolve(texturesPath, version + '.png'))
   const stream = atlas.canvas.pngStream()
   stream.on('data', (chunk) => out.write(chunk))
   stream.on('end', () => console.log('Generated textures/' + version + '.png'))
+  // Texture UVs and animation frames, the renderer animates the atlas with them
+  fs.writeFileSync(path.resolve(texturesPath, version + '.json'), JSON.stringify(atlas.json))
 
   const blocksStates = JSON.stringify(prepareBlocksStates(assets, atlas))
   fs.writeFileSync(path.resolve(blockStatesPath, version + '.json'), blocksStates)
 
+  const entities = JSON.stringify(prepareEntities(version, assetsDirectories))
+  fs.writeFileSync(path.resolve(entitiesPath, version + '.json'), entities)
+
+  const items = JSON.stringify(prepareItems(version, assets, atlas))
+  fs.writeFileSync(path.resolve(itemsPath, version + '.json'), items)
+
+  const blockEntities = JSON.stringify(prepareBlockEntities(version, assets))
+  fs.writeFileSync(path.resolve(blockEntitiesPath, version + '.json'), blockEntities)
+
   fs.copySync(assets.directory, path.resolve(texturesPath, version), { overwrite: true })
 }
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+const path = require('path')
+const { readResourcePack } = require('./lib/resourcePack')
+const { writeResourcePack } = require('./lib/resourcePackBuilder')
+const { supportedVersions, getVersion } = require('./lib/version')
+
+const usage = `Usage: node viewer/resourcepack.js <pack folder or zip> [--name <name>] [--version <version>]... [--out <directory>]
+
+Builds the texture atlas and the block states of a resource pack layered over the vanilla assets.
+By default they are built for every supported version in public/resourcepacks/<name>,
+where the viewer loads them with setResourcePack('resourcepacks/<name>').`
+
+const args = process.argv.slice(2)
+let source = null
+let name = null
+let out = null
+let help = false
+const versions = []
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i]
+  if (arg === '--name') name = args[++i]
+  else if (arg === '--version') versions.push(args[++i])
+  else if (arg === '--out') out = args[++i]
+  else if (arg === '-h' || arg === '--help') help = true
+  else if (!source) source = arg
+}
+
+if (help || !source) {
+  console.log(usage)
+  process.exit(help ? 0 : 1)
+}
+
+name = name || path.basename(source).replace(/\.zip$/i, '')
+if (!/^[\w-]+(\.[\w-]+)*$/.test(name)) {
+  console.error(`Invalid pack name ${name}, use letters, digits, dots, dashes and underscores`)
+  process.exit(1)
+}
+out = out || path.resolve(__dirname, '../public/resourcepacks', name)
+
+const buildVersions = versions.length > 0 ? versions.map(getVersion) : supportedVersions
+if (buildVersions.includes(null)) {
+  console.error(`Unsupported version, supported versions are ${supportedVersions.join(', ')}`)
+  process.exit(1)
+}
+
+const files = readResourcePack(source)
+for (const version of buildVersions) {
+  writeResourcePack(version, files, out)
+  console.log(`Generated ${name} textures and block states for ${version}`)
+}
@@ -7,7 +7,7 @@ const path = require('path')
 // we can remove all the other data unrelated to meshing.
 const blockedIndexFiles = ['blocksB2J', 'blocksJ2B', 'blockMappings', 'steve', 'recipes']
 const allowedWorkerFiles = ['blocks', 'blockCollisionShapes', 'tints', 'blockStates',
-  'biomes', 'features', 'version', 'legacy', 'versions', 'version', 'protocolVersions']
+  'biomes', 'features', 'version', 'legacy', 'versions', 'version', 'protocolVersions', 'loginPacket']
 
 const indexConfig = {
   entry: './lib/index.js',